@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
-const Variant = require('./model/variantProduct');
 require('dotenv').config();
 const categoryRoutes = require('./router/categories');
 const productRoutes = require('./router/products');
@@ -11,8 +10,22 @@ const PORT = process.env.PORT || 5000;
 const cookieParser = require('cookie-parser'); 
 
 const checkExpiredVariants = require('./jobs/checkExpiredVarients');
+const releaseExpiredReservations = require('./jobs/releaseExpiredReservations');
+const sendAbandonedCartReminders = require('./jobs/sendAbandonedCartReminders');
+const processSubscriptions = require('./jobs/processSubscriptions');
+const processProductImports = require('./jobs/processProductImports');
+const generateReorderSuggestions = require('./jobs/generateReorderSuggestions');
+
+if (!require('./services/guestOrderService').orderAccessConfigured()) {
+  console.error('ORDER_ACCESS_SECRET is not set: guest checkout is disabled (see .env.example)');
+}
 
 checkExpiredVariants();
+releaseExpiredReservations();
+sendAbandonedCartReminders();
+processSubscriptions();
+processProductImports();
+generateReorderSuggestions();
 
 app.use(express.json());
 app.use(cookieParser()); 
@@ -29,14 +42,7 @@ const Offer = require('./model/Offer');
 cron.schedule('0 0 * * *', async () => {
   try {
     await Offer.updateExpiredOffers();
-    await Variant.updateExpiredVariants();
-    const now = new Date();
-    const productsWithEntries = await StockEntry.distinct('product');
-    for (const prodId of productsWithEntries) {
-      const currentStock = await calculateCurrentStock(prodId);
-      await Product.findByIdAndUpdate(prodId, { stockQuantity: currentStock });
-    }
-    console.log('Daily stock recalculation and variant status update completed at', new Date());
+    console.log('Daily offer status update completed at', new Date());
   } catch (error) {
     console.error('Cron job failed:', error);
   }
@@ -49,7 +55,8 @@ app.use(express.urlencoded({ extended: true }));
 
 
 const connection = require('./config/db'); 
-connection();
+const { backfillSearchTerms } = require('./services/searchService');
+connection().then(backfillSearchTerms);
 
 // Routes
 app.use('/api/v1/products', productRoutes);
@@ -65,7 +72,13 @@ app.use('/api/v1/currencies', require('./router/currency'));
 app.use('/api/v1/configuration', require('./router/appConfigurationRouter')); 
 app.use('/api/v1/dashboard', require('./router/dashboard'));
 app.use('/api/v1/offer', require('./router/offer'));
+app.use('/api/v1/coupons', require('./router/coupon'));
 app.use('/api/v1/orders', require('./router/orderRouter')); 
+app.use('/api/v1/payments/paypal', require('./router/paypalRouter'));
+app.use('/api/v1/returns', require('./router/returnRouter'));
+app.use('/api/v1/cart', require('./router/cartRouter'));
+app.use('/api/v1/subscriptions', require('./router/subscriptionRouter'));
+app.use('/api/v1/wishlist', require('./router/wishlistRouter'));
 app.use('/api/v1/contact', require("./router/contactUs")) 
 app.use('/', require('./router/authRouter')); 
 app.use('/api/v1/variants', require('./router/variant'));
@@ -76,6 +89,10 @@ app.use('/api/v1/sales', require('./router/saleRouter'));
 app.use('/api/v1/supllier/payments', require('./router/paymentRoutes'))
 app.use('/api/v1/customer-payments', require('./router/customerPaymentRoutes'));
 app.use('/api/v1/inventory', require('./router/inventoryRoutes'));
+app.use('/api/v1/locations', require('./router/locationRouter'));
+app.use('/api/v1/stock-transfers', require('./router/stockTransferRouter'));
+app.use('/api/v1/stock-takes', require('./router/stockTakeRouter'));
+app.use('/api/v1/reorder', require('./router/reorderRouter'));
 app.use('/api/v2/banner', require('./router/bannerRoute'))
 app.use('/api/v2/smtp-configs', require('./router/smtp'));
 app.use('/api/v2/email-templates', require('./router/emailTemplates')); 
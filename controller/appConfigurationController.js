@@ -1,6 +1,8 @@
 const Configuration = require("../model/app_configuration");
 const cloudinary = require("cloudinary").v2;
 const mongoose = require('mongoose');
+const { getCounters, updateCounter } = require('../services/counterService');
+const Location = require('../model/Location');
 
 exports.createAppConfiguration = async (req, res) => {
   try {
@@ -262,6 +264,13 @@ exports.updateAppConfiguration = async (req, res) => {
       discountPercentage,
       minimumOrderAmount,
       maxDiscountAmount,
+      reservationTimeoutMinutes,
+      abandonedCartHours,
+      subscriptionReminderDays,
+      fulfillmentLocation,
+      defaultReorderPoint,
+      reorderSalesDays,
+      reorderCoverDays,
     } = req.body;
 
     
@@ -335,6 +344,55 @@ exports.updateAppConfiguration = async (req, res) => {
       });
     }
 
+    if (reservationTimeoutMinutes !== undefined && (isNaN(Number(reservationTimeoutMinutes)) || Number(reservationTimeoutMinutes) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reservation timeout must be at least 1 minute',
+      });
+    }
+
+    if (abandonedCartHours !== undefined && (isNaN(Number(abandonedCartHours)) || Number(abandonedCartHours) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Abandoned cart hours must be 0 (off) or more',
+      });
+    }
+
+    if (subscriptionReminderDays !== undefined && (isNaN(Number(subscriptionReminderDays)) || Number(subscriptionReminderDays) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription reminder days must be 0 (off) or more',
+      });
+    }
+
+    if (defaultReorderPoint !== undefined && (isNaN(Number(defaultReorderPoint)) || Number(defaultReorderPoint) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Default reorder point must be 0 or more',
+      });
+    }
+
+    for (const [field, value] of [['Reorder sales days', reorderSalesDays], ['Reorder cover days', reorderCoverDays]]) {
+      if (value !== undefined && (isNaN(Number(value)) || Number(value) < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be at least 1`,
+        });
+      }
+    }
+
+    if (fulfillmentLocation) {
+      const location = mongoose.Types.ObjectId.isValid(fulfillmentLocation)
+        ? await Location.findOne({ _id: fulfillmentLocation, status: 'active' }).select('_id').lean()
+        : null;
+      if (!location) {
+        return res.status(400).json({
+          success: false,
+          message: 'Fulfillment location must be an active location',
+        });
+      }
+    }
+
     // Arrays validation
     if (contactEmails && !Array.isArray(contactEmails)) {
       return res.status(400).json({
@@ -415,6 +473,27 @@ exports.updateAppConfiguration = async (req, res) => {
       currencyCode: currencyCode ?? existingConfig.currencyCode,
       currencySign: currencySign ?? existingConfig.currencySign,
       tax: tax ?? existingConfig.tax,
+      reservationTimeoutMinutes: reservationTimeoutMinutes !== undefined
+        ? Number(reservationTimeoutMinutes)
+        : existingConfig.reservationTimeoutMinutes,
+      abandonedCartHours: abandonedCartHours !== undefined
+        ? Number(abandonedCartHours)
+        : existingConfig.abandonedCartHours,
+      subscriptionReminderDays: subscriptionReminderDays !== undefined
+        ? Number(subscriptionReminderDays)
+        : existingConfig.subscriptionReminderDays,
+      fulfillmentLocation: fulfillmentLocation !== undefined
+        ? fulfillmentLocation || null
+        : existingConfig.fulfillmentLocation,
+      defaultReorderPoint: defaultReorderPoint !== undefined
+        ? Number(defaultReorderPoint)
+        : existingConfig.defaultReorderPoint,
+      reorderSalesDays: reorderSalesDays !== undefined
+        ? Number(reorderSalesDays)
+        : existingConfig.reorderSalesDays,
+      reorderCoverDays: reorderCoverDays !== undefined
+        ? Number(reorderCoverDays)
+        : existingConfig.reorderCoverDays,
       ...discountUpdate,
       lastUpdated: new Date().toISOString(),
     };
@@ -461,3 +540,49 @@ exports.updateAppConfiguration = async (req, res) => {
     }
   }
 };
+
+// GET /counters - document numbering (orders, sales, invoices, ...)
+exports.getNumberCounters = async (req, res) => {
+  try {
+    const counters = await getCounters();
+    res.status(200).json({
+      success: true,
+      message: 'Counters fetched successfully',
+      counters,
+    });
+  } catch (error) {
+    console.error('Error fetching counters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
+
+// PUT /counters/:type - body: { prefix, padding, yearlyReset, seq }
+exports.updateNumberCounter = async (req, res) => {
+  try {
+    const { prefix, padding, yearlyReset, seq } = req.body;
+    const counter = await updateCounter(req.params.type, { prefix, padding, yearlyReset, seq });
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter updated successfully',
+      counter,
+    });
+  } catch (error) {
+    if (error.code === 'COUNTER_ERROR') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('Error updating counter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
@@ -2,6 +2,7 @@ const Brand = require('../model/Brand');
 const mongoose = require('mongoose');
 const Product = require('../model/Product');
 const fs = require('fs'); 
+const { syncSearchTerms } = require('../services/searchService');
 
 exports.createBrand = async (req, res) => {
   const { brandCode, brandName, description, status = 'Active' } = req.body;
@@ -175,6 +176,9 @@ exports.updateBrand = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Brand names are part of the product search index
+    if (brand.name !== currentBrand.name) await syncSearchTerms({ brand: brand._id });
+
     // Optional: Delete old image if new one uploaded
     if (image && currentBrand.image && currentBrand.image !== image) {
       if (fs.existsSync(currentBrand.image)) {
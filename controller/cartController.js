@@ -0,0 +1,133 @@
+const {
+  findCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart: emptyCart,
+  mergeGuestCart,
+  priceCart
+} = require('../services/cartService');
+
+// Guests identify their cart with the token returned as data.cartToken
+const cartOwner = (req) => ({
+  userId: req.user?.id || null,
+  guestToken: req.user ? null : req.get('X-Cart-Token') || null
+});
+
+const handleCartError = (res, err, fallback) => {
+  if (err.code === 'CART_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+const loadCart = async (req, res) => {
+  const cart = await findCart(cartOwner(req));
+  if (!cart) {
+    res.status(404).json({ success: false, msg: 'Cart not found' });
+    return null;
+  }
+  return cart;
+};
+
+// GET /api/v1/cart
+const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(cartOwner(req));
+    if (!cart) {
+      return res.json({
+        success: true,
+        data: { items: [], itemCount: 0, subtotal: 0, storeDiscount: 0, hasIssues: false }
+      });
+    }
+    res.json({ success: true, data: await priceCart(cart) });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to fetch cart');
+  }
+};
+
+// POST /api/v1/cart/items  { product, variant, quantity }
+const addToCart = async (req, res) => {
+  try {
+    const { product, variant, quantity } = req.body;
+    const cart = await findCart(cartOwner(req), { create: true });
+
+    await addItem(cart, { product, variant, quantity });
+    await cart.save();
+
+    res.status(201).json({ success: true, msg: 'Item added to cart', data: await priceCart(cart) });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to add item to cart');
+  }
+};
+
+// PUT /api/v1/cart/items/:itemId  { quantity }
+const updateCartItem = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart) return;
+
+    updateItem(cart, req.params.itemId, { quantity: req.body.quantity });
+    await cart.save();
+
+    res.json({ success: true, msg: 'Cart updated', data: await priceCart(cart) });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to update cart');
+  }
+};
+
+// DELETE /api/v1/cart/items/:itemId
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart) return;
+
+    removeItem(cart, req.params.itemId);
+    await cart.save();
+
+    res.json({ success: true, msg: 'Item removed from cart', data: await priceCart(cart) });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to remove cart item');
+  }
+};
+
+// DELETE /api/v1/cart
+const clearCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart) return;
+
+    emptyCart(cart);
+    await cart.save();
+
+    res.json({ success: true, msg: 'Cart cleared', data: await priceCart(cart) });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to clear cart');
+  }
+};
+
+// POST /api/v1/cart/merge  { cartToken }  (after sign-in)
+const mergeCart = async (req, res) => {
+  try {
+    const guestToken = req.body.cartToken || req.get('X-Cart-Token');
+    const { cart, mergedItems } = await mergeGuestCart(req.user.id, guestToken);
+
+    res.json({
+      success: true,
+      msg: mergedItems > 0 ? `${mergedItems} item(s) merged into your cart` : 'Nothing to merge',
+      data: await priceCart(cart)
+    });
+  } catch (err) {
+    handleCartError(res, err, 'Failed to merge cart');
+  }
+};
+
+module.exports = {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart
+};
@@ -2,6 +2,7 @@
 const Category = require('../model/Category'); 
 const Subcategory = require('../model/subCategory')
 const Product = require('../model/Product');
+const { syncSearchTerms } = require('../services/searchService');
 
 exports.createCategory =  async (req, res) => {
   const { name, description, status = 'Active' } = req.body;
@@ -113,6 +114,7 @@ exports.updateCategory = async (req, res) => {
     const image = req.file ? req.file.path : existingCategory.image;
 
 
+    const previousName = existingCategory.name;
     existingCategory.name = name ?? existingCategory.name;
     existingCategory.description = description ?? existingCategory.description;
     existingCategory.status = status;
@@ -120,6 +122,9 @@ exports.updateCategory = async (req, res) => {
 
     await existingCategory.save();
 
+    // Category names are part of the product search index
+    if (existingCategory.name !== previousName) await syncSearchTerms({ category: existingCategory._id });
+
     res.json({
       success: true,
       msg: 'Category updated successfully',
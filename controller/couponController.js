@@ -0,0 +1,259 @@
+const Coupon = require('../model/Coupon');
+const CouponRedemption = require('../model/CouponRedemption');
+const Product = require('../model/Product');
+const Category = require('../model/Category');
+const Brand = require('../model/Brand');
+const mongoose = require('mongoose');
+
+
+// Helper: make sure every referenced id exists in the given model
+const resolveRefs = async (Model, refs, label) => {
+  const ids = [...new Set((refs || []).map(ref => ref.toString()))];
+  for (const id of ids) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ${label} ID: ${id}`);
+    }
+  }
+  const found = await Model.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw new Error(`One or more ${label}s do not exist`);
+  }
+  return ids;
+};
+
+// Helper: validate the numeric rules shared by create and update
+const validateDiscount = ({ discountType, discountValue }) => {
+  if (!['Percentage', 'Fixed', 'FreeShipping'].includes(discountType)) {
+    return 'Discount type must be Percentage, Fixed or FreeShipping';
+  }
+  const value = Number(discountValue || 0);
+  if (discountType === 'Percentage' && (value <= 0 || value > 100)) {
+    return 'Percentage discount must be between 0 and 100';
+  }
+  if (discountType === 'Fixed' && value <= 0) {
+    return 'Fixed discount must be positive';
+  }
+  return null;
+};
+
+// Create Coupon
+const createCoupon = async (req, res) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      discountValue = 0,
+      maxDiscountAmount = 0,
+      minimumOrderAmount = 0,
+      usageLimit = null,
+      perCustomerLimit = 1,
+      firstOrderOnly = false,
+      applicableProducts,
+      applicableCategories,
+      applicableBrands,
+      startDate,
+      endDate,
+      status = 'active'
+    } = req.body;
+
+    if (!code || !discountType || !startDate || !endDate) {
+      return res.status(400).json({ success: false, message: 'code, discountType, startDate and endDate are required' });
+    }
+
+    const discountError = validateDiscount({ discountType, discountValue });
+    if (discountError) {
+      return res.status(400).json({ success: false, message: discountError });
+    }
+
+    const existing = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'Coupon with this code already exists' });
+    }
+
+    const coupon = new Coupon({
+      code,
+      description,
+      discountType,
+      discountValue: discountType === 'FreeShipping' ? 0 : Number(discountValue),
+      maxDiscountAmount: Number(maxDiscountAmount) || 0,
+      minimumOrderAmount: Number(minimumOrderAmount) || 0,
+      usageLimit: usageLimit === null || usageLimit === '' ? null : Number(usageLimit),
+      perCustomerLimit: Number(perCustomerLimit) || 1,
+      firstOrderOnly: firstOrderOnly === true || firstOrderOnly === 'true',
+      applicableProducts: await resolveRefs(Product, applicableProducts, 'product'),
+      applicableCategories: await resolveRefs(Category, applicableCategories, 'category'),
+      applicableBrands: await resolveRefs(Brand, applicableBrands, 'brand'),
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      status
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    res.status(400).json({ success: false, message: error.message || 'Error creating coupon' });
+  }
+};
+
+// Get All Coupons
+const getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, search } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (search) query.code = { $regex: search, $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const coupons = await Coupon.find(query)
+      .populate('applicableProducts', 'name')
+      .populate('applicableCategories', 'name')
+      .populate('applicableBrands', 'brandName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: coupons,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching coupons' });
+  }
+};
+
+// Get Coupon by ID (with its redemption history)
+const getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findById(id)
+      .populate('applicableProducts', 'name')
+      .populate('applicableCategories', 'name')
+      .populate('applicableBrands', 'brandName');
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: id })
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber total status')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: { coupon, redemptions }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching coupon' });
+  }
+};
+
+// Update Coupon
+const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const updateData = { ...req.body };
+    delete updateData.usedCount;
+
+    const discountType = updateData.discountType ?? coupon.discountType;
+    const discountValue = updateData.discountValue ?? coupon.discountValue;
+    const discountError = validateDiscount({ discountType, discountValue });
+    if (discountError) {
+      return res.status(400).json({ success: false, message: discountError });
+    }
+
+    if (updateData.code && updateData.code.toString().trim().toUpperCase() !== coupon.code) {
+      const duplicate = await Coupon.findOne({ code: updateData.code.toString().trim().toUpperCase(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ success: false, message: 'Coupon with this code already exists' });
+      }
+    }
+
+    if (updateData.applicableProducts !== undefined) {
+      updateData.applicableProducts = await resolveRefs(Product, updateData.applicableProducts, 'product');
+    }
+    if (updateData.applicableCategories !== undefined) {
+      updateData.applicableCategories = await resolveRefs(Category, updateData.applicableCategories, 'category');
+    }
+    if (updateData.applicableBrands !== undefined) {
+      updateData.applicableBrands = await resolveRefs(Brand, updateData.applicableBrands, 'brand');
+    }
+
+    coupon.set(updateData);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(400).json({ success: false, message: error.message || 'Error updating coupon' });
+  }
+};
+
+// Delete Coupon (used coupons are deactivated instead, to keep order history intact)
+const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponRedemption.countDocuments({ coupon: id });
+    if (redemptions > 0) {
+      coupon.status = 'inactive';
+      await coupon.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has redemptions and was deactivated instead of deleted'
+      });
+    }
+
+    await Coupon.findByIdAndDelete(id);
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting coupon' });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+};
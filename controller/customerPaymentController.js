@@ -3,6 +3,7 @@ const User = require('../model/User');
 const { createNotification } = require('../utils/createNotification');
 const sendTemplatedEmail = require('../utils/sendTemplatedEmail');
 const AppConfiguration = require('../model/app_configuration');
+const { nextNumber } = require('../services/counterService');
 
 
 
@@ -22,20 +23,8 @@ const getCurrencySettings = async () => {
 
 
 
-// Generate unique invoice number
-const generateInvoiceNo = async () => {
-  let isUnique = false;
-  let invoiceNo;
-  while (!isUnique) {
-    const randomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-    invoiceNo = `INV-${randomCode}`;
-    const existingPayment = await CustomerPayment.findOne({ invoiceNo });
-    if (!existingPayment) {
-      isUnique = true;
-    }
-  }
-  return invoiceNo;
-};
+// Invoice numbers come from the shared 'invoice' counter (supplier + customer payments)
+const generateInvoiceNo = () => nextNumber('invoice');
 
 // Create a new customer payment
 exports.createPayment = async (req, res) => {
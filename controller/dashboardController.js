@@ -3,6 +3,7 @@ const Order = require('../model/Order');
 const User = require('../model/User');
 const moment = require('moment');
 const Product = require('../model/Product');
+const { lowStockFilter } = require('../services/reorderService');
 
 // ────────────────────────────────────────────────────────────────
 // Your original full dashboard endpoint (unchanged)
@@ -106,9 +107,9 @@ exports.getDashboard = async (req, res) => {
         createdAt: { $gte: periodStartDate, $lte: periodEndDate }
       }),
       
-      Variant.find({ stockQuantity: { $lt: 10, $gt: -1 } })
+      Variant.find(await lowStockFilter())
         .populate('product', 'name sku')
-        .select('sku stockQuantity image product attribute value')
+        .select('sku stockQuantity reorderPoint image product attribute value optionValues optionLabel')
         .sort({ stockQuantity: 1 })
         .limit(4),
         
@@ -141,6 +142,7 @@ exports.getDashboard = async (req, res) => {
       name: `${v.product?.name || 'N/A'}`,
       sku: v.sku || `SKU-${String(v._id).slice(-4)}`,
       unitsLeft: v.stockQuantity,
+      reorderPoint: v.reorderPoint,
       image: v.image || null
     }));
 
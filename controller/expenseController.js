@@ -1,20 +1,13 @@
 const Expense = require('../model/Expense');
 const ExpenseCategory = require('../model/ExpenseCategory');
 const moment = require('moment-timezone'); // For date handling
+const { nextNumber } = require('../services/counterService');
 
 
 const generateExpenseId = async () => {
   try {
-    const count = await Expense.countDocuments();
-
-    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-
-    const randomPart = Math.floor(100 + Math.random() * 900);
-
-    // Example: E000123-20251023-482
-    const expenseId = `E${String(count + 1).padStart(6, '0')}-${datePart}-${randomPart}`;
-
-    return expenseId;
+    // Example: E000123
+    return await nextNumber('expense');
   } catch (error) {
     throw new Error('Failed to generate expense ID');
   }
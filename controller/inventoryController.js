@@ -2,12 +2,18 @@
 const Variant = require('../model/variantProduct');
 const StockMovement = require('../model/StockMovement');
 const mongoose = require('mongoose');
+const { notifyBackInStock } = require('../services/stockAlertService');
+const { variantLabel } = require('../services/variantOptionService');
+const { isBundle } = require('../services/bundleService');
+const { receiveLot, allocateLots, movementLots, listLots } = require('../services/stockLotService');
+const { resolveLocation, addLocationStock, takeLocationStock, movementLocations, getStockByLocation } = require('../services/locationService');
+const { getReorderSettings } = require('../services/reorderService');
 
 const getPerformedBy = async (req) => {
   if (req.user?._id) return req.user._id;
   const User = mongoose.model('User');
   const admin = await User.findOne({ role: { $in: ['Super Admin', 'Inventory Manager', 'Staff'] } }).lean();
-  return admin?._id || new mongoose.Types.ObjectId("507f1f77bcf86cd799439011");
+  return admin?._id || null;
 };
 
 // Auto generate reference ID if not provided
@@ -25,7 +31,10 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
       movementType = "Manual Adjustment",
       reason,
       referenceId,
-      expiryAlertDate,
+      expiryAlertDate,          // expiry of the lot being added
+      unitCost,
+      batchNumber,
+      location,                 // where the units are added / removed (default location when omitted)
       createdAt,
     } = req.body;
 
@@ -54,7 +63,15 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
       return res.status(400).json({ success: false, msg: "Reason is required" });
     }
 
+    if (expiryAlertDate && isNaN(new Date(expiryAlertDate).getTime())) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, msg: "expiryAlertDate must be a valid date" });
+    }
+
     const changeAmount = isStockIncreasing ? qty : -qty;
+    const adjustmentRef = referenceId?.trim() || generateReferenceId();
+    const performedBy = await getPerformedBy(req);
+    const stockLocation = await resolveLocation(location, { session });
 
     // === STEP 1: Get current variant with lock (inside transaction) ===
     const variant = await Variant.findById(variantId).session(session);
@@ -62,6 +79,10 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
       await session.abortTransaction();
       return res.status(404).json({ success: false, msg: "Variant not found" });
     }
+    if (isBundle(variant)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, msg: "Bundle stock comes from its components; adjust the component variants instead" });
+    }
 
     const previousQty = variant.stockQuantity || 0;
     const newQty = previousQty + changeAmount;
@@ -76,13 +97,36 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
       });
     }
 
-    // === STEP 3: Update stock quantity + expiry date ===
+    // === STEP 3: Update stock quantity + lots ===
+    // Added units become their own lot (with its expiry); deducted units leave FEFO.
+    // Variant.expiryDate follows the lots.
     variant.stockQuantity = newQty;
-    if (expiryAlertDate) {
-      variant.expiryDate = new Date(expiryAlertDate);
-    }
     await variant.save({ session });
 
+    let lots;
+    if (isStockIncreasing) {
+      const lot = await receiveLot({
+        variantId: variant._id,
+        quantity: qty,
+        stockBefore: previousQty,
+        expiryDate: expiryAlertDate || null,
+        unitCost: unitCost !== undefined && unitCost !== '' ? Math.max(0, Number(unitCost) || 0) : undefined,
+        batchNumber: batchNumber?.trim(),
+        source: 'adjustment',
+        referenceId: adjustmentRef,
+        createdBy: performedBy
+      }, { session });
+      lots = lot ? [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: qty }] : [];
+    } else {
+      lots = await allocateLots(variant._id, qty, { stockBefore: previousQty, session });
+    }
+
+    // Deductions must be covered by the chosen location itself
+    const placement = { location: stockLocation._id, stockBefore: previousQty, session };
+    const locations = isStockIncreasing
+      ? await addLocationStock(variant._id, qty, placement)
+      : await takeLocationStock(variant._id, qty, { ...placement, strict: true });
+
     // === STEP 4: Record accurate stock movement ===
     const movement = await StockMovement.create([{
       variant: variantId,
@@ -93,14 +137,18 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
       isStockIncreasing: isStockIncreasing === true,
       movementType: movementType.trim(),
       reason: reason.trim(),
-      referenceId: referenceId?.trim() || generateReferenceId(),
-      performedBy: await getPerformedBy(req),
+      referenceId: adjustmentRef,
+      lots: movementLots(lots),
+      locations: movementLocations(locations),
+      performedBy,
       createdAt: createdAt ? new Date(createdAt) : new Date()
     }], { session });
 
     // === COMMIT TRANSACTION ===
     await session.commitTransaction();
 
+    if (isStockIncreasing) await notifyBackInStock([variant._id]);
+
     // === SUCCESS RESPONSE ===
     const message = isStockIncreasing
       ? `Successfully added ${qty} unit(s)`
@@ -119,6 +167,8 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
         changeDisplay: changeAmount >= 0 ? `+${qty}` : `−${qty}`,
         movementType: movementType.trim(),
         referenceId: movement[0].referenceId,
+        lots: movement[0].lots,
+        location: { id: stockLocation._id, name: stockLocation.name, code: stockLocation.code },
         reason: reason.trim(),
         performedBy: req.user?.name || "System",
         performedAt: movement[0].createdAt,
@@ -127,6 +177,9 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
 
   } catch (err) {
     await session.abortTransaction();
+    if (err.code === 'LOCATION_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
     console.error("Stock Adjustment FAILED:", err);
     res.status(500).json({
       success: false,
@@ -144,6 +197,25 @@ const adjustStock = async (req, res, variantIdFromParam = null) => {
 exports.addInventory = (req, res) => adjustStock(req, res);
 exports.updateInventory = (req, res) => adjustStock(req, res, req.params.variantId);
 
+// Stock lots (batches) — filter by variant, status, or lots expiring within N days
+exports.getStockLots = async (req, res) => {
+  try {
+    const { variantId, status, expiringWithinDays, page, limit } = req.query;
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ success: false, msg: "Invalid variantId" });
+    }
+    if (status && !['active', 'depleted', 'expired'].includes(status)) {
+      return res.status(400).json({ success: false, msg: "status must be active, depleted or expired" });
+    }
+
+    const result = await listLots({ variant: variantId, status, expiringWithinDays, page, limit });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Get stock lots error:", err);
+    res.status(500).json({ success: false, msg: "Failed to fetch stock lots", error: err.message });
+  }
+};
+
 
 // FINAL PERFECT VERSION – LISTING 100% CORRECT
 exports.getInventoryDashboard = async (req, res) => {
@@ -153,6 +225,7 @@ exports.getInventoryDashboard = async (req, res) => {
       page = 1,
       limit = 50,
       movementType = "",
+      location = "",
       startDate = "",
       endDate = ""
     } = req.query;
@@ -161,8 +234,13 @@ exports.getInventoryDashboard = async (req, res) => {
     const limitNum = Math.max(1, Math.min(200, parseInt(limit) || 50));
     const skip = (pageNum - 1) * limitNum;
 
+    const { defaultReorderPoint } = await getReorderSettings();
+
     const baseMatch = {};
     if (movementType) baseMatch.movementType = movementType;
+    if (location && mongoose.Types.ObjectId.isValid(location)) {
+      baseMatch["locations.location"] = new mongoose.Types.ObjectId(location);
+    }
     if (startDate || endDate) {
       baseMatch.createdAt = {};
       if (startDate) baseMatch.createdAt.$gte = new Date(startDate);
@@ -182,6 +260,7 @@ exports.getInventoryDashboard = async (req, res) => {
       { $unwind: { path: "$brand", preserveNullAndEmptyArrays: true } },
       { $lookup: { from: "users", localField: "performedBy", foreignField: "_id", as: "user" } },
       { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: "locations", localField: "locations.location", foreignField: "_id", as: "locationDocs" } },
 
       // Search after lookups
       ...(search ? [{
@@ -190,6 +269,7 @@ exports.getInventoryDashboard = async (req, res) => {
             { "variantDoc.sku": { $regex: search, $options: "i" } },
             { "product.name": { $regex: search, $options: "i" } },
             { reason: { $regex: search, $options: "i" } },
+            { referenceId: { $regex: search, $options: "i" } },
             { movementType: { $regex: search, $options: "i" } }
           ]
         }
@@ -200,12 +280,13 @@ exports.getInventoryDashboard = async (req, res) => {
         $addFields: {
           realVariantId: "$variantDoc._id",
           sku: "$variantDoc.sku",
+          optionLabel: { $ifNull: ["$variantDoc.optionLabel", "$variantDoc.value"] },
           productName: "$product.name",
           brandName: "$brand.brandName",
           thumbnail: { $ifNull: ["$variantDoc.image", "$product.thumbnail", "/placeholder.jpg"] },
           performedByName: { $ifNull: ["$user.name", "System"] },
           currentStock: "$newQuantity",  // stock at that time
-          lowStockThreshold: { $ifNull: ["$variantDoc.lowStockThreshold", "$variantDoc.reorderLevel", 10] },
+          lowStockThreshold: { $ifNull: ["$variantDoc.reorderPoint", defaultReorderPoint] },
           changeDisplay: {
             $cond: [
               "$isStockIncreasing",
@@ -227,6 +308,7 @@ exports.getInventoryDashboard = async (req, res) => {
           variantId: "$_id",            // ← HACK: send movement _id as variantId
           realVariantId: 1,             // optional debug
           sku: 1,
+          optionLabel: 1,
           productName: 1,
           brandName: 1,
           thumbnail: 1,
@@ -239,6 +321,8 @@ exports.getInventoryDashboard = async (req, res) => {
           movementType: 1,
           reason: 1,
           referenceId: 1,
+          locations: 1,
+          locationNames: "$locationDocs.name",
           performedByName: 1,
           performedAt: "$createdAt",
           createdAt: 1,
@@ -248,7 +332,7 @@ exports.getInventoryDashboard = async (req, res) => {
               then: "Out of Stock",
               else: {
                 $cond: {
-                  if: { $lte: ["$newQuantity", { $ifNull: ["$variantDoc.lowStockThreshold", "$variantDoc.reorderLevel", 10] }] },
+                  if: { $lte: ["$newQuantity", { $ifNull: ["$variantDoc.reorderPoint", defaultReorderPoint] }] },
                   then: "Low Stock",
                   else: "Good"
                 }
@@ -287,13 +371,14 @@ exports.getSingleVariant = async (req, res) => {
     if (!id || !mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, msg: "Invalid ID" });
     }
+    const { defaultReorderPoint } = await getReorderSettings();
     id = id.toString().trim();
 
     // FIRST: Check if it's a StockMovement ID
     const movement = await StockMovement.findById(id)
       .populate({
         path: 'variant',
-        select: 'sku stockQuantity image product lowStockThreshold reorderLevel',
+        select: 'sku attribute value optionLabel stockQuantity image product reorderPoint',
         populate: {
           path: 'product',
           select: 'name thumbnail brand category',
@@ -315,6 +400,7 @@ exports.getSingleVariant = async (req, res) => {
           productName: variant.product?.name || "Unknown",
           brandName: variant.product?.brand?.brandName || "Unknown",
           sku: movement.sku || variant.sku,
+          optionLabel: variantLabel(variant),
           thumbnail: variant.image || variant.product?.thumbnail || "/placeholder.jpg",
 
           // Historical frozen values
@@ -325,9 +411,9 @@ exports.getSingleVariant = async (req, res) => {
             ? `+${movement.changeQuantity}` 
             : `−${Math.abs(movement.changeQuantity)}`,
 
-          lowStockThreshold: variant.lowStockThreshold || variant.reorderLevel || 10,
+          lowStockThreshold: variant.reorderPoint ?? defaultReorderPoint,
           stockStatus: movement.newQuantity <= 0 ? "Out of Stock" :
-            movement.newQuantity <= (variant.lowStockThreshold || variant.reorderLevel || 10) ? "Low Stock" : "Good",
+            movement.newQuantity <= (variant.reorderPoint ?? defaultReorderPoint) ? "Low Stock" : "Good",
 
           movement: {
             _id: movement._id.toString(),
@@ -338,6 +424,7 @@ exports.getSingleVariant = async (req, res) => {
             movementType: movement.movementType,
             reason: movement.reason,
             referenceId: movement.referenceId,
+            lots: movement.lots || [],
             performedBy: movement.performedBy?.name || "System",
             createdAt: movement.createdAt,
           },
@@ -349,6 +436,7 @@ exports.getSingleVariant = async (req, res) => {
     }
 
     // NOT A MOVEMENT → Real variantId → get latest movement + full info
+    const stockByLocation = (await getStockByLocation([id])).get(id) || [];
     const result = await StockMovement.aggregate([
       { $match: { variant: new mongoose.Types.ObjectId(id) } },
       { $sort: { createdAt: -1 } },
@@ -395,10 +483,12 @@ exports.getSingleVariant = async (req, res) => {
         $addFields: {
           variantId: "$variantDoc._id",
           sku: "$variantDoc.sku",
+          optionLabel: { $ifNull: ["$variantDoc.optionLabel", "$variantDoc.value"] },
           productName: "$product.name",
           brandName: { $ifNull: ["$product.brandName", "Unknown"] },
           thumbnail: { $ifNull: ["$variantDoc.image", "$product.thumbnail", "/placeholder.jpg"] },
           currentStock: "$variantDoc.stockQuantity",
+          reorderPoint: "$variantDoc.reorderPoint",
           performedByName: { $ifNull: ["$user.name", "System"] },
           changeDisplay: {
             $cond: [
@@ -416,10 +506,12 @@ exports.getSingleVariant = async (req, res) => {
           _id: 1,
           variantId: 1,
           sku: 1,
+          optionLabel: 1,
           productName: 1,
           brandName: 1,
           thumbnail: 1,
           currentStock: 1,
+          reorderPoint: 1,
           previousQuantity: 1,
           newQuantity: 1,
           changeQuantity: 1,
@@ -436,7 +528,7 @@ exports.getSingleVariant = async (req, res) => {
     // If no movements found → return just variant info
     if (result.length === 0) {
       const variant = await Variant.findById(id)
-        .select('sku stockQuantity image product lowStockThreshold reorderLevel')
+        .select('sku attribute value optionLabel stockQuantity image product reorderPoint')
         .populate({
           path: 'product',
           select: 'name thumbnail brand category',
@@ -455,9 +547,11 @@ exports.getSingleVariant = async (req, res) => {
           productName: variant.product?.name || "Unknown",
           brandName: variant.product?.brand?.brandName || "Unknown",
           sku: variant.sku || "N/A",
+          optionLabel: variantLabel(variant),
           currentStock: variant.stockQuantity,
           thumbnail: variant.image || variant.product?.thumbnail || "/placeholder.jpg",
-          lowStockThreshold: variant.lowStockThreshold || variant.reorderLevel || 10,
+          lowStockThreshold: variant.reorderPoint ?? defaultReorderPoint,
+          stockByLocation,
           movement: null
         }
       });
@@ -472,8 +566,11 @@ exports.getSingleVariant = async (req, res) => {
         productName: latest.productName || "Unknown",
         brandName: latest.brandName,
         sku: latest.sku || "N/A",
+        optionLabel: latest.optionLabel,
         currentStock: latest.currentStock,
         thumbnail: latest.thumbnail,
+        lowStockThreshold: latest.reorderPoint ?? defaultReorderPoint,
+        stockByLocation,
         movement: {
           _id: latest._id.toString(),
           previousQuantity: latest.previousQuantity,
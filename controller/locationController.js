@@ -0,0 +1,263 @@
+const Location = require('../model/Location');
+const LocationStock = require('../model/LocationStock');
+const Sale = require('../model/Sales');
+const Purchase = require('../model/Purchase');
+const mongoose = require('mongoose');
+const { getDefaultLocation } = require('../services/locationService');
+const { variantLabel } = require('../services/variantOptionService');
+
+
+const LOCATION_FIELDS = ['name', 'code', 'type', 'address', 'phone', 'status'];
+
+// Only one default location: setting it here clears it everywhere else
+const claimDefault = (locationId) =>
+  Location.updateMany({ _id: { $ne: locationId }, isDefault: true }, { $set: { isDefault: false } });
+
+// Create Location
+const createLocation = async (req, res) => {
+  try {
+    const { name, code, isDefault } = req.body;
+    if (!name || !code) {
+      return res.status(400).json({ success: false, message: 'name and code are required' });
+    }
+
+    const existing = await Location.findOne({ code: code.toString().trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'Location with this code already exists' });
+    }
+
+    const data = {};
+    for (const field of LOCATION_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    const hasDefault = await Location.exists({ isDefault: true });
+    data.isDefault = isDefault === true || isDefault === 'true' || !hasDefault;
+
+    const location = await Location.create(data);
+    if (location.isDefault) await claimDefault(location._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    res.status(400).json({ success: false, message: error.message || 'Error creating location' });
+  }
+};
+
+// Get All Locations (with units / SKUs in stock at each)
+const getAllLocations = async (req, res) => {
+  try {
+    await getDefaultLocation();
+
+    const { status, type, search } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const locations = await Location.find(query).sort({ isDefault: -1, name: 1 }).lean();
+    const totals = await LocationStock.aggregate([
+      { $match: { location: { $in: locations.map(l => l._id) }, quantity: { $gt: 0 } } },
+      { $group: { _id: '$location', units: { $sum: '$quantity' }, skus: { $sum: 1 } } }
+    ]);
+    const byLocation = new Map(totals.map(t => [t._id.toString(), t]));
+
+    res.status(200).json({
+      success: true,
+      data: locations.map(location => ({
+        ...location,
+        units: byLocation.get(location._id.toString())?.units || 0,
+        skus: byLocation.get(location._id.toString())?.skus || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching locations' });
+  }
+};
+
+// Get Location by ID
+const getLocationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID' });
+    }
+
+    const location = await Location.findById(id).lean();
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    res.status(200).json({ success: true, data: location });
+  } catch (error) {
+    console.error('Error fetching location:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching location' });
+  }
+};
+
+// Stock held at a location (GET /locations/:id/stock?search=&page=&limit=)
+const getLocationStock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID' });
+    }
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
+    const search = (req.query.search || '').trim();
+
+    const pipeline = [
+      { $match: { location: new mongoose.Types.ObjectId(id), quantity: { $gt: 0 } } },
+      { $lookup: { from: 'variants', localField: 'variant', foreignField: '_id', as: 'variantDoc' } },
+      { $unwind: '$variantDoc' },
+      { $lookup: { from: 'products', localField: 'variantDoc.product', foreignField: '_id', as: 'product' } },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      ...(search ? [{
+        $match: {
+          $or: [
+            { 'variantDoc.sku': { $regex: search, $options: 'i' } },
+            { 'product.name': { $regex: search, $options: 'i' } }
+          ]
+        }
+      }] : []),
+      { $sort: { 'product.name': 1, 'variantDoc.sku': 1 } },
+      {
+        $facet: {
+          rows: [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ];
+
+    const [result] = await LocationStock.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      data: result.rows.map(row => ({
+        variantId: row.variantDoc._id,
+        sku: row.variantDoc.sku,
+        productName: row.product?.name || 'Unknown',
+        optionLabel: variantLabel(row.variantDoc),
+        quantity: row.quantity,
+        totalStock: row.variantDoc.stockQuantity,
+        purchasePrice: row.variantDoc.purchasePrice || 0
+      })),
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching location stock:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching location stock' });
+  }
+};
+
+// Update Location
+const updateLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID' });
+    }
+
+    const location = await Location.findById(id);
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const { code, isDefault, status } = req.body;
+    if (code && code.toString().trim().toUpperCase() !== location.code) {
+      const duplicate = await Location.findOne({ code: code.toString().trim().toUpperCase(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ success: false, message: 'Location with this code already exists' });
+      }
+    }
+
+    const makeDefault = isDefault === true || isDefault === 'true';
+    if (location.isDefault && (isDefault === false || isDefault === 'false')) {
+      return res.status(400).json({ success: false, message: 'Make another location the default instead' });
+    }
+    if ((location.isDefault || makeDefault) && status === 'inactive') {
+      return res.status(400).json({ success: false, message: 'The default location cannot be deactivated' });
+    }
+
+    for (const field of LOCATION_FIELDS) {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    }
+    if (makeDefault) location.isDefault = true;
+    await location.save();
+    if (makeDefault) await claimDefault(location._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: location
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(400).json({ success: false, message: error.message || 'Error updating location' });
+  }
+};
+
+// Delete Location (locations with sales / purchases are deactivated instead; stock must be moved out first)
+const deleteLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID' });
+    }
+
+    const location = await Location.findById(id);
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+    if (location.isDefault) {
+      return res.status(400).json({ success: false, message: 'The default location cannot be deleted' });
+    }
+
+    const inStock = await LocationStock.exists({ location: id, quantity: { $gt: 0 } });
+    if (inStock) {
+      return res.status(400).json({ success: false, message: 'Location still holds stock' });
+    }
+
+    const used = await Sale.exists({ location: id }) || await Purchase.exists({ location: id });
+    if (used) {
+      location.status = 'inactive';
+      await location.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Location has sales or purchases and was deactivated instead of deleted'
+      });
+    }
+
+    await LocationStock.deleteMany({ location: id });
+    await location.deleteOne();
+
+    res.status(200).json({ success: true, message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting location' });
+  }
+};
+
+module.exports = {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  getLocationStock,
+  updateLocation,
+  deleteLocation
+};
@@ -4,21 +4,10 @@ const { createNotification } = require('../utils/createNotification');
 const sendTemplatedEmail = require('../utils/sendTemplatedEmail');
 const User = require('../model/User');
 const AppConfiguration = require('../model/app_configuration');
+const { nextNumber } = require('../services/counterService');
 
-// Generate unique invoice number
-const generateInvoiceNo = async () => {
-  let isUnique = false;
-  let invoiceNo;
-  while (!isUnique) {
-    const randomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-    invoiceNo = `INV-${randomCode}`;
-    const existingPayment = await Payment.findOne({ invoiceNo });
-    if (!existingPayment) {
-      isUnique = true;
-    }
-  }
-  return invoiceNo;
-};
+// Invoice numbers come from the shared 'invoice' counter (supplier + customer payments)
+const generateInvoiceNo = () => nextNumber('invoice');
 
 const getCurrencySettings = async () => {
   try {
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Order = require('../model/Order');
+const {
+  createPaypalOrder,
+  capturePaypalOrder,
+  verifyWebhookSignature,
+  handleWebhookEvent
+} = require('../services/paypalService');
+
+// Helper: load an order the current user is allowed to pay for
+const loadPayableOrder = async (req, res, orderId) => {
+  if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+    res.status(400).json({ success: false, msg: 'Valid orderId is required' });
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404).json({ success: false, msg: 'Order not found' });
+    return null;
+  }
+
+  // Guests (X-Order-Token) may only pay the order their token was issued for
+  const denied = req.orderAccess
+    ? req.orderAccess.orderId !== order._id.toString()
+    : req.user.role === 'Customer' && order.user?.toString() !== req.user.id.toString();
+  if (denied) {
+    res.status(403).json({ success: false, msg: 'Access denied' });
+    return null;
+  }
+
+  return order;
+};
+
+const handlePaymentError = (res, err, fallback) => {
+  if (err.code === 'PAYMENT_ERROR' || err.code === 'INVALID_TRANSITION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// POST /api/v1/payments/paypal/orders
+exports.createOrder = async (req, res) => {
+  try {
+    const order = await loadPayableOrder(req, res, req.body.orderId);
+    if (!order) return;
+
+    const data = await createPaypalOrder(order);
+
+    res.status(201).json({
+      success: true,
+      msg: 'PayPal order created',
+      data: { orderId: order._id, orderNumber: order.orderNumber, ...data }
+    });
+  } catch (err) {
+    handlePaymentError(res, err, 'Error creating PayPal order');
+  }
+};
+
+// POST /api/v1/payments/paypal/orders/:orderId/capture
+exports.captureOrder = async (req, res) => {
+  try {
+    const order = await loadPayableOrder(req, res, req.params.orderId);
+    if (!order) return;
+
+    const { order: updated, alreadyPaid } = await capturePaypalOrder(order);
+
+    res.json({
+      success: true,
+      msg: alreadyPaid ? 'Payment was already verified' : 'Payment captured and verified',
+      data: {
+        orderId: updated._id,
+        orderNumber: updated.orderNumber,
+        status: updated.status,
+        paymentStatus: updated.paymentStatus,
+        isPaymentVerified: updated.isPaymentVerified,
+        captureId: updated.paymentCaptureId
+      }
+    });
+  } catch (err) {
+    handlePaymentError(res, err, 'Error capturing PayPal payment');
+  }
+};
+
+// POST /api/v1/payments/paypal/webhook (called by PayPal, no auth token)
+exports.webhook = async (req, res) => {
+  try {
+    const event = req.body;
+    if (!event || !event.event_type) {
+      return res.status(400).json({ success: false, msg: 'Invalid webhook payload' });
+    }
+
+    const verified = await verifyWebhookSignature(req.headers, event);
+    if (!verified) {
+      return res.status(400).json({ success: false, msg: 'Invalid webhook signature' });
+    }
+
+    const result = await handleWebhookEvent(event);
+
+    res.json({ success: true, msg: result });
+  } catch (err) {
+    // Amount mismatches etc. are recorded on the order; acknowledge so PayPal stops retrying
+    if (err.code === 'PAYMENT_ERROR' || err.code === 'INVALID_TRANSITION') {
+      return res.json({ success: true, msg: err.message });
+    }
+    console.error('PayPal webhook error:', err);
+    res.status(500).json({ success: false, msg: 'Error processing webhook' });
+  }
+};
@@ -10,50 +10,19 @@ const Brand = require('../model/Brand');
 const Unit = require('../model/Unit');
 const Configuration = require('../model/app_configuration');
 const mongoose = require('mongoose');
-
-const findCategoryByIdOrName = async (value) => {
-  if (!value) return null;
-  const trimmedValue = value.toString().trim();
-  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
-    return await Category.findById(trimmedValue);
-  }
-  return await Category.findOne({ name: trimmedValue, status: 'Active' });
-};
-
-const findSubcategoryByIdOrName = async (value) => {
-  if (!value) return null;
-  const trimmedValue = value.toString().trim();
-  let subDoc;
-  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
-    subDoc = await Subcategory.findById(trimmedValue);
-  } else {
-    subDoc = await Subcategory.findOne({ subcategoryName: trimmedValue, status: 'Active' });
-  }
-  if (subDoc) {
-    if (subDoc.status !== 'Active') {
-      return null;
-    }
-    return await subDoc.populate('parent_category_id', 'name');
-  }
-  return null;
-};
-
-const findBrandByIdOrName = async (value) => {
-  if (!value) return null;
-  const trimmedValue = value.toString().trim();
-  if (mongoose.Types.ObjectId.isValid(trimmedValue)) return await Brand.findById(trimmedValue);
-  return await Brand.findOne({ name: trimmedValue, status: 'Active' });
-};
-
-const findUnitByIdOrName = async (value) => {
-  if (!value) return null;
-  const trimmedValue = value.toString().trim();
-  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
-    return await Unit.findOne({ _id: trimmedValue, unit_status: 'enable' });
-  }
-  return await Unit.findOne({ unit_name: trimmedValue, unit_status: 'enable' });
-};
-
+const { withEffectivePrices } = require('../services/pricingService');
+const searchService = require('../services/searchService');
+const { normalizeOptions, resolveOptionValues, setProductOptions } = require('../services/variantOptionService');
+const { isBundle, applyBundleAvailability, describeBundle, refreshBundlePrices } = require('../services/bundleService');
+const { reconcileLots } = require('../services/stockLotService');
+const { reconcileLocationStock } = require('../services/locationService');
+const { lowStockProductIds } = require('../services/reorderService');
+const {
+  findCategoryByIdOrName,
+  findSubcategoryByIdOrName,
+  findBrandByIdOrName,
+  findUnitByIdOrName
+} = require('../utils/catalogLookups');
 
 exports.createProduct = async (req, res) => {
   const {
@@ -67,6 +36,7 @@ exports.createProduct = async (req, res) => {
     suitableFor,
     status = 'Active',
     variations,
+    options,
   } = req.body;
 
   const subcategoryValue = subcategoryValueFromCamel || subcategoryValueFromSnake;
@@ -138,6 +108,17 @@ exports.createProduct = async (req, res) => {
     return res.status(400).json({ success: false, msg: 'Status must be Active or Inactive' });
   }
 
+  // Product options (e.g. Size + Color); each variation then sends its optionValues
+  let productOptions = [];
+  if (options) {
+    try {
+      productOptions = normalizeOptions(options);
+    } catch (e) {
+      await cleanupAllFiles();
+      return res.status(400).json({ success: false, msg: e.message });
+    }
+  }
+
   // Generate product code prefix for SKUs
   const productCode = name
     .trim()
@@ -172,6 +153,15 @@ exports.createProduct = async (req, res) => {
       });
     }
 
+    if (productOptions.length || v.optionValues) {
+      try {
+        v.optionValues = resolveOptionValues({ options: productOptions }, v.optionValues);
+      } catch (e) {
+        await cleanupAllFiles();
+        return res.status(400).json({ success: false, msg: `Variation ${i + 1}: ${e.message}` });
+      }
+    }
+
     // Generate or validate SKU
     let sku = v.sku?.toString().trim();
     if (!sku) {
@@ -256,6 +246,7 @@ exports.createProduct = async (req, res) => {
       productData.ingredients = Array.isArray(ingredients) ? ingredients.join('\n') : ingredients;
     }
     if (suitableFor) productData.suitableFor = suitableFor;
+    if (productOptions.length) productData.options = productOptions;
     if (images.length > 0) productData.images = images;
     if (thumbnail) productData.thumbnail = thumbnail;
 
@@ -271,8 +262,9 @@ exports.createProduct = async (req, res) => {
 
       const variantData = {
         product: newProduct._id,
-        attribute: v.attribute?.trim() || 'Size',
-        value: v.value?.trim() || '',
+        ...(v.optionValues
+          ? { optionValues: v.optionValues }
+          : { attribute: v.attribute?.trim() || 'Size', value: v.value?.trim() || '' }),
         sku: v.sku,
         unit: unit._id,
         purchasePrice: parseFloat(v.purchasePrice || 0),
@@ -298,6 +290,8 @@ exports.createProduct = async (req, res) => {
 
       const newVariant = new Variant(variantData);
       const savedVariant = await newVariant.save();
+      await reconcileLots(savedVariant._id); // opening lot for the initial stock
+      await reconcileLocationStock(savedVariant._id); // …held at the default location
       variantIds.push(savedVariant._id);
     }
 
@@ -334,6 +328,8 @@ exports.createProduct = async (req, res) => {
         field = 'Product name already exists under this brand';
       } else if (err.message.includes('sku_1')) {
         field = 'SKU already exists';
+      } else if (err.message.includes('attribute_1_value_1')) {
+        field = 'Two variations have the same options';
       }
 
       return res.status(400).json({
@@ -361,7 +357,7 @@ exports.createProduct = async (req, res) => {
 
 
 exports.getAllProducts = async (req, res) => {
-  const { page = 1, limit, category, subcategory, brand, status, name, lowStock } = req.query;
+  const { page = 1, limit, category, subcategory, brand, status, name, lowStock, minRating, sort, type } = req.query;
   const filter = { isDeleted: false };
 
   try {
@@ -396,12 +392,25 @@ exports.getAllProducts = async (req, res) => {
       else return res.status(400).json({ success: false, msg: 'Invalid brand filter' });
     }
     if (status) filter.status = status;
+    if (type) filter.type = type === 'standard' ? { $ne: 'bundle' } : type;
     if (name) filter.name = { $regex: name, $options: 'i' };
+    if (minRating) {
+      const rating = Number(minRating);
+      if (isNaN(rating) || rating < 0 || rating > 5) {
+        return res.status(400).json({ success: false, msg: 'minRating must be between 0 and 5' });
+      }
+      filter.averageRating = { $gte: rating };
+    }
+
+    // ---------- SORTING ----------
+    const sortStage = sort === 'rating'
+      ? { averageRating: -1, reviewCount: -1, createdAt: -1 }
+      : sort === 'reviews'
+        ? { reviewCount: -1, averageRating: -1, createdAt: -1 }
+        : { createdAt: -1 };
 
     // ---------- REUSABLE PRODUCT POPULATION PIPELINE ----------
     const productPopulationPipeline = [
-      { $sort: { createdAt: -1 } },
-
       { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
       { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
 
@@ -432,9 +441,9 @@ exports.getAllProducts = async (req, res) => {
             },
             {
               $project: {
-                attribute: 1, value: 1, sku: 1, unit: 1, purchasePrice: 1,
+                attribute: 1, value: 1, optionValues: 1, optionLabel: 1, sku: 1, unit: 1, purchasePrice: 1,
                 price: 1, discountPrice: 1, stockQuantity: 1, weightQuantity: 1,
-                expiryDate: 1, image: 1, status: 1, _id: 1
+                expiryDate: 1, image: 1, status: 1, bundleItems: 1, bundlePricing: 1, _id: 1
               }
             }
           ],
@@ -468,55 +477,20 @@ exports.getAllProducts = async (req, res) => {
       },
       { $unwind: { path: '$activeOffer', preserveNullAndEmptyArrays: true } },
 
-      // effectivePrice on variations
-      {
-        $addFields: {
-          variations: {
-            $map: {
-              input: { $ifNull: ['$variations', []] },
-              as: 'var',
-              in: {
-                $mergeObjects: [
-                  '$$var',
-                  {
-                    effectivePrice: {
-                      $cond: {
-                        if: { $ne: ['$activeOffer', null] },
-                        then: {
-                          $cond: {
-                            if: { $eq: ['$activeOffer.discountType', 'Percentage'] },
-                            then: {
-                              $subtract: [
-                                { $ifNull: ['$$var.price', 0] },
-                                { $multiply: [{ $ifNull: ['$$var.price', 0] }, { $divide: ['$activeOffer.discountValue', 100] }] }
-                              ]
-                            },
-                            else: { $subtract: [{ $ifNull: ['$$var.price', 0] }, '$activeOffer.discountValue'] }
-                          }
-                        },
-                        else: { $ifNull: ['$$var.price', 0] }
-                      }
-                    }
-                  }
-                ]
-              }
-            }
-          }
-        }
-      },
-
       { $project: { __v: 0 } }
     ];
 
     // ---------- MAIN PRODUCTS LIST (with filters & pagination) ----------
     let mainPipeline = [
       { $match: filter },
+      { $sort: sortStage },
       ...productPopulationPipeline
     ];
 
     if (lowStock === 'true') {
-      mainPipeline.push({ $addFields: { totalStock: { $sum: '$variations.stockQuantity' } } });
-      mainPipeline.push({ $match: { totalStock: { $lt: 10 } } });
+      // products with a variant at or below its reorder point; bundles have no stock of
+      // their own, their components show up instead
+      mainPipeline.push({ $match: { _id: { $in: await lowStockProductIds() }, type: { $ne: 'bundle' } } });
     }
 
     // Count for pagination
@@ -574,10 +548,14 @@ exports.getAllProducts = async (req, res) => {
       }
     ]);
 
+    // bundle variants report how many kits their components can make up
+    await applyBundleAvailability([...products, ...bestSellers].flatMap(p => p.variations || []));
+
+    // effectivePrice comes from the same pricing rules used at checkout
     res.json({
       success: true,
-      products,
-      bestSellers, // ← New field: top 10 best-selling products
+      products: products.map(withEffectivePrices),
+      bestSellers: bestSellers.map(withEffectivePrices), // ← New field: top 10 best-selling products
       currency,
       total,
       pages: limitNum ? Math.ceil(total / limitNum) : 1,
@@ -594,6 +572,46 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+// GET /products/search?q=&category=&subcategory=&brand=&petType=&minPrice=&maxPrice=&inStock=&sort=&page=&limit=
+// category / subcategory / brand / petType accept comma-separated values
+// sort: relevance (default) | price_asc | price_desc | newest | rating
+exports.searchProducts = async (req, res) => {
+  try {
+    const config = await Configuration.findOne().lean();
+    const result = await searchService.searchProducts(req.query);
+
+    res.json({
+      success: true,
+      products: result.products,
+      facets: result.facets,
+      didYouMean: result.didYouMean,
+      searchMode: result.mode,
+      currency: {
+        currencyName: config?.currencyName || 'US Dollar',
+        currencyCode: config?.currencyCode || 'USD',
+        currencySign: config?.currencySign || '$',
+      },
+      total: result.total,
+      pages: result.pages,
+      currentPage: result.page,
+    });
+  } catch (err) {
+    console.error('searchProducts error:', err);
+    res.status(500).json({ success: false, msg: 'Server error searching products' });
+  }
+};
+
+// GET /products/search/suggest?q= - autocomplete (products, brands, categories + "did you mean")
+exports.getSearchSuggestions = async (req, res) => {
+  try {
+    const data = await searchService.getSearchSuggestions(req.query.q);
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error('getSearchSuggestions error:', err);
+    res.status(500).json({ success: false, msg: 'Server error fetching suggestions' });
+  }
+};
+
 exports.getProductById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -681,6 +699,8 @@ exports.getProductById = async (req, res) => {
               $project: {
                 attribute: 1,
                 value: 1,
+                optionValues: 1,
+                optionLabel: 1,
                 sku: 1,
                 purchasePrice: 1,
                 price: 1,
@@ -690,6 +710,8 @@ exports.getProductById = async (req, res) => {
                 expiryDate: 1,
                 image: 1,
                 status: 1,
+                bundleItems: 1,
+                bundlePricing: 1,
                 createdAt: 1,
                 updatedAt: 1,
                 unit: 1, // Full unit object
@@ -726,48 +748,6 @@ exports.getProductById = async (req, res) => {
       },
       { $unwind: { path: '$activeOffer', preserveNullAndEmptyArrays: true } },
 
-      // Apply effectivePrice
-      {
-        $addFields: {
-          variations: {
-            $map: {
-              input: '$variations',
-              as: 'var',
-              in: {
-                $mergeObjects: [
-                  '$$var',
-                  {
-                    effectivePrice: {
-                      $cond: [
-                        { $ne: ['$activeOffer', null] },
-                        {
-                          $cond: [
-                            { $eq: ['$activeOffer.discountType', 'Percentage'] },
-                            {
-                              $round: [
-                                {
-                                  $subtract: [
-                                    '$$var.price',
-                                    { $multiply: ['$$var.price', { $divide: ['$activeOffer.discountValue', 100] }] },
-                                  ],
-                                },
-                                2,
-                              ],
-                            },
-                            { $round: [{ $subtract: ['$$var.price', '$activeOffer.discountValue'] }, 2] },
-                          ],
-                        },
-                        '$$var.price',
-                      ],
-                    },
-                  },
-                ],
-              },
-            },
-          },
-        },
-      },
-
       // Final projection — keep everything you already have
       {
         $project: {
@@ -778,6 +758,7 @@ exports.getProductById = async (req, res) => {
           images: 1,
           thumbnail: 1,
           status: 1,
+          type: 1,
           isDeleted: 1,
           deletedAt: 1,
           createdAt: 1,
@@ -785,8 +766,11 @@ exports.getProductById = async (req, res) => {
           category: 1,
           subcategory: 1,
           brand: 1,
+          options: 1,
           variations: 1,
           activeOffer: 1,
+          averageRating: 1,
+          reviewCount: 1,
         },
       },
     ];
@@ -826,11 +810,18 @@ exports.getProductById = async (req, res) => {
       ...buildProductPipeline(id),
     ]);
 
+    // Kits list what's inside; their stock is what the components can make up
+    for (const variant of product.variations.filter(isBundle)) {
+      variant.bundle = await describeBundle(variant);
+      variant.stockQuantity = variant.bundle.availableQuantity;
+    }
+    await applyBundleAvailability(relatedProducts.flatMap(p => p.variations || []));
+
     res.json({
       success: true,
       message: 'Product fetched successfully',
-      product,
-      relatedProducts, // 100% same structure as main product
+      product: withEffectivePrices(product),
+      relatedProducts: relatedProducts.map(withEffectivePrices), // 100% same structure as main product
       currency,
     });
 
@@ -883,6 +874,7 @@ exports.updateProduct = async (req, res) => {
       description,
       status,
       variations,
+      options,
     } = req.body;
 
     // File uploads
@@ -922,6 +914,18 @@ exports.updateProduct = async (req, res) => {
       return res.status(400).json({ success: false, msg: 'Invalid status' });
     }
 
+    // New option definition: existing variants are re-mapped first
+    if (options) {
+      try {
+        const { product: withOptions } = await setProductOptions(productId, options);
+        existingProduct.options = withOptions.options;
+      } catch (e) {
+        await cleanupAllFiles([...newImagesFiles, newThumbnailFile], variationImages);
+        if (e.code !== 'VARIANT_VALIDATION') throw e;
+        return res.status(e.status || 400).json({ success: false, msg: e.message });
+      }
+    }
+
     // Resolve references
     if (categoryValue) {
       const cat = await findCategoryByIdOrName(categoryValue);
@@ -1018,10 +1022,24 @@ exports.updateProduct = async (req, res) => {
           existingVariant = await Variant.findOne({ sku: v.sku.trim() });
         }
 
+        // Products with options: new variations need optionValues, existing ones keep theirs if omitted
+        let optionValues = null;
+        if (existingProduct.options?.length || v.optionValues) {
+          try {
+            if (v.optionValues || !existingVariant) optionValues = resolveOptionValues(existingProduct, v.optionValues);
+          } catch (e) {
+            await cleanupAllFiles([...newImagesFiles, newThumbnailFile], variationImages);
+            return res.status(400).json({ success: false, msg: `Variation ${i + 1}: ${e.message}` });
+          }
+        }
+
         const variantUpdate = {
           product: productId,
-          attribute: v.attribute?.trim() || 'Size',
-          value: v.value?.trim() || '',
+          ...(optionValues
+            ? { optionValues }
+            : existingProduct.options?.length
+              ? {}
+              : { attribute: v.attribute?.trim() || 'Size', value: v.value?.trim() || '' }),
           sku,
           unit: unit._id,
           purchasePrice: parseFloat(v.purchasePrice || 0),
@@ -1065,6 +1083,16 @@ exports.updateProduct = async (req, res) => {
           const variantDoc = await Variant.findById(existingVariant._id);
           const oldImage = variantDoc.image;
 
+          // Bundles keep the stock / cost derived from their components (services/bundleService.js)
+          if (isBundle(variantDoc)) {
+            delete variantUpdate.stockQuantity;
+            delete variantUpdate.purchasePrice;
+            if (variantDoc.bundlePricing?.mode === 'sum_minus_discount') {
+              delete variantUpdate.price;
+              delete variantUpdate.discountPrice;
+            }
+          }
+
           Object.assign(variantDoc, variantUpdate);
           await variantDoc.validate();
           savedVariant = await variantDoc.save();
@@ -1100,6 +1128,11 @@ exports.updateProduct = async (req, res) => {
       }
 
       existingProduct.variations = variantIds;
+      await refreshBundlePrices(variantIds);
+      for (const variantId of variantIds) {
+        await reconcileLots(variantId);
+        await reconcileLocationStock(variantId);
+      }
     }
 
     // Update total stock
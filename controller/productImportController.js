@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const ProductImport = require('../model/ProductImport');
+const { createImport, queueImport, buildExportWorkbook } = require('../services/productImportService');
+const { findCategoryByIdOrName, findBrandByIdOrName } = require('../utils/catalogLookups');
+
+const handleImportError = (res, err, fallback) => {
+  if (err.code === 'IMPORT_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+const formatImport = (job, { withRows = false } = {}) => ({
+  _id: job._id,
+  fileName: job.fileName,
+  format: job.format,
+  status: job.status,
+  totalRows: job.totalRows,
+  validRows: job.validation?.validRows,
+  invalidRows: job.validation?.invalidRows,
+  processedRows: job.results?.length || 0,
+  summary: job.summary,
+  error: job.error,
+  createdBy: job.createdBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  ...(withRows && {
+    report: job.validation?.report || [],
+    results: job.results || []
+  })
+});
+
+// POST /api/v1/products/import  (multipart field "file": .csv or .xlsx)
+// Dry run: validates every row and returns the report; nothing is written until /:importId/run
+const uploadImport = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ success: false, msg: 'A .csv or .xlsx file is required' });
+
+    const job = await createImport({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      msg: job.validation.invalidRows
+        ? `${job.validation.invalidRows} of ${job.totalRows} rows have errors and will be skipped`
+        : `All ${job.totalRows} rows are valid`,
+      data: formatImport(job, { withRows: true })
+    });
+  } catch (err) {
+    handleImportError(res, err, 'Failed to read import file');
+  }
+};
+
+// POST /api/v1/products/import/:importId/run - start the background import
+const runImport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.importId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid import ID' });
+    }
+    const job = await queueImport(req.params.importId);
+    res.status(202).json({ success: true, msg: 'Import started', data: formatImport(job) });
+  } catch (err) {
+    handleImportError(res, err, 'Failed to start import');
+  }
+};
+
+// GET /api/v1/products/import
+const getImports = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = status ? { status } : {};
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [imports, total] = await Promise.all([
+      ProductImport.find(query)
+        .select('-rows -validation.report -results')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ProductImport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: imports.map(job => formatImport(job)),
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleImportError(res, err, 'Failed to fetch imports');
+  }
+};
+
+// GET /api/v1/products/import/:importId - progress, dry-run report and per-row results
+const getImportById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.importId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid import ID' });
+    }
+    const job = await ProductImport.findById(req.params.importId)
+      .select('-rows')
+      .populate('createdBy', 'name email')
+      .lean();
+    if (!job) return res.status(404).json({ success: false, msg: 'Import not found' });
+
+    res.json({ success: true, data: formatImport(job, { withRows: true }) });
+  } catch (err) {
+    handleImportError(res, err, 'Failed to fetch import');
+  }
+};
+
+// GET /api/v1/products/export?format=csv|xlsx&status=&category=&brand=
+const exportProducts = async (req, res) => {
+  try {
+    const { format = 'xlsx', status, category, brand } = req.query;
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, msg: 'Format must be csv or xlsx' });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) {
+      const cat = await findCategoryByIdOrName(category);
+      if (!cat) return res.status(400).json({ success: false, msg: 'Category not found' });
+      filter.category = cat._id;
+    }
+    if (brand) {
+      const br = await findBrandByIdOrName(brand);
+      if (!br) return res.status(400).json({ success: false, msg: 'Brand not found' });
+      filter.brand = br._id;
+    }
+
+    const workbook = await buildExportWorkbook(filter);
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'csv'
+        ? 'text/csv; charset=utf-8'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+    if (format === 'csv') await workbook.csv.write(res);
+    else await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Product export failed:', err);
+      return res.end();
+    }
+    handleImportError(res, err, 'Failed to export products');
+  }
+};
+
+module.exports = {
+  uploadImport,
+  runImport,
+  getImports,
+  getImportById,
+  exportProducts
+};
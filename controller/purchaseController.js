@@ -7,6 +7,11 @@ const notificationUtil = require('../utils/createNotification');
 const createNotification = notificationUtil.createNotification;
 const sendEmail = require('../utils/sendEmail');
 const AppConfiguration = require('../model/app_configuration');
+const { nextNumber } = require('../services/counterService');
+const { notifyBackInStock } = require('../services/stockAlertService');
+const { isBundle } = require('../services/bundleService');
+const { receiveLot, allocateLots } = require('../services/stockLotService');
+const { resolveLocation, addLocationStock, takeLocationStock } = require('../services/locationService');
 
 
 const buildPurchaseProductRows = (purchase) => {
@@ -21,6 +26,39 @@ const buildPurchaseProductRows = (purchase) => {
 
 
 
+// Purchase line expiry date: empty → null, anything else must parse
+const parseExpiryDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Keep stock lots and location stock in step with a purchase line's stock change: received
+// units become a lot tied to the purchase at its receiving location, reduced units come out
+// of that purchase's lots (and that location) first.
+const movePurchaseStock = async (purchase, item, change, stockBefore, { createdBy, session } = {}) => {
+  const placement = { location: purchase.location, stockBefore, session };
+  if (change > 0) {
+    await addLocationStock(item.variantId, change, placement);
+    return receiveLot({
+      variantId: item.variantId,
+      quantity: change,
+      stockBefore,
+      expiryDate: item.expiryDate,
+      batchNumber: item.batchNumber,
+      unitCost: item.unitPrice,
+      source: 'purchase',
+      purchase: purchase._id,
+      referenceId: purchase.purchaseCode,
+      createdBy
+    }, { session });
+  }
+  if (change < 0) {
+    await takeLocationStock(item.variantId, -change, placement);
+    return allocateLots(item.variantId, -change, { stockBefore, preferPurchase: purchase._id, session });
+  }
+};
+
 const getCurrencySettings = async () => {
   try {
     const config = await AppConfiguration.findOne()
@@ -49,7 +87,7 @@ exports.createPurchase = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { supplierId, products, summary, payment, notes, status } = req.body;
+    const { supplierId, products, summary, payment, notes, status, location } = req.body;
 
     if (!supplierId || !products || !Array.isArray(products) || products.length === 0) {
       return res.status(400).json({ success: false, message: 'Supplier and products are required' });
@@ -60,20 +98,31 @@ exports.createPurchase = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid supplier' });
     }
 
+    // Receiving location (the default location when omitted)
+    const receivingLocation = await resolveLocation(location, { session });
+
     let subtotal = 0;
     const validatedProducts = [];
 
     for (const item of products) {
-      const { variantId, quantity, unitPrice, taxPercent = 0 } = item;
+      const { variantId, quantity, unitPrice, taxPercent = 0, batchNumber } = item;
 
       if (!variantId || !quantity || unitPrice === undefined) {
         return res.status(400).json({ success: false, message: 'variantId, quantity, and unitPrice are required' });
       }
 
+      const expiryDate = parseExpiryDate(item.expiryDate);
+      if (expiryDate === undefined) {
+        return res.status(400).json({ success: false, message: `Invalid expiry date for variant ${variantId}` });
+      }
+
       const variant = await Variant.findById(variantId).session(session);
       if (!variant || variant.status === 'Inactive') {
         return res.status(400).json({ success: false, message: `Variant not found: ${variantId}` });
       }
+      if (isBundle(variant)) {
+        return res.status(400).json({ success: false, message: `${variant.sku || variantId} is a bundle; purchase its components instead` });
+      }
 
       const taxAmount = (unitPrice * quantity * taxPercent) / 100;
       const lineTotal = unitPrice * quantity + taxAmount;
@@ -85,7 +134,9 @@ exports.createPurchase = async (req, res) => {
         unitPrice,
         taxPercent,
         taxAmount,
-        lineTotal
+        lineTotal,
+        expiryDate,
+        batchNumber: batchNumber || null
       });
     }
 
@@ -102,14 +153,12 @@ exports.createPurchase = async (req, res) => {
       else finalStatus = 'Pending';
     }
 
-    let purchaseCode = `PUR-${Date.now().toString(36).toUpperCase()}`;
-    while (await Purchase.findOne({ purchaseCode })) {
-      purchaseCode = `PUR-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
-    }
+    const purchaseCode = await nextNumber('purchase');
 
     const purchase = new Purchase({
       purchaseCode,
       supplierId,
+      location: receivingLocation._id,
       products: validatedProducts,
       summary: {
         subtotal,
@@ -128,8 +177,8 @@ exports.createPurchase = async (req, res) => {
 
     await purchase.save({ session });
 
-    // Update stock
-    for (const item of validatedProducts) {
+    // Update stock (drafts are not received yet)
+    for (const item of finalStatus === 'Draft' ? [] : validatedProducts) {
       const updateFields = { $inc: { stockQuantity: item.quantity } };
 
       const variant = await Variant.findById(item.variantId);
@@ -137,15 +186,19 @@ exports.createPurchase = async (req, res) => {
         updateFields.$set = { purchasePrice: item.unitPrice };
       }
 
-      await Variant.findByIdAndUpdate(item.variantId, updateFields, { session });
+      const before = await Variant.findByIdAndUpdate(item.variantId, updateFields, { session });
+      await movePurchaseStock(purchase, item, item.quantity, before.stockQuantity, { createdBy: req.user?.id, session });
     }
 
 
 
     await session.commitTransaction();
 
+    if (finalStatus !== 'Draft') await notifyBackInStock(validatedProducts.map(item => item.variantId));
+
     const populatedPurchase = await Purchase.findById(purchase._id)
       .populate('supplierId', 'supplierName')
+      .populate('location', 'name code')
       .populate({
         path: 'products.variantId',
         populate: [
@@ -223,6 +276,9 @@ exports.createPurchase = async (req, res) => {
 
   } catch (error) {
     await session.abortTransaction();
+    if (error.code === 'LOCATION_VALIDATION') {
+      return res.status(error.status || 400).json({ success: false, message: error.message });
+    }
     console.error('Create Purchase Error:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   } finally {
@@ -234,17 +290,22 @@ exports.createPurchase = async (req, res) => {
 
 exports.getAllPurchases = async (req, res) => {
   try {
-    const { page = 1, limit } = req.query;
+    const { page = 1, limit, location, status } = req.query;
     const skip = (page - 1) * limit;
 
-    const purchases = await Purchase.find()
+    const query = {};
+    if (location && mongoose.Types.ObjectId.isValid(location)) query.location = location;
+    if (status) query.status = status;
+
+    const purchases = await Purchase.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .populate('supplierId', 'supplierName')
+      .populate('location', 'name code')
       .populate({
         path: 'products.variantId',
-        select: 'sku attribute value unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
+        select: 'sku attribute value optionValues optionLabel unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
         populate: [
           {
             path: 'product',
@@ -257,7 +318,7 @@ exports.getAllPurchases = async (req, res) => {
         ],
       });
 
-    const total = await Purchase.countDocuments();
+    const total = await Purchase.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -285,9 +346,10 @@ exports.getPurchaseById = async (req, res) => {
     const { id } = req.params;
     const purchase = await Purchase.findById(id)
       .populate('supplierId', 'supplierName')
+      .populate('location', 'name code')
       .populate({
         path: 'products.variantId',
-        select: 'sku attribute value unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
+        select: 'sku attribute value optionValues optionLabel unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
         populate: [
           {
             path: 'product',
@@ -350,17 +412,25 @@ exports.updatePurchase = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot modify a Cancelled purchase' });
     }
 
+    // A draft has received nothing yet; it is confirmed (and received) by sending any other status
+    const wasDraft = purchase.status === 'Draft';
+    if (status === 'Draft' && !wasDraft) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: 'Only new purchases can be saved as drafts' });
+    }
+
     // ==================================================================
     // 1. HANDLE CANCELLATION — KEEP ALL DATA, JUST MARK + RESTORE STOCK
     // ==================================================================
     if (status === 'Cancelled' && purchase.status !== 'Cancelled') {
       // Restore stock for all purchased items
-      for (const item of purchase.products) {
-        await Variant.findByIdAndUpdate(
+      for (const item of wasDraft ? [] : purchase.products) {
+        const before = await Variant.findByIdAndUpdate(
           item.variantId,
           { $inc: { stockQuantity: -item.quantity } }, // return stock
           { session }
         );
+        if (before) await movePurchaseStock(purchase, item, -item.quantity, before.stockQuantity, { session });
       }
 
       // Keep everything: products, prices, summary — only update status & payment
@@ -404,13 +474,19 @@ exports.updatePurchase = async (req, res) => {
     // 3. PROCESS PRODUCTS + VALIDATE STOCK
     // ==================================================================
     for (const item of products) {
-      const { variantId, quantity, unitPrice, taxPercent = 0 } = item;
+      const { variantId, quantity, unitPrice, taxPercent = 0, batchNumber } = item;
 
       if (!variantId || !quantity || unitPrice === undefined) {
         await session.abortTransaction();
         return res.status(400).json({ success: false, message: 'variantId, quantity, and unitPrice required' });
       }
 
+      const expiryDate = parseExpiryDate(item.expiryDate);
+      if (expiryDate === undefined) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: `Invalid expiry date for variant ${variantId}` });
+      }
+
       if (quantity <= 0 || unitPrice < 0) {
         await session.abortTransaction();
         return res.status(400).json({ success: false, message: 'Invalid quantity or price' });
@@ -421,9 +497,13 @@ exports.updatePurchase = async (req, res) => {
         await session.abortTransaction();
         return res.status(400).json({ success: false, message: `Invalid or inactive variant: ${variantId}` });
       }
+      if (isBundle(variant)) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: `${variant.sku || variantId} is a bundle; purchase its components instead` });
+      }
 
       const oldItem = purchase.products.find(p => p.variantId.toString() === variantId.toString());
-      const oldQty = oldItem ? oldItem.quantity : 0;
+      const oldQty = oldItem && !wasDraft ? oldItem.quantity : 0;
       const qtyDiff = quantity - oldQty;
 
       // If reducing quantity → check stock availability
@@ -446,6 +526,8 @@ exports.updatePurchase = async (req, res) => {
         taxPercent,
         taxAmount,
         lineTotal,
+        expiryDate: item.expiryDate === undefined ? oldItem?.expiryDate || null : expiryDate,
+        batchNumber: batchNumber === undefined ? oldItem?.batchNumber || null : batchNumber || null,
       });
     }
 
@@ -471,7 +553,10 @@ exports.updatePurchase = async (req, res) => {
     // ==================================================================
     let finalStatus;
 
-    if (status === 'Completed') {
+    if (wasDraft && (status === undefined || status === 'Draft')) {
+      finalStatus = 'Draft';
+    }
+    else if (status === 'Completed') {
       if (amountDue > 0) {
         await session.abortTransaction();
         return res.status(400).json({ success: false, message: 'Full payment required to mark as Completed' });
@@ -505,21 +590,22 @@ exports.updatePurchase = async (req, res) => {
     // ==================================================================
     // 6. RESTORE OLD STOCK FIRST
     // ==================================================================
-    for (const old of purchase.products) {
+    for (const old of wasDraft ? [] : purchase.products) {
       const stillExists = newProductItems.some(p => p.variantId.toString() === old.variantId.toString());
       const oldQty = old.quantity;
 
       if (!stillExists) {
         // Fully removed → return stock
-        await Variant.findByIdAndUpdate(old.variantId, { $inc: { stockQuantity: -oldQty } }, { session });
+        const before = await Variant.findByIdAndUpdate(old.variantId, { $inc: { stockQuantity: -oldQty } }, { session });
+        if (before) await movePurchaseStock(purchase, old, -oldQty, before.stockQuantity, { session });
       }
     }
 
     // ==================================================================
     // 7. APPLY NEW STOCK CHANGES
     // ==================================================================
-    for (const item of newProductItems) {
-      const oldItem = purchase.products.find(p => p.variantId.toString() === item.variantId.toString());
+    for (const item of finalStatus === 'Draft' ? [] : newProductItems) {
+      const oldItem = wasDraft ? null : purchase.products.find(p => p.variantId.toString() === item.variantId.toString());
       const qtyDiff = oldItem ? item.quantity - oldItem.quantity : item.quantity;
 
       const stockUpdate = { $inc: { stockQuantity: qtyDiff } };
@@ -527,7 +613,8 @@ exports.updatePurchase = async (req, res) => {
         stockUpdate.$set = { purchasePrice: item.unitPrice };
       }
 
-      await Variant.findByIdAndUpdate(item.variantId, stockUpdate, { session });
+      const before = await Variant.findByIdAndUpdate(item.variantId, stockUpdate, { session });
+      await movePurchaseStock(purchase, item, qtyDiff, before.stockQuantity, { createdBy: req.user?.id, session });
     }
 
     // ==================================================================
@@ -542,6 +629,8 @@ exports.updatePurchase = async (req, res) => {
         taxPercent: p.taxPercent,
         taxAmount: p.taxAmount,
         lineTotal: p.lineTotal,
+        expiryDate: p.expiryDate,
+        batchNumber: p.batchNumber,
       })),
       summary: {
         subtotal,
@@ -562,11 +651,14 @@ exports.updatePurchase = async (req, res) => {
     await purchase.save({ session });
     await session.commitTransaction();
 
+    if (finalStatus !== 'Draft') await notifyBackInStock(newProductItems.map(item => item.variantId));
+
     // ==================================================================
     // 9. RETURN POPULATED RESPONSE
     // ==================================================================
     const updatedPurchase = await Purchase.findById(id)
       .populate('supplierId', 'supplierName contact phone')
+      .populate('location', 'name code')
       .populate({
         path: 'products.variantId',
         populate: [
@@ -603,9 +695,10 @@ exports.deletePurchase = async (req, res) => {
     const purchase = await Purchase.findByIdAndDelete(id);
     if (!purchase) return res.status(404).json({ success: softDeletedSale, message: 'Purchase not found' });
 
-    // Decrease stock levels
-    for (let prod of purchase.products) {
-      await Variant.findByIdAndUpdate(prod.variantId, { $inc: { stockQuantity: -prod.quantity } });
+    // Decrease stock levels (drafts never added any)
+    for (let prod of purchase.status === 'Draft' ? [] : purchase.products) {
+      const before = await Variant.findByIdAndUpdate(prod.variantId, { $inc: { stockQuantity: -prod.quantity } });
+      if (before) await movePurchaseStock(purchase, prod, -prod.quantity, before.stockQuantity);
     }
 
     res.status(200).json({ success: true, message: 'Purchase deleted' });
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const ReorderSuggestion = require('../model/ReorderSuggestion');
+const {
+  getReorderSettings,
+  generateSuggestions,
+  createDraftPurchases,
+  dismissSuggestion
+} = require('../services/reorderService');
+
+const handleReorderError = (res, err, fallback) => {
+  if (err.code === 'REORDER_VALIDATION' || err.code === 'LOCATION_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// Helper: arrays may arrive as JSON strings
+const parseItems = (items) => {
+  if (items === undefined || items === null || items === '') return [];
+  if (typeof items === 'string') {
+    try {
+      return JSON.parse(items);
+    } catch {
+      return null;
+    }
+  }
+  return Array.isArray(items) ? items : null;
+};
+
+// GET /api/v1/reorder/suggestions?status=open&supplier=&search=
+// Suggestions grouped by supplier (the draft purchases they would become)
+const getSuggestions = async (req, res) => {
+  try {
+    const { status = 'open', supplier, search } = req.query;
+    const query = { status };
+    if (supplier === 'none') query.supplier = null;
+    else if (supplier && mongoose.Types.ObjectId.isValid(supplier)) query.supplier = supplier;
+    if (search) query.sku = { $regex: search, $options: 'i' };
+
+    const suggestions = await ReorderSuggestion.find(query)
+      .populate('supplier', 'supplierName')
+      .populate('product', 'name thumbnail')
+      .populate('variant', 'sku attribute value optionLabel image')
+      .sort({ supplier: 1, sku: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const suggestion of suggestions) {
+      const key = suggestion.supplier?._id?.toString() || 'none';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplier: suggestion.supplier || null,
+          lines: 0,
+          units: 0,
+          estimatedCost: 0
+        });
+      }
+      const group = groups.get(key);
+      group.lines += 1;
+      group.units += suggestion.suggestedQuantity;
+      group.estimatedCost = Number((group.estimatedCost + suggestion.suggestedQuantity * suggestion.unitCost).toFixed(2));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        settings: await getReorderSettings(),
+        computedAt: suggestions[0]?.computedAt || null,
+        suppliers: [...groups.values()],
+        suggestions
+      }
+    });
+  } catch (err) {
+    handleReorderError(res, err, 'Failed to fetch reorder suggestions');
+  }
+};
+
+// POST /api/v1/reorder/suggestions/refresh  (what the nightly job does, on demand)
+const refreshSuggestions = async (req, res) => {
+  try {
+    const count = await generateSuggestions();
+    res.json({ success: true, msg: `${count} reorder suggestion(s) generated`, data: { count } });
+  } catch (err) {
+    handleReorderError(res, err, 'Failed to generate reorder suggestions');
+  }
+};
+
+// POST /api/v1/reorder/purchases  body: { items?: [{ suggestion, quantity?, supplier? }], location?, notes? }
+const createPurchases = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const items = parseItems(req.body.items);
+    if (items === null) {
+      return res.status(400).json({ success: false, msg: 'items must be an array of { suggestion, quantity, supplier }' });
+    }
+
+    session.startTransaction();
+    const { purchases, skipped } = await createDraftPurchases(
+      { items, location: req.body.location, notes: req.body.notes },
+      { session }
+    );
+    await session.commitTransaction();
+
+    res.status(purchases.length > 0 ? 201 : 200).json({
+      success: true,
+      msg: `${purchases.length} draft purchase(s) created`,
+      data: { purchases, skipped }
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleReorderError(res, err, 'Failed to create draft purchases');
+  } finally {
+    session.endSession();
+  }
+};
+
+// PUT /api/v1/reorder/suggestions/:id/dismiss
+const dismiss = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid suggestion ID' });
+    }
+    const suggestion = await ReorderSuggestion.findById(req.params.id);
+    if (!suggestion) return res.status(404).json({ success: false, msg: 'Suggestion not found' });
+
+    await dismissSuggestion(suggestion);
+
+    res.json({ success: true, msg: 'Suggestion dismissed', data: suggestion });
+  } catch (err) {
+    handleReorderError(res, err, 'Failed to dismiss suggestion');
+  }
+};
+
+module.exports = {
+  getSuggestions,
+  refreshSuggestions,
+  createPurchases,
+  dismiss
+};
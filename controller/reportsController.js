@@ -2,10 +2,26 @@ const moment = require('moment-timezone');
 const Order = require('../model/Order');
 const Product = require('../model/Product');
 const Variant = require('../model/variantProduct');
+const StockLot = require('../model/StockLot');
+const Sale = require('../model/Sales');
+const Location = require('../model/Location');
+const LocationStock = require('../model/LocationStock');
+const { getDefaultLocation } = require('../services/locationService');
+const { lowStockFilter } = require('../services/reorderService');
 const Expense = require('../model/Expense')
 const Category = require('../model/Category');
 const mongoose = require('mongoose');
 
+// Money returned to the customer (RMA refunds); older orders only have paymentStatus 'refunded'
+const REFUNDED_AMOUNT = {
+  $cond: [
+    { $gt: [{ $ifNull: ['$refundedAmount', 0] }, 0] },
+    '$refundedAmount',
+    { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, '$total', 0] }
+  ]
+};
+const NET_ORDER_TOTAL = { $subtract: ['$total', REFUNDED_AMOUNT] };
+
 class ReportController {
   static getDateRange(period, now) {
     let start, end, prevStart, prevEnd;
@@ -58,11 +74,11 @@ const [start, end, prevStart, prevEnd] = ReportController.getDateRange(period, n
     const [currentRevenue, prevRevenue, totalOrders] = await Promise.all([
       Order.aggregate([
         { $match: { createdAt: { $gte: start, $lte: end }, status: 'delivered' } },
-        { $group: { _id: null, total: { $sum: '$total' } } }
+        { $group: { _id: null, total: { $sum: NET_ORDER_TOTAL } } }
       ]).then(r => r[0]?.total || 0),
       Order.aggregate([
         { $match: { createdAt: { $gte: prevStart, $lte: prevEnd }, status: 'delivered' } },
-        { $group: { _id: null, total: { $sum: '$total' } } }
+        { $group: { _id: null, total: { $sum: NET_ORDER_TOTAL } } }
       ]).then(r => r[0]?.total || 0),
       Order.countDocuments({ createdAt: { $gte: start, $lte: end } })
     ]);
@@ -206,9 +222,9 @@ static async calculateMostSoldPeriod(period, now) {
 
   static async getLowStockProducts(req, res) {
     try {
-      const lowStock = await Variant.find({ stockQuantity: { $lt: 10, $gt: -1 } })
+      const lowStock = await Variant.find(await lowStockFilter())
         .populate('product', 'name thumbnail')
-        .select('sku stockQuantity image product')
+        .select('sku stockQuantity reorderPoint image product')
         .sort({ stockQuantity: 1 })
         .limit(4);
 
@@ -216,6 +232,7 @@ static async calculateMostSoldPeriod(period, now) {
         name: `${v.product?.name || 'N/A'}`,
         sku: v.sku || `SKU-${String(v._id).slice(-4)}`,
         unitsLeft: v.stockQuantity,
+        reorderPoint: v.reorderPoint,
         image: v.product?.thumbnail || null,
       }));
 
@@ -229,29 +246,33 @@ static async getExpiredProducts(req, res) {
     const now = moment.tz('Asia/Karachi');
     const today = now.clone().startOf('day');
 
-    const variants = await Variant.find({
-      expiryDate: { $exists: true, $ne: null },
+    // Per stock lot: lots with units left expiring within 30 days (or past due),
+    // plus lots written off as expired in the last 30 days
+    const lots = await StockLot.find({
       $or: [
-        { expiryDate: { $lt: today.toDate() } },
-        { expiryDate: { $gte: today.toDate(), $lte: moment(today).add(30, 'days').toDate() } }
+        { status: 'active', remaining: { $gt: 0 }, expiryDate: { $ne: null, $lte: moment(today).add(30, 'days').toDate() } },
+        { status: 'expired', expiryDate: { $gte: moment(today).subtract(30, 'days').toDate(), $lte: now.toDate() } }
       ]
     })
       .populate({
-        path: 'product',
-        select: 'name thumbnail',   
-        match: { $expr: { $ne: ["$product", null] } },         
+        path: 'variant',
+        select: 'sku product',
         populate: {
-          path: 'category',
-          select: 'name image'
+          path: 'product',
+          select: 'name thumbnail category',
+          populate: {
+            path: 'category',
+            select: 'name image'
+          }
         }
       })
-      .where('product').ne(null) 
-      .select('sku expiryDate product stockQuantity')
+      .select('lotNumber batchNumber sku variant expiryDate remaining expiredQuantity status')
       .sort({ expiryDate: 1 })
       .limit(20);
 
-    const data = variants.map(v => {
-      const expiry = moment.tz(v.expiryDate, 'Asia/Karachi').startOf('day');
+    const data = lots.map(lot => {
+      const v = lot.variant || {};
+      const expiry = moment.tz(lot.expiryDate, 'Asia/Karachi').startOf('day');
       const diffDays = expiry.diff(today, 'days');
 
       let status, statusType;
@@ -270,6 +291,11 @@ static async getExpiredProducts(req, res) {
         productName: v.product?.name || 'Unknown Product',
         category: v.product?.category?.name || 'Uncategorized',
         image: v.product?.thumbnail || null,   
+        sku: v.sku || lot.sku,
+        lotNumber: lot.lotNumber,
+        batchNumber: lot.batchNumber,
+        quantity: lot.status === 'expired' ? lot.expiredQuantity : lot.remaining,
+        writtenOff: lot.status === 'expired',
         expiryDate: expiry.format('YYYY-MM-DD'),
         status,
         statusType,
@@ -393,7 +419,7 @@ static async getTopCustomersPnL(req, res) {
         $match: {
           createdAt: { $gte: start },
           status: 'delivered',
-          paymentStatus: 'paid'
+          paymentStatus: { $in: ['paid', 'partially_refunded'] }
         }
       },
       { $unwind: '$items' },
@@ -506,7 +532,7 @@ static async getTopProductsPnL(req, res) {
         $match: {
           createdAt: { $gte: start },
           status: 'delivered',
-          paymentStatus: 'paid'
+          paymentStatus: { $in: ['paid', 'partially_refunded'] }
         }
       },
       { $unwind: '$items' },
@@ -625,7 +651,7 @@ static async getProfitLossReport(req, res) {
             _id: null,
             totalSales: { $sum: '$total' },
             totalDiscounts: { $sum: { $ifNull: ['$discount', 0] } },
-            totalRefunds: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, '$total', 0] } },
+            totalRefunds: { $sum: REFUNDED_AMOUNT },
             totalCOGS: {
               $sum: {
                 $multiply: [
@@ -681,7 +707,7 @@ static async getProfitLossReport(req, res) {
           _id: null,
           totalSales: { $sum: '$total' },
           totalDiscounts: { $sum: { $ifNull: ['$discount', 0] } },
-          totalRefunds: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, '$total', 0] } },
+          totalRefunds: { $sum: REFUNDED_AMOUNT },
           totalCOGS: {
             $sum: {
               $multiply: ['$items.quantity', { $ifNull: [{ $arrayElemAt: ['$variantData.purchasePrice', 0] }, 0] }]
@@ -758,6 +784,141 @@ static async getProfitLossReport(req, res) {
   }
 }
 
+// Units, SKUs and stock value (cost / retail) held at each location
+static async getStockByLocation(req, res) {
+  try {
+    await getDefaultLocation();
+
+    const [rows, locations] = await Promise.all([
+      LocationStock.aggregate([
+        { $match: { quantity: { $gt: 0 } } },
+        { $lookup: { from: 'variants', localField: 'variant', foreignField: '_id', as: 'variantDoc' } },
+        { $unwind: '$variantDoc' },
+        {
+          $group: {
+            _id: '$location',
+            units: { $sum: '$quantity' },
+            skus: { $sum: 1 },
+            costValue: { $sum: { $multiply: ['$quantity', { $ifNull: ['$variantDoc.purchasePrice', 0] }] } },
+            retailValue: { $sum: { $multiply: ['$quantity', { $ifNull: ['$variantDoc.price', 0] }] } }
+          }
+        }
+      ]),
+      Location.find().select('name code type status isDefault').sort({ isDefault: -1, name: 1 }).lean()
+    ]);
+
+    const byLocation = new Map(rows.map(row => [row._id.toString(), row]));
+    const data = locations.map(location => {
+      const row = byLocation.get(location._id.toString()) || {};
+      return {
+        locationId: location._id,
+        name: location.name,
+        code: location.code,
+        type: location.type,
+        status: location.status,
+        isDefault: location.isDefault,
+        units: row.units || 0,
+        skus: row.skus || 0,
+        costValue: Number((row.costValue || 0).toFixed(2)),
+        retailValue: Number((row.retailValue || 0).toFixed(2))
+      };
+    });
+
+    res.json({ success: true, msg: 'Fetched Successfully', data });
+  } catch (error) {
+    console.error('Stock by Location Error:', error);
+    res.status(500).json({ success: false, msg: 'Server error', details: error.message });
+  }
+}
+
+// POS sales (by selling branch) and web orders (by fulfillment location) per location.
+// ?startDate=&endDate= (defaults to the current month)
+static async getSalesByLocation(req, res) {
+  try {
+    const { startDate, endDate } = req.query;
+    const now = moment.tz('Asia/Karachi');
+    const start = startDate ? moment.tz(startDate, 'Asia/Karachi').startOf('day').toDate() : now.clone().startOf('month').toDate();
+    const end = endDate ? moment.tz(endDate, 'Asia/Karachi').endOf('day').toDate() : now.clone().endOf('month').toDate();
+
+    const [sales, orders, defaultLocation] = await Promise.all([
+      Sale.aggregate([
+        { $match: { isDeleted: { $ne: true }, status: { $ne: 'Cancelled' }, date: { $gte: start, $lte: end } } },
+        {
+          $group: {
+            _id: '$location',
+            salesCount: { $sum: 1 },
+            salesRevenue: { $sum: '$summary.grandTotal' },
+            salesUnits: { $sum: '$summary.totalQuantity' }
+          }
+        }
+      ]),
+      Order.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            stockReservation: 'deducted',
+            status: { $nin: ['cancelled', 'returned'] }
+          }
+        },
+        {
+          $group: {
+            _id: '$fulfillmentLocation',
+            orderCount: { $sum: 1 },
+            orderRevenue: { $sum: '$total' },
+            orderUnits: { $sum: { $sum: '$items.quantity' } }
+          }
+        }
+      ]),
+      getDefaultLocation()
+    ]);
+
+    // Sales / orders from before locations existed count towards the default location
+    const totals = new Map();
+    const bucket = (id) => {
+      const key = (id || defaultLocation._id).toString();
+      if (!totals.has(key)) {
+        totals.set(key, { salesCount: 0, salesRevenue: 0, salesUnits: 0, orderCount: 0, orderRevenue: 0, orderUnits: 0 });
+      }
+      return totals.get(key);
+    };
+    for (const { _id, ...row } of sales) {
+      const t = bucket(_id);
+      t.salesCount += row.salesCount;
+      t.salesRevenue += row.salesRevenue;
+      t.salesUnits += row.salesUnits;
+    }
+    for (const { _id, ...row } of orders) {
+      const t = bucket(_id);
+      t.orderCount += row.orderCount;
+      t.orderRevenue += row.orderRevenue;
+      t.orderUnits += row.orderUnits;
+    }
+
+    const locations = await Location.find({ _id: { $in: [...totals.keys()] } }).select('name code type').lean();
+    const names = new Map(locations.map(l => [l._id.toString(), l]));
+
+    const data = [...totals.entries()]
+      .map(([id, t]) => ({
+        locationId: id,
+        name: names.get(id)?.name || 'Unknown',
+        code: names.get(id)?.code || null,
+        type: names.get(id)?.type || null,
+        salesCount: t.salesCount,
+        salesRevenue: Number(t.salesRevenue.toFixed(2)),
+        orderCount: t.orderCount,
+        orderRevenue: Number(t.orderRevenue.toFixed(2)),
+        units: t.salesUnits + t.orderUnits,
+        totalRevenue: Number((t.salesRevenue + t.orderRevenue).toFixed(2))
+      }))
+      .sort((a, b) => b.totalRevenue - a.totalRevenue);
+
+    res.json({ success: true, msg: 'Fetched Successfully', period: { start, end }, data });
+  } catch (error) {
+    console.error('Sales by Location Error:', error);
+    res.status(500).json({ success: false, msg: 'Server error', details: error.message });
+  }
+}
+
 }
 
 
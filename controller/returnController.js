@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Return = require('../model/Return');
+const Order = require('../model/Order');
+const {
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  notifyReturnUpdate
+} = require('../services/returnService');
+const { notifyOrderChanges } = require('../services/orderStateMachine');
+const { notifyBackInStock } = require('../services/stockAlertService');
+
+const isStaff = (user) => ['Super Admin', 'Manager'].includes(user.role);
+
+const handleReturnError = (res, err, fallback) => {
+  if (err.code === 'RETURN_VALIDATION' || err.code === 'INVALID_TRANSITION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// Helper: multipart bodies send arrays as JSON strings
+const parseItems = (items) => {
+  if (items === undefined || items === null || items === '') return [];
+  if (typeof items === 'string') {
+    try {
+      return JSON.parse(items);
+    } catch {
+      return null;
+    }
+  }
+  return Array.isArray(items) ? items : null;
+};
+
+const loadReturn = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, msg: 'Invalid return ID' });
+    return null;
+  }
+  const ret = await Return.findById(req.params.id);
+  if (!ret) {
+    res.status(404).json({ success: false, msg: 'Return not found' });
+    return null;
+  }
+  return ret;
+};
+
+// POST /api/v1/returns  (multipart: orderId, reason, items JSON, photos[])
+const createReturn = async (req, res) => {
+  try {
+    const { orderId, reason } = req.body;
+    const items = parseItems(req.body.items);
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, msg: 'Valid orderId is required' });
+    }
+    if (items === null) {
+      return res.status(400).json({ success: false, msg: 'items must be an array of { orderItem, quantity, reason }' });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
+
+    if (!isStaff(req.user) && order.user?.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+    }
+
+    const photos = (req.files || []).map(file => file.path);
+    const ret = await createReturnRequest(order, { items, reason, photos });
+
+    await notifyReturnUpdate(ret, { created: true });
+
+    res.status(201).json({ success: true, msg: 'Return request submitted successfully', data: ret });
+  } catch (err) {
+    handleReturnError(res, err, 'Failed to create return request');
+  }
+};
+
+// GET /api/v1/returns  (customers only see their own)
+const getAllReturns = async (req, res) => {
+  try {
+    const { status, orderId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (!isStaff(req.user)) query.user = req.user.id;
+    if (status) query.status = status;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) query.order = orderId;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const [returns, total] = await Promise.all([
+      Return.find(query)
+        .populate('order', 'orderNumber total status paymentStatus')
+        .populate('user', 'name email')
+        .populate('items.product', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Return.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleReturnError(res, err, 'Failed to fetch returns');
+  }
+};
+
+// GET /api/v1/returns/:id
+const getReturnById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid return ID' });
+    }
+
+    const ret = await Return.findById(req.params.id)
+      .populate('order', 'orderNumber total refundedAmount status paymentStatus items')
+      .populate('user', 'name email')
+      .populate('items.product', 'name images')
+      .populate('items.variant', 'sku attribute value optionValues optionLabel')
+      .populate('approvedBy receivedBy refunds.refundedBy', 'name');
+
+    if (!ret) return res.status(404).json({ success: false, msg: 'Return not found' });
+
+    if (!isStaff(req.user) && ret.user._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+    }
+
+    res.json({ success: true, data: ret });
+  } catch (err) {
+    handleReturnError(res, err, 'Failed to fetch return');
+  }
+};
+
+// PUT /api/v1/returns/:id/approve
+const approve = async (req, res) => {
+  try {
+    const ret = await loadReturn(req, res);
+    if (!ret) return;
+
+    await approveReturn(ret, { actor: req.user, notes: req.body.notes });
+    await notifyReturnUpdate(ret);
+
+    res.json({ success: true, msg: 'Return approved', data: ret });
+  } catch (err) {
+    handleReturnError(res, err, 'Failed to approve return');
+  }
+};
+
+// PUT /api/v1/returns/:id/reject
+const reject = async (req, res) => {
+  try {
+    const ret = await loadReturn(req, res);
+    if (!ret) return;
+
+    await rejectReturn(ret, { actor: req.user, reason: req.body.reason, notes: req.body.notes });
+    await notifyReturnUpdate(ret);
+
+    res.json({ success: true, msg: 'Return rejected', data: ret });
+  } catch (err) {
+    handleReturnError(res, err, 'Failed to reject return');
+  }
+};
+
+// PUT /api/v1/returns/:id/receive  body: { items: [{ itemId, receivedQuantity, condition }], notes }
+const receive = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const ret = await loadReturn(req, res);
+    if (!ret) return;
+
+    const items = parseItems(req.body.items);
+    if (items === null) {
+      return res.status(400).json({ success: false, msg: 'items must be an array of { itemId, receivedQuantity, condition }' });
+    }
+
+    session.startTransaction();
+    const { order, changes } = await receiveReturn(ret, { actor: req.user, items, notes: req.body.notes, session });
+    await session.commitTransaction();
+
+    await notifyReturnUpdate(ret);
+    await notifyOrderChanges(order, changes);
+    await notifyBackInStock(ret.items.filter(item => item.condition === 'resellable').map(item => item.variant));
+
+    res.json({ success: true, msg: 'Return received', data: ret });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleReturnError(res, err, 'Failed to receive return');
+  } finally {
+    session.endSession();
+  }
+};
+
+// POST /api/v1/returns/:id/refund  body: { amount?, method, reference, note }
+const refund = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const ret = await loadReturn(req, res);
+    if (!ret) return;
+
+    const { amount, method, reference, note } = req.body;
+    if (amount !== undefined && amount !== null && amount !== '' && !(Number(amount) > 0)) {
+      return res.status(400).json({ success: false, msg: 'Refund amount must be positive' });
+    }
+
+    session.startTransaction();
+    const { order, changes } = await refundReturn(ret, { actor: req.user, amount, method, reference, note, session });
+    await session.commitTransaction();
+
+    await notifyReturnUpdate(ret);
+    await notifyOrderChanges(order, changes);
+
+    res.json({
+      success: true,
+      msg: 'Refund recorded',
+      data: {
+        return: ret,
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          total: order.total,
+          refundedAmount: order.refundedAmount,
+          paymentStatus: order.paymentStatus,
+          status: order.status
+        }
+      }
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleReturnError(res, err, 'Failed to refund return');
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  createReturn,
+  getAllReturns,
+  getReturnById,
+  approve,
+  reject,
+  receive,
+  refund
+};
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Review = require('../model/Review');
+const {
+  getRatingSummary,
+  createReview: submitReview,
+  updateReview: editReview,
+  moderateReview,
+  replyToReview,
+  deleteReview: removeReview
+} = require('../services/reviewService');
+
+const isStaff = (user) => ['Super Admin', 'Manager'].includes(user?.role);
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const handleReviewError = (res, err, fallback) => {
+  if (err.code === 'REVIEW_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, msg: 'You have already reviewed this product' });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+const paginate = ({ page = 1, limit = 10 }) => {
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// Review of the product in the URL (req.params.id is the product)
+const loadReview = async (req, res) => {
+  const { id, reviewId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+    res.status(400).json({ success: false, msg: 'Invalid product or review ID' });
+    return null;
+  }
+  const review = await Review.findOne({ _id: reviewId, product: id });
+  if (!review) {
+    res.status(404).json({ success: false, msg: 'Review not found' });
+    return null;
+  }
+  return review;
+};
+
+// GET /api/v1/products/:id/reviews?rating=&verified=true&sort=newest|oldest|highest|lowest
+const getProductReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid product ID' });
+    }
+
+    const { rating, verified, sort = 'newest' } = req.query;
+    const query = { product: id, status: 'approved' };
+    if (rating) query.rating = Number(rating);
+    if (verified === 'true') query.verifiedPurchase = true;
+
+    const { pageNum, limitNum, skip } = paginate(req.query);
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(query)
+        .select('-moderatedBy -moderationNote')
+        .populate('user', 'name')
+        .populate('variant', 'attribute value optionValues optionLabel')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Review.countDocuments(query),
+      getRatingSummary(id)
+    ]);
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to fetch reviews');
+  }
+};
+
+// GET /api/v1/products/reviews?status=pending&product=  (moderation queue)
+const getAllReviews = async (req, res) => {
+  try {
+    const { status, product, rating } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (product && mongoose.Types.ObjectId.isValid(product)) query.product = product;
+    if (rating) query.rating = Number(rating);
+
+    const { pageNum, limitNum, skip } = paginate(req.query);
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('product', 'name thumbnail')
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber')
+        .populate('moderatedBy reply.repliedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to fetch reviews');
+  }
+};
+
+// POST /api/v1/products/:id/reviews  (multipart: rating, title, comment, photos[])
+const createReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid product ID' });
+    }
+
+    const { rating, title, comment } = req.body;
+    const photos = (req.files || []).map(file => file.path);
+    const review = await submitReview(req.user.id, req.params.id, { rating, title, comment, photos });
+
+    res.status(201).json({ success: true, msg: 'Thank you! Your review will appear once approved', data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to submit review');
+  }
+};
+
+// PUT /api/v1/products/:id/reviews/:reviewId  (own review only)
+const updateReview = async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    if (review.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+    }
+
+    const { rating, title, comment } = req.body;
+    const photos = (req.files || []).map(file => file.path);
+    await editReview(review, { rating, title, comment, photos });
+
+    res.json({ success: true, msg: 'Review updated and sent for approval', data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to update review');
+  }
+};
+
+// DELETE /api/v1/products/:id/reviews/:reviewId  (own review or staff)
+const deleteReview = async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    if (!isStaff(req.user) && review.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+    }
+
+    await removeReview(review);
+    res.json({ success: true, msg: 'Review deleted' });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to delete review');
+  }
+};
+
+// PUT /api/v1/products/:id/reviews/:reviewId/moderate  { status: approved | hidden, note }
+const moderate = async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await moderateReview(review, { status: req.body.status, note: req.body.note, actor: req.user });
+    res.json({ success: true, msg: `Review ${review.status}`, data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to moderate review');
+  }
+};
+
+// PUT /api/v1/products/:id/reviews/:reviewId/reply  { reply }
+const reply = async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await replyToReview(review, { text: req.body.reply, actor: req.user });
+    res.json({ success: true, msg: 'Reply saved', data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Failed to reply to review');
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  getAllReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderate,
+  reply
+};
@@ -1,5 +1,6 @@
 const Sale = require('../model/Sales');
 const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
 const User = require('../model/User');
 const mongoose = require('mongoose');
 const notificationUtil = require('../utils/createNotification');
@@ -7,6 +8,14 @@ const { createNotification } = notificationUtil;
 const sendEmail = require('../utils/sendEmail');
 const AppConfiguration = require('../model/app_configuration');
 const sendTemplatedEmail = require('../utils/sendTemplatedEmail');
+const { getActiveOffersByProduct, resolveVariantPrice } = require('../services/pricingService');
+const { nextNumber } = require('../services/counterService');
+const { loadSale, renderSaleReceipt } = require('../services/documentService');
+const { variantLabel } = require('../services/variantOptionService');
+const { applyBundleAvailability, bundleSnapshot, expandStockLines, withBundleReason } = require('../services/bundleService');
+const { resolvePerformedBy } = require('../services/stockReservationService');
+const { allocateLots, restoreLots, movementLots } = require('../services/stockLotService');
+const { resolveLocation, addLocationStock, takeLocationStock, movementLocations } = require('../services/locationService');
 
 
 const getCurrencySettings = async () => {
@@ -31,13 +40,97 @@ const getCurrencySettings = async () => {
 };
 
 
+// Unit price of a sale line. `price` is optional: when omitted the catalog price (variant
+// discount / active offer) is used and the offer is snapshotted on the line. When editing,
+// `previous` is the sale's current line for the variant; a price left as it was keeps its offer.
+const priceSaleLine = async (variant, { price, quantity }, previous = null) => {
+  if (price === undefined || price === null || price === '') {
+    const offers = await getActiveOffersByProduct([variant.product]);
+    const resolved = resolveVariantPrice(variant, offers.get(variant.product.toString()));
+    return {
+      price: resolved.unitPrice,
+      offer: resolved.appliedOffer?._id || null,
+      offerDiscount: Number((resolved.unitDiscount * quantity).toFixed(2)),
+    };
+  }
+
+  const unitPrice = Number(price);
+  if (previous?.offer && previous.quantity > 0 && Number(previous.price) === unitPrice) {
+    return {
+      price: unitPrice,
+      offer: previous.offer,
+      offerDiscount: Number(((previous.offerDiscount || 0) / previous.quantity * quantity).toFixed(2)),
+    };
+  }
+  return { price: unitPrice, offer: null, offerDiscount: 0 };
+};
+
+
+// Move stock for sale lines (sale.products entries): direction -1 sells, +1 puts units back.
+// Selling takes stock lots first-expiring-first-out and records them on the line
+// (lotAllocations); putting back returns the units to those lots. Units leave / return to
+// the selling branch (sale.location). Every line logs a 'Sale' / 'Sale Reversal' StockMovement
+// (reorder suggestions count sales from these); bundle lines move their components instead
+// and log a movement per component that points back at the bundle.
+const moveSaleStock = async (sale, products, direction, { performedBy, session, reason }) => {
+  const lines = await expandStockLines(
+    products.map(p => ({ variant: p.variantId, quantity: p.quantity, bundleItems: p.bundleItems, product: p })),
+    { session }
+  );
+  const userId = await resolvePerformedBy(performedBy);
+  if (direction < 0) for (const product of products) product.lotAllocations = [];
+
+  for (const line of lines) {
+    const change = direction * line.quantity;
+    const before = await Variant.findByIdAndUpdate(
+      line.variantId,
+      { $inc: { stockQuantity: change } },
+      { new: false, session }
+    );
+    if (!before) continue;
+
+    const product = line.item.product;
+    const placement = { location: sale.location, stockBefore: before.stockQuantity, session };
+    let lots, locations;
+    if (change < 0) {
+      lots = await allocateLots(line.variantId, line.quantity, { stockBefore: before.stockQuantity, session });
+      product.lotAllocations.push(...lots);
+      locations = await takeLocationStock(line.variantId, line.quantity, placement);
+    } else {
+      lots = await restoreLots(line.variantId, line.quantity, product.lotAllocations, {
+        stockBefore: before.stockQuantity,
+        source: 'return',
+        referenceId: sale.saleCode,
+        session
+      });
+      locations = await addLocationStock(line.variantId, line.quantity, placement);
+    }
+
+    await StockMovement.create([{
+      variant: line.variantId,
+      sku: before.sku || 'N/A',
+      previousQuantity: before.stockQuantity,
+      newQuantity: before.stockQuantity + change,
+      changeQuantity: change,
+      isStockIncreasing: change > 0,
+      movementType: change > 0 ? 'Sale Reversal' : 'Sale',
+      reason: withBundleReason(reason, line),
+      referenceId: sale.saleCode,
+      bundle: line.bundle || null,
+      lots: movementLots(lots),
+      locations: movementLocations(locations),
+      performedBy: userId
+    }], { session });
+  }
+};
+
 
 exports.createSale = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { date, customerId, products, summary, payment, notes, status } = req.body;
+    const { date, customerId, products, summary, payment, notes, status, location } = req.body;
 
     // === BASIC VALIDATION ===
     if (!customerId || !products || !summary) {
@@ -59,6 +152,9 @@ exports.createSale = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid customer' });
     }
 
+    // Selling branch (the default location when omitted)
+    const branch = await resolveLocation(location, { session });
+
     // === PROCESS PRODUCTS ===
     let subtotal = 0;
     let taxTotal = 0;
@@ -66,14 +162,15 @@ exports.createSale = async (req, res) => {
     const validatedProducts = [];
 
     for (const prod of products) {
-      const { variantId, quantity, price, unitCost, taxPercent = 0, taxType = 'Exclusive' } = prod;
+      const { variantId, quantity, unitCost, taxPercent = 0, taxType = 'Exclusive' } = prod;
 
-      if (!variantId || !quantity || !price || !unitCost) {
+      // price is optional (see priceSaleLine)
+      if (!variantId || !quantity || !unitCost) {
 
-        return res.status(400).json({ success: false, message: 'variantId, quantity, price, unitCost required' });
+        return res.status(400).json({ success: false, message: 'variantId, quantity, unitCost required' });
       }
 
-      if (quantity < 1 || price < 0 || unitCost < 0) {
+      if (quantity < 1 || (prod.price !== undefined && prod.price < 0) || unitCost < 0) {
 
         return res.status(400).json({ success: false, message: 'Invalid quantity or price' });
       }
@@ -83,12 +180,18 @@ exports.createSale = async (req, res) => {
 
         return res.status(400).json({ success: false, message: `Invalid or inactive variant: ${variantId}` });
       }
+      // bundles report how many kits their components can make up
+      await applyBundleAvailability([variant], { session });
 
-      if (variant.stockQuantity < quantity) {
+      const { price, offer, offerDiscount } = await priceSaleLine(variant, { price: prod.price, quantity });
+
+      // units held for pending orders are not for sale at the counter
+      const available = variant.stockQuantity - (variant.reservedQuantity || 0);
+      if (available < quantity) {
 
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${variant.sku || variantId}. Available: ${variant.stockQuantity}, Required: ${quantity}`,
+          message: `Insufficient stock for ${variant.sku || variantId}. Available: ${available}, Required: ${quantity}`,
         });
       }
 
@@ -103,11 +206,14 @@ exports.createSale = async (req, res) => {
         variantId,
         quantity,
         price,
+        offer,
+        offerDiscount,
         unitCost,
         taxPercent,
         taxType,
         taxAmount,
         lineTotal,
+        bundleItems: bundleSnapshot(variant),
       });
     }
 
@@ -156,27 +262,26 @@ exports.createSale = async (req, res) => {
     }
 
     // === GENERATE SALE CODE ===
-    const lastSale = await Sale.findOne().sort({ createdAt: -1 }).select('saleCode').session(session);
-    let saleCode = 'SALE-000001';
-    if (lastSale && lastSale.saleCode) {
-      const num = parseInt(lastSale.saleCode.split('-')[1]) + 1;
-      saleCode = `SALE-${String(num).padStart(6, '0')}`;
-    }
+    const saleCode = await nextNumber('sale');
 
     // === CREATE SALE ===
     const sale = new Sale({
       saleCode,
       date: date ? new Date(date) : new Date(),
       customerId,
+      location: branch._id,
       products: validatedProducts.map(p => ({
         variantId: p.variantId,
         quantity: p.quantity,
         price: p.price,
+        offer: p.offer,
+        offerDiscount: p.offerDiscount,
         unitCost: p.unitCost,
         taxPercent: p.taxPercent,
         taxType: p.taxType,
         taxAmount: p.taxAmount,
         lineTotal: p.lineTotal,
+        bundleItems: p.bundleItems,
       })),
       summary: {
         totalQuantity,
@@ -196,16 +301,14 @@ exports.createSale = async (req, res) => {
       status: finalStatus,
     });
 
-    await sale.save({ session });
-
     // === DEDUCT STOCK ===
-    for (const item of validatedProducts) {
-      await Variant.findByIdAndUpdate(
-        item.variantId,
-        { $inc: { stockQuantity: -item.quantity } },
-        { session }
-      );
-    }
+    await moveSaleStock(sale, sale.products, -1, {
+      performedBy: req.user?.id,
+      session,
+      reason: `Sale ${saleCode}`,
+    });
+
+    await sale.save({ session });
 
     await session.commitTransaction();
 
@@ -316,6 +419,9 @@ exports.createSale = async (req, res) => {
   });
 
 } catch (error) {
+  if (error.code === 'LOCATION_VALIDATION') {
+    return res.status(error.status || 400).json({ success: false, message: error.message });
+  }
 
   console.error('Create Sale Error:', error);
   return res.status(500).json({
@@ -331,10 +437,11 @@ exports.createSale = async (req, res) => {
 
 exports.getAllSales = async (req, res) => {
   try {
-    const { page = 1, limit, startDate, endDate, paymentStatus, search } = req.query;
+    const { page = 1, limit, startDate, endDate, paymentStatus, search, location } = req.query;
     const skip = (page - 1) * limit;
 
     let query = { isDeleted: false };
+    if (location && mongoose.Types.ObjectId.isValid(location)) query.location = location;
     if (startDate && endDate) {
       query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
     }
@@ -362,9 +469,10 @@ exports.getAllSales = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('customerId', 'name email phone')
+      .populate('location', 'name code')
       .populate({
         path: 'products.variantId',
-        select: 'sku attribute value unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
+        select: 'sku attribute value optionValues optionLabel unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
         populate: [
           { path: 'product', select: 'name images thumbnail description' },
           { path: 'unit', select: 'name symbol' } // Consistent with create/update
@@ -388,6 +496,7 @@ exports.getAllSales = async (req, res) => {
           saleCode: sale.saleCode,
           date: sale.date,
           status: sale.status,
+          location: sale.location ? { id: sale.location._id, name: sale.location.name, code: sale.location.code } : null,
           customer: {
             id: sale.customerId?._id,
             name: sale.customerId?.name || 'Walk-in Customer',
@@ -418,6 +527,7 @@ exports.getAllSales = async (req, res) => {
               sku: product.variantId?.sku || '',
               attribute: product.variantId?.attribute || '',
               value: product.variantId?.value || '',
+              optionLabel: variantLabel(product.variantId),
               weightQuantity: product.variantId?.weightQuantity || '',
               unit: product.variantId?.unit?.name || 'Unknown',
               image: product.variantId?.product?.thumbnail || product.variantId?.image || '',
@@ -478,11 +588,11 @@ exports.deleteSale = async (req, res) => {
 
           return res.status(400).json({ status: false, message: `Invalid variant: ${product.variantId}` });
         }
-        await Variant.findByIdAndUpdate(
-          product.variantId,
-          { $inc: { stockQuantity: product.quantity } },
-          { runValidators: true, session }
-        );
+        await moveSaleStock(sale, [product], 1, {
+          performedBy: req.user?.id,
+          session,
+          reason: `Sale ${sale.saleCode} deleted`,
+        });
         console.log(`Restored ${product.quantity} units to variant ${product.variantId} for sale ${sale.saleCode}`);
       }
     }
@@ -517,7 +627,7 @@ exports.updateSale = async (req, res) => {
 
   try {
     const { id } = req.params;
-    const { date, customerId, products, summary, payment, notes, status } = req.body;
+    const { date, customerId, products, summary, payment, notes, status, location } = req.body;
 
     // Validate ID
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -547,15 +657,12 @@ exports.updateSale = async (req, res) => {
     // ==================================================================
     if (status === 'Cancelled' && sale.status !== 'Cancelled') {
       // Restore stock for all previously sold items
-      for (const item of sale.products) {
-        if (item.variantId && mongoose.Types.ObjectId.isValid(item.variantId)) {
-          await Variant.findByIdAndUpdate(
-            item.variantId,
-            { $inc: { stockQuantity: item.quantity } },
-            { session }
-          );
-        }
-      }
+      await moveSaleStock(
+        sale,
+        sale.products.filter(item => item.variantId && mongoose.Types.ObjectId.isValid(item.variantId)),
+        1,
+        { performedBy: req.user?.id, session, reason: `Sale ${sale.saleCode} cancelled` }
+      );
 
       // Only update status and zero out payment — keep everything else
       sale.status = 'Cancelled';
@@ -590,6 +697,9 @@ exports.updateSale = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid customer' });
     }
 
+    // Selling branch (unchanged when omitted)
+    const branch = location !== undefined ? await resolveLocation(location, { session }) : null;
+
     let subtotal = 0;
     let taxTotal = 0;
     let totalQuantity = 0;
@@ -599,22 +709,20 @@ exports.updateSale = async (req, res) => {
     // 3. PROCESS NEW PRODUCTS + STOCK CHECK
     // ==================================================================
     for (const prod of products) {
-      const { variantId, quantity, price, unitCost, taxPercent = 0, taxType = 'Exclusive' } = prod;
+      const { variantId, quantity, unitCost, taxPercent = 0, taxType = 'Exclusive' } = prod;
 
+      // price is optional (see priceSaleLine)
       if (!mongoose.Types.ObjectId.isValid(variantId)) {
         return res.status(400).json({ success: false, message: `Invalid variant ID: ${variantId}` });
       }
       if (!quantity) {
         return res.status(400).json({ success: false, message: 'Quantity is required' });
       }
-      if (!price) {
-        return res.status(400).json({ success: false, message: 'Price is required' });
-      }
       if (!unitCost) {
         return res.status(400).json({ success: false, message: 'Unit cost is required' });
       }
 
-      if (quantity < 1 || price < 0 || unitCost < 0) {
+      if (quantity < 1 || (prod.price !== undefined && prod.price < 0) || unitCost < 0) {
 
         return res.status(400).json({ success: false, message: 'Invalid quantity or price' });
       }
@@ -624,11 +732,12 @@ exports.updateSale = async (req, res) => {
 
         return res.status(400).json({ success: false, message: `Invalid or inactive variant: ${variantId}` });
       }
+      await applyBundleAvailability([variant], { session });
 
       // Calculate available stock (old quantity is returned first)
       const oldItem = sale.products.find(p => p.variantId.toString() === variantId.toString());
       const oldQty = oldItem ? oldItem.quantity : 0;
-      const availableStock = variant.stockQuantity + oldQty;
+      const availableStock = variant.stockQuantity - (variant.reservedQuantity || 0) + oldQty;
 
       if (availableStock < quantity) {
 
@@ -638,6 +747,8 @@ exports.updateSale = async (req, res) => {
         });
       }
 
+      const { price, offer, offerDiscount } = await priceSaleLine(variant, { price: prod.price, quantity }, oldItem);
+
       const taxAmount = taxType === 'Exclusive'
         ? (price * quantity * taxPercent) / 100
         : 0; // Inclusive tax handled at source
@@ -651,11 +762,14 @@ exports.updateSale = async (req, res) => {
         variantId,
         quantity,
         price,
+        offer,
+        offerDiscount,
         unitCost,
         taxPercent,
         taxType,
         taxAmount,
         lineTotal,
+        bundleItems: bundleSnapshot(variant),
       });
     }
 
@@ -716,42 +830,32 @@ exports.updateSale = async (req, res) => {
     // ==================================================================
     // 6. RESTORE OLD STOCK (Always first)
     // ==================================================================
-    for (const old of sale.products) {
-      if (old.variantId && mongoose.Types.ObjectId.isValid(old.variantId)) {
-        await Variant.findByIdAndUpdate(
-          old.variantId,
-          { $inc: { stockQuantity: old.quantity } },
-          { session }
-        );
-      }
-    }
+    await moveSaleStock(
+      sale,
+      sale.products.filter(old => old.variantId && mongoose.Types.ObjectId.isValid(old.variantId)),
+      1,
+      { performedBy: req.user?.id, session, reason: `Sale ${sale.saleCode} updated` }
+    );
 
     // ==================================================================
-    // 7. DEDUCT NEW STOCK
-    // ==================================================================
-    for (const item of newProducts) {
-      await Variant.findByIdAndUpdate(
-        item.variantId,
-        { $inc: { stockQuantity: -item.quantity } },
-        { session }
-      );
-    }
-
-    // ==================================================================
-    // 8. SAVE SALE
+    // 7. APPLY CHANGES
     // ==================================================================
     sale.set({
       date: date ? new Date(date) : sale.date,
       customerId,
+      location: branch ? branch._id : sale.location,
       products: newProducts.map(p => ({
         variantId: p.variantId,
         quantity: p.quantity,
         price: p.price,
+        offer: p.offer,
+        offerDiscount: p.offerDiscount,
         unitCost: p.unitCost,
         taxPercent: p.taxPercent,
         taxType: p.taxType,
         taxAmount: p.taxAmount,
         lineTotal: p.lineTotal,
+        bundleItems: p.bundleItems,
       })),
       summary: {
         totalQuantity,
@@ -771,6 +875,15 @@ exports.updateSale = async (req, res) => {
       status: finalStatus,
     });
 
+    // ==================================================================
+    // 8. DEDUCT NEW STOCK + SAVE SALE
+    // ==================================================================
+    await moveSaleStock(sale, sale.products, -1, {
+      performedBy: req.user?.id,
+      session,
+      reason: `Sale ${sale.saleCode} updated`,
+    });
+
     await sale.save({ session });
     await session.commitTransaction();
 
@@ -838,6 +951,9 @@ exports.updateSale = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'LOCATION_VALIDATION') {
+      return res.status(error.status || 400).json({ success: false, message: error.message });
+    }
 
     console.error('Update Sale Error:', error);
     return res.status(500).json({
@@ -861,7 +977,7 @@ exports.getSaleById = async (req, res) => {
       .populate('customerId', 'name email phone')
       .populate({
         path: 'products.variantId',
-        select: 'sku attribute value unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
+        select: 'sku attribute value optionValues optionLabel unit purchasePrice price discountPrice stockQuantity expiryDate weightQuantity image',
         populate: [
           { path: 'product', select: 'name images thumbnail description' },
           { path: 'unit', select: 'name symbol' }
@@ -894,6 +1010,7 @@ exports.getSaleById = async (req, res) => {
             sku: variant?.sku || '',
             attribute: variant?.attribute || '',
             value: variant?.value || '',
+            optionLabel: variantLabel(variant),
             weightQuantity: variant?.weightQuantity || '',
             unit: variant?.unit?.name || 'Unknown',
             unitSymbol: variant?.unit?.symbol || '',
@@ -929,4 +1046,28 @@ exports.getSaleById = async (req, res) => {
     console.error('Error fetching sale:', error);
     res.status(500).json({ status: false, message: 'Server error', error: error.message });
   }
+};
+
+// GET /api/v1/sales/:id/receipt.pdf
+exports.getSaleReceipt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ status: false, message: 'Invalid sale ID' });
+    }
+
+    const sale = await loadSale(id);
+    if (!sale || sale.isDeleted) return res.status(404).json({ status: false, message: 'Sale not found' });
+
+    const pdf = await renderSaleReceipt(sale);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="receipt-${sale.saleCode}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating sale receipt:', error);
+    res.status(500).json({ status: false, message: 'Server error', error: error.message });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const StockTake = require('../model/StockTake');
+const {
+  createStockTake,
+  submitCounts,
+  varianceReport,
+  postStockTake,
+  cancelStockTake
+} = require('../services/stockTakeService');
+const { notifyBackInStock } = require('../services/stockAlertService');
+
+const handleStockTakeError = (res, err, fallback) => {
+  if (err.code === 'STOCK_TAKE_VALIDATION' || err.code === 'LOCATION_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// Helper: arrays may arrive as JSON strings
+const parseCounts = (counts) => {
+  if (typeof counts === 'string') {
+    try {
+      return JSON.parse(counts);
+    } catch {
+      return null;
+    }
+  }
+  return Array.isArray(counts) ? counts : null;
+};
+
+const loadStockTake = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, msg: 'Invalid stock take ID' });
+    return null;
+  }
+  const take = await StockTake.findById(req.params.id);
+  if (!take) {
+    res.status(404).json({ success: false, msg: 'Stock take not found' });
+    return null;
+  }
+  return take;
+};
+
+// POST /api/v1/stock-takes  body: { location, category?, subcategory?, brand?, notes }
+const create = async (req, res) => {
+  try {
+    const { location, category, subcategory, brand, notes } = req.body;
+    const take = await createStockTake({ location, category, subcategory, brand, notes }, { actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      msg: `Stock take started for ${take.lines.length} variant(s)`,
+      data: take
+    });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to start stock take');
+  }
+};
+
+// GET /api/v1/stock-takes?status=&location=&page=&limit=
+const getAllStockTakes = async (req, res) => {
+  try {
+    const { status, location, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (location && mongoose.Types.ObjectId.isValid(location)) query.location = location;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [takes, total] = await Promise.all([
+      StockTake.find(query)
+        .select('takeNumber location filters status notes createdBy postedBy postedAt createdAt lines.countedQuantity')
+        .populate('location', 'name code type')
+        .populate('createdBy postedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      StockTake.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: takes.map(({ lines, ...take }) => ({
+        ...take,
+        totalLines: lines.length,
+        countedLines: lines.filter(line => line.countedQuantity !== null && line.countedQuantity !== undefined).length
+      })),
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to fetch stock takes');
+  }
+};
+
+// GET /api/v1/stock-takes/:id?uncounted=true
+const getStockTakeById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid stock take ID' });
+    }
+
+    const take = await StockTake.findById(req.params.id)
+      .populate('location', 'name code type')
+      .populate('filters.category filters.subcategory', 'name')
+      .populate('filters.brand', 'brandName')
+      .populate('createdBy postedBy lines.countedBy', 'name')
+      .lean();
+
+    if (!take) return res.status(404).json({ success: false, msg: 'Stock take not found' });
+
+    if (req.query.uncounted === 'true') {
+      take.lines = take.lines.filter(line => line.countedQuantity === null || line.countedQuantity === undefined);
+    }
+
+    res.json({ success: true, data: take });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to fetch stock take');
+  }
+};
+
+// POST /api/v1/stock-takes/:id/counts  body: { counts: [{ code | sku | barcode, countedQuantity, add? }] }
+const counts = async (req, res) => {
+  try {
+    const take = await loadStockTake(req, res);
+    if (!take) return;
+
+    const entries = parseCounts(req.body.counts);
+    if (entries === null) {
+      return res.status(400).json({ success: false, msg: 'counts must be an array of { code, countedQuantity }' });
+    }
+
+    const { matched, unmatched } = await submitCounts(take, entries, { actor: req.user });
+    const { summary } = varianceReport(take);
+
+    res.json({
+      success: true,
+      msg: `${matched} count(s) recorded`,
+      data: { matched, unmatched, summary }
+    });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to record counts');
+  }
+};
+
+// GET /api/v1/stock-takes/:id/variance?onlyVariances=true
+const variance = async (req, res) => {
+  try {
+    const take = await loadStockTake(req, res);
+    if (!take) return;
+
+    const report = varianceReport(take, { onlyVariances: req.query.onlyVariances === 'true' });
+
+    res.json({
+      success: true,
+      data: {
+        takeNumber: take.takeNumber,
+        location: take.location,
+        status: take.status,
+        ...report
+      }
+    });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to build variance report');
+  }
+};
+
+// POST /api/v1/stock-takes/:id/post
+const post = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const take = await loadStockTake(req, res);
+    if (!take) return;
+
+    session.startTransaction();
+    const increased = await postStockTake(take, { actor: req.user, session });
+    await session.commitTransaction();
+
+    await notifyBackInStock(increased);
+
+    res.json({
+      success: true,
+      msg: 'Stock take posted',
+      data: { ...varianceReport(take, { onlyVariances: true }), takeNumber: take.takeNumber, status: take.status }
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleStockTakeError(res, err, 'Failed to post stock take');
+  } finally {
+    session.endSession();
+  }
+};
+
+// PUT /api/v1/stock-takes/:id/cancel
+const cancel = async (req, res) => {
+  try {
+    const take = await loadStockTake(req, res);
+    if (!take) return;
+
+    await cancelStockTake(take);
+
+    res.json({ success: true, msg: 'Stock take cancelled', data: { _id: take._id, takeNumber: take.takeNumber, status: take.status } });
+  } catch (err) {
+    handleStockTakeError(res, err, 'Failed to cancel stock take');
+  }
+};
+
+module.exports = {
+  create,
+  getAllStockTakes,
+  getStockTakeById,
+  counts,
+  variance,
+  post,
+  cancel
+};
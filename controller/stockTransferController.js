@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../model/StockTransfer');
+const {
+  createTransfer,
+  updateTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../services/stockTransferService');
+const { notifyBackInStock } = require('../services/stockAlertService');
+
+const handleTransferError = (res, err, fallback) => {
+  if (err.code === 'TRANSFER_VALIDATION' || err.code === 'LOCATION_VALIDATION') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// Helper: arrays may arrive as JSON strings
+const parseLines = (lines) => {
+  if (lines === undefined || lines === null || lines === '') return undefined;
+  if (typeof lines === 'string') {
+    try {
+      return JSON.parse(lines);
+    } catch {
+      return null;
+    }
+  }
+  return Array.isArray(lines) ? lines : null;
+};
+
+const loadTransfer = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, msg: 'Invalid transfer ID' });
+    return null;
+  }
+  const transfer = await StockTransfer.findById(req.params.id);
+  if (!transfer) {
+    res.status(404).json({ success: false, msg: 'Transfer not found' });
+    return null;
+  }
+  return transfer;
+};
+
+// POST /api/v1/stock-transfers  body: { from, to, lines: [{ variant, quantity }], notes, dispatch? }
+const create = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { from, to, notes, dispatch } = req.body;
+    const lines = parseLines(req.body.lines);
+    if (!Array.isArray(lines)) {
+      return res.status(400).json({ success: false, msg: 'lines must be an array of { variant, quantity }' });
+    }
+
+    session.startTransaction();
+    const transfer = await createTransfer({ from, to, lines, notes }, { actor: req.user, session });
+    if (dispatch === true || dispatch === 'true') {
+      await dispatchTransfer(transfer, { actor: req.user, session });
+    }
+    await session.commitTransaction();
+
+    res.status(201).json({ success: true, msg: 'Transfer created successfully', data: transfer });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleTransferError(res, err, 'Failed to create transfer');
+  } finally {
+    session.endSession();
+  }
+};
+
+// GET /api/v1/stock-transfers?status=&location=&search=&page=&limit=
+const getAllTransfers = async (req, res) => {
+  try {
+    const { status, location, search, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (location && mongoose.Types.ObjectId.isValid(location)) {
+      query.$or = [{ from: location }, { to: location }];
+    }
+    if (search) {
+      query.$and = [{
+        $or: [
+          { transferNumber: { $regex: search, $options: 'i' } },
+          { 'lines.sku': { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .populate('from to', 'name code type')
+        .populate('createdBy', 'name')
+        .select('-receipts -lines.lotAllocations')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleTransferError(res, err, 'Failed to fetch transfers');
+  }
+};
+
+// GET /api/v1/stock-transfers/:id
+const getTransferById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid transfer ID' });
+    }
+
+    const transfer = await StockTransfer.findById(req.params.id)
+      .populate('from to', 'name code type')
+      .populate({
+        path: 'lines.variant',
+        select: 'sku attribute value optionValues optionLabel image product',
+        populate: { path: 'product', select: 'name thumbnail' }
+      })
+      .populate('createdBy dispatchedBy receipts.receivedBy', 'name');
+
+    if (!transfer) return res.status(404).json({ success: false, msg: 'Transfer not found' });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, err, 'Failed to fetch transfer');
+  }
+};
+
+// PUT /api/v1/stock-transfers/:id  (drafts only) body: { from, to, lines, notes }
+const update = async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    const { from, to, notes } = req.body;
+    const lines = parseLines(req.body.lines);
+    if (lines === null) {
+      return res.status(400).json({ success: false, msg: 'lines must be an array of { variant, quantity }' });
+    }
+
+    await updateTransfer(transfer, { from, to, lines, notes });
+
+    res.json({ success: true, msg: 'Transfer updated successfully', data: transfer });
+  } catch (err) {
+    handleTransferError(res, err, 'Failed to update transfer');
+  }
+};
+
+// PUT /api/v1/stock-transfers/:id/dispatch
+const dispatch = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    session.startTransaction();
+    await dispatchTransfer(transfer, { actor: req.user, session });
+    await session.commitTransaction();
+
+    res.json({ success: true, msg: 'Transfer dispatched', data: transfer });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleTransferError(res, err, 'Failed to dispatch transfer');
+  } finally {
+    session.endSession();
+  }
+};
+
+// PUT /api/v1/stock-transfers/:id/receive  body: { lines: [{ lineId, quantity }], close?, note }
+const receive = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    const lines = parseLines(req.body.lines);
+    if (lines === null) {
+      return res.status(400).json({ success: false, msg: 'lines must be an array of { lineId, quantity }' });
+    }
+    const close = req.body.close === true || req.body.close === 'true';
+
+    session.startTransaction();
+    const received = await receiveTransfer(transfer, { actor: req.user, lines, close, note: req.body.note, session });
+    await session.commitTransaction();
+
+    await notifyBackInStock(received);
+
+    res.json({
+      success: true,
+      msg: transfer.status === 'received' ? 'Transfer received' : 'Transfer partially received',
+      data: transfer
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleTransferError(res, err, 'Failed to receive transfer');
+  } finally {
+    session.endSession();
+  }
+};
+
+// PUT /api/v1/stock-transfers/:id/cancel  (drafts only)
+const cancel = async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    await cancelTransfer(transfer);
+
+    res.json({ success: true, msg: 'Transfer cancelled', data: transfer });
+  } catch (err) {
+    handleTransferError(res, err, 'Failed to cancel transfer');
+  }
+};
+
+module.exports = {
+  create,
+  getAllTransfers,
+  getTransferById,
+  update,
+  dispatch,
+  receive,
+  cancel
+};
@@ -3,6 +3,7 @@ const Subcategory = require('../model/subCategory');
 const mongoose = require('mongoose');
 const fs = require('fs');
 const Product = require('../model/Product');
+const { syncSearchTerms } = require('../services/searchService');
 
 
 // Helper for flexible category lookup
@@ -215,6 +216,9 @@ exports.updateSubcategory = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('parent_category_id', 'name _id');
 
+    // Subcategory names are part of the product search index
+    if (subcategory.name !== currentSubcategory.name) await syncSearchTerms({ subcategory: subcategory._id });
+
     // Optional: Delete old image file if new one uploaded
     if (image && currentSubcategory.image && currentSubcategory.image !== image) {
       // fs.unlinkSync(currentSubcategory.image); // Uncomment if you want to delete old file
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Subscription = require('../model/Subscription');
+const {
+  createSubscription: startSubscription,
+  updateSubscription: changeSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRun,
+  cancelSubscription
+} = require('../services/subscriptionService');
+
+const isStaff = (user) => ['Super Admin', 'Manager'].includes(user.role);
+
+const handleSubscriptionError = (res, err, fallback) => {
+  if (err.code === 'SUBSCRIPTION_VALIDATION' || err.name === 'ValidationError') {
+    return res.status(err.status || 400).json({ success: false, msg: err.message });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ success: false, msg: fallback, error: err.message });
+};
+
+// Customers may only touch their own subscriptions
+const loadSubscription = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, msg: 'Invalid subscription ID' });
+    return null;
+  }
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) {
+    res.status(404).json({ success: false, msg: 'Subscription not found' });
+    return null;
+  }
+  if (!isStaff(req.user) && sub.user.toString() !== req.user.id.toString()) {
+    res.status(403).json({ success: false, msg: 'Access denied' });
+    return null;
+  }
+  return sub;
+};
+
+// POST /api/v1/subscriptions
+// body: { items: [{ product, variant, quantity }], interval: { every, unit }, startDate?, shippingAddress, paymentMethod, notes }
+const createSubscription = async (req, res) => {
+  try {
+    const sub = await startSubscription(req.user.id, req.body);
+    res.status(201).json({ success: true, msg: `Subscription ${sub.subscriptionNumber} created`, data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to create subscription');
+  }
+};
+
+// GET /api/v1/subscriptions  (customers only see their own)
+const getAllSubscriptions = async (req, res) => {
+  try {
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (!isStaff(req.user)) query.user = req.user.id;
+    else if (userId && mongoose.Types.ObjectId.isValid(userId)) query.user = userId;
+    if (status) query.status = status;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(query)
+        .select('-runs')
+        .populate('user', 'name email')
+        .populate('items.product', 'name thumbnail')
+        .populate('items.variant', 'sku attribute value optionValues optionLabel price')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Subscription.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to fetch subscriptions');
+  }
+};
+
+// GET /api/v1/subscriptions/:id
+const getSubscriptionById = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await sub.populate('user', 'name email');
+    await sub.populate('items.product', 'name thumbnail images');
+    await sub.populate('items.variant', 'sku attribute value optionValues optionLabel price discountPrice');
+    await sub.populate('runs.order', 'orderNumber total status');
+
+    res.json({ success: true, data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to fetch subscription');
+  }
+};
+
+// PUT /api/v1/subscriptions/:id  body: { items?, interval?, nextRunAt?, shippingAddress?, paymentMethod?, notes? }
+const updateSubscription = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await changeSubscription(sub, req.body);
+    res.json({ success: true, msg: 'Subscription updated', data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to update subscription');
+  }
+};
+
+// PUT /api/v1/subscriptions/:id/pause
+const pause = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await pauseSubscription(sub);
+    res.json({ success: true, msg: 'Subscription paused', data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to pause subscription');
+  }
+};
+
+// PUT /api/v1/subscriptions/:id/resume  body: { nextRunAt? }
+const resume = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await resumeSubscription(sub, { nextRunAt: req.body.nextRunAt });
+    res.json({ success: true, msg: 'Subscription resumed', data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to resume subscription');
+  }
+};
+
+// PUT /api/v1/subscriptions/:id/skip  body: { reason? }
+const skip = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await skipNextRun(sub, { reason: req.body.reason });
+    res.json({ success: true, msg: `Next delivery skipped, next run on ${sub.nextRunAt.toDateString()}`, data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to skip delivery');
+  }
+};
+
+// PUT /api/v1/subscriptions/:id/cancel  body: { reason? }
+const cancel = async (req, res) => {
+  try {
+    const sub = await loadSubscription(req, res);
+    if (!sub) return;
+
+    await cancelSubscription(sub, { reason: req.body.reason });
+    res.json({ success: true, msg: 'Subscription cancelled', data: sub });
+  } catch (err) {
+    handleSubscriptionError(res, err, 'Failed to cancel subscription');
+  }
+};
+
+module.exports = {
+  createSubscription,
+  getAllSubscriptions,
+  getSubscriptionById,
+  updateSubscription,
+  pause,
+  resume,
+  skip,
+  cancel
+};
@@ -4,8 +4,42 @@ const path = require('path');
 const Variant = require('../model/variantProduct'); // Adjust path as needed
 const Product = require('../model/Product');
 const Unit = require('../model/Unit'); // Assuming Unit model exists; adjust path as needed
+const Supplier = require('../model/Supplier');
 const mongoose = require('mongoose');
+const { resolveOptionValues, setProductOptions, generateVariantMatrix } = require('../services/variantOptionService');
+const { isBundle, describeBundle, getVariantBundle, setVariantBundle, refreshBundlePrices } = require('../services/bundleService');
+const { reconcileLots } = require('../services/stockLotService');
+const { reconcileLocationStock } = require('../services/locationService');
+
+
+// Reorder point / quantity / preferred supplier from a request body ('' or null clears them).
+// Returns { fields } or { error }.
+const parseReorderFields = async ({ reorderPoint, reorderQuantity, preferredSupplier }) => {
+  const fields = {};
+  for (const [key, value] of Object.entries({ reorderPoint, reorderQuantity })) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[key] = null;
+      continue;
+    }
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < 0) return { error: `Invalid ${key}` };
+    fields[key] = parsed;
+  }
 
+  if (preferredSupplier !== undefined) {
+    if (!preferredSupplier) {
+      fields.preferredSupplier = null;
+    } else {
+      const supplier = mongoose.Types.ObjectId.isValid(preferredSupplier)
+        ? await Supplier.findOne({ _id: preferredSupplier, status: 'Active' }).select('_id').lean()
+        : null;
+      if (!supplier) return { error: 'Preferred supplier must be an active supplier' };
+      fields.preferredSupplier = supplier._id;
+    }
+  }
+  return { fields };
+};
 
 const findVariantByIdOrSku = async (value) => {
   if (!value) return null;
@@ -19,7 +53,7 @@ const findVariantByIdOrSku = async (value) => {
 // Create Variant (POST /api/variants)
 exports.createVariant = async (req, res) => {
   console.log('DEBUG: Variant req.body:', req.body); // Remove in prod
-  const { product: productValue, weightQuantity , attribute, value, sku, unit: unitValue, purchasePrice, price, discountPrice, stockQuantity, expiryDate, status = 'Active' } = req.body;
+  const { product: productValue, weightQuantity , attribute, value, optionValues, sku, barcode, unit: unitValue, purchasePrice, price, discountPrice, stockQuantity, expiryDate, status = 'Active' } = req.body;
 
   // Handle optional image upload
   const imageFile = req.files && req.files['image'] ? req.files['image'][0] : null;
@@ -30,9 +64,9 @@ exports.createVariant = async (req, res) => {
     if (imageFile) try { await fs.unlink(image); } catch { }
     return res.status(400).json({ success: false, msg: 'Invalid status' });
   }
-  if (!attribute || !value || !sku || sku.trim() === '' || !unitValue || !mongoose.Types.ObjectId.isValid(unitValue)) {
+  if ((!optionValues && (!attribute || !value)) || !sku || sku.trim() === '' || !unitValue || !mongoose.Types.ObjectId.isValid(unitValue)) {
     if (imageFile) try { await fs.unlink(image); } catch { }
-    return res.status(400).json({ success: false, msg: 'Missing or invalid required fields: attribute, value, sku, or unit' });
+    return res.status(400).json({ success: false, msg: 'Missing or invalid required fields: optionValues (or attribute and value), sku, or unit' });
   }
   const parsedPrice = parseFloat(price);
   const parsedPurchasePrice = parseFloat(purchasePrice);
@@ -80,26 +114,51 @@ exports.createVariant = async (req, res) => {
       if (imageFile) try { await fs.unlink(image); } catch { }
       return res.status(400).json({ success: false, msg: `SKU '${sku}' already exists` });
     }
+    if (barcode && barcode.toString().trim() && await Variant.exists({ barcode: barcode.toString().trim() })) {
+      if (imageFile) try { await fs.unlink(image); } catch { }
+      return res.status(400).json({ success: false, msg: `Barcode '${barcode}' already exists` });
+    }
+
+    const reorder = await parseReorderFields(req.body);
+    if (reorder.error) {
+      if (imageFile) try { await fs.unlink(image); } catch { }
+      return res.status(400).json({ success: false, msg: reorder.error });
+    }
+
+    // Products with options take one value per option; older products a single attribute/value
+    const optionFields = optionValues || product.options?.length
+      ? { optionValues: resolveOptionValues(product, optionValues) }
+      : { attribute: attribute.trim(), value: value.trim() };
+
+    const described = optionFields.optionValues ? Variant.describeOptions(optionFields.optionValues) : optionFields;
+    const sameOptions = await Variant.findOne({ product: product._id, attribute: described.attribute, value: described.value });
+    if (sameOptions) {
+      if (imageFile) try { await fs.unlink(image); } catch { }
+      return res.status(400).json({ success: false, msg: `Variant ${sameOptions.sku} already has these options` });
+    }
 
     const variantData = {
       product: product._id,
-      attribute: attribute.trim(),
-      value: value.trim(),
+      ...optionFields,
       sku: sku.trim(),
       unit: unit._id,
       weightQuantity,
       purchasePrice: parsedPurchasePrice,
       price: parsedPrice,
       stockQuantity: parsedStock,
-      status
+      status,
+      ...reorder.fields
     };
     if (discountPrice !== undefined) variantData.discountPrice = parsedDiscount;
+    if (barcode !== undefined) variantData.barcode = barcode;
     if (expiryDate !== undefined) variantData.expiryDate = new Date(expiryDate);
     if (image) variantData.image = image;
 
     const newVariant = new Variant(variantData);
     await newVariant.validate();
     await newVariant.save();
+    await reconcileLots(newVariant._id); // opening lot for the initial stock
+    await reconcileLocationStock(newVariant._id); // …held at the default location
     await newVariant.populate('product unit', 'name');
 
     // Add ref to product's variations array
@@ -113,6 +172,9 @@ exports.createVariant = async (req, res) => {
   } catch (err) {
     console.error('Variant creation error:', err.message || err);
     if (imageFile) try { await fs.unlink(image); } catch { }
+    if (err.code === 'VARIANT_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
     if (err.name === 'MongoServerError' && err.code === 11000) {
       return res.status(400).json({ success: false, msg: 'Duplicate SKU detected' });
     }
@@ -125,7 +187,7 @@ exports.createVariant = async (req, res) => {
 
 // Get All Variants (GET /api/variants)
 exports.getAllVariants = async (req, res) => {
-  const { page = 1, limit , product, sku, status, attribute } = req.query;
+  const { page = 1, limit , product, sku, status, attribute, optionName, optionValue } = req.query;
   const filter = {};
   if (product) {
     let prod;
@@ -140,6 +202,7 @@ exports.getAllVariants = async (req, res) => {
   if (sku) filter.sku = { $regex: sku, $options: 'i' };
   if (status) filter.status = status;
   if (attribute) filter.attribute = attribute;
+  if (optionName && optionValue) filter.optionValues = { $elemMatch: { name: optionName, value: optionValue } };
 
   try {
     const variants = await Variant.find(filter)
@@ -170,7 +233,7 @@ exports.getVariantById = async (req, res) => {
     if (!variant) {
       return res.status(404).json({ success: false, msg: 'Variant not found' });
     }
-    res.json({ success: true, variant });
+    res.json({ success: true, variant, bundle: await describeBundle(variant) });
   } catch (err) {
     console.error('Variant get error:', err.message || err);
     res.status(500).json({ success: false, msg: 'Server error fetching variant', details: err.message || 'Unknown error' });
@@ -180,7 +243,7 @@ exports.getVariantById = async (req, res) => {
 // Update Variant (PUT /api/variants/:id)
 exports.updateVariant = async (req, res) => {
   console.log('DEBUG: Update variant req.body:', req.body); // Remove in prod
-  const { attribute, value, sku, unit: unitValue, purchasePrice, price, discountPrice, stockQuantity, expiryDate, status } = req.body;
+  const { attribute, value, optionValues, sku, barcode, unit: unitValue, purchasePrice, price, discountPrice, stockQuantity, expiryDate, status } = req.body;
 
   // Handle optional new image (replace)
   const newImageFile = req.files && req.files['image'] ? req.files['image'][0] : null;
@@ -244,6 +307,19 @@ exports.updateVariant = async (req, res) => {
       return res.status(404).json({ success: false, msg: 'Variant not found' });
     }
 
+    // Bundles hold no stock, and sum-priced bundles take their price from the components
+    if (isBundle(currentVariant)) {
+      let msg = null;
+      if (stockQuantity !== undefined) msg = 'Bundle stock comes from its components; adjust the component variants instead';
+      else if (currentVariant.bundlePricing?.mode === 'sum_minus_discount' && (price !== undefined || discountPrice !== undefined || purchasePrice !== undefined)) {
+        msg = 'This bundle is priced from its components; change its bundle pricing instead';
+      }
+      if (msg) {
+        if (newImageFile) try { await fs.unlink(newImage); } catch { }
+        return res.status(400).json({ success: false, msg });
+      }
+    }
+
     // If SKU changed, check uniqueness
     let finalSku = sku !== undefined ? sku.trim() : currentVariant.sku;
     if (sku !== undefined && finalSku !== currentVariant.sku) {
@@ -253,6 +329,19 @@ exports.updateVariant = async (req, res) => {
         return res.status(400).json({ success: false, msg: `SKU '${finalSku}' already exists` });
       }
     }
+    if (barcode && barcode.toString().trim()) {
+      const taken = await Variant.exists({ barcode: barcode.toString().trim(), _id: { $ne: currentVariant._id } });
+      if (taken) {
+        if (newImageFile) try { await fs.unlink(newImage); } catch { }
+        return res.status(400).json({ success: false, msg: `Barcode '${barcode}' already exists` });
+      }
+    }
+
+    const reorder = await parseReorderFields(req.body);
+    if (reorder.error) {
+      if (newImageFile) try { await fs.unlink(newImage); } catch { }
+      return res.status(400).json({ success: false, msg: reorder.error });
+    }
 
     // If unit changed, validate
     let finalUnit = unitValue !== undefined ? unitValue : currentVariant.unit._id;
@@ -265,9 +354,21 @@ exports.updateVariant = async (req, res) => {
     }
 
     const updateData = {};
-    if (attribute !== undefined) updateData.attribute = attribute.trim();
-    if (value !== undefined) updateData.value = value.trim();
+    if (optionValues !== undefined) {
+      const resolved = resolveOptionValues(currentVariant.product, optionValues);
+      Object.assign(updateData, { optionValues: resolved }, Variant.describeOptions(resolved));
+    } else if (attribute !== undefined || value !== undefined) {
+      if (currentVariant.product.options?.length) {
+        if (newImageFile) try { await fs.unlink(newImage); } catch { }
+        return res.status(400).json({ success: false, msg: 'This product uses options; send optionValues instead of attribute/value' });
+      }
+      updateData.attribute = attribute !== undefined ? attribute.trim() : currentVariant.attribute;
+      updateData.value = value !== undefined ? value.trim() : currentVariant.value;
+      updateData.optionValues = [{ name: updateData.attribute, value: updateData.value }];
+      updateData.optionLabel = `${updateData.attribute}: ${updateData.value}`;
+    }
     if (sku !== undefined) updateData.sku = finalSku;
+    if (barcode !== undefined) updateData.barcode = barcode;
     if (unitValue !== undefined) updateData.unit = finalUnit;
     if (purchasePrice !== undefined) updateData.purchasePrice = parseFloat(purchasePrice);
     if (price !== undefined) updateData.price = parseFloat(price);
@@ -275,6 +376,7 @@ exports.updateVariant = async (req, res) => {
     if (stockQuantity !== undefined) updateData.stockQuantity = parseInt(stockQuantity);
     if (expiryDate !== undefined) updateData.expiryDate = new Date(expiryDate);
     if (status !== undefined) updateData.status = status;
+    Object.assign(updateData, reorder.fields);
     if (newImage) {
       updateData.image = newImage;
       if (currentVariant.image) try { await fs.unlink(currentVariant.image); } catch { }
@@ -288,6 +390,14 @@ exports.updateVariant = async (req, res) => {
     const updatedVariant = await Variant.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true })
       .populate('product unit', 'name');
 
+    if (price !== undefined || discountPrice !== undefined || purchasePrice !== undefined) {
+      await refreshBundlePrices([updatedVariant._id]);
+    }
+    if (stockQuantity !== undefined) {
+      await reconcileLots(updatedVariant._id);
+      await reconcileLocationStock(updatedVariant._id);
+    }
+
     res.json({
       success: true,
       msg: 'Variant updated successfully',
@@ -296,8 +406,11 @@ exports.updateVariant = async (req, res) => {
   } catch (err) {
     console.error('Variant update error:', err.message || err);
     if (newImageFile) try { await fs.unlink(newImage); } catch { }
+    if (err.code === 'VARIANT_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
     if (err.name === 'MongoServerError' && err.code === 11000) {
-      return res.status(400).json({ success: false, msg: 'Duplicate SKU detected' });
+      return res.status(400).json({ success: false, msg: err.message.includes('attribute_1_value_1') ? 'Another variant already has these options' : 'Duplicate SKU detected' });
     }
     if (err.name === 'ValidationError') {
       return res.status(400).json({ success: false, msg: `Validation error: ${Object.values(err.errors).map(e => e.message).join(', ')}` });
@@ -314,6 +427,14 @@ exports.deleteVariant = async (req, res) => {
       return res.status(404).json({ success: false, msg: 'Variant not found' });
     }
 
+    const bundles = await Variant.find({ 'bundleItems.variant': variant._id }).select('sku').lean();
+    if (bundles.length) {
+      return res.status(400).json({
+        success: false,
+        msg: `Variant is a component of bundle(s) ${bundles.map(b => b.sku || b._id).join(', ')}; remove it from those bundles first`
+      });
+    }
+
     // Cleanup image
     if (variant.image) try { await fs.unlink(variant.image); } catch { }
 
@@ -329,3 +450,95 @@ exports.deleteVariant = async (req, res) => {
   }
 };
 
+// Set a product's options (PUT /api/products/:id/options)
+// body: { options: [{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red', 'Blue'] }] }
+exports.setProductOptions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid product ID' });
+    }
+    const { product, updatedVariants } = await setProductOptions(req.params.id, req.body.options);
+    res.json({
+      success: true,
+      msg: updatedVariants ? `Options saved, ${updatedVariants} variants updated` : 'Options saved',
+      options: product.options
+    });
+  } catch (err) {
+    if (err.code === 'VARIANT_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
+    console.error('Product options error:', err.message || err);
+    res.status(500).json({ success: false, msg: 'Server error saving product options', details: err.message || 'Unknown error' });
+  }
+};
+
+// Generate the variant matrix (POST /api/products/:id/variants/generate?preview=true)
+// body: { options?, defaults: { price, weightQuantity, unit, purchasePrice, discountPrice, stockQuantity, status },
+//         overrides: [{ optionValues: { Size: 'L' }, price }], skuPattern: '{PRODUCT}-{Size}-{Color}' }
+exports.generateVariants = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid product ID' });
+    }
+    const preview = req.query.preview === 'true' || req.body.preview === true;
+    const { product, matrix, created } = await generateVariantMatrix(req.params.id, { ...req.body, preview });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      msg: preview
+        ? `${matrix.filter(row => !row.exists).length} of ${matrix.length} combinations would be created`
+        : `${created} variants created`,
+      options: product.options,
+      matrix,
+      created
+    });
+  } catch (err) {
+    if (err.code === 'VARIANT_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, msg: 'A generated SKU or option combination already exists' });
+    }
+    console.error('Variant generation error:', err.message || err);
+    res.status(500).json({ success: false, msg: 'Server error generating variants', details: err.message || 'Unknown error' });
+  }
+};
+
+// Bundle composition of a variant (GET /api/products/:id/variants/:variantId/bundle)
+exports.getVariantBundle = async (req, res) => {
+  try {
+    const { variant, bundle } = await getVariantBundle(req.params.id, req.params.variantId);
+    res.json({ success: true, variantId: variant._id, sku: variant.sku, bundle });
+  } catch (err) {
+    if (err.code === 'BUNDLE_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
+    console.error('Bundle get error:', err.message || err);
+    res.status(500).json({ success: false, msg: 'Server error fetching bundle', details: err.message || 'Unknown error' });
+  }
+};
+
+// Turn a variant into a bundle / kit or change it (PUT /api/products/:id/variants/:variantId/bundle)
+// body: { items: [{ variant, quantity }], pricing: { mode: 'fixed' | 'sum_minus_discount', price?, discountType, discountValue } }
+// items: [] turns the variant back into a plain one
+exports.setVariantBundle = async (req, res) => {
+  try {
+    const { product, variant, bundle } = await setVariantBundle(req.params.id, req.params.variantId, req.body);
+    res.json({
+      success: true,
+      msg: bundle ? 'Bundle saved' : 'Bundle removed',
+      productType: product.type,
+      variant,
+      bundle
+    });
+  } catch (err) {
+    if (err.code === 'BUNDLE_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, msg: `Validation error: ${Object.values(err.errors).map(e => e.message).join(', ')}` });
+    }
+    console.error('Bundle save error:', err.message || err);
+    res.status(500).json({ success: false, msg: 'Server error saving bundle', details: err.message || 'Unknown error' });
+  }
+};
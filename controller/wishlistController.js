@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../model/Wishlist');
+const StockAlert = require('../model/StockAlert');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const { getActiveOffersByProduct, resolveVariantPrice } = require('../services/pricingService');
+const { availableStock } = require('../services/stockAlertService');
+const { applyBundleAvailability } = require('../services/bundleService');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// GET /api/v1/wishlist  (with current price, stock and alert state per line)
+const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user.id })
+      .populate('items.product', 'name thumbnail images status')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity reservedQuantity image status bundleItems')
+      .lean();
+
+    const items = (wishlist?.items || []).filter(item => item.product);
+    await applyBundleAvailability(items.map(item => item.variant).filter(Boolean));
+    const [offersByProduct, alerts] = await Promise.all([
+      getActiveOffersByProduct(items.map(item => item.product._id)),
+      StockAlert.find({ user: req.user.id, status: 'pending' }).select('variant').lean()
+    ]);
+    const alertVariants = new Set(alerts.map(a => a.variant.toString()));
+
+    const data = items.map(item => {
+      const { variant } = item;
+      if (!variant) return { ...item, inStock: null, alertActive: false };
+
+      const { stockQuantity, reservedQuantity, bundleItems, ...variantInfo } = variant;
+      const resolved = resolveVariantPrice(variant, offersByProduct.get(item.product._id.toString()));
+      return {
+        ...item,
+        variant: variantInfo,
+        effectivePrice: resolved.unitPrice,
+        priceSource: resolved.source,
+        inStock: variant.status === 'Active' && availableStock(variant) > 0,
+        alertActive: alertVariants.has(variant._id.toString())
+      };
+    });
+
+    res.json({ success: true, data: { _id: wishlist?._id, items: data } });
+  } catch (err) {
+    console.error('Error fetching wishlist:', err);
+    res.status(500).json({ success: false, msg: 'Failed to fetch wishlist', error: err.message });
+  }
+};
+
+// POST /api/v1/wishlist/items  { product, variant? }
+const addToWishlist = async (req, res) => {
+  try {
+    const { product, variant } = req.body;
+    if (!isValidId(product) || (variant && !isValidId(variant))) {
+      return res.status(400).json({ success: false, msg: 'Valid product (and optional variant) required' });
+    }
+
+    if (!(await Product.exists({ _id: product }))) {
+      return res.status(404).json({ success: false, msg: 'Product not found' });
+    }
+    if (variant && !(await Variant.exists({ _id: variant, product, isDeleted: { $ne: true } }))) {
+      return res.status(404).json({ success: false, msg: 'Variant not found for this product' });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user.id }) || new Wishlist({ user: req.user.id });
+    const exists = wishlist.items.some(item =>
+      item.product.toString() === product.toString() &&
+      (item.variant?.toString() || null) === (variant ? variant.toString() : null));
+
+    if (exists) {
+      return res.json({ success: true, msg: 'Already in your wishlist', data: wishlist });
+    }
+
+    wishlist.items.push({ product, variant: variant || null });
+    await wishlist.save();
+
+    res.status(201).json({ success: true, msg: 'Added to wishlist', data: wishlist });
+  } catch (err) {
+    console.error('Error adding to wishlist:', err);
+    res.status(500).json({ success: false, msg: 'Failed to add to wishlist', error: err.message });
+  }
+};
+
+// DELETE /api/v1/wishlist/items/:itemId
+const removeFromWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user.id });
+    const item = wishlist?.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, msg: 'Wishlist item not found' });
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json({ success: true, msg: 'Removed from wishlist', data: wishlist });
+  } catch (err) {
+    console.error('Error removing from wishlist:', err);
+    res.status(500).json({ success: false, msg: 'Failed to remove from wishlist', error: err.message });
+  }
+};
+
+// GET /api/v1/wishlist/alerts?status=pending
+const getStockAlerts = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const alerts = await StockAlert.find(query)
+      .populate('product', 'name thumbnail')
+      .populate('variant', 'attribute value optionValues optionLabel sku image')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, data: alerts });
+  } catch (err) {
+    console.error('Error fetching stock alerts:', err);
+    res.status(500).json({ success: false, msg: 'Failed to fetch stock alerts', error: err.message });
+  }
+};
+
+// POST /api/v1/wishlist/alerts  { variant }  - "notify me when available"
+const createStockAlert = async (req, res) => {
+  try {
+    const { variant: variantId } = req.body;
+    if (!isValidId(variantId)) {
+      return res.status(400).json({ success: false, msg: 'Valid variant required' });
+    }
+
+    const variant = await Variant.findOne({ _id: variantId, isDeleted: { $ne: true } })
+      .select('product stockQuantity reservedQuantity status bundleItems')
+      .lean();
+    if (!variant) return res.status(404).json({ success: false, msg: 'Variant not found' });
+    await applyBundleAvailability([variant]);
+
+    if (variant.status === 'Active' && availableStock(variant) > 0) {
+      return res.status(400).json({ success: false, msg: 'This item is in stock' });
+    }
+
+    const existing = await StockAlert.findOne({ user: req.user.id, variant: variantId, status: 'pending' });
+    if (existing) {
+      return res.json({ success: true, msg: 'You will be notified when this item is back in stock', data: existing });
+    }
+
+    const alert = await StockAlert.create({ user: req.user.id, product: variant.product, variant: variantId });
+    res.status(201).json({ success: true, msg: 'You will be notified when this item is back in stock', data: alert });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.json({ success: true, msg: 'You will be notified when this item is back in stock' });
+    }
+    console.error('Error creating stock alert:', err);
+    res.status(500).json({ success: false, msg: 'Failed to create stock alert', error: err.message });
+  }
+};
+
+// DELETE /api/v1/wishlist/alerts/:id
+const cancelStockAlert = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid alert ID' });
+    }
+
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!alert) return res.status(404).json({ success: false, msg: 'Stock alert not found' });
+
+    res.json({ success: true, msg: 'Stock alert cancelled', data: alert });
+  } catch (err) {
+    console.error('Error cancelling stock alert:', err);
+    res.status(500).json({ success: false, msg: 'Failed to cancel stock alert', error: err.message });
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  getStockAlerts,
+  createStockAlert,
+  cancelStockAlert
+};
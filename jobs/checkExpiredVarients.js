@@ -1,30 +1,25 @@
 const cron = require('node-cron');
-const Variant = require('../model/variantProduct');
+const { expireLots } = require('../services/stockLotService');
+const { resolvePerformedBy } = require('../services/stockReservationService');
 
 
+// Expiry is tracked per stock lot: expired lots are written off (stock + StockMovement),
+// the variant stays on sale with whatever lots are still good.
 const checkExpiredVariants = () => {
   cron.schedule('0 0 * * *', async () => {
-    console.log('Running expired variants check...');
+    console.log('Running expired stock lots check...');
     try {
-      const currentDate = new Date();
-      const expiredVariants = await Variant.find({
-        expiryDate: { $lte: currentDate },
-        status: 'Active',
-      });
+      const expired = await expireLots({ performedBy: await resolvePerformedBy() });
 
-      if (expiredVariants.length > 0) {
-        await Variant.updateMany(
-          { _id: { $in: expiredVariants.map((v) => v._id) } },
-          { $set: { status: 'Inactive', updatedAt: new Date() } }
-        );
-        console.log(`${expiredVariants.length} variants marked as Inactive.`);
+      if (expired > 0) {
+        console.log(`${expired} expired stock lot(s) written off.`);
       } else {
-        console.log('No expired variants found.');
+        console.log('No expired stock lots found.');
       }
     } catch (err) {
-      console.error('Error checking expired variants:', err.message);
+      console.error('Error checking expired stock lots:', err.message);
     }
   });
 };
 
-module.exports = checkExpiredVariants;
\ No newline at end of file
+module.exports = checkExpiredVariants;
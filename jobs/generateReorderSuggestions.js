@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { generateSuggestions } = require('../services/reorderService');
+
+
+// Nightly, after the expiry write-offs: recompute suggested purchase quantities
+const generateReorderSuggestions = () => {
+  cron.schedule('30 1 * * *', async () => {
+    try {
+      const count = await generateSuggestions();
+      console.log(`Reorder suggestions: ${count} variant(s) to reorder.`);
+    } catch (err) {
+      console.error('Error generating reorder suggestions:', err.message);
+    }
+  });
+};
+
+module.exports = generateReorderSuggestions;
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const ProductImport = require('../model/ProductImport');
+const { runImport } = require('../services/productImportService');
+
+const STALE_MINUTES = 10;     // no progress saved for this long → the worker died (restart / crash)
+const DRY_RUN_TTL_HOURS = 24;
+
+// Imports normally start right after they are confirmed; this picks up the ones that
+// were interrupted and drops dry runs that were never confirmed.
+const processProductImports = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await ProductImport.updateMany(
+        { status: 'processing', heartbeatAt: { $lt: new Date(Date.now() - STALE_MINUTES * 60 * 1000) } },
+        { $set: { status: 'queued' } }
+      );
+
+      const queued = await ProductImport.find({ status: 'queued' }).select('_id').sort({ createdAt: 1 }).lean();
+      for (const job of queued) {
+        await runImport(job._id);
+      }
+
+      await ProductImport.deleteMany({
+        status: 'validated',
+        createdAt: { $lt: new Date(Date.now() - DRY_RUN_TTL_HOURS * 60 * 60 * 1000) }
+      });
+    } catch (err) {
+      console.error('Product import job error:', err);
+    }
+  });
+};
+
+module.exports = processProductImports;
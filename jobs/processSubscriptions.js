@@ -0,0 +1,53 @@
+const cron = require('node-cron');
+const Subscription = require('../model/Subscription');
+const AppConfiguration = require('../model/app_configuration');
+const { runSubscription, sendRunReminder } = require('../services/subscriptionService');
+
+const BATCH_SIZE = 100;
+
+const processSubscriptions = () => {
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const now = new Date();
+
+      // ── Due runs → orders ───────────────────────────────────────────────
+      const due = await Subscription.find({ status: 'active', nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(BATCH_SIZE);
+
+      const counts = { ordered: 0, skipped: 0, failed: 0, retry: 0 };
+      for (const sub of due) {
+        try {
+          const { result } = await runSubscription(sub);
+          counts[result]++;
+        } catch (err) {
+          counts.retry++;
+          console.error(`Subscription ${sub.subscriptionNumber} run error:`, err.message);
+        }
+      }
+      if (due.length > 0) {
+        console.log(`Autoship: ${counts.ordered} ordered, ${counts.skipped} skipped, ${counts.failed} failed, ${counts.retry} to retry.`);
+      }
+
+      // ── Reminders before the next run ───────────────────────────────────
+      const config = await AppConfiguration.findOne().lean();
+      const reminderDays = config?.subscriptionReminderDays ?? 3;
+      if (!reminderDays) return;   // 0 disables the reminders
+
+      const upcoming = await Subscription.find({
+        status: 'active',
+        reminderSentFor: null,
+        nextRunAt: { $gt: now, $lte: new Date(now.getTime() + reminderDays * 24 * 60 * 60 * 1000) }
+      }).limit(BATCH_SIZE);
+
+      for (const sub of upcoming) {
+        await sendRunReminder(sub, config)
+          .catch(err => console.error(`Subscription ${sub.subscriptionNumber} reminder error:`, err.message));
+      }
+    } catch (err) {
+      console.error('Error processing subscriptions:', err.message);
+    }
+  });
+};
+
+module.exports = processSubscriptions;
@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Order = require('../model/Order');
+const { transitionOrder, notifyOrderChanges } = require('../services/orderStateMachine');
+
+
+const releaseExpiredReservations = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const expiredOrders = await Order.find({
+        status: 'pending',
+        paymentMethod: 'Online',
+        isPaymentVerified: { $ne: true },
+        stockReservation: 'reserved',
+        reservationExpiresAt: { $ne: null, $lte: new Date() },
+      });
+
+      if (expiredOrders.length === 0) return;
+
+      for (const order of expiredOrders) {
+        const session = await mongoose.startSession();
+        try {
+          session.startTransaction();
+          // Cancelling releases the reserved stock and reverses any coupon redemption
+          const changes = await transitionOrder(
+            order,
+            { status: 'cancelled' },
+            { note: 'Payment not received in time', session }
+          );
+          order.notes = `${order.notes || ''}\n[AUTO-CANCELLED] Payment not received in time`.trim();
+          await order.save({ session });
+
+          await session.commitTransaction();
+          await notifyOrderChanges(order, changes);
+        } catch (err) {
+          if (session.inTransaction()) await session.abortTransaction();
+          console.error(`Failed to release reservation for ${order.orderNumber}:`, err.message);
+        } finally {
+          session.endSession();
+        }
+      }
+
+      console.log(`${expiredOrders.length} unpaid order reservation(s) released.`);
+    } catch (err) {
+      console.error('Error releasing expired reservations:', err.message);
+    }
+  });
+};
+
+module.exports = releaseExpiredReservations;
@@ -0,0 +1,70 @@
+const cron = require('node-cron');
+const Cart = require('../model/Cart');
+const AppConfiguration = require('../model/app_configuration');
+const sendEmail = require('../utils/sendSmtpEmail');
+const { priceCart } = require('../services/cartService');
+
+const CART_URL = 'https://al-bready-website.vercel.app/cart';
+const BATCH_SIZE = 100;
+
+// One reminder per idle period: any cart change clears abandonedEmailSentAt again
+const sendAbandonedCartReminders = () => {
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const config = await AppConfiguration.findOne().lean();
+      const idleHours = config?.abandonedCartHours ?? 24;
+      if (!idleHours) return;   // 0 disables the reminders
+
+      const carts = await Cart.find({
+        status: 'active',
+        user: { $ne: null },
+        'items.0': { $exists: true },
+        abandonedEmailSentAt: null,
+        lastActivityAt: { $lte: new Date(Date.now() - idleHours * 60 * 60 * 1000) }
+      })
+        .populate('user', 'name email')
+        .limit(BATCH_SIZE);
+
+      if (carts.length === 0) return;
+
+      const sign = config?.currencySign || '$';
+      let sent = 0;
+      for (const cart of carts) {
+        try {
+          const priced = await priceCart(cart);
+          const lines = priced.items.filter(item => !item.unavailable);
+
+          if (cart.user?.email && lines.length > 0) {
+            const cartItems = lines.map(item => `
+    <tr>
+      <td>${item.product.name}${item.variant.optionLabel ? ` (${item.variant.optionLabel})` : ''}</td>
+      <td align="center">${item.quantity}</td>
+      <td align="right">${sign}${item.lineTotal.toFixed(2)}</td>
+    </tr>
+  `).join('');
+
+            await sendEmail(cart.user.email, 'abandoned_cart', {
+              customerName: cart.user.name || 'there',
+              cartItems,
+              itemCount: String(priced.itemCount),
+              cartTotal: `${sign}${priced.subtotal.toFixed(2)}`,
+              cartUrl: CART_URL
+            });
+            sent++;
+          }
+
+          // Marked even when nothing was sent so the cart isn't picked up every hour
+          await Cart.updateOne({ _id: cart._id }, { $set: { abandonedEmailSentAt: new Date() } });
+        } catch (err) {
+          console.error(`Abandoned cart reminder failed for cart ${cart._id}:`, err.message);
+        }
+      }
+
+      console.log(`${sent} abandoned cart reminder(s) sent.`);
+    } catch (err) {
+      console.error('Error sending abandoned cart reminders:', err.message);
+    }
+  });
+};
+
+module.exports = sendAbandonedCartReminders;
@@ -26,6 +26,10 @@ const authMiddleware = async (req, res, next) => {
     try {
       // Verify access token
       decoded = await verifyJwt(accessToken, process.env.JWT_SECRET);
+      // Only login tokens ({ id, role }); purpose-bound tokens (e.g. order access) are not sessions
+      if (decoded.purpose || !decoded.id || !decoded.role) {
+        return res.status(403).json({ success: false, message: "Invalid access token." });
+      }
       req.user = decoded; // { id, role } from project payload
       return next();
     } catch (err) {
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../model/IdempotencyKey");
+
+// Honors an `Idempotency-Key` header on create endpoints:
+//   first request      → runs normally, its JSON response is stored with the key
+//   retry, same body   → stored response is replayed (Idempotent-Replayed: true)
+//   retry, other body  → 422
+//   retry while the first is still running → 409
+// 5xx responses are not stored, so the client can retry them with the same key.
+// Requests without the header are not affected.
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000; // a "processing" key older than this is treated as abandoned
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted keys so { a, b } and { b, a } fingerprint the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Signed-in callers are scoped by user; anonymous ones (guest checkout) by the email they
+// order with, or their IP, so two guests picking the same key do not see each other's response
+const callerOf = (req) => {
+  if (req.user?.id) return req.user.id;
+  const email = req.body?.shippingAddress?.email || req.body?.email;
+  return typeof email === "string" && email.trim()
+    ? `anonymous:${email.trim().toLowerCase()}`
+    : `anonymous:${req.ip}`;
+};
+
+const fingerprintOf = (req) =>
+  crypto.createHash("sha256").update(stableStringify(req.body || {})).digest("hex");
+
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, msg: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const scope = `${callerOf(req)}:${req.method}:${req.baseUrl}${req.route?.path || req.path}`;
+  const fingerprint = fingerprintOf(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        fingerprint,
+        expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      const existing = await IdempotencyKey.findOne({ key, scope }).lean();
+      if (!existing) return idempotency(req, res, next); // expired in between
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          msg: "Idempotency-Key was already used with a different request payload",
+        });
+      }
+
+      if (existing.status === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Still processing: take over only when the first attempt looks abandoned
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: "processing", lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          msg: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+    }
+
+    // Capture the JSON body, persist it once the response is sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = JSON.parse(JSON.stringify(body ?? null)); // plain copy of any mongoose documents
+      return originalJson(body);
+    };
+
+    res.on("finish", () => {
+      const save = responseBody !== undefined && res.statusCode < 500
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: "completed", responseStatus: res.statusCode, responseBody } }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      save.catch(err => console.error("Idempotency key save failed:", err));
+    });
+
+    next();
+  } catch (err) {
+    console.error("Idempotency error:", err);
+    res.status(500).json({ success: false, msg: "Idempotency check failed", error: err.message });
+  }
+};
+
+module.exports = idempotency;
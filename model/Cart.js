@@ -0,0 +1,28 @@
+// models/Cart.js
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  priceAtAdd: { type: Number, min: 0 },             // unit price when the line was added (price change flag)
+  addedAt: { type: Date, default: Date.now }
+});
+
+// One active cart per customer; guests are identified by a random token (X-Cart-Token)
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  guestToken: { type: String, default: null },
+  items: { type: [cartItemSchema], default: [] },
+  status: { type: String, enum: ['active', 'merged'], default: 'active' },
+  lastActivityAt: { type: Date, default: Date.now },
+  abandonedEmailSentAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } });
+cartSchema.index({ status: 1, lastActivityAt: 1, abandonedEmailSentAt: 1 });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,77 @@
+// models/Coupon.js
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: { type: String, trim: true },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: {
+      values: ['Percentage', 'Fixed', 'FreeShipping'],
+      message: 'Discount type must be Percentage, Fixed or FreeShipping'
+    }
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Cap for percentage coupons (0 = no cap)
+  maxDiscountAmount: { type: Number, default: 0, min: 0 },
+  minimumOrderAmount: { type: Number, default: 0, min: 0 },
+
+  // null = unlimited
+  usageLimit: { type: Number, default: null, min: 1 },
+  perCustomerLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+
+  firstOrderOnly: { type: Boolean, default: false },
+
+  // Empty scope = whole cart is eligible
+  applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  applicableCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  applicableBrands: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }],
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'inactive'],
+      message: 'Status must be active or inactive'
+    },
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+couponSchema.pre('save', function(next) {
+  if (this.discountType === 'Percentage' && (this.discountValue <= 0 || this.discountValue > 100)) {
+    return next(new Error('Percentage discount must be between 0 and 100'));
+  }
+  if (this.discountType === 'Fixed' && this.discountValue <= 0) {
+    return next(new Error('Fixed discount must be positive'));
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,31 @@
+// models/CouponRedemption.js
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  discount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['applied', 'reversed'], default: 'applied' },
+  reversedAt: { type: Date },
+  // 1..perCustomerLimit; the unique index below stops concurrent checkouts taking the same use
+  slot: { type: Number },
+  // redeemed under a firstOrderOnly coupon; a customer holds at most one at a time
+  firstOrder: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied', slot: { $exists: true } } }
+);
+couponRedemptionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied', firstOrder: true } }
+);
+couponRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
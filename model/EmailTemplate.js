@@ -26,7 +26,12 @@ const emailTemplateSchema = new mongoose.Schema({
       'customer_payment_created_admin',
       'customer_payment_created_customer',
       'offer_created_admin',
-      'offer_created_customer'
+      'offer_created_customer',
+      'return_status_updated',
+      'abandoned_cart',
+      'subscription_reminder',
+      'subscription_skipped',
+      'back_in_stock'
     ],
     trim: true
   },
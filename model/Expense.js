@@ -2,17 +2,7 @@ const mongoose = require('mongoose');
 const { Schema } = mongoose;
 const moment = require('moment');
 
-// ✅ Helper to generate a unique Expense ID
-const generateExpenseId = async () => {
-  // Get total count
-  const count = await mongoose.connection.db.collection('expenses').countDocuments();
-  
-  // Add timestamp for uniqueness
-  const datePart = moment().format('YYYYMMDD-HHmmss');
-  
-  // Combine into unique readable ID
-  return `E${String(count + 1).padStart(6, '0')}-${datePart}`;
-};
+const { nextNumber } = require('../services/counterService');
 
 const expenseSchema = new Schema({
   expenseId: {
@@ -49,7 +39,7 @@ const expenseSchema = new Schema({
 // ✅ Generate a unique expenseId before saving
 expenseSchema.pre('save', async function(next) {
   if (!this.expenseId) {
-    this.expenseId = await generateExpenseId();
+    this.expenseId = await nextNumber('expense');
   }
   next();
 });
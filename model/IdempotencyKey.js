@@ -0,0 +1,21 @@
+// models/IdempotencyKey.js
+const mongoose = require('mongoose');
+
+// Stored result of a create request sent with an Idempotency-Key header (see middleware/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true },          // user + METHOD + route, so keys never leak across endpoints or users
+  fingerprint: { type: String, required: true },    // sha256 of the request body
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  lockedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
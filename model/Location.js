@@ -0,0 +1,36 @@
+// models/Location.js
+const mongoose = require('mongoose');
+
+// A place that holds stock: a warehouse or a store branch (services/locationService.js).
+// Exactly one location is the default; stock that isn't tied to a place lands there.
+const locationSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Location name is required'], trim: true },
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: { values: ['warehouse', 'store'], message: 'Location type must be warehouse or store' },
+    default: 'store'
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zip: String,
+    country: String
+  },
+  phone: { type: String, trim: true },
+  isDefault: { type: Boolean, default: false },
+  status: { type: String, enum: ['active', 'inactive'], default: 'active' }
+}, {
+  timestamps: true
+});
+
+locationSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
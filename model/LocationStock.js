@@ -0,0 +1,17 @@
+// models/LocationStock.js
+const mongoose = require('mongoose');
+
+// Stock of one variant at one location. Variant.stockQuantity stays the total over all
+// locations; services/locationService.js keeps the two in step.
+const locationStockSchema = new mongoose.Schema({
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  quantity: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+locationStockSchema.index({ location: 1, variant: 1 }, { unique: true });
+locationStockSchema.index({ variant: 1 });
+
+module.exports = mongoose.model('LocationStock', locationStockSchema);
@@ -24,7 +24,12 @@ const notificationSchema = new mongoose.Schema({
       'payment_created',
       'customer_payment_created',
       'supplier_payment_created',
-      'offer_created'
+      'offer_created',
+      'return_requested',
+      'return_status_updated',
+      'subscription_reminder',
+      'subscription_skipped',
+      'back_in_stock'
     ],
     required: true
   },
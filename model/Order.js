@@ -6,12 +6,86 @@ const orderItemSchema = new mongoose.Schema({
   variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
   quantity: { type: Number, required: true, min: 1 },
   price: { type: Number, required: true },          // snapshot at order time
-  total: { type: Number, required: true }
+  regularPrice: { type: Number },                   // variant price before any line discount
+  offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', default: null },
+  offerName: { type: String },
+  discount: { type: Number, default: 0 },           // line discount vs regularPrice (unit diff × qty)
+  total: { type: Number, required: true },
+  // Component snapshot of a bundle line (per bundle unit); stock moves on these, not on `variant`
+  bundleItems: [{
+    _id: false,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  // Stock lots the line was filled from (FEFO); `restored` counts units put back on cancel / return
+  lotAllocations: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+    quantity: Number,
+    restored: { type: Number, default: 0 },
+    expiryDate: Date
+  }]
 });
 
+// One entry per status / trackingStatus / paymentStatus change (see services/orderStateMachine.js)
+const statusHistorySchema = new mongoose.Schema({
+  field: { type: String, enum: ['status', 'trackingStatus', 'paymentStatus'], required: true },
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null = system
+  changedByRole: { type: String, default: 'system' },
+  note: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A parcel sent for part (or all) of the order; see services/shipmentService.js
+const shipmentItemSchema = new mongoose.Schema({
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },   // _id of the line in order.items
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  shipmentNumber: { type: String, required: true },       // e.g. #ORD-012-S1
+  items: [shipmentItemSchema],
+  deliveryPartner: { type: String },
+  trackingNumber: { type: String },                       // carrier tracking number
+  trackingStatus: {
+    type: String,
+    enum: ['not shipped', 'shipped', 'in transit', 'out for delivery', 'delivered', 'cancelled'],
+    default: 'not shipped'
+  },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  notes: { type: String },
+  events: [{
+    trackingStatus: { type: String },
+    note: { type: String },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
 const orderSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Guest orders have no user until claimed (see services/guestOrderService.js)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      required: function () { return !this.guest?.email; }
+    },
+    guest: {
+      name: { type: String },
+      email: { type: String, lowercase: true, trim: true },
+      phone: { type: String },
+      claimedAt: { type: Date }
+    },
     orderNumber: { type: String, unique: true, required: true },
     orderTrackingNumber: { type: String, unique: true, sparse: true },
     deliveryDate: {
@@ -25,6 +99,13 @@ const orderSchema = new mongoose.Schema(
       enum: ['not shipped', 'shipped', 'in transit', 'out for delivery', 'delivered', 'cancelled'],
       default: 'not shipped'
     },
+    // Derived from shipments; orders without shipments stay 'unfulfilled'
+    fulfillmentStatus: {
+      type: String,
+      enum: ['unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'],
+      default: 'unfulfilled'
+    },
+    shipments: { type: [shipmentSchema], default: [] },
 
     orderID: { type: mongoose.Schema.Types.Mixed },
     items: [orderItemSchema],
@@ -33,7 +114,8 @@ const orderSchema = new mongoose.Schema(
     isPaymentVerified: {
       type: Boolean, default: false
     },
-    paymentId: { type: String },
+    paymentId: { type: String },                   // provider order id (PayPal order id)
+    paymentCaptureId: { type: String },            // provider capture id, used by refund webhooks
     paymentVerifiedAt: { type: Date },
     paymentVerifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     paymentResponse: { type: mongoose.Schema.Types.Mixed },
@@ -41,6 +123,14 @@ const orderSchema = new mongoose.Schema(
     tax: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
     shipping: { type: Number, default: 5.99 },
+    storeDiscount: { type: Number, default: 0 },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      discountType: { type: String },
+      discount: { type: Number, default: 0 },
+      freeShipping: { type: Boolean, default: false }
+    },
     total: { type: Number, required: true },
 
     status: {
@@ -60,16 +150,40 @@ const orderSchema = new mongoose.Schema(
     },
     refundRequestedAt: { type: Date },
     refundReason: { type: String },
+    // Set on orders generated by an autoship subscription (services/subscriptionService.js)
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+    // Money given back through returns (see model/Return.js); net revenue = total - refundedAmount
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    refunds: [{
+      amount: { type: Number, required: true },
+      return: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+      method: { type: String },
+      reference: { type: String },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      refundedAt: { type: Date, default: Date.now }
+    }],
     paymentMethod: { type: String, enum: ['COD', 'Online'], required: true },
 
-    notes: { type: String }
+    // Stock lifecycle: reserved at checkout → deducted on confirm/ship → released on cancel/expiry
+    stockReservation: { type: String, enum: ['reserved', 'deducted', 'released'] },
+    reservationExpiresAt: { type: Date, default: null },
+    // Location the order was picked from (set when stock is deducted; restocks go back there)
+    fulfillmentLocation: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+
+    notes: { type: String },
+    statusHistory: { type: [statusHistorySchema], default: [] }
   },
   { timestamps: true }
 );
 
 orderSchema.index({ user: 1, orderNumber: 1 });
+orderSchema.index({ 'guest.email': 1, user: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
 orderSchema.index({ 'items.product': 1 });
+orderSchema.index({ stockReservation: 1, reservationExpiresAt: 1 });
+orderSchema.index({ paymentId: 1 });
+orderSchema.index({ paymentCaptureId: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
 
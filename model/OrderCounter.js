@@ -0,0 +1,17 @@
+// models/OrderCounter.js
+const mongoose = require('mongoose');
+
+// One document per numbered document type (order, sale, purchase, …); see services/counterService.js.
+// prefix / padding / yearlyReset override the defaults in counterService when set.
+const orderCounterSchema = new mongoose.Schema({
+  _id: { type: String },                  // document type, e.g. 'order'
+  seq: { type: Number, default: 0 },
+  year: { type: Number },                 // year of the last issued number (yearly reset)
+  prefix: { type: String, trim: true },
+  padding: { type: Number, min: 1, max: 12 },
+  yearlyReset: { type: Boolean }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OrderCounter', orderCounterSchema);
@@ -13,17 +13,61 @@ const productSchema = new mongoose.Schema({
   description: { type: String },
   status: { type: String, enum: ['Active', 'Inactive'], default: 'Active' },
 
+  // 'bundle' products sell kits whose variants are made of other variants (Variant.bundleItems)
+  type: { type: String, enum: ['standard', 'bundle'], default: 'standard' },
+
+  // Approved reviews only, maintained by services/reviewService.js
+  averageRating: { type: Number, default: 0, min: 0, max: 5 },
+  reviewCount: { type: Number, default: 0, min: 0 },
+
   // Soft Delete Fields
   isDeleted: { type: Boolean, default: false },
   deletedAt: { type: Date, default: null },
 
   variations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Variant' }],
+
+  // Ordered variant options, e.g. [{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red'] }]
+  // Every variant carries one value per option (Variant.optionValues); see services/variantOptionService.js
+  options: [{
+    _id: false,
+    name: { type: String, trim: true, required: true },
+    values: [{ type: String, trim: true }],
+  }],
+
+  // Brand / category / subcategory names, copied here so the text index can match them
+  searchTerms: { type: String, default: '' },
   
 }, { timestamps: true });
 
 // Indexes (removed stockQuantity index as it's now in Variant)
 productSchema.index({ category: 1, subcategory: 1 });
 productSchema.index({ brand: 1 });
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+
+// Full-text search (services/searchService.js); a collection can only have one text index
+productSchema.index(
+  { name: 'text', searchTerms: 'text', suitableFor: 'text', ingredients: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, searchTerms: 5, suitableFor: 3, ingredients: 2, description: 1 }
+  }
+);
+
+// Names of the product's brand, category and subcategory joined into one string
+productSchema.statics.buildSearchTerms = async function ({ brand, category, subcategory }) {
+  const [brandDoc, categoryDoc, subcategoryDoc] = await Promise.all([
+    brand ? mongoose.model('Brand').findById(brand).select('name').lean() : null,
+    category ? mongoose.model('Category').findById(category).select('name').lean() : null,
+    subcategory ? mongoose.model('Subcategory').findById(subcategory).select('name').lean() : null
+  ]);
+  return [brandDoc?.name, categoryDoc?.name, subcategoryDoc?.name].filter(Boolean).join(' ');
+};
+
+productSchema.pre('save', async function () {
+  if (this.isNew || this.isModified('brand') || this.isModified('category') || this.isModified('subcategory')) {
+    this.searchTerms = await this.constructor.buildSearchTerms(this);
+  }
+});
 
 
 
@@ -0,0 +1,56 @@
+// models/ProductImport.js
+const mongoose = require('mongoose');
+
+// Outcome of one spreadsheet row (row = line number in the file, header is row 1)
+const importResultSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  sku: { type: String },
+  productName: { type: String },
+  action: { type: String, enum: ['create', 'update', 'error'], required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+  messages: [{ type: String }]                      // validation / write errors of the row
+}, { _id: false });
+
+// CSV/XLSX catalog import (services/productImportService.js):
+//   validated  - file parsed and checked (dry run), nothing written yet
+//   queued     - confirmed, waiting for the background job
+//   processing - rows being upserted; `results` grows as rows are applied
+//   completed / failed
+const productImportSchema = new mongoose.Schema({
+  fileName: { type: String, trim: true },
+  format: { type: String, enum: ['csv', 'xlsx'], required: true },
+  status: {
+    type: String,
+    enum: ['validated', 'queued', 'processing', 'completed', 'failed'],
+    default: 'validated'
+  },
+
+  rows: { type: [mongoose.Schema.Types.Mixed], default: [] },   // normalized rows, cleared when done
+  totalRows: { type: Number, default: 0 },
+  validation: {
+    validRows: { type: Number, default: 0 },
+    invalidRows: { type: Number, default: 0 },
+    report: { type: [importResultSchema], default: [] }
+  },
+
+  results: { type: [importResultSchema], default: [] },
+  summary: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  error: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  startedAt: { type: Date },
+  heartbeatAt: { type: Date },
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+productImportSchema.index({ status: 1, heartbeatAt: 1 });
+productImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ProductImport', productImportSchema);
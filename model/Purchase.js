@@ -5,13 +5,20 @@ const ProductPurchaseSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 1 },
   unitPrice: { type: Number, required: true, min: 0 },
   taxPercent: { type: Number, default: 0 },
+  // Received as a stock lot with this expiry / supplier batch number
+  expiryDate: { type: Date, default: null },
+  batchNumber: { type: String, trim: true, default: null },
 });
 
 const PurchaseSchema = new mongoose.Schema({
   purchaseCode: { type: String, required: true, unique: true },
   date: { type: Date, default: Date.now },
   supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
-  status: { type: String, enum: ['Pending', 'Completed', 'Cancelled', 'Refunded', 'Partial'], default: 'Pending' },
+  // Where the goods are received (services/locationService.js); null on older purchases = default location
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+  // Draft = ordered from the supplier, not received yet: holds no stock until confirmed
+  // (suggested reorders become drafts, services/reorderService.js)
+  status: { type: String, enum: ['Draft', 'Pending', 'Completed', 'Cancelled', 'Refunded', 'Partial'], default: 'Pending' },
   products: [ProductPurchaseSchema],
   payment: {
     amountPaid: { type: Number, default: 0 },
@@ -0,0 +1,35 @@
+// models/ReorderSuggestion.js
+const mongoose = require('mongoose');
+
+// One suggested purchase line (services/reorderService.js). The nightly job replaces every
+// `open` suggestion; `ordered` (turned into a draft Purchase) and `dismissed` ones are kept.
+const reorderSuggestionSchema = new mongoose.Schema({
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  sku: { type: String },
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', default: null },   // null → choose one when ordering
+
+  // the figures the suggestion was computed from
+  stockQuantity: { type: Number, default: 0 },
+  reservedQuantity: { type: Number, default: 0 },
+  onOrder: { type: Number, default: 0 },              // units on draft purchases
+  reorderPoint: { type: Number, default: 0 },
+  reorderQuantity: { type: Number, default: 0 },
+  unitsSold: { type: Number, default: 0 },            // over the last `salesDays`
+  salesDays: { type: Number, default: 30 },
+  dailySales: { type: Number, default: 0 },
+
+  suggestedQuantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, default: 0 },
+
+  status: { type: String, enum: ['open', 'ordered', 'dismissed'], default: 'open' },
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase', default: null },
+  computedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+reorderSuggestionSchema.index({ status: 1, supplier: 1 });
+reorderSuggestionSchema.index({ variant: 1, status: 1 });
+
+module.exports = mongoose.model('ReorderSuggestion', reorderSuggestionSchema);
@@ -0,0 +1,68 @@
+// models/Return.js
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },   // _id of the line in order.items
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 },                   // net price paid per unit (order discount + tax applied)
+  reason: { type: String, trim: true },
+
+  // Filled in when the goods arrive back
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+  condition: { type: String, enum: ['resellable', 'damaged'] }
+});
+
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0.01 },
+  method: { type: String, trim: true },            // e.g. PayPal, Cash, Store Credit
+  reference: { type: String, trim: true },
+  note: { type: String, trim: true },
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  refundedAt: { type: Date, default: Date.now }
+});
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: { type: String, unique: true, required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },   // null for guest orders
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  reason: { type: String, trim: true },
+  photos: [{ type: String }],
+
+  // requested → approved → received → refunded; requested → rejected
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  adminNotes: { type: String, trim: true },
+  rejectionReason: { type: String, trim: true },
+
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: { type: Date },
+
+  refunds: [refundSchema],
+  refundedAmount: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+returnSchema.virtual('itemsValue').get(function () {
+  return Number(this.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0).toFixed(2));
+});
+
+returnSchema.set('toJSON', { virtuals: true });
+returnSchema.set('toObject', { virtuals: true });
+
+returnSchema.index({ order: 1 });
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Return', returnSchema);
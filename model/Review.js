@@ -0,0 +1,35 @@
+// models/Review.js
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },   // delivered order the purchase was verified with
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true, maxlength: 150 },
+  comment: { type: String, trim: true, maxlength: 5000 },
+  photos: [{ type: String }],
+  verifiedPurchase: { type: Boolean, default: false },
+
+  // Only approved reviews are public and count towards the product rating
+  status: { type: String, enum: ['pending', 'approved', 'hidden'], default: 'pending' },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date },
+  moderationNote: { type: String, trim: true },
+
+  reply: {
+    text: { type: String, trim: true },
+    repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    repliedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+// One review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
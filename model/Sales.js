@@ -4,15 +4,35 @@ const ProductSaleSchema = new mongoose.Schema({
   variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
   quantity: { type: Number, required: true, min: 1 },
   price: { type: Number, required: true, min: 0 },
+  offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', default: null }, // set when price came from an active offer
+  offerDiscount: { type: Number, default: 0 },
   taxPercent: { type: Number, default: 0 },
   taxType: { type: String, enum: ['Inclusive', 'Exclusive'], default: 'Exclusive' },
   unitCost: { type: Number, required: true, min: 0 },
+  // Component snapshot when the variant is a bundle (per bundle unit)
+  bundleItems: [{
+    _id: false,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  }],
+  // Stock lots the line was filled from (FEFO)
+  lotAllocations: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+    quantity: Number,
+    restored: { type: Number, default: 0 },
+    expiryDate: Date,
+  }],
 });
 
 const SalesSchema = new mongoose.Schema({
   saleCode: { type: String, required: true, unique: true },
   date: { type: Date, default: Date.now },
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Selling branch (services/locationService.js); null on older sales = default location
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
   status: {
     type: String,
     enum: ['Pending', 'Completed', 'Cancelled', 'Refunded', 'Partial'],
@@ -0,0 +1,19 @@
+// models/StockAlert.js
+const mongoose = require('mongoose');
+
+// "Notify me when available" for one variant (see services/stockAlertService.js)
+const stockAlertSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  status: { type: String, enum: ['pending', 'notified', 'cancelled'], default: 'pending' },
+  notifiedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// One open alert per customer and variant
+stockAlertSchema.index({ user: 1, variant: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+stockAlertSchema.index({ variant: 1, status: 1 });
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
@@ -0,0 +1,37 @@
+// models/StockLot.js
+const mongoose = require('mongoose');
+
+// One batch of a variant's stock with its own expiry date and cost (services/stockLotService.js).
+// The sum of `remaining` over active lots equals Variant.stockQuantity:
+//   active   - units left on the shelf
+//   depleted - everything sold / adjusted out
+//   expired  - written off by the nightly expiry job (expiredQuantity units)
+const stockLotSchema = new mongoose.Schema({
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  sku: { type: String },
+  lotNumber: { type: String, required: true, unique: true },
+  batchNumber: { type: String, trim: true, default: null },   // supplier's batch / lot code
+  quantity: { type: Number, required: true, min: 0 },          // units received
+  remaining: { type: Number, required: true, min: 0 },
+  expiredQuantity: { type: Number, default: 0 },
+  expiryDate: { type: Date, default: null },
+  unitCost: { type: Number, min: 0, default: 0 },
+  source: {
+    type: String,
+    enum: ['purchase', 'adjustment', 'import', 'return', 'opening'],
+    required: true
+  },
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase', default: null },
+  referenceId: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'depleted', 'expired'], default: 'active' },
+  receivedAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true
+});
+
+stockLotSchema.index({ variant: 1, status: 1, expiryDate: 1 });
+stockLotSchema.index({ status: 1, expiryDate: 1 });
+stockLotSchema.index({ purchase: 1 });
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
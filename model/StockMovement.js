@@ -21,10 +21,30 @@ const stockMovementSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now },
   reason: { type: String, required: true, trim: true },
   referenceId: { type: String, trim: true },
+  // Set when the movement is a component deduction / restock for a bundle sold as one line
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant',
+    default: null,
+  },
+  // Lots the units came out of / went back into (services/stockLotService.js)
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    quantity: Number,
+  }],
+  // Locations the units left / arrived at (services/locationService.js)
+  locations: [{
+    _id: false,
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+    quantity: Number,
+  }],
+  // null = system action (jobs, no admin account yet); shown as "System"
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
   },
 }, {
   timestamps: true,
@@ -33,5 +53,6 @@ const stockMovementSchema = new mongoose.Schema({
 stockMovementSchema.index({ variant: 1, createdAt: -1 });
 stockMovementSchema.index({ sku: 1 });
 stockMovementSchema.index({ movementType: 1 });
+stockMovementSchema.index({ 'locations.location': 1, createdAt: -1 });
 
 module.exports = mongoose.model('StockMovement', stockMovementSchema);
\ No newline at end of file
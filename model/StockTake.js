@@ -0,0 +1,49 @@
+// models/StockTake.js
+const mongoose = require('mongoose');
+
+const stockTakeLineSchema = new mongoose.Schema({
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  sku: { type: String },
+  barcode: { type: String, default: null },
+  productName: { type: String },
+  optionLabel: { type: String },
+  expectedQuantity: { type: Number, required: true, min: 0 },   // stock at the location when the count started
+  unitCost: { type: Number, default: 0 },                       // purchasePrice when the count started
+  countedQuantity: { type: Number, default: null, min: 0 },     // null until counted
+  countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  countedAt: { type: Date, default: null },
+  postedQuantity: { type: Number, default: 0 }                  // stock change actually booked when posted
+});
+
+// counting → posted; counting → cancelled.
+// Expected quantities are frozen when the count is created; posting books each counted
+// line's variance (counted − expected) as a 'Stock Take' StockMovement.
+const stockTakeSchema = new mongoose.Schema({
+  takeNumber: { type: String, unique: true, required: true },
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+  filters: {
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', default: null },
+    brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null }
+  },
+  lines: [stockTakeLineSchema],
+  status: {
+    type: String,
+    enum: ['counting', 'posted', 'cancelled'],
+    default: 'counting'
+  },
+  notes: { type: String, trim: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedAt: { type: Date },
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ location: 1, status: 1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
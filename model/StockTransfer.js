@@ -0,0 +1,66 @@
+// models/StockTransfer.js
+const mongoose = require('mongoose');
+
+const transferLineSchema = new mongoose.Schema({
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  sku: { type: String },
+  quantity: { type: Number, required: true, min: 1 },          // units sent
+  receivedQuantity: { type: Number, default: 0, min: 0 },      // units booked in at the destination so far
+  discrepancyQuantity: { type: Number, default: 0, min: 0 },   // units written off when the transfer was closed short
+  // Stock lots the units left with (FEFO at dispatch); received units go back into them
+  lotAllocations: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+    quantity: Number,
+    restored: { type: Number, default: 0 },
+    expiryDate: Date
+  }]
+});
+
+const receiptSchema = new mongoose.Schema({
+  lines: [{
+    _id: false,
+    line: { type: mongoose.Schema.Types.ObjectId, required: true },   // _id of the line in transfer.lines
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+    quantity: { type: Number, required: true, min: 0 }
+  }],
+  note: { type: String, trim: true },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: { type: Date, default: Date.now }
+});
+
+// draft → in_transit → received; draft → cancelled.
+// Units leave the source location on dispatch and arrive at the destination per receipt;
+// a transfer closed short writes the missing units off as a discrepancy.
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: { type: String, unique: true, required: true },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+  lines: {
+    type: [transferLineSchema],
+    validate: [lines => lines.length > 0, 'At least one line is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'in_transit', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  notes: { type: String, trim: true },
+  receipts: [receiptSchema],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedAt: { type: Date },
+  receivedAt: { type: Date },
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ from: 1, status: 1 });
+stockTransferSchema.index({ to: 1, status: 1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,56 @@
+// models/Subscription.js
+const mongoose = require('mongoose');
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  quantity: { type: Number, required: true, min: 1 }
+});
+
+// One entry per scheduled run (see services/subscriptionService.js)
+const runSchema = new mongoose.Schema({
+  scheduledFor: { type: Date, required: true },
+  result: { type: String, enum: ['ordered', 'skipped', 'failed'], required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  reason: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionNumber: { type: String, unique: true, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  interval: {
+    every: { type: Number, required: true, min: 1, max: 52 },
+    unit: { type: String, enum: ['day', 'week', 'month'], default: 'week' }
+  },
+  nextRunAt: { type: Date, required: true },
+  shippingAddress: {
+    fullName: { type: String, required: true },
+    phone: { type: String, required: true },
+    street: { type: String, required: true },
+    email: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String },
+    zip: { type: String, required: true }
+  },
+  paymentMethod: { type: String, enum: ['COD', 'Online'], required: true },
+  notes: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'paused', 'cancelled'], default: 'active' },
+  pausedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String, trim: true },
+  reminderSentFor: { type: Date, default: null },   // nextRunAt the last reminder email was about
+  lastOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  runs: { type: [runSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
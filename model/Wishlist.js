@@ -0,0 +1,17 @@
+// models/Wishlist.js
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },   // null = the product in general
+  addedAt: { type: Date, default: Date.now }
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: { type: [wishlistItemSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -59,6 +59,59 @@ const appConfigurationSchema = new mongoose.Schema({
     min: 0,
   },
 
+  // Unpaid online orders release their reserved stock after this many minutes
+  reservationTimeoutMinutes: {
+    type: Number,
+    default: 30,
+    min: 1,
+  },
+
+  // Customers with an untouched cart get one abandoned_cart email after this many hours (0 = off)
+  abandonedCartHours: {
+    type: Number,
+    default: 24,
+    min: 0,
+  },
+
+  // Autoship customers are reminded this many days before each subscription order (0 = off)
+  subscriptionReminderDays: {
+    type: Number,
+    default: 3,
+    min: 0,
+  },
+
+  // Low stock / reordering (services/reorderService.js): variants without their own
+  // reorderPoint use defaultReorderPoint; suggestions cover reorderCoverDays of the average
+  // daily sales over the last reorderSalesDays
+  defaultReorderPoint: {
+    type: Number,
+    default: 10,
+    min: 0,
+  },
+  reorderSalesDays: {
+    type: Number,
+    default: 30,
+    min: 1,
+  },
+  reorderCoverDays: {
+    type: Number,
+    default: 14,
+    min: 1,
+  },
+
+  // Web orders are picked from this location (null = the default location)
+  fulfillmentLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null,
+  },
+
+  // Attach the PDF invoice to order_placed and payment_confirmation emails
+  attachInvoicePdf: {
+    type: Boolean,
+    default: false,
+  },
+
   street_address: {
     type: String,
     trim: true,
@@ -11,6 +11,16 @@ const variantSchema = new mongoose.Schema({
   attribute: { type: String, trim: true },
   value: { type: String, trim: true },
 
+  // Ordered option combination following Product.options, e.g. [Size=M, Color=Red].
+  // attribute / value / optionLabel are derived from it ("Size / Color", "M / Red",
+  // "Size: M, Color: Red") so single-option variants and older code keep working.
+  optionValues: [{
+    _id: false,
+    name: { type: String, trim: true, required: true },
+    value: { type: String, trim: true, required: true },
+  }],
+  optionLabel: { type: String, trim: true },
+
 sku: {
   type: String,
   trim: true,
@@ -23,6 +33,14 @@ sku: {
   }
 },
 
+  // EAN / UPC printed on the item; scanned at stock takes
+  barcode: {
+    type: String,
+    trim: true,
+    default: null,
+    set: (v) => (v === undefined || v === null || v.toString().trim() === '' ? null : v.toString().trim()),
+  },
+
   unit: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Unit',
@@ -67,6 +85,25 @@ sku: {
     default: 0,
   },
 
+  // Reordering (services/reorderService.js): low stock at or below reorderPoint
+  // (null → AppConfiguration.defaultReorderPoint); suggested purchases order at least
+  // reorderQuantity, from preferredSupplier
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null,
+  },
+
   expiryDate: {
     type: Date,
     validate: {
@@ -91,6 +128,21 @@ sku: {
     default: 'Active',
   },
 
+  // Bundle / kit composition (see services/bundleService.js). A bundle holds no stock of its
+  // own: availability comes from its components and orders / sales deduct the components.
+  bundleItems: [{
+    _id: false,
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  }],
+
+  // fixed: the variant's own price; sum_minus_discount: components' price total less a discount
+  bundlePricing: {
+    mode: { type: String, enum: ['fixed', 'sum_minus_discount'], default: 'fixed' },
+    discountType: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+    discountValue: { type: Number, min: 0, default: 0 },
+  },
+
   isDeleted: { type: Boolean, default: false },
 },
 {
@@ -108,6 +160,27 @@ variantSchema.virtual('availableStock').get(function () {
   return this.stockQuantity - this.reservedQuantity;
 });
 
+// { attribute, value, optionLabel } for an ordered list of { name, value }
+variantSchema.statics.describeOptions = function (optionValues = []) {
+  return {
+    attribute: optionValues.map(o => o.name).join(' / '),
+    value: optionValues.map(o => o.value).join(' / '),
+    optionLabel: optionValues.map(o => `${o.name}: ${o.value}`).join(', '),
+  };
+};
+
+// Keep optionValues and the derived attribute / value / optionLabel in sync on save
+variantSchema.pre('validate', function (next) {
+  if (this.optionValues?.length && (this.isNew || this.isModified('optionValues'))) {
+    Object.assign(this, this.constructor.describeOptions(this.optionValues));
+  } else if (this.attribute && (this.isNew || this.isModified('attribute') || this.isModified('value'))) {
+    // an attribute without a value (e.g. imported rows) has no option to record
+    this.optionValues = this.value ? [{ name: this.attribute, value: this.value }] : [];
+    this.optionLabel = this.value ? `${this.attribute}: ${this.value}` : this.attribute;
+  }
+  next();
+});
+
 variantSchema.virtual('effectivePrice').get(function () {
   return this.discountPrice > 0 ? this.discountPrice : this.price;
 });
@@ -121,7 +194,9 @@ variantSchema.index({ product: 1, attribute: 1, value: 1 }, { unique: true });
 variantSchema.index({ stockQuantity: 1 });
 variantSchema.index({ expiryDate: 1 });
 variantSchema.index({ status: 1 });
+variantSchema.index({ barcode: 1 }, { sparse: true });
 variantSchema.index({ isDeleted: 1 });
+variantSchema.index({ 'bundleItems.variant': 1 });
 
 
 
@@ -15,7 +15,9 @@ const requireRole = (roles) => (req, res, next) => {
 const {
   // createAppConfiguration,
   updateAppConfiguration,
-  getAppConfigurationById
+  getAppConfigurationById,
+  getNumberCounters,
+  updateNumberCounter
 } = require("../controller/appConfigurationController");
 
 // Create new configuration
@@ -27,5 +29,9 @@ router.put("/set/:id", authMiddleware, requireRole(['Super Admin', 'Manager']),
 // Get configuration (no file upload needed)
 router.get("/get",  getAppConfigurationById);
 
+// Document numbering: prefixes, padding and yearly reset per type
+router.get("/counters", authMiddleware, requireRole(['Super Admin', 'Manager']), getNumberCounters);
+router.put("/counters/:type", authMiddleware, requireRole(['Super Admin']), updateNumberCounter);
+
 module.exports = router;
 
@@ -12,6 +12,7 @@ const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
 const { createNotification } = require('../utils/createNotification');
+const { claimGuestOrders } = require('../services/guestOrderService');
 
 // ────────────────────────────────────────────────
 // Notify admins about new user registration
@@ -136,6 +137,9 @@ router.post('/api/v1/auth/google', async (req, res) => {
       { $set: { lastLogin: new Date() } }
     );
 
+    // Google verified the email, so guest orders placed with it belong to this user
+    const claimedOrders = await claimGuestOrders(user);
+
     await RefreshToken.deleteMany({ userId: user._id });
 
     const accessToken = jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, { expiresIn: '120m' });
@@ -167,6 +171,7 @@ router.post('/api/v1/auth/google', async (req, res) => {
       msg: 'Login successful',
       accessToken,
       user: updatedUser,
+      claimedOrders,
     });
   } catch (err) {
     console.error('Google auth error:', err);
@@ -206,6 +211,8 @@ router.post('/api/v1/auth/verify-otp1', async (req, res) => {
     user.otpExpires = undefined;
     await user.save();
 
+    const claimedOrders = await claimGuestOrders(user);
+
     await RefreshToken.deleteMany({ userId: user._id });
 
     const accessToken = jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, { expiresIn: '120m' });
@@ -237,6 +244,7 @@ router.post('/api/v1/auth/verify-otp1', async (req, res) => {
       msg: 'Email verified successfully! You are now logged in.',
       accessToken,
       user: updatedUser,
+      claimedOrders,
     });
   } catch (err) {
     console.error('Server error in verify-otp:', err);
@@ -268,6 +276,9 @@ router.post('/api/v1/auth/login', async (req, res) => {
       return res.status(400).json({ success: false, msg: 'Account inactive' });
     }
 
+    // Only verified emails may pick up guest orders
+    const claimedOrders = user.isOtpVerified ? await claimGuestOrders(user) : 0;
+
     await User.collection.updateOne(
       { _id: user._id },
       { $set: { lastLogin: new Date() } }
@@ -304,6 +315,7 @@ router.post('/api/v1/auth/login', async (req, res) => {
       msg: 'Login successful',
       accessToken,
       user: updatedUser,
+      claimedOrders,
     });
   } catch (err) {
     console.error('Login error:', err);
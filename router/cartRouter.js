@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart
+} = require('../controller/cartController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+// Signed-in callers use their own cart; without a login the X-Cart-Token cart is used
+const optionalAuth = (req, res, next) => {
+  const hasToken = req.headers.authorization?.startsWith('Bearer ') || req.cookies?.access_token;
+  if (!hasToken) return next();
+  authMiddleware(req, res, next);
+};
+
+router.get('/', optionalAuth, getCart);
+router.delete('/', optionalAuth, clearCart);
+router.post('/items', optionalAuth, addToCart);
+router.put('/items/:itemId', optionalAuth, updateCartItem);
+router.delete('/items/:itemId', optionalAuth, removeCartItem);
+router.post('/merge', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), mergeCart);
+
+module.exports = router;
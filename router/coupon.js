@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} = require('../controller/couponController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager']), getAllCoupons);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), getCouponById);
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager']), createCoupon);
+router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), updateCoupon);
+router.delete('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), deleteCoupon);
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const customerPaymentController = require('../controller/customerPaymentController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 // All routes require authentication
-router.post('/', authMiddleware, customerPaymentController.createPayment);
+router.post('/', authMiddleware, idempotency, customerPaymentController.createPayment);
 router.put('/:id', authMiddleware, customerPaymentController.updatePayment);
 router.delete('/:id', authMiddleware, customerPaymentController.deletePayment);
 router.get('/', authMiddleware, customerPaymentController.getAllPayments);
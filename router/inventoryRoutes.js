@@ -5,12 +5,14 @@ const {
   addInventory,
   getInventoryDashboard,
   updateInventory,
-  getSingleVariant
+  getSingleVariant,
+  getStockLots
 } = require('../controller/inventoryController');
 
 router.post('/add', addInventory);
 router.put('/update/:variantId', updateInventory);
 router.get('/summary', getInventoryDashboard);
+router.get('/lots', getStockLots);
 router.get('/:variantId', getSingleVariant); 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  getLocationStock,
+  updateLocation,
+  deleteLocation
+} = require('../controller/locationController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getAllLocations);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getLocationById);
+router.get('/:id/stock', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getLocationStock);
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager']), createLocation);
+router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), updateLocation);
+router.delete('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), deleteLocation);
+
+module.exports = router;
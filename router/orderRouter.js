@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const nodemailer = require('nodemailer');
-const { createNotification } = require('../utils/createNotification');
 
 const Order = require('../model/Order');
-const Product = require('../model/Product');
-const Variant = require('../model/variantProduct');
-const User = require('../model/User');
-const AppConfiguration = require('../model/app_configuration');
-const SmtpConfig = require('../model/SmtpConfig');
-const EmailTemplate = require('../model/EmailTemplate');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { releaseStock } = require('../services/stockReservationService');
+const { reverseCouponRedemption } = require('../services/couponService');
+const { getCurrencySettings, priceOrder, placeOrder, notifyOrderPlaced } = require('../services/orderService');
+const { transitionOrder, notifyOrderChanges } = require('../services/orderStateMachine');
+const { createReturnRequest, notifyReturnUpdate } = require('../services/returnService');
+const { getFulfillment, createShipment, updateShipment } = require('../services/shipmentService');
+const { loadOrder, renderOrderInvoice, renderPackingSlip } = require('../services/documentService');
+const { orderAccessConfigured, signOrderAccessToken, verifyOrderAccessToken } = require('../services/guestOrderService');
+const { removeOrderedItems } = require('../services/cartService');
 
 const requireRole = roles => (req, res, next) => {
   if (!req.user || !roles.includes(req.user.role)) {
@@ -20,205 +22,83 @@ const requireRole = roles => (req, res, next) => {
   next();
 };
 
-const calculateStoreDiscount = async (subtotal) => {
-  const config = await AppConfiguration.findOne().lean();
-  if (!config || !config.enableStoreDiscount) return 0;
 
-  if (subtotal < config.minimumOrderAmount) return 0;
-
-  const percentageDiscount = (subtotal * config.discountPercentage) / 100;
-  const finalDiscount = Math.min(percentageDiscount, config.maxDiscountAmount);
-
-  return Number(finalDiscount.toFixed(2));
-};
-
-
-// ────────────────────────────────────────────────
-// Generators
-// ────────────────────────────────────────────────
-
-const generateOrderNumber = async () => {
-  const last = await Order.findOne().sort({ createdAt: -1 }).select('orderNumber');
-  if (!last) return '#ORD-001';
-  const num = parseInt(last.orderNumber.replace('#ORD-', '')) + 1;
-  return `#ORD-${num.toString().padStart(3, '0')}`;
-};
-
-const generateTrackingNumber = async () => {
-  const last = await Order.findOne().sort({ createdAt: -1 }).select('orderTrackingNumber');
-  if (!last || !last.orderTrackingNumber) return '#TRK-LEY-321-001';
-  const num = parseInt(last.orderTrackingNumber.replace('#TRK-LEY-321-', '')) + 1;
-  return `#TRK-LEY-321-${num.toString().padStart(3, '0')}`;
-};
+// Client-facing breakdown of a priceOrder() result (shared by /quote and strict-mode rejections)
+const buildQuote = (pricing, currency) => ({
+  items: pricing.orderItems.map((item, i) => {
+    const info = pricing.variantsToCheck[i];
+    return {
+      product: item.product,
+      variant: item.variant,
+      name: info.name,
+      attribute: info.attribute,
+      value: info.value,
+      optionLabel: info.optionLabel,
+      quantity: item.quantity,
+      regularPrice: item.regularPrice,
+      price: item.price,
+      discount: item.discount,
+      offer: item.offer ? { _id: item.offer, offerName: item.offerName } : null,
+      total: Number(item.total.toFixed(2))
+    };
+  }),
+  subtotal: Number(pricing.subtotal.toFixed(2)),
+  storeDiscount: pricing.storeDiscount,
+  coupon: pricing.coupon && {
+    code: pricing.coupon.code,
+    discountType: pricing.coupon.discountType,
+    discount: pricing.coupon.discount,
+    freeShipping: pricing.coupon.freeShipping
+  },
+  discount: pricing.discount,
+  taxRate: pricing.taxRate,
+  tax: pricing.tax,
+  shipping: pricing.shipping,
+  total: pricing.total,
+  currency
+});
 
 // ────────────────────────────────────────────────
-// Helpers
+// POST /orders/quote - Authoritative price breakdown without placing an order
+// Accepts the same payload as POST /orders
 // ────────────────────────────────────────────────
 
-const getCurrencySettings = async () => {
-  try {
-    const config = await AppConfiguration.findOne().lean().select('currencyName currencyCode currencySign');
-    return config || {
-      currencyName: 'US Dollar',
-      currencyCode: 'USD',
-      currencySign: '$',
-    };
-  } catch (err) {
-    console.error('Error fetching currency settings:', err);
-    return { currencyName: 'US Dollar', currencyCode: 'USD', currencySign: '$' };
-  }
-};
-
-const getActiveSmtpConfig = async () => {
+router.post('/quote', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), async (req, res) => {
   try {
-    return await SmtpConfig.findOne({ status: 'active' }).lean() || null;
-  } catch (err) {
-    console.error('Error fetching SMTP config:', err);
-    return null;
-  }
-};
-
-const getEmailTemplate = async (type) => {
-  try {
-    return await EmailTemplate.findOne({ type, status: 'active' }).lean() || null;
-  } catch (err) {
-    console.error(`Error fetching template for ${type}:`, err);
-    return null;
-  }
-};
-
-const renderTemplate = (content, variables) => {
-  let rendered = content;
-  for (const [key, value] of Object.entries(variables)) {
-    rendered = rendered.replace(new RegExp(`{{${key}}}`, 'g'), value || '');
-  }
-  return rendered;
-};
-
-const buildProductRows = (order) => {
-  return order.items.map(item => `
-    <tr>
-      <td>${item.product?.name || "Product"}</td>
-      <td align="center">${item.quantity}</td>
-      <td align="right">${item.price}</td>
-      <td align="right">${item.total}</td>
-    </tr>
-  `).join("");
-};
-
-const createTransporter = (smtpConfig) => {
-  if (!smtpConfig) return null;
-  return nodemailer.createTransport({
-    host: smtpConfig.host,
-    port: smtpConfig.port,
-    secure: smtpConfig.encryption === 'SSL/TLS',
-    auth: {
-      user: smtpConfig.username,
-      pass: smtpConfig.password,
-    },
-  });
-};
-const sendEmail = async (to, templateType, variables = {}) => {
-  const smtp = await getActiveSmtpConfig();
-  if (!smtp) return;
-
-  const template = await getEmailTemplate(templateType);
-  if (!template) return;
+    const { items, couponCode, shipping = 5.99 } = req.body;
 
-  const transporter = createTransporter(smtp);
-  if (!transporter) return;
+    const pricing = await priceOrder({ items, userId: req.user.id, couponCode, shipping });
+    const currency = await getCurrencySettings();
 
-  try {
-    const subject = renderTemplate(template.subject, variables);
-    const html = renderTemplate(template.content, variables);
-
-    await transporter.sendMail({
-      from: `${template.fromName} <${template.fromEmail}>`,
-      to,
-      subject,
-      html
+    res.json({
+      success: true,
+      data: buildQuote(pricing, currency)
     });
-
-    console.log(`Email sent to ${to} [${templateType}]`);
   } catch (err) {
-    console.error(`Email failed [${templateType}]:`, err);
-  }
-};
-
-/**
- * Improved low-stock check:
- * - Uses availableStock (stock - reserved)
- * - Batch fetches products to avoid N+1
- * - Sends notification per low variant
- */
-const checkAndSendLowStockAlerts = async (variants, adminEmail) => {
-  // Use available stock (recommended)
-  const lowStockVariants = variants.filter(v => {
-    const reserved = v.reservedQuantity || 0;
-    return (v.stockQuantity - reserved) < 5;
-  });
-
-  if (lowStockVariants.length === 0) return;
-
-  // Get unique product IDs
-  const productIds = [...new Set(lowStockVariants.map(v => v.product))];
-
-  // Batch fetch products
-  const products = await Product.find({ _id: { $in: productIds } })
-    .select('name')
-    .lean();
-
-  const productMap = new Map(products.map(p => [p._id.toString(), p]));
-
-  // Enrich variants with product data
-  const enriched = lowStockVariants.map(v => ({
-    ...v,
-    product: productMap.get(v.product.toString()) || { name: 'Unknown Product' }
-  }));
-
-  // Email (combined list)
-  const lowStockItems = enriched
-    .map(v => `${v.name} - ${v.attribute || 'N/A'}: ${v.value || 'N/A'} (Stock: ${v.stockQuantity || "Few"})`)
-
-    .join('<br>');
-
-  if (adminEmail) {
-    await sendEmail(adminEmail, 'low_stock_alert', { lowStockItems });
-  }
-
-  // In-app notifications for all admins/managers
-  const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
-    .select('_id')
-    .lean();
-
-  for (const v of enriched) {
-    const msg = `${v.name} (${v.attribute}: ${v.value}) → only ${v.stockQuantity} left`;
-
-    for (const admin of admins) {
-      await createNotification({
-        userId: admin._id,
-        type: 'low_stock_alert',
-        title: 'Low Stock Alert',
-        message: msg,
-        related: { productId: v.product._id?.toString() }
-      }).catch(err => console.error('Low stock notification failed:', err));
+    if (err.code === 'ORDER_VALIDATION' || err.code === 'INVALID_COUPON') {
+      return res.status(400).json({ success: false, msg: err.message });
     }
+    console.error('Order quote error:', err);
+    res.status(500).json({ success: false, msg: 'Server error building quote', error: err.message });
   }
-};
+});
 
 // ────────────────────────────────────────────────
 // POST /orders - Create order
+// POST /orders/guest - Create order without an account (no req.user)
 // ────────────────────────────────────────────────
 
-
-router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), async (req, res) => {
+const createOrder = async (req, res) => {
   try {
+    const isGuest = !req.user;
     const {
       items,
-      subtotal: clientSubtotal,     // for logging / optional soft check only
+      subtotal: clientSubtotal,     // for logging only
       tax: clientTax = 0,
-      discount: clientDiscount = 0, // ignored for now (future: coupons)
-      total: clientTotal,
+      discount: clientDiscount = 0, // ignored: discounts come from store config + couponCode
+      total: clientTotal,           // checked against the quote in strict mode
+      strict = false,
+      couponCode,
       paymentMethod,
       shippingAddress,
       notes,
@@ -242,215 +122,93 @@ router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Custome
       !shippingAddress.fullName || !shippingAddress.phone || !shippingAddress.email) {
       return res.status(400).json({ success: false, msg: 'Complete shipping address and email required' });
     }
+    // Guests can only reach their order through its access token: refuse before anything is reserved
+    if (isGuest && !orderAccessConfigured()) {
+      return res.status(503).json({ success: false, msg: 'Guest checkout is not available, please sign in' });
+    }
+    // Coupon limits are per customer, so guests have to sign in to use one
+    if (isGuest && couponCode) {
+      return res.status(400).json({ success: false, msg: 'Please sign in to use a coupon code' });
+    }
 
-    // ── Server-authoritative subtotal calculation ────────────────────────
-    const orderItems = [];
-    let computedSubtotal = 0;
-    const variantsToCheck = [];
-
-    for (const itm of items) {
-      if (!mongoose.Types.ObjectId.isValid(itm.product)) {
-        return res.status(400).json({ success: false, msg: `Invalid product ID: ${itm.product}` });
-      }
-
-      const product = await Product.findById(itm.product)
-        .populate({ path: 'variations', select: 'attribute value sku price discountPrice stockQuantity image product reservedQuantity' });
-
-      if (!product) {
-        return res.status(400).json({ success: false, msg: `Product not found: ${itm.product}` });
-      }
-
-      if (!product.variations?.length) {
-        return res.status(400).json({ success: false, msg: `No variations for product ${product.name}` });
-      }
-
-      const qty = Number(itm.quantity);
-      if (isNaN(qty) || qty <= 0) {
-        return res.status(400).json({ success: false, msg: `Invalid quantity for ${product.name}` });
+    // ── Server-authoritative pricing ──────────────────────────────────────
+    let pricing;
+    try {
+      pricing = await priceOrder({ items, userId: req.user?.id, couponCode, shipping });
+    } catch (err) {
+      if (err.code === 'ORDER_VALIDATION' || err.code === 'INVALID_COUPON') {
+        return res.status(400).json({ success: false, msg: err.message });
       }
+      throw err;
+    }
 
-      if (!itm.variant || !mongoose.Types.ObjectId.isValid(itm.variant)) {
-        return res.status(400).json({ success: false, msg: `Valid variant required for ${product.name}` });
-      }
+    const { variantsToCheck, subtotal: computedSubtotal, total: calculatedTotal, config } = pricing;
 
-      const variant = product.variations.find(v => v._id.toString() === itm.variant);
-      if (!variant) {
-        return res.status(400).json({ success: false, msg: `Variant not found` });
+    // Strict mode (body `strict: true` or `?strict=true`): reject if the client total is stale
+    const strictMode = strict === true || strict === 'true' || req.query.strict === 'true';
+    if (strictMode) {
+      if (clientTotal === undefined || clientTotal === null || isNaN(Number(clientTotal))) {
+        return res.status(400).json({ success: false, msg: 'Total is required in strict mode' });
       }
-
-      if (variant.stockQuantity < qty) {
-        return res.status(400).json({
+      if (Math.abs(Number(clientTotal) - calculatedTotal) > 0.01) {
+        const currency = await getCurrencySettings();
+        return res.status(409).json({
           success: false,
-          msg: `Insufficient stock for ${product.name} (${variant.attribute}: ${variant.value})`
+          msg: 'Order total does not match the current price. Please review the updated quote.',
+          data: buildQuote(pricing, currency)
         });
       }
-
-      const price = variant.discountPrice ?? variant.price;
-      const lineTotal = price * qty;
-
-      orderItems.push({
-        product: itm.product,
-        variant: itm.variant,
-        quantity: qty,
-        price,
-        total: lineTotal
-      });
-
-      computedSubtotal += lineTotal;
-
-      variantsToCheck.push({
-        _id: variant._id,
-        product: product._id,
-        name: product.name,
-        attribute: variant.attribute,
-        value: variant.value,
-        stockQuantity: variant.stockQuantity,
-        reservedQuantity: variant.reservedQuantity || 0
-      });
-    }
-
-    // Optional: log mismatch (can be turned into rejection later)
-    if (Math.abs(computedSubtotal - Number(clientSubtotal)) > 0.05) {
+    } else if (Math.abs(computedSubtotal - Number(clientSubtotal)) > 0.05) {
       console.warn(`[ORDER] Subtotal mismatch - client: ${clientSubtotal}, server: ${computedSubtotal}`);
-      // You can return 400 here if you want strict mode
     }
 
-    // ── Apply store discount (server decides) ─────────────────────────────
-    const appliedDiscount = await calculateStoreDiscount(computedSubtotal);
-
-    // ── Final server-side totals ──────────────────────────────────────────
-    const config = await AppConfiguration.findOne().lean();
-    const taxRate = config?.tax || 0;
-    const calculatedTax = (computedSubtotal * taxRate) / 100;
-    const calculatedShipping = Number(shipping);
-    const calculatedTotal = computedSubtotal + calculatedTax + calculatedShipping - appliedDiscount;
-
-
-
+    // Customers pay through /api/v1/payments/paypal; only staff may record a payment directly
+    const staffPayment = ['Super Admin', 'Manager'].includes(req.user?.role);
 
-   
-
-    // ── Create order with SERVER values only ──────────────────────────────
-    const orderNumber = await generateOrderNumber();
-    const trackingNumber = await generateTrackingNumber();
-
-    const order = new Order({
-      user: req.user.id,
-      orderNumber,
-      orderTrackingNumber: trackingNumber,
-      items: orderItems,
-      subtotal: computedSubtotal,          // ← trusted value
-      tax: calculatedTax,
-      discount: appliedDiscount,           // ← trusted store discount
-      shipping: calculatedShipping,
-      total: calculatedTotal,              // ← trusted final total
-      paymentMethod,
-      paymentProvider: paymentProvider || null,
-      paymentId: paymentId || null,
-      paymentResponse: paymentResponse || null,
-      isPaymentVerified: isPaymentVerified || false,
-      paymentStatus: paymentStatus || (paymentMethod === 'COD' ? 'unpaid' : null),
-      status: 'pending',
-      trackingStatus: 'not shipped',
-      shippingAddress,
-      notes: notes || ''
-    });
-
-    await order.save();
-
-    // Populate for emails & response
-    await order.populate('items.product', 'name thumbnail images');
-    await order.populate({
-      path: 'items.variant',
-      select: 'attribute value sku price discountPrice stockQuantity image'
-    });
-    await order.populate('user', 'name email phone');
-
-    // ── Notifications ─────────────────────────────────────────────────────
-    const currency = await getCurrencySettings();
-    const totalFormatted = `${currency.currencySign}${calculatedTotal.toFixed(2)}`;
-
-    // Fix: use calculatedTotal instead of client total
-    // Web Push
+    // ── Reserve stock + save order atomically (services/orderService.js) ──
+    let order;
     try {
-      const PushSubscription = require('../model/PushSubscription');
-      const { sendNotification } = require('../utils/sendPushNotification');
-
-      const adminSubs = await PushSubscription.find({
-        role: { $in: ['Super Admin', 'Manager'] }
-      }).select('endpoint keys');
-
-      if (adminSubs.length > 0) {
-        await Promise.allSettled(
-          adminSubs.map(sub =>
-            sendNotification(
-              { endpoint: sub.endpoint, keys: sub.keys },
-              'New Order Received!',
-              `${orderNumber} • ${totalFormatted} • ${paymentMethod.toUpperCase()}`,
-              { orderId: order._id.toString(), url: `/admin/orders/${order._id}` }
-            ).catch(err => console.warn('Push failed:', err.message))
-          )
-        );
+      order = await placeOrder(pricing, {
+        user: req.user?.id || null,
+        actor: req.user || null,
+        guest: isGuest
+          ? { name: shippingAddress.fullName, email: shippingAddress.email, phone: shippingAddress.phone }
+          : undefined,
+        paymentMethod,
+        paymentProvider,
+        shippingAddress,
+        notes,
+        payment: staffPayment ? { isPaymentVerified, paymentId, paymentResponse, paymentStatus } : {}
+      });
+    } catch (err) {
+      if (err.code === 'INVALID_COUPON') {
+        return res.status(400).json({ success: false, msg: err.message });
+      }
+      if (err.code === 'INSUFFICIENT_STOCK') {
+        const failed = variantsToCheck.find(v => v._id.toString() === err.variantId);
+        return res.status(400).json({
+          success: false,
+          msg: failed
+            ? `Insufficient stock for ${failed.name} (${failed.optionLabel})`
+            : 'Insufficient stock for one or more items'
+        });
       }
-    } catch (pushErr) {
-      console.error('Push notification error:', pushErr);
+      throw err;
     }
+    const { orderNumber } = order;
 
-    // Email + In-app (use calculatedTotal)
-    try {
-      const productRows = buildProductRows(order);
-
-      const customerVars = {
-        customerName: order.shippingAddress.fullName,
-        orderId: order.orderNumber,
-        orderTotal: totalFormatted,
-        paymentMethod: order.paymentMethod,
-        shippingAddress: `${order.shippingAddress.fullName}, ${order.shippingAddress.street}, ${order.shippingAddress.city}, ${order.shippingAddress.zip}`,
-        productRows,
-        orderTrackingUrl: `https://al-bready-website.vercel.app/orders/track/${order.orderTrackingNumber}`
-      };
-
-      await sendEmail(order.user.email, 'order_placed', customerVars);
-
-      const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
-        .select('_id email name')
-        .lean();
-
-      for (const admin of admins) {
-        if (admin.email) {
-          const adminVars = {
-            orderId: order.orderNumber,
-            customerName: order.shippingAddress.fullName,
-            customerEmail: order.shippingAddress.email,
-            orderTotal: totalFormatted,
-            paymentMethod: order.paymentMethod,
-            shippingAddress: `${order.shippingAddress.fullName}, ${order.shippingAddress.street}, ${order.shippingAddress.city}, ${order.shippingAddress.zip}`,
-            productRows,
-            adminOrderUrl: `https://al-bready-admin.vercel.app/admin/orders/${order._id}`
-          };
-
-          await sendEmail(admin.email, 'order_placed_admin', adminVars);
-        }
+    // The ordered lines leave the customer's server cart
+    await removeOrderedItems(req.user?.id, pricing.orderItems);
 
-        await createNotification({
-          userId: admin._id,
-          type: 'order_placed',
-          title: 'New Order Received',
-          message: `Order ${orderNumber} • ${totalFormatted} • ${paymentMethod.toUpperCase()}`,
-          related: { orderId: order._id.toString() }
-        }).catch(err => console.error('Notification failed:', err));
-      }
+    // Guests reach their order through this token (tracking link, /orders/guest/:token)
+    const accessToken = isGuest ? signOrderAccessToken(order) : undefined;
 
-      if (variantsToCheck.length > 0) {
-        await checkAndSendLowStockAlerts(variantsToCheck, admins[0]?.email || null);
-      }
-    } catch (err) {
-      console.error('Email/notification error (non-critical):', err);
-    }
+    await notifyOrderPlaced(order, { variantsToCheck, config, accessToken });
 
     res.status(201).json({
       success: true,
       data: order,
+      ...(accessToken && { accessToken }),
       msg: `Order ${orderNumber} placed successfully`
     });
   } catch (err) {
@@ -464,13 +222,59 @@ router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Custome
       error: err.message
     });
   }
+};
+
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), idempotency, createOrder);
+router.post('/guest', idempotency, createOrder);
+
+// ────────────────────────────────────────────────
+// GET /orders/guest/:token - a guest's order, authorised by its access token
+// ────────────────────────────────────────────────
+
+const loadGuestOrder = async (req, res) => {
+  const access = verifyOrderAccessToken(req.params.token);
+  if (!access) {
+    res.status(401).json({ success: false, msg: 'Invalid or expired order link' });
+    return null;
+  }
+  const order = await loadOrder(access.orderId);
+  if (!order) {
+    res.status(404).json({ success: false, msg: 'Order not found' });
+    return null;
+  }
+  return order;
+};
+
+router.get('/guest/:token', async (req, res) => {
+  try {
+    const order = await loadGuestOrder(req, res);
+    if (!order) return;
+
+    const currency = await getCurrencySettings();
+    res.json({ success: true, data: { order, currency } });
+  } catch (err) {
+    console.error('Error fetching guest order:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
+router.get('/guest/:token/invoice.pdf', async (req, res) => {
+  try {
+    const order = await loadGuestOrder(req, res);
+    if (!order) return;
+
+    sendPdf(res, `invoice-${order.orderNumber}.pdf`, await renderOrderInvoice(order));
+  } catch (err) {
+    console.error('Error generating guest invoice:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
 });
 
 router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice stockQuantity image')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image')
       .populate('user', 'name email phone');
 
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
@@ -492,7 +296,7 @@ router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer
 
     const orders = await Order.find(query)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice effectivePrice total stockQuantity image product')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice effectivePrice total stockQuantity image product')
       .populate('user', 'name email phone')
       .sort({ createdAt: -1 })
       .skip((page - 1) * Number(limit))
@@ -515,7 +319,7 @@ router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer
 router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { shippingAddress, notes, paymentStatus, status, orderTrackingNumber, deliveryDate, deliveryPartner } = req.body;
+    const { shippingAddress, notes, paymentStatus, status, trackingStatus, orderTrackingNumber, deliveryDate, deliveryPartner, reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id))
       return res.status(400).json({ success: false, msg: 'Invalid order ID' });
@@ -523,93 +327,44 @@ router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), asyn
     const order = await Order.findById(id).populate('items.variant user');
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
-    const oldStatus = order.status;
-
-    const update = {};
-
-    if (shippingAddress) update.shippingAddress = shippingAddress;
-    if (notes) update.notes = notes;
-    if (deliveryDate) update.deliveryDate = deliveryDate;
-    if (deliveryPartner) update.deliveryPartner = deliveryPartner;
-    if (orderTrackingNumber) update.orderTrackingNumber = orderTrackingNumber;
-
-    if (status) {
-      const valid = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
-      if (!valid.includes(status))
-        return res.status(400).json({ success: false, msg: `Invalid status: ${status}` });
-
-      update.status = status;
+    if (shippingAddress) order.shippingAddress = shippingAddress;
+    if (notes) order.notes = notes;
+    if (deliveryDate) order.deliveryDate = deliveryDate;
+    if (deliveryPartner) order.deliveryPartner = deliveryPartner;
+    if (orderTrackingNumber) order.orderTrackingNumber = orderTrackingNumber;
 
-      if (status === 'confirmed' && order.paymentMethod === 'COD') {
-        update.paymentStatus = 'unpaid';
-      } else if (status === 'delivered') {
-        update.paymentStatus = 'paid';
-      } else if (status === 'cancelled') {
-        update.paymentStatus = 'unpaid';
-      }
-    }
-
-    if (paymentStatus) {
-      if (paymentStatus === 'paid' && order.status !== 'delivered') {
-        return res.status(400).json({ success: false, msg: 'COD payment can only be marked after delivery.' });
+    // Status / tracking / payment changes go through the state machine (stock, coupon, history)
+    let changes = [];
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      changes = await transitionOrder(
+        order,
+        { status, trackingStatus, paymentStatus },
+        { actor: req.user, note: reason, session }
+      );
+      await order.save({ session });
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      if (err.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({ success: false, msg: err.message });
       }
-      if (order.status === 'cancelled' && paymentStatus === 'paid') {
-        return res.status(400).json({ success: false, msg: 'Cancelled orders cannot have payment marked as paid' });
+      if (err.code === 'INSUFFICIENT_STOCK') {
+        return res.status(400).json({ success: false, msg: `Not enough stock to fulfil order: ${err.message}` });
       }
-      update.paymentStatus = paymentStatus;
+      throw err;
+    } finally {
+      session.endSession();
     }
 
-    if (status === 'cancelled') {
-      for (const item of order.items) {
-        if (item.variant && mongoose.Types.ObjectId.isValid(item.variant._id)) {
-          await Variant.findByIdAndUpdate(
-            item.variant._id,
-            { $inc: { stockQuantity: item.quantity } },
-            { runValidators: true }
-          );
-        }
-      }
-    }
+    await notifyOrderChanges(order, changes);
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true })
+    const updatedOrder = await Order.findById(id)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice stockQuantity image')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image')
       .populate('user', 'name email phone');
 
-    // Status change notification + email
-    if (status && status !== oldStatus) {
-      try {
-        const currency = await getCurrencySettings();
-        const totalFormatted = `${currency.currencySign}${updatedOrder.total.toFixed(2)}`;
-
-        const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
-          .select('_id')
-          .lean();
-
-        for (const admin of admins) {
-          await createNotification({
-            userId: admin._id,
-            type: 'order_status_updated',
-            title: 'Order Status Updated',
-            message: `Order ${updatedOrder.orderNumber} → ${updatedOrder.status} (was ${oldStatus})`,
-            related: { orderId: updatedOrder._id.toString() }
-          });
-        }
-
-        const variables = {
-          user_name: updatedOrder.user.name,
-          order_number: updatedOrder.orderNumber,
-          order_status: updatedOrder.status,
-          order_oldStatus: oldStatus,
-          order_total: totalFormatted,
-          order_trackingNumber: updatedOrder.orderTrackingNumber,
-        };
-        await sendEmail(updatedOrder.user.email, 'order_status_updated', variables);
-      } catch (err) {
-        console.error('Status update notification/email error:', err);
-      }
-    }
-
     res.json({
       success: true,
       data: updatedOrder,
@@ -629,7 +384,7 @@ router.delete('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), a
 
     const order = await Order.findById(id)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice stockQuantity image');
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image');
 
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
@@ -637,12 +392,21 @@ router.delete('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), a
       return res.status(400).json({ success: false, msg: 'Cannot delete delivered/paid orders' });
 
     if (order.status === 'pending') {
-      for (const item of order.items) {
-        if (item.variant) {
-          await Variant.findByIdAndUpdate(item.variant, { $inc: { stockQuantity: item.quantity } });
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+        if (order.stockReservation === 'reserved') {
+          await releaseStock(order.items, session);
         }
+        await reverseCouponRedemption(order._id, session);
+        await Order.deleteOne({ _id: id }, { session });
+        await session.commitTransaction();
+      } catch (err) {
+        await session.abortTransaction();
+        throw err;
+      } finally {
+        session.endSession();
       }
-      await Order.findByIdAndDelete(id);
       res.json({ success: true, data: order, msg: `Order ${order.orderNumber} deleted successfully` });
     } else {
       return res.status(400).json({ success: false, msg: 'Only pending orders can be deleted' });
@@ -656,36 +420,50 @@ router.delete('/:id', authMiddleware, requireRole(['Super Admin', 'Manager']), a
 router.put('/:id/tracking', authMiddleware, requireRole(['Super Admin', 'Manager']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { trackingStatus, orderTrackingNumber } = req.body;
+    const { trackingStatus, orderTrackingNumber, reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id))
       return res.status(400).json({ success: false, msg: 'Invalid order ID' });
 
-    const valid = ['not shipped', 'shipped', 'in transit', 'out for delivery', 'delivered', 'cancelled'];
-    if (trackingStatus && !valid.includes(trackingStatus))
-      return res.status(400).json({ success: false, msg: `Invalid tracking status: ${trackingStatus}` });
-
-    const order = await Order.findById(id);
+    const order = await Order.findById(id).populate('user', 'name email');
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
-    if (trackingStatus && ['delivered', 'cancelled'].includes(order.trackingStatus))
-      return res.status(400).json({ success: false, msg: `Cannot change tracking from ${order.trackingStatus}` });
-
     if (orderTrackingNumber) {
       const exists = await Order.findOne({ orderTrackingNumber, _id: { $ne: id } });
       if (exists) return res.status(400).json({ success: false, msg: 'Tracking number already used' });
     }
 
-    const upd = {};
-    if (trackingStatus) upd.trackingStatus = trackingStatus;
-    if (orderTrackingNumber) upd.orderTrackingNumber = orderTrackingNumber;
-
-    if (!Object.keys(upd).length)
+    if (!trackingStatus && !orderTrackingNumber)
       return res.status(400).json({ success: false, msg: 'Nothing to update' });
 
-    const updated = await Order.findByIdAndUpdate(id, { $set: upd }, { new: true })
+    if (trackingStatus && order.shipments.some(s => s.trackingStatus !== 'cancelled'))
+      return res.status(400).json({ success: false, msg: 'Order has shipments, update their tracking instead' });
+
+    if (orderTrackingNumber) order.orderTrackingNumber = orderTrackingNumber;
+
+    // Tracking moves can move the order status too (e.g. delivered → order delivered)
+    let changes = [];
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      changes = await transitionOrder(order, { trackingStatus }, { actor: req.user, note: reason, session });
+      await order.save({ session });
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      if (err.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({ success: false, msg: err.message });
+      }
+      throw err;
+    } finally {
+      session.endSession();
+    }
+
+    await notifyOrderChanges(order, changes);
+
+    const updated = await Order.findById(id)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice stockQuantity image')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image')
       .populate('user', 'name email phone');
 
     res.json({ success: true, data: updated, msg: `Tracking updated for ${updated.orderNumber}` });
@@ -695,32 +473,210 @@ router.put('/:id/tracking', authMiddleware, requireRole(['Super Admin', 'Manager
   }
 });
 
+// ────────────────────────────────────────────────
+// Shipments - split an order into several parcels
+// ────────────────────────────────────────────────
+
+// Runs a shipment change in a transaction and answers with the updated order
+const saveShipmentChange = async (req, res, apply) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return res.status(400).json({ success: false, msg: 'Invalid order ID' });
+
+  const order = await Order.findById(id).populate('user', 'name email');
+  if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
+
+  let result;
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    result = await apply(order, session);
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    if (err.code === 'SHIPMENT_VALIDATION' || err.code === 'INVALID_TRANSITION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
+    if (err.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({ success: false, msg: `Not enough stock to fulfil order: ${err.message}` });
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyOrderChanges(order, result.changes);
+
+  return res.json({
+    success: true,
+    data: {
+      shipment: result.shipment,
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        trackingStatus: order.trackingStatus,
+        fulfillmentStatus: order.fulfillmentStatus,
+        fulfillment: getFulfillment(order)
+      }
+    },
+    msg: `Shipment ${result.shipment.shipmentNumber} saved`
+  });
+};
+
+// body: { items?: [{ orderItem, quantity }], deliveryPartner, trackingNumber, trackingStatus, notes }
+router.post('/:id/shipments', authMiddleware, requireRole(['Super Admin', 'Manager']), async (req, res) => {
+  try {
+    await saveShipmentChange(req, res, (order, session) =>
+      createShipment(order, req.body, { actor: req.user, session }));
+  } catch (err) {
+    console.error('Error creating shipment:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
+// body: { trackingStatus, deliveryPartner, trackingNumber, notes, reason }
+router.put('/:id/shipments/:shipmentId', authMiddleware, requireRole(['Super Admin', 'Manager']), async (req, res) => {
+  try {
+    await saveShipmentChange(req, res, (order, session) =>
+      updateShipment(order, req.params.shipmentId, req.body, { actor: req.user, session }));
+  } catch (err) {
+    console.error('Error updating shipment:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
+// ────────────────────────────────────────────────
+// Printable documents
+// ────────────────────────────────────────────────
+
+const sendPdf = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename.replace(/[^a-zA-Z0-9.-]/g, '')}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+router.get('/:id/invoice.pdf', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id))
+      return res.status(400).json({ success: false, msg: 'Invalid order ID' });
+
+    const order = await loadOrder(id);
+    if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
+
+    if (req.user.role === 'Customer' && order.user?._id.toString() !== req.user.id.toString())
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+
+    sendPdf(res, `invoice-${order.orderNumber}.pdf`, await renderOrderInvoice(order));
+  } catch (err) {
+    console.error('Error generating invoice:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
+// ?shipment=<shipmentId> limits the slip to one shipment
+router.get('/:id/packing-slip.pdf', authMiddleware, requireRole(['Super Admin', 'Manager']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shipment } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(id))
+      return res.status(400).json({ success: false, msg: 'Invalid order ID' });
+
+    const order = await loadOrder(id);
+    if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
+
+    if (shipment && !order.shipments.id(shipment))
+      return res.status(404).json({ success: false, msg: 'Shipment not found' });
+
+    sendPdf(res, `packing-slip-${order.orderNumber}.pdf`, await renderPackingSlip(order, { shipmentId: shipment }));
+  } catch (err) {
+    console.error('Error generating packing slip:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
+// ────────────────────────────────────────────────
+// GET /orders/:id/timeline - statusHistory, oldest first
+// ────────────────────────────────────────────────
+
+router.get('/:id/timeline', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id))
+      return res.status(400).json({ success: false, msg: 'Invalid order ID' });
+
+    const order = await Order.findById(id)
+      .select('user orderNumber status trackingStatus paymentStatus statusHistory createdAt')
+      .populate('statusHistory.changedBy', 'name role')
+      .lean();
+
+    if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
+
+    if (req.user.role === 'Customer' && order.user?.toString() !== req.user.id.toString())
+      return res.status(403).json({ success: false, msg: 'Access denied' });
+
+    const timeline = [...(order.statusHistory || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        current: {
+          status: order.status,
+          trackingStatus: order.trackingStatus,
+          paymentStatus: order.paymentStatus || 'unpaid'
+        },
+        timeline
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching order timeline:', err);
+    res.status(500).json({ success: false, msg: 'Server error', error: err.message });
+  }
+});
+
 router.get('/track/:identifier', async (req, res) => {
   try {
     const { identifier } = req.params;
     const query = mongoose.Types.ObjectId.isValid(identifier)
       ? { _id: identifier }
-      : { orderTrackingNumber: identifier };
+      : { $or: [{ orderTrackingNumber: identifier }, { 'shipments.trackingNumber': identifier }] };
 
     const order = await Order.findOne(query)
       .populate('items.product', 'name thumbnail images')
-      .populate('items.variant', 'attribute value sku price discountPrice stockQuantity image')
+      .populate('items.variant', 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image')
       .populate('user', 'name email phone');
 
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
-    if (req.user?.role === 'Customer' && order.user.toString() !== req.user.id)
+    if (req.user?.role === 'Customer' && order.user?.toString() !== req.user.id)
       return res.status(403).json({ success: false, msg: 'Access denied' });
 
     const slim = {
       orderNumber: order.orderNumber,
       orderTrackingNumber: order.orderTrackingNumber,
       trackingStatus: order.trackingStatus,
+      fulfillmentStatus: order.fulfillmentStatus,
       status: order.status,
       shippingAddress: order.shippingAddress,
       createdAt: order.createdAt,
       updatedAt: order.updatedAt,
-      items: order.items
+      items: order.items,
+      shipments: order.shipments.map(shipment => ({
+        shipmentNumber: shipment.shipmentNumber,
+        deliveryPartner: shipment.deliveryPartner,
+        trackingNumber: shipment.trackingNumber,
+        trackingStatus: shipment.trackingStatus,
+        shippedAt: shipment.shippedAt,
+        deliveredAt: shipment.deliveredAt,
+        items: shipment.items,
+        events: shipment.events.map(({ trackingStatus, note, at }) => ({ trackingStatus, note, at }))
+      }))
     };
 
     const currency = await getCurrencySettings();
@@ -761,6 +717,7 @@ router.get('/key/public-key', (req, res) => {
   });
 });
 
+// Kept for existing clients: requests a return of every remaining item (see /api/v1/returns)
 router.post('/:orderId/refund-request', authMiddleware, async (req, res) => {
   try {
     const { reason } = req.body;
@@ -768,27 +725,18 @@ router.post('/:orderId/refund-request', authMiddleware, async (req, res) => {
 
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
-    if (order.user.toString() !== req.user.id && !['Super Admin', 'Manager'].includes(req.user.role)) {
+    if (order.user?.toString() !== req.user.id.toString() && !['Super Admin', 'Manager'].includes(req.user.role)) {
       return res.status(403).json({ success: false, msg: 'Not allowed' });
     }
 
-    if (order.paymentStatus !== 'paid') {
-      return res.status(400).json({ success: false, msg: 'Only paid orders can be refunded' });
-    }
-
-    if (order.status === 'returned' || order.paymentStatus === 'refunded') {
-      return res.status(400).json({ success: false, msg: 'Refund already requested or processed' });
-    }
+    const ret = await createReturnRequest(order, { reason: reason || 'No reason provided' });
+    await notifyReturnUpdate(ret, { created: true });
 
-    order.status = 'returned';
-    order.paymentStatus = 'refunded';
-    order.refundReason = reason || 'No reason provided';
-    order.refundRequestedAt = new Date();
-
-    await order.save();
-
-    res.json({ success: true, msg: 'Refund request submitted successfully', order });
+    res.json({ success: true, msg: 'Refund request submitted successfully', order, return: ret });
   } catch (err) {
+    if (err.code === 'RETURN_VALIDATION') {
+      return res.status(err.status || 400).json({ success: false, msg: err.message });
+    }
     console.error('Refund request error:', err);
     res.status(500).json({ success: false, msg: 'Refund request failed', error: err.message });
   }
@@ -812,90 +760,39 @@ router.post('/verify-payment', authMiddleware, requireRole(['Super Admin', 'Mana
 
     if (!order) return res.status(404).json({ success: false, msg: 'Order not found' });
 
-    if (order.status === 'cancelled') {
-      return res.status(400).json({ success: false, msg: 'Cannot modify payment status of cancelled orders' });
+    if (isPaymentVerified && order.isPaymentVerified) {
+      return res.status(400).json({ success: false, msg: 'Payment is already verified' });
     }
 
     const previousPaymentStatus = order.paymentStatus;
     const previousIsVerified = order.isPaymentVerified;
 
-    if (isPaymentVerified) {
-      if (order.isPaymentVerified) {
-        return res.status(400).json({ success: false, msg: 'Payment is already verified' });
-      }
-      if (order.status === 'returned') {
-        return res.status(400).json({ success: false, msg: 'Cannot verify payment for returned orders' });
-      }
-
-      order.isPaymentVerified = true;
-      order.paymentStatus = 'paid';
-      order.paymentVerifiedAt = new Date();
-      order.paymentVerifiedBy = req.user.id;
-
-      if (order.status === 'pending') {
-        order.status = 'confirmed';
-      }
-
-      // ── NEW: Payment confirmation notification ────────
-      const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
-        .select('_id')
-        .lean();
-
-      const currency = await getCurrencySettings();
-      const totalFormatted = `${currency.currencySign}${order.total.toFixed(2)}`;
-
-      for (const admin of admins) {
-        await createNotification({
-          userId: admin._id,
-          type: 'payment_confirmation',
-          title: 'Payment Confirmed',
-          message: `Order ${order.orderNumber} - ${totalFormatted} payment verified`,
-          related: { orderId: order._id.toString() }
-        }).catch(err => console.error('Payment confirmation notification failed:', err));
+    // paid → confirms a pending order (deducting its reserved stock); unpaid → clears verification
+    let changes = [];
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      changes = await transitionOrder(
+        order,
+        { paymentStatus: isPaymentVerified ? 'paid' : 'unpaid' },
+        { actor: req.user, note: reason || 'No reason provided', session }
+      );
+      await order.save({ session });
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      if (err.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({ success: false, msg: err.message });
       }
-    } else {
-      if (order.paymentStatus === 'refunded') {
-        return res.status(400).json({ success: false, msg: 'Cannot unverify refunded orders' });
+      if (err.code === 'INSUFFICIENT_STOCK') {
+        return res.status(400).json({ success: false, msg: `Not enough stock to fulfil order: ${err.message}` });
       }
-
-      order.isPaymentVerified = false;
-      order.paymentStatus = 'unpaid';
-      order.paymentVerifiedAt = null;
-      order.paymentVerifiedBy = null;
+      throw err;
+    } finally {
+      session.endSession();
     }
 
-    if (!order.paymentHistory) order.paymentHistory = [];
-    order.paymentHistory.push({
-      action: isPaymentVerified ? 'mark-paid' : 'mark-unpaid',
-      previousStatus: previousPaymentStatus,
-      newStatus: order.paymentStatus,
-      previousVerified: previousIsVerified,
-      newVerified: order.isPaymentVerified,
-      reason: reason || 'No reason provided',
-      performedBy: req.user.id,
-      performedByRole: req.user.role,
-      timestamp: new Date()
-    });
-
-    await order.save();
-
-    // Payment confirmation email
-    if (isPaymentVerified) {
-      try {
-        const currency = await getCurrencySettings();
-        const totalFormatted = `${currency.currencySign}${order.total.toFixed(2)}`;
-        const variables = {
-          user_name: order.user.name,
-          order_number: order.orderNumber,
-          order_total: totalFormatted,
-          order_status: order.status,
-          order_paymentMethod: order.paymentMethod,
-        };
-        await sendEmail(order.user.email, 'payment_confirmation', variables);
-      } catch (err) {
-        console.error('Payment confirmation email error:', err);
-      }
-    }
+    await notifyOrderChanges(order, changes);
 
     res.json({
       success: true,
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controller/paymentController');
+const idempotency = require('../middleware/idempotency');
 
-router.post('/', paymentController.createPayment);
+router.post('/', idempotency, paymentController.createPayment);
 router.put('/:id', paymentController.updatePayment);
 router.delete('/:id', paymentController.deletePayment);
 router.get('/', paymentController.getAllPayments);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { createOrder, captureOrder, webhook } = require('../controller/paypalController');
+
+const authMiddleware = require('../middleware/auth');
+const { verifyOrderAccessToken } = require('../services/guestOrderService');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+// Guest checkout pays with the order access token (X-Order-Token) instead of a login
+const authOrOrderToken = (roles) => (req, res, next) => {
+  const token = req.get('X-Order-Token');
+  if (!token) {
+    return authMiddleware(req, res, () => requireRole(roles)(req, res, next));
+  }
+  const access = verifyOrderAccessToken(token);
+  if (!access) {
+    return res.status(401).json({ success: false, msg: 'Invalid or expired order token' });
+  }
+  req.orderAccess = access;
+  next();
+};
+
+router.post('/orders', authOrOrderToken(['Super Admin', 'Manager', 'Customer']), createOrder);
+router.post('/orders/:orderId/capture', authOrOrderToken(['Super Admin', 'Manager', 'Customer']), captureOrder);
+
+// PayPal → us; authenticated by webhook signature verification
+router.post('/webhook', webhook);
+
+module.exports = router;
@@ -5,6 +5,10 @@ const upload = require('../config/multer'); // Assuming multer config for multip
 
 const { createProduct, getAllProducts, updateProduct, deleteProduct, getProductById } = require('../controller/productController'); // Note: path to controller
 const productController = require('../controller/productController');
+const { getAllReviews } = require('../controller/reviewController');
+const productImportController = require('../controller/productImportController');
+const variantController = require('../controller/variantController');
+const multer = require('multer');
 // Auth and role middleware
 const authMiddleware = require('../middleware/auth');
 const requireRole = (roles) => (req, res, next) => {
@@ -14,6 +18,18 @@ const requireRole = (roles) => (req, res, next) => {
   next();
 };
 
+// Catalog import files are parsed in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) return cb(null, true);
+    const error = new Error('Only .csv and .xlsx files can be imported');
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error, false);
+  },
+});
+
 // =============================================================================
 // PRODUCT ROUTES: Full CRUD with Image Upload (Protected for Manager/Super Admin)
 // =============================================================================
@@ -28,6 +44,37 @@ router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager']), upload
   { name: 'thumbnail', maxCount: 1 }  // Single file under 'thumbnail' field
 ]), createProduct);
 
+// GET /api/products/search - Full-text search with facets
+router.get('/search', productController.searchProducts);
+
+// GET /api/products/search/suggest - Search box autocomplete
+router.get('/search/suggest', productController.getSearchSuggestions);
+
+// GET /api/products/export - Catalog export (CSV / XLSX, same columns as the import)
+router.get('/export', authMiddleware, requireRole(['Super Admin', 'Manager']), productImportController.exportProducts);
+
+// /api/products/import - Bulk import: upload = dry run, /:importId/run = background upsert by SKU
+router.post('/import', authMiddleware, requireRole(['Super Admin', 'Manager']), importUpload.single('file'), productImportController.uploadImport);
+router.get('/import', authMiddleware, requireRole(['Super Admin', 'Manager']), productImportController.getImports);
+router.get('/import/:importId', authMiddleware, requireRole(['Super Admin', 'Manager']), productImportController.getImportById);
+router.post('/import/:importId/run', authMiddleware, requireRole(['Super Admin', 'Manager']), productImportController.runImport);
+
+// GET /api/products/reviews - Review moderation queue (all products)
+router.get('/reviews', authMiddleware, requireRole(['Super Admin', 'Manager']), getAllReviews);
+
+// /api/products/:id/reviews - Reviews & ratings of one product
+router.use('/:id/reviews', require('./reviewRouter'));
+
+// PUT /api/products/:id/options - Define variant options (Size, Color, ...)
+router.put('/:id/options', authMiddleware, requireRole(['Super Admin', 'Manager']), variantController.setProductOptions);
+
+// POST /api/products/:id/variants/generate - Create the option combination matrix (?preview=true to dry run)
+router.post('/:id/variants/generate', authMiddleware, requireRole(['Super Admin', 'Manager']), variantController.generateVariants);
+
+// GET/PUT /api/products/:id/variants/:variantId/bundle - Bundle / kit composition and pricing
+router.get('/:id/variants/:variantId/bundle', variantController.getVariantBundle);
+router.put('/:id/variants/:variantId/bundle', authMiddleware, requireRole(['Super Admin', 'Manager']), variantController.setVariantBundle);
+
 // GET /api/products/:id - View Product Details
 router.get('/:id',  getProductById);
 
@@ -53,6 +100,7 @@ router.get('/category/:categoryIdOrName', async (req, res) => {
     const Subcategory = require('../model/Subcategory');
     const Brand = require('../model/Brand');
     const Unit = require('../model/Unit');
+    const { lowStockProductIds } = require('../services/reorderService');
 
     // Local helper functions (copied from controller for independence)
     const findCategoryByIdOrName = async (value) => {
@@ -118,7 +166,10 @@ router.get('/category/:categoryIdOrName', async (req, res) => {
     }
     if (status) filter.status = status;
     if (name) filter.name = { $regex: name, $options: 'i' };
-    if (lowStock === 'true') filter.stockQuantity = { $lt: 10 };
+    if (lowStock === 'true') {
+      filter._id = { $in: await lowStockProductIds() };
+      filter.type = { $ne: 'bundle' };
+    }
 
     // Reuse the aggregation pipeline from getAllProducts but with enforced filter
     const pipeline = [
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const purchaseController = require('../controller/purchaseController');
+const idempotency = require('../middleware/idempotency');
 
 // Create a new purchase
-router.post('/', purchaseController.createPurchase);
+router.post('/', idempotency, purchaseController.createPurchase);
 
 // Get all purchases with pagination, sorting, and filtering
 router.get('/', purchaseController.getAllPurchases);
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSuggestions,
+  refreshSuggestions,
+  createPurchases,
+  dismiss
+} = require('../controller/reorderController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.get('/suggestions', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getSuggestions);
+router.post('/suggestions/refresh', authMiddleware, requireRole(['Super Admin', 'Manager']), refreshSuggestions);
+router.put('/suggestions/:id/dismiss', authMiddleware, requireRole(['Super Admin', 'Manager']), dismiss);
+router.post('/purchases', authMiddleware, requireRole(['Super Admin', 'Manager']), createPurchases);
+
+module.exports = router;
@@ -12,6 +12,8 @@ router.get('/low-stock', ReportController.getLowStockProducts);
 router.get('/expired', ReportController.getExpiredProducts);
 router.get('/revenue-by-category', ReportController.getRevenueByCategory);
 router.get('/profit-loss', ReportController.getProfitLossReport);
+router.get('/stock-by-location', ReportController.getStockByLocation);
+router.get('/sales-by-location', ReportController.getSalesByLocation);
 
 
 // routes/reports.js
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../config/multer');
+const {
+  createReturn,
+  getAllReturns,
+  getReturnById,
+  approve,
+  reject,
+  receive,
+  refund
+} = require('../controller/returnController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), upload.array('photos', 5), createReturn);
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), getAllReturns);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), getReturnById);
+
+router.put('/:id/approve', authMiddleware, requireRole(['Super Admin', 'Manager']), approve);
+router.put('/:id/reject', authMiddleware, requireRole(['Super Admin', 'Manager']), reject);
+router.put('/:id/receive', authMiddleware, requireRole(['Super Admin', 'Manager']), receive);
+router.post('/:id/refund', authMiddleware, requireRole(['Super Admin', 'Manager']), refund);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+// Mounted at /api/v1/products/:id/reviews (see router/products.js)
+const router = express.Router({ mergeParams: true });
+const upload = require('../config/multer');
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderate,
+  reply
+} = require('../controller/reviewController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.get('/', getProductReviews);
+router.post('/', authMiddleware, requireRole(['Customer']), upload.array('photos', 5), createReview);
+router.put('/:reviewId', authMiddleware, requireRole(['Customer']), upload.array('photos', 5), updateReview);
+router.delete('/:reviewId', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), deleteReview);
+
+router.put('/:reviewId/moderate', authMiddleware, requireRole(['Super Admin', 'Manager']), moderate);
+router.put('/:reviewId/reply', authMiddleware, requireRole(['Super Admin', 'Manager']), reply);
+
+module.exports = router;
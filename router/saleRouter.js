@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const saleController = require('../controller/salesController');
+const idempotency = require('../middleware/idempotency');
 
 router.get('/', saleController.getAllSales);
-router.post('/', saleController.createSale);
+router.post('/', idempotency, saleController.createSale);
 router.get('/:id', saleController.getSaleById);
+router.get('/:id/receipt.pdf', saleController.getSaleReceipt);
 router.put('/:id', saleController.updateSale);
 router.delete('/:id', saleController.deleteSale);
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  create,
+  getAllStockTakes,
+  getStockTakeById,
+  counts,
+  variance,
+  post,
+  cancel
+} = require('../controller/stockTakeController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager']), create);
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getAllStockTakes);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getStockTakeById);
+router.get('/:id/variance', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), variance);
+
+router.post('/:id/counts', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), counts);
+router.post('/:id/post', authMiddleware, requireRole(['Super Admin', 'Manager']), post);
+router.put('/:id/cancel', authMiddleware, requireRole(['Super Admin', 'Manager']), cancel);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  create,
+  getAllTransfers,
+  getTransferById,
+  update,
+  dispatch,
+  receive,
+  cancel
+} = require('../controller/stockTransferController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.post('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), create);
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getAllTransfers);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), getTransferById);
+router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), update);
+
+router.put('/:id/dispatch', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), dispatch);
+router.put('/:id/receive', authMiddleware, requireRole(['Super Admin', 'Manager', 'Staff']), receive);
+router.put('/:id/cancel', authMiddleware, requireRole(['Super Admin', 'Manager']), cancel);
+
+module.exports = router;
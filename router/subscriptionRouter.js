@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSubscription,
+  getAllSubscriptions,
+  getSubscriptionById,
+  updateSubscription,
+  pause,
+  resume,
+  skip,
+  cancel
+} = require('../controller/subscriptionController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.post('/', authMiddleware, requireRole(['Customer']), createSubscription);
+router.get('/', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), getAllSubscriptions);
+router.get('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), getSubscriptionById);
+router.put('/:id', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), updateSubscription);
+
+router.put('/:id/pause', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), pause);
+router.put('/:id/resume', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), resume);
+router.put('/:id/skip', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), skip);
+router.put('/:id/cancel', authMiddleware, requireRole(['Super Admin', 'Manager', 'Customer']), cancel);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  getStockAlerts,
+  createStockAlert,
+  cancelStockAlert
+} = require('../controller/wishlistController');
+
+const authMiddleware = require('../middleware/auth');
+const requireRole = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, msg: 'Access denied' });
+  }
+  next();
+};
+
+router.get('/', authMiddleware, requireRole(['Customer']), getWishlist);
+router.post('/items', authMiddleware, requireRole(['Customer']), addToWishlist);
+router.delete('/items/:itemId', authMiddleware, requireRole(['Customer']), removeFromWishlist);
+
+router.get('/alerts', authMiddleware, requireRole(['Customer']), getStockAlerts);
+router.post('/alerts', authMiddleware, requireRole(['Customer']), createStockAlert);
+router.delete('/alerts/:id', authMiddleware, requireRole(['Customer']), cancelStockAlert);
+
+module.exports = router;
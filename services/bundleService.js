@@ -0,0 +1,370 @@
+// services/bundleService.js
+const mongoose = require('mongoose');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const { variantLabel } = require('./variantOptionService');
+
+/*
+ * Bundles and kits (e.g. a starter kit = food + bowl + toy).
+ *
+ * A variant of a `type: 'bundle'` product lists its components in `bundleItems`
+ * ([{ variant, quantity }] per bundle unit) and keeps no stock of its own:
+ *
+ *   availability = min over components of floor((stock - reserved) / quantity)
+ *   price        = bundlePricing.mode 'fixed'              → the variant's own price
+ *                  bundlePricing.mode 'sum_minus_discount' → components' effective prices
+ *                                                             less a percentage / fixed discount
+ *
+ * Order and sale lines snapshot the composition (line.bundleItems) so reservations,
+ * deductions and restocks always move the components that were actually sold, and every
+ * StockMovement written for a component points back at the bundle (StockMovement.bundle).
+ */
+
+const MAX_BUNDLE_ITEMS = 20;
+const PRICING_MODES = ['fixed', 'sum_minus_discount'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const bundleError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'BUNDLE_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const parseJson = (input, label) => {
+  if (typeof input !== 'string') return input;
+  try {
+    return JSON.parse(input);
+  } catch (e) {
+    throw bundleError(`Invalid ${label} JSON: ${e.message}`);
+  }
+};
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const isBundle = (variant) => Boolean(variant?.bundleItems?.length);
+
+// { variant, quantity } copy of a bundle's composition for order / sale lines
+const bundleSnapshot = (variant) =>
+  isBundle(variant)
+    ? variant.bundleItems.map(item => ({ variant: item.variant?._id || item.variant, quantity: item.quantity }))
+    : [];
+
+// Map<componentId, lean component> for every component of the given bundles
+const loadComponents = async (bundles, { session } = {}) => {
+  const ids = [...new Set(bundles.flatMap(b => (b.bundleItems || []).map(item => refId(item.variant))))];
+  if (!ids.length) return new Map();
+
+  const components = await Variant.find({ _id: { $in: ids } })
+    .select('product sku attribute value optionValues optionLabel price discountPrice purchasePrice stockQuantity reservedQuantity status bundleItems')
+    .populate('product', 'name')
+    .session(session || null)
+    .lean();
+  return new Map(components.map(c => [c._id.toString(), c]));
+};
+
+const componentAvailable = (component) =>
+  component && component.status === 'Active'
+    ? Math.max(0, (component.stockQuantity || 0) - (component.reservedQuantity || 0))
+    : 0;
+
+// Sellable bundle units; a missing or inactive component makes the bundle unavailable
+const computeAvailability = (bundleItems, componentsById) =>
+  Math.min(...bundleItems.map(item =>
+    Math.floor(componentAvailable(componentsById.get(refId(item.variant))) / item.quantity)));
+
+/**
+ * Price of a bundle from its components:
+ *   componentTotal - sum of component effective prices (discountPrice when set) × quantity
+ *   purchasePrice  - sum of component purchase prices × quantity
+ *   price          - only for 'sum_minus_discount': componentTotal less the discount
+ */
+const computeBundlePrice = (bundleItems, pricing = {}, componentsById) => {
+  let componentTotal = 0;
+  let purchasePrice = 0;
+  for (const item of bundleItems) {
+    const component = componentsById.get(refId(item.variant));
+    if (!component) continue;
+    const unitPrice = component.discountPrice > 0 && component.discountPrice < component.price
+      ? component.discountPrice
+      : component.price;
+    componentTotal += (unitPrice || 0) * item.quantity;
+    purchasePrice += (component.purchasePrice || 0) * item.quantity;
+  }
+
+  const result = { componentTotal: round2(componentTotal), purchasePrice: round2(purchasePrice) };
+  if (pricing.mode === 'sum_minus_discount') {
+    const discount = pricing.discountType === 'fixed'
+      ? pricing.discountValue || 0
+      : (componentTotal * (pricing.discountValue || 0)) / 100;
+    result.price = round2(Math.max(0, componentTotal - discount));
+  }
+  return result;
+};
+
+/**
+ * Replace stockQuantity / reservedQuantity of every bundle in `variants` with its computed
+ * availability (reserved 0), so stock checks written for plain variants work unchanged.
+ * Mutates the given lean objects or (unsaved) documents and returns the list.
+ */
+const applyBundleAvailability = async (variants, { session } = {}) => {
+  const bundles = (variants || []).filter(isBundle);
+  if (!bundles.length) return variants;
+
+  const components = await loadComponents(bundles, { session });
+  for (const bundle of bundles) {
+    bundle.stockQuantity = computeAvailability(bundle.bundleItems, components);
+    bundle.reservedQuantity = 0;
+  }
+  return variants;
+};
+
+/**
+ * Expand order / sale lines ({ variant, quantity, bundleItems }) into the stock they move:
+ * [{ variantId, quantity, bundle, bundleSku, item }]. Plain lines come back as they are; bundle
+ * lines become one entry per component with bundle / bundleSku set. `item` is the source line.
+ */
+const expandStockLines = async (items, { session } = {}) => {
+  const bundleIds = items.filter(item => item.bundleItems?.length).map(item => refId(item.variant));
+  const skus = new Map();
+  if (bundleIds.length) {
+    // bundles deleted since the sale are still named in their components' movements
+    const bundles = await Variant.collection
+      .find({ _id: { $in: bundleIds.map(id => new mongoose.Types.ObjectId(id)) } }, { projection: { sku: 1 }, session })
+      .toArray();
+    for (const bundle of bundles) skus.set(bundle._id.toString(), bundle.sku);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const variantId = item.variant?._id || item.variant;
+    if (!variantId) continue;
+
+    if (!item.bundleItems?.length) {
+      lines.push({ variantId, quantity: item.quantity, bundle: null, bundleSku: null, item });
+      continue;
+    }
+    for (const component of item.bundleItems) {
+      lines.push({
+        variantId: component.variant?._id || component.variant,
+        quantity: component.quantity * item.quantity,
+        bundle: variantId,
+        bundleSku: skus.get(variantId.toString()) || variantId.toString(),
+        item
+      });
+    }
+  }
+  return lines;
+};
+
+// "Order ORD-1 confirmed" → "Order ORD-1 confirmed (bundle KIT-01)" for component movements
+const withBundleReason = (reason, line) => (line.bundle ? `${reason} (bundle ${line.bundleSku})` : reason);
+
+// Validate [{ variant, quantity }] (array or JSON string) against the bundle variant itself
+const normalizeBundleItems = async (input, bundleVariant) => {
+  const items = parseJson(input, 'bundle items');
+  if (!Array.isArray(items) || !items.length) throw bundleError('Bundle items must be a non-empty array');
+  if (items.length > MAX_BUNDLE_ITEMS) throw bundleError(`A bundle can have at most ${MAX_BUNDLE_ITEMS} components`);
+
+  const normalized = [];
+  for (const [i, item] of items.entries()) {
+    const id = refId(item?.variant);
+    const quantity = Number(item?.quantity ?? 1);
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) throw bundleError(`Component ${i + 1}: valid variant ID required`);
+    if (!Number.isInteger(quantity) || quantity < 1) throw bundleError(`Component ${i + 1}: quantity must be a positive integer`);
+    if (id === bundleVariant._id.toString()) throw bundleError('A bundle cannot contain itself');
+    if (normalized.some(n => n.variant.toString() === id)) throw bundleError(`Component ${i + 1}: variant listed more than once`);
+    normalized.push({ variant: new mongoose.Types.ObjectId(id), quantity });
+  }
+
+  const components = await loadComponents([{ bundleItems: normalized }]);
+  for (const [i, item] of normalized.entries()) {
+    const component = components.get(item.variant.toString());
+    if (!component) throw bundleError(`Component ${i + 1}: variant ${item.variant} not found`);
+    if (isBundle(component)) throw bundleError(`Component ${i + 1}: ${component.sku} is itself a bundle; bundles cannot be nested`);
+    if (refId(component.product) === refId(bundleVariant.product)) {
+      throw bundleError(`Component ${i + 1}: ${component.sku} belongs to the bundle product itself`);
+    }
+  }
+
+  return { items: normalized, components };
+};
+
+const normalizePricing = (input = {}, current = {}) => {
+  const pricing = parseJson(input, 'bundle pricing') || {};
+  const mode = pricing.mode || current.mode || 'fixed';
+  const discountType = pricing.discountType || current.discountType || 'percentage';
+  const discountValue = Number(pricing.discountValue ?? current.discountValue ?? 0);
+
+  if (!PRICING_MODES.includes(mode)) throw bundleError(`Pricing mode must be one of: ${PRICING_MODES.join(', ')}`);
+  if (!DISCOUNT_TYPES.includes(discountType)) throw bundleError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  if (isNaN(discountValue) || discountValue < 0) throw bundleError('Discount value must be zero or more');
+  if (discountType === 'percentage' && discountValue > 100) throw bundleError('Percentage discount cannot exceed 100');
+
+  const result = { mode, discountType, discountValue };
+  if (mode === 'fixed' && pricing.price !== undefined) {
+    const price = Number(pricing.price);
+    if (isNaN(price) || price <= 0) throw bundleError('Fixed bundle price must be greater than 0');
+    result.price = round2(price);
+  }
+  return result;
+};
+
+/**
+ * Bundle view of a variant: composition, pricing and availability.
+ */
+const describeBundle = async (variant, { components } = {}) => {
+  if (!isBundle(variant)) return null;
+  const byId = components || await loadComponents([variant]);
+  const { componentTotal } = computeBundlePrice(variant.bundleItems, variant.bundlePricing, byId);
+  const price = variant.discountPrice > 0 && variant.discountPrice < variant.price ? variant.discountPrice : variant.price;
+
+  return {
+    pricing: {
+      mode: variant.bundlePricing?.mode || 'fixed',
+      discountType: variant.bundlePricing?.discountType || 'percentage',
+      discountValue: variant.bundlePricing?.discountValue || 0,
+      price: round2(price),
+      componentTotal,
+      savings: round2(Math.max(0, componentTotal - price))
+    },
+    availableQuantity: computeAvailability(variant.bundleItems, byId),
+    items: variant.bundleItems.map(item => {
+      const component = byId.get(refId(item.variant));
+      return {
+        variant: item.variant?._id || item.variant,
+        quantity: item.quantity,
+        sku: component?.sku || null,
+        productName: component?.product?.name || null,
+        optionLabel: component ? variantLabel(component) : null,
+        status: component?.status || 'Missing',
+        availableStock: componentAvailable(component),
+        coversBundles: Math.floor(componentAvailable(component) / item.quantity)
+      };
+    })
+  };
+};
+
+const loadProductVariant = async (productId, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw bundleError('Invalid product or variant ID');
+  }
+  const product = await Product.findById(productId);
+  if (!product) throw bundleError('Product not found', 404);
+  const variant = await Variant.findOne({ _id: variantId, product: product._id });
+  if (!variant) throw bundleError('Variant not found for this product', 404);
+  return { product, variant };
+};
+
+const getVariantBundle = async (productId, variantId) => {
+  const { product, variant } = await loadProductVariant(productId, variantId);
+  return { product, variant, bundle: await describeBundle(variant) };
+};
+
+/**
+ * Set (or clear, with an empty `items`) the composition and pricing of a bundle variant.
+ * The product becomes `type: 'bundle'` while any of its variants is a bundle.
+ * A variant still holding its own stock can't become a bundle: that stock would vanish.
+ */
+const setVariantBundle = async (productId, variantId, { items, pricing } = {}) => {
+  const { product, variant } = await loadProductVariant(productId, variantId);
+  const parsedItems = parseJson(items, 'bundle items');
+
+  if (Array.isArray(parsedItems) && parsedItems.length === 0) {
+    variant.bundleItems = [];
+    variant.bundlePricing = undefined;
+    const otherBundles = await Variant.countDocuments({
+      product: product._id,
+      _id: { $ne: variant._id },
+      'bundleItems.0': { $exists: true }
+    });
+    if (!otherBundles) product.type = 'standard';
+  } else {
+    if (!isBundle(variant) && ((variant.stockQuantity || 0) > 0 || (variant.reservedQuantity || 0) > 0)) {
+      throw bundleError(`Variant ${variant.sku || variant._id} still holds ${variant.stockQuantity} unit(s) of its own stock; adjust it to 0 before turning it into a bundle`);
+    }
+
+    const { items: bundleItems, components } = parsedItems === undefined
+      ? { items: variant.bundleItems, components: await loadComponents([variant]) }
+      : await normalizeBundleItems(parsedItems, variant);
+    if (!bundleItems?.length) throw bundleError('Bundle items are required');
+
+    const { price: fixedPrice, ...bundlePricing } = normalizePricing(pricing, variant.bundlePricing || {});
+    const computed = computeBundlePrice(bundleItems, bundlePricing, components);
+
+    variant.bundleItems = bundleItems;
+    variant.bundlePricing = bundlePricing;
+    variant.purchasePrice = computed.purchasePrice;
+    variant.stockQuantity = 0;
+    variant.reservedQuantity = 0;
+    if (bundlePricing.mode === 'sum_minus_discount') {
+      if (computed.price <= 0) throw bundleError('The discount leaves the bundle without a price');
+      variant.price = computed.price;
+      variant.discountPrice = 0;
+    } else if (fixedPrice !== undefined) {
+      variant.price = fixedPrice;
+      if (variant.discountPrice > fixedPrice) variant.discountPrice = 0;
+    }
+    product.type = 'bundle';
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await variant.save({ session });
+      await product.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { product, variant, bundle: await describeBundle(variant) };
+};
+
+/**
+ * Re-derive purchase price (and the price of 'sum_minus_discount' bundles) for every bundle
+ * that contains one of `componentIds`. Call after component prices change.
+ */
+const refreshBundlePrices = async (componentIds, { session } = {}) => {
+  const ids = [...new Set((componentIds || []).filter(Boolean).map(refId))];
+  if (!ids.length) return 0;
+
+  const bundles = await Variant.find({ 'bundleItems.variant': { $in: ids } })
+    .select('bundleItems bundlePricing price discountPrice purchasePrice')
+    .session(session || null)
+    .lean();
+  if (!bundles.length) return 0;
+
+  const components = await loadComponents(bundles, { session });
+  let updated = 0;
+  for (const bundle of bundles) {
+    const computed = computeBundlePrice(bundle.bundleItems, bundle.bundlePricing, components);
+    const update = {};
+    if (computed.purchasePrice !== bundle.purchasePrice) update.purchasePrice = computed.purchasePrice;
+    if (computed.price !== undefined && computed.price > 0 && computed.price !== bundle.price) {
+      update.price = computed.price;
+      update.discountPrice = 0;
+    }
+    if (!Object.keys(update).length) continue;
+
+    await Variant.updateOne({ _id: bundle._id }, { $set: update }, { session });
+    updated++;
+  }
+  return updated;
+};
+
+module.exports = {
+  isBundle,
+  bundleSnapshot,
+  computeAvailability,
+  computeBundlePrice,
+  applyBundleAvailability,
+  expandStockLines,
+  withBundleReason,
+  describeBundle,
+  getVariantBundle,
+  setVariantBundle,
+  refreshBundlePrices
+};
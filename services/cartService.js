@@ -0,0 +1,274 @@
+// services/cartService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../model/Cart');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const AppConfiguration = require('../model/app_configuration');
+const { round2, getActiveOffersByProduct, resolveVariantPrice, calculateStoreDiscount } = require('./pricingService');
+const { variantLabel } = require('./variantOptionService');
+const { applyBundleAvailability } = require('./bundleService');
+
+// Server-side cart. Signed-in customers have one cart (by user); guests get a random
+// token (returned as cartToken, sent back in the X-Cart-Token header) until they sign in
+// and POST /cart/merge moves their lines into the customer cart.
+//
+// Only product + variant + quantity are stored. Every read reprices the lines against the
+// current variant prices and Offers (pricingService) and flags lines that can't be ordered:
+//   unavailable  - product/variant deleted or no longer Active
+//   outOfStock   - available stock (stock - reserved) below the cart quantity
+//   priceChanged - unit price differs from the price when the line was added
+
+const MAX_LINE_QUANTITY = 99;
+
+const cartError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'CART_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const newGuestToken = () => crypto.randomBytes(24).toString('hex');
+
+const parseQuantity = (quantity) => {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 0 || qty > MAX_LINE_QUANTITY) {
+    throw cartError(`Quantity must be a whole number between 0 and ${MAX_LINE_QUANTITY}`);
+  }
+  return qty;
+};
+
+const touch = (cart) => {
+  cart.lastActivityAt = new Date();
+  cart.abandonedEmailSentAt = null;       // a new reminder may go out after the next idle period
+};
+
+/**
+ * Find the caller's active cart. With `create` a missing cart is created
+ * (guests without a token get a new one).
+ */
+const findCart = async ({ userId, guestToken }, { create = false } = {}) => {
+  const filter = userId ? { user: userId } : guestToken ? { guestToken, status: 'active', user: null } : null;
+  let cart = filter ? await Cart.findOne(filter) : null;
+
+  if (!cart && create) {
+    cart = new Cart(userId ? { user: userId } : { guestToken: newGuestToken() });
+  }
+  return cart;
+};
+
+const loadVariantFor = async (productId, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw cartError('Valid product and variant are required');
+  }
+  const variant = await Variant.findOne({ _id: variantId, product: productId, isDeleted: { $ne: true } })
+    .select('price discountPrice status product')
+    .lean();
+  if (!variant || variant.status !== 'Active') throw cartError('This product variant is not available', 404);
+
+  const product = await Product.findById(productId).select('status').lean();
+  if (!product || product.status !== 'Active') throw cartError('This product is not available', 404);
+
+  const offers = await getActiveOffersByProduct([productId]);
+  return { variant, unitPrice: resolveVariantPrice(variant, offers.get(productId.toString())).unitPrice };
+};
+
+/**
+ * Add units of a product variant; an existing line for the same variant is increased.
+ */
+const addItem = async (cart, { product, variant, quantity = 1 }) => {
+  const qty = parseQuantity(quantity);
+  if (qty < 1) throw cartError('Quantity must be at least 1');
+
+  const { unitPrice } = await loadVariantFor(product, variant);
+  const line = cart.items.find(i => i.variant.toString() === variant.toString());
+
+  if (line) {
+    line.quantity = Math.min(line.quantity + qty, MAX_LINE_QUANTITY);
+  } else {
+    cart.items.push({ product, variant, quantity: qty, priceAtAdd: unitPrice });
+  }
+  touch(cart);
+  return cart;
+};
+
+/**
+ * Set the quantity of a cart line (0 removes it).
+ */
+const updateItem = (cart, itemId, { quantity }) => {
+  const line = cart.items.id(itemId);
+  if (!line) throw cartError('Cart item not found', 404);
+
+  const qty = parseQuantity(quantity);
+  if (qty === 0) {
+    line.deleteOne();
+  } else {
+    line.quantity = qty;
+  }
+  touch(cart);
+  return cart;
+};
+
+const removeItem = (cart, itemId) => {
+  const line = cart.items.id(itemId);
+  if (!line) throw cartError('Cart item not found', 404);
+  line.deleteOne();
+  touch(cart);
+  return cart;
+};
+
+const clearCart = (cart) => {
+  cart.items = [];
+  touch(cart);
+  return cart;
+};
+
+/**
+ * Move the lines of a guest cart into the customer's cart (quantities of the same
+ * variant are added up). The guest cart is kept as `merged` so the token stops working.
+ */
+const mergeGuestCart = async (userId, guestToken) => {
+  const cart = await findCart({ userId }, { create: true });
+  const guestCart = guestToken ? await Cart.findOne({ guestToken, status: 'active', user: null }) : null;
+
+  let mergedItems = 0;
+  if (guestCart) {
+    mergedItems = guestCart.items.length;
+    for (const item of guestCart.items) {
+      const line = cart.items.find(i => i.variant.toString() === item.variant.toString());
+      if (line) {
+        line.quantity = Math.min(line.quantity + item.quantity, MAX_LINE_QUANTITY);
+      } else {
+        cart.items.push({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          priceAtAdd: item.priceAtAdd,
+          addedAt: item.addedAt
+        });
+      }
+    }
+    guestCart.status = 'merged';
+    guestCart.items = [];
+    await guestCart.save();
+  }
+
+  touch(cart);
+  await cart.save();
+  return { cart, mergedItems };
+};
+
+/**
+ * Drop the lines that were just ordered from the customer's cart (called after checkout).
+ */
+const removeOrderedItems = async (userId, orderItems) => {
+  if (!userId || !orderItems?.length) return;
+  try {
+    const variantIds = orderItems.map(item => item.variant?._id || item.variant).filter(Boolean);
+    await Cart.updateOne(
+      { user: userId },
+      { $pull: { items: { variant: { $in: variantIds } } }, $set: { lastActivityAt: new Date() } }
+    );
+  } catch (err) {
+    console.error('Failed to clear ordered items from cart:', err);
+  }
+};
+
+/**
+ * Reprice a cart against current variants and Offers.
+ * @returns {{ _id, cartToken, items, itemCount, subtotal, storeDiscount, hasIssues, updatedAt }}
+ */
+const priceCart = async (cart) => {
+  const productIds = cart.items.map(i => i.product);
+  const [products, variants, offersByProduct, config] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('name thumbnail images status').lean(),
+    Variant.find({ _id: { $in: cart.items.map(i => i.variant) } })
+      .select('attribute value optionValues optionLabel sku price discountPrice stockQuantity reservedQuantity image status isDeleted product bundleItems')
+      .lean(),
+    getActiveOffersByProduct(productIds),
+    AppConfiguration.findOne().lean()
+  ]);
+  await applyBundleAvailability(variants);
+
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const variantMap = new Map(variants.map(v => [v._id.toString(), v]));
+
+  let subtotal = 0;
+  let itemCount = 0;
+  const items = cart.items.map(item => {
+    const product = productMap.get(item.product.toString());
+    const variant = variantMap.get(item.variant.toString());
+
+    const unavailable = !product || product.status !== 'Active' ||
+      !variant || variant.isDeleted || variant.status !== 'Active' ||
+      variant.product?.toString() !== item.product.toString();
+
+    if (unavailable) {
+      return {
+        _id: item._id,
+        product: product ? { _id: product._id, name: product.name, thumbnail: product.thumbnail || product.images?.[0] } : { _id: item.product },
+        variant: { _id: item.variant },
+        quantity: item.quantity,
+        unavailable: true,
+        outOfStock: false,
+        priceChanged: false
+      };
+    }
+
+    const resolved = resolveVariantPrice(variant, offersByProduct.get(product._id.toString()));
+    const available = Math.max(0, (variant.stockQuantity || 0) - (variant.reservedQuantity || 0));
+    const lineTotal = round2(resolved.unitPrice * item.quantity);
+    subtotal += lineTotal;
+    itemCount += item.quantity;
+
+    return {
+      _id: item._id,
+      product: { _id: product._id, name: product.name, thumbnail: product.thumbnail || product.images?.[0] },
+      variant: {
+        _id: variant._id,
+        attribute: variant.attribute,
+        value: variant.value,
+        optionValues: variant.optionValues,
+        optionLabel: variantLabel(variant),
+        sku: variant.sku,
+        image: variant.image
+      },
+      quantity: item.quantity,
+      regularPrice: resolved.regularPrice,
+      unitPrice: resolved.unitPrice,
+      priceSource: resolved.source,
+      offerName: resolved.appliedOffer?.offerName,
+      lineTotal,
+      availableQuantity: available,
+      unavailable: false,
+      outOfStock: available < item.quantity,
+      priceChanged: item.priceAtAdd !== undefined && item.priceAtAdd !== null && round2(item.priceAtAdd) !== resolved.unitPrice,
+      previousPrice: item.priceAtAdd
+    };
+  });
+
+  subtotal = round2(subtotal);
+  const storeDiscount = await calculateStoreDiscount(subtotal, config);
+
+  return {
+    _id: cart._id,
+    cartToken: cart.user ? undefined : cart.guestToken,
+    items,
+    itemCount,
+    subtotal,
+    storeDiscount,
+    hasIssues: items.some(i => i.unavailable || i.outOfStock),
+    updatedAt: cart.lastActivityAt
+  };
+};
+
+module.exports = {
+  findCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeGuestCart,
+  removeOrderedItems,
+  priceCart
+};
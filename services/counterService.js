@@ -0,0 +1,206 @@
+// services/counterService.js
+const mongoose = require('mongoose');
+const OrderCounter = require('../model/OrderCounter');
+
+// Sequential document numbers from one atomic $inc per number (model/OrderCounter.js).
+// Numbers are issued outside of any transaction, so an aborted write leaves a gap
+// rather than making concurrent checkouts conflict on the counter document.
+//
+// prefix / padding / yearlyReset can be changed per type (PUT /api/v1/configuration/counters/:type).
+// With yearlyReset the year is part of the number (INV-2026-000001) and the sequence
+// restarts at 1 on the first number of a new year.
+//
+// `seed` lists where numbers were stored before counters existed: the first time a type is
+// used its sequence starts after the highest existing number with the default prefix, and
+// the first number each process issues is checked against those collections (legacy numbers
+// may be random rather than sequential).
+
+const COUNTER_DEFAULTS = {
+  order: { prefix: '#ORD-', padding: 3, yearlyReset: false, seed: [['Order', 'orderNumber']] },
+  tracking: { prefix: '#TRK-LEY-321-', padding: 3, yearlyReset: false, seed: [['Order', 'orderTrackingNumber']] },
+  sale: { prefix: 'SALE-', padding: 6, yearlyReset: false, seed: [['Sale', 'saleCode']] },
+  purchase: { prefix: 'PUR-', padding: 6, yearlyReset: false, seed: [['Purchase', 'purchaseCode']] },
+  expense: { prefix: 'E', padding: 6, yearlyReset: false, seed: [['Expense', 'expenseId']] },
+  // Supplier and customer payments share one invoice sequence so numbers never repeat across both
+  invoice: { prefix: 'INV-', padding: 6, yearlyReset: false, seed: [['Payment', 'invoiceNo'], ['CustomerPayment', 'invoiceNo']] },
+  return: { prefix: 'RMA-', padding: 6, yearlyReset: false, seed: [['Return', 'returnNumber']] },
+  subscription: { prefix: 'SUB-', padding: 6, yearlyReset: false, seed: [['Subscription', 'subscriptionNumber']] },
+  lot: { prefix: 'LOT-', padding: 6, yearlyReset: false, seed: [['StockLot', 'lotNumber']] },
+  transfer: { prefix: 'TRF-', padding: 6, yearlyReset: false, seed: [['StockTransfer', 'transferNumber']] },
+  stocktake: { prefix: 'STK-', padding: 6, yearlyReset: false, seed: [['StockTake', 'takeNumber']] }
+};
+
+const COUNTER_TYPES = Object.keys(COUNTER_DEFAULTS);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const counterError = (msg) => {
+  const err = new Error(msg);
+  err.code = 'COUNTER_ERROR';
+  return err;
+};
+
+const getSettings = (type, counter) => {
+  const defaults = COUNTER_DEFAULTS[type];
+  return {
+    prefix: counter?.prefix ?? defaults.prefix,
+    padding: counter?.padding ?? defaults.padding,
+    yearlyReset: counter?.yearlyReset ?? defaults.yearlyReset
+  };
+};
+
+const formatNumber = (seq, year, { prefix, padding, yearlyReset }) =>
+  `${prefix}${yearlyReset ? `${year}-` : ''}${String(seq).padStart(padding, '0')}`;
+
+// Highest number already stored under the default prefix, across every seed collection and
+// every document (soft-deleted ones too; models are looked up lazily by name)
+const findSeed = async (type) => {
+  const { prefix, seed } = COUNTER_DEFAULTS[type];
+  const pattern = `^${escapeRegex(prefix)}(\\d+)$`;
+  let highest = 0;
+
+  for (const [modelName, field] of seed) {
+    if (!mongoose.modelNames().includes(modelName)) continue;
+    const [row] = await mongoose.model(modelName).aggregate([
+      { $match: { [field]: { $regex: pattern } } },
+      {
+        $project: {
+          seq: {
+            $let: {
+              vars: { found: { $regexFind: { input: `$${field}`, regex: pattern } } },
+              in: { $convert: { input: { $arrayElemAt: ['$$found.captures', 0] }, to: 'long', onError: 0, onNull: 0 } }
+            }
+          }
+        }
+      },
+      { $group: { _id: null, highest: { $max: '$seq' } } }
+    ]);
+    if (row) highest = Math.max(highest, Number(row.highest) || 0);
+  }
+  return highest;
+};
+
+// Whether `number` is already stored in one of the type's seed collections
+const isTaken = async (type, number) => {
+  for (const [modelName, field] of COUNTER_DEFAULTS[type].seed) {
+    if (!mongoose.modelNames().includes(modelName)) continue;
+    const found = await mongoose.model(modelName).collection.findOne({ [field]: number }, { projection: { _id: 1 } });
+    if (found) return true;
+  }
+  return false;
+};
+
+const ensured = new Set();
+const verified = new Set();
+const MAX_SKIPS = 1000;
+
+const ensureCounter = async (type) => {
+  if (ensured.has(type)) return;
+  if (!(await OrderCounter.exists({ _id: type }))) {
+    const seq = await findSeed(type);
+    try {
+      await OrderCounter.create({ _id: type, seq, year: new Date().getFullYear() });
+    } catch (err) {
+      if (err.code !== 11000) throw err;     // another request created it first
+    }
+  }
+  ensured.add(type);
+};
+
+/**
+ * Issue the next number for a document type, e.g. nextNumber('order') → '#ORD-042'.
+ */
+const nextNumber = async (type) => {
+  if (!COUNTER_DEFAULTS[type]) throw counterError(`Unknown counter type: ${type}`);
+  await ensureCounter(type);
+
+  const year = new Date().getFullYear();
+  const defaults = COUNTER_DEFAULTS[type];
+
+  for (let skipped = 0; ; skipped++) {
+    const counter = await OrderCounter.findOneAndUpdate(
+      { _id: type },
+      [{
+        $set: {
+          seq: {
+            $cond: [
+              { $and: [{ $ifNull: ['$yearlyReset', defaults.yearlyReset] }, { $ne: ['$year', year] }] },
+              1,
+              { $add: [{ $ifNull: ['$seq', 0] }, 1] }
+            ]
+          },
+          year
+        }
+      }],
+      { new: true, upsert: true }
+    ).lean();
+
+    const number = formatNumber(counter.seq, year, getSettings(type, counter));
+    if (verified.has(type)) return number;
+
+    // a number already in use is skipped; once one is free the sequence is past the old ones
+    if (!(await isTaken(type, number))) {
+      verified.add(type);
+      return number;
+    }
+    if (skipped >= MAX_SKIPS) throw counterError(`No free ${type} number found after ${MAX_SKIPS} tries`);
+  }
+};
+
+// Effective settings + current value for every type (admin screen)
+const getCounters = async () => {
+  const counters = await OrderCounter.find({ _id: { $in: COUNTER_TYPES } }).lean();
+  const year = new Date().getFullYear();
+
+  return COUNTER_TYPES.map(type => {
+    const counter = counters.find(c => c._id === type);
+    const settings = getSettings(type, counter);
+    return {
+      type,
+      ...settings,
+      seq: counter?.seq || 0,
+      year: counter?.year || null,
+      preview: formatNumber((counter?.seq || 0) + 1, year, settings)
+    };
+  });
+};
+
+/**
+ * Change prefix / padding / yearlyReset of a type. `seq` may be moved forward only,
+ * so already issued numbers are never handed out again.
+ */
+const updateCounter = async (type, { prefix, padding, yearlyReset, seq } = {}) => {
+  if (!COUNTER_DEFAULTS[type]) throw counterError(`Unknown counter type: ${type}`);
+  await ensureCounter(type);
+
+  const update = {};
+  if (prefix !== undefined) {
+    if (typeof prefix !== 'string' || prefix.length > 20) throw counterError('Prefix must be a string of at most 20 characters');
+    update.prefix = prefix.trim();
+  }
+  if (padding !== undefined) {
+    const value = Number(padding);
+    if (!Number.isInteger(value) || value < 1 || value > 12) throw counterError('Padding must be between 1 and 12');
+    update.padding = value;
+  }
+  if (yearlyReset !== undefined) update.yearlyReset = yearlyReset === true || yearlyReset === 'true';
+
+  const filter = { _id: type };
+  if (seq !== undefined) {
+    const value = Number(seq);
+    if (!Number.isInteger(value) || value < 0) throw counterError('Sequence must be a non-negative integer');
+    update.seq = value;
+    filter.seq = { $lte: value };
+  }
+
+  const counter = await OrderCounter.findOneAndUpdate(filter, { $set: update }, { new: true }).lean();
+  if (!counter) throw counterError('Sequence can only be moved forward');
+  return counter;
+};
+
+module.exports = {
+  COUNTER_TYPES,
+  nextNumber,
+  getCounters,
+  updateCounter
+};
@@ -0,0 +1,169 @@
+// services/couponService.js
+const Coupon = require('../model/Coupon');
+const CouponRedemption = require('../model/CouponRedemption');
+const Order = require('../model/Order');
+
+const couponError = (message) => {
+  const err = new Error(message);
+  err.code = 'INVALID_COUPON';
+  return err;
+};
+
+const toIdSet = (ids = []) => new Set(ids.map(id => id.toString()));
+
+// A line is eligible when it matches any configured scope (or no scope is set)
+const isLineEligible = (line, scopes) => {
+  const { products, categories, brands } = scopes;
+  if (!products.size && !categories.size && !brands.size) return true;
+
+  return products.has(line.product?.toString())
+    || categories.has(line.category?.toString())
+    || brands.has(line.brand?.toString());
+};
+
+/**
+ * Validate a coupon against a priced cart.
+ *
+ * @param {Object}  params
+ * @param {String}  params.code      coupon code as typed by the customer
+ * @param {String}  params.userId    customer placing the order
+ * @param {Array}   params.lines     [{ product, category, brand, total }]
+ * @param {Number}  params.subtotal  cart subtotal before discounts
+ * @param {Number}  params.shipping  shipping charge for the cart
+ * @returns {Promise<{ coupon, discount, freeShipping }>}
+ * @throws  Error with `code = 'INVALID_COUPON'` and a customer-facing message
+ */
+const validateCoupon = async ({ code, userId, lines, subtotal, shipping = 0 }) => {
+  if (!code || !code.toString().trim()) throw couponError('Coupon code is required');
+
+  const coupon = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+  if (!coupon || coupon.status !== 'active') throw couponError('Invalid coupon code');
+
+  const now = new Date();
+  if (coupon.startDate > now) throw couponError('This coupon is not active yet');
+  if (coupon.endDate < now) throw couponError('This coupon has expired');
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  if (subtotal < coupon.minimumOrderAmount) {
+    throw couponError(`Minimum order amount for this coupon is ${coupon.minimumOrderAmount}`);
+  }
+
+  if (userId) {
+    const timesUsed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: 'applied' });
+    if (timesUsed >= coupon.perCustomerLimit) {
+      throw couponError('You have already used this coupon');
+    }
+
+    if (coupon.firstOrderOnly) {
+      const previousOrders = await Order.countDocuments({ user: userId, status: { $ne: 'cancelled' } });
+      if (previousOrders > 0) throw couponError('This coupon is only valid on your first order');
+    }
+  }
+
+  const scopes = {
+    products: toIdSet(coupon.applicableProducts),
+    categories: toIdSet(coupon.applicableCategories),
+    brands: toIdSet(coupon.applicableBrands)
+  };
+  const eligibleSubtotal = lines
+    .filter(line => isLineEligible(line, scopes))
+    .reduce((sum, line) => sum + line.total, 0);
+
+  if (eligibleSubtotal <= 0) throw couponError('This coupon does not apply to any item in your cart');
+
+  let discount = 0;
+  let freeShipping = false;
+
+  if (coupon.discountType === 'Percentage') {
+    discount = (eligibleSubtotal * coupon.discountValue) / 100;
+    if (coupon.maxDiscountAmount > 0) discount = Math.min(discount, coupon.maxDiscountAmount);
+  } else if (coupon.discountType === 'Fixed') {
+    discount = Math.min(coupon.discountValue, eligibleSubtotal);
+  } else if (coupon.discountType === 'FreeShipping') {
+    freeShipping = true;
+    discount = Number(shipping) || 0;
+  }
+
+  return { coupon, discount: Number(discount.toFixed(2)), freeShipping };
+};
+
+const isDuplicateKey = (err) => err?.code === 11000 || err?.writeErrors?.some(e => e.code === 11000);
+
+/**
+ * Record a redemption for a saved order. The usage limits and firstOrderOnly are
+ * enforced here atomically (validateCoupon only checks them up front), so run it
+ * inside the order's transaction.
+ */
+const redeemCoupon = async ({ coupon, userId, orderId, discount }, session) => {
+  // lowest free per-customer slot; a concurrent checkout taking the same one hits the unique index
+  const applied = await CouponRedemption.find({ coupon: coupon._id, user: userId, status: 'applied' })
+    .select('slot')
+    .session(session)
+    .lean();
+  if (applied.length >= coupon.perCustomerLimit) throw couponError('You have already used this coupon');
+  const taken = new Set(applied.map(r => r.slot));
+  let slot = 1;
+  while (taken.has(slot)) slot += 1;
+
+  if (coupon.firstOrderOnly) {
+    const previousOrders = await Order.countDocuments({
+      user: userId,
+      _id: { $ne: orderId },
+      status: { $ne: 'cancelled' }
+    }).session(session);
+    if (previousOrders > 0) throw couponError('This coupon is only valid on your first order');
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) throw couponError('This coupon has reached its usage limit');
+
+  try {
+    await CouponRedemption.create([{
+      coupon: coupon._id,
+      code: coupon.code,
+      user: userId,
+      order: orderId,
+      discount,
+      slot,
+      firstOrder: Boolean(coupon.firstOrderOnly)
+    }], { session });
+  } catch (err) {
+    if (!isDuplicateKey(err)) throw err;
+    throw couponError(coupon.firstOrderOnly
+      ? 'This coupon is only valid on your first order'
+      : 'You have already used this coupon');
+  }
+};
+
+// Give the usage back when an order that used a coupon is cancelled/deleted
+const reverseCouponRedemption = async (orderId, session) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'applied' },
+    { $set: { status: 'reversed', reversedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  return redemption;
+};
+
+module.exports = {
+  validateCoupon,
+  redeemCoupon,
+  reverseCouponRedemption
+};
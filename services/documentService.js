@@ -0,0 +1,352 @@
+// services/documentService.js
+const PDFDocument = require('pdfkit');
+const Order = require('../model/Order');
+const Sale = require('../model/Sales');
+const AppConfiguration = require('../model/app_configuration');
+const { variantLabel } = require('./variantOptionService');
+
+// Printable PDFs (order invoice, packing slip, sale receipt) branded from AppConfiguration:
+// appName, appLogo, primary/secondary colors, address, contact, tax and currencySign.
+// Every render returns a Buffer so it can be streamed or attached to an email.
+
+const PAGE_MARGIN = 50;
+const LOGO_TIMEOUT_MS = 5000;
+
+const logoCache = new Map();
+
+// pdfkit only embeds PNG/JPEG; Cloudinary stores logos as WebP, so ask it for a PNG
+const fetchLogo = async (url) => {
+  if (!url) return null;
+  if (logoCache.has(url)) return logoCache.get(url);
+
+  const pngUrl = url.includes('res.cloudinary.com') ? url.replace('/upload/', '/upload/f_png/') : url;
+  try {
+    const response = await fetch(pngUrl, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    logoCache.set(url, buffer);
+    return buffer;
+  } catch (err) {
+    console.warn(`Could not load logo for PDF (${url}):`, err.message);
+    return null;
+  }
+};
+
+const getBranding = async () => {
+  const config = await AppConfiguration.findOne().lean();
+  return {
+    appName: config?.appName || 'Store',
+    logo: await fetchLogo(config?.appLogo),
+    primaryColor: config?.primaryColor || '#222222',
+    secondaryColor: config?.secondaryColor || '#666666',
+    address: [config?.street_address, config?.zip_code].filter(Boolean).join(', '),
+    email: config?.contactEmails?.[0] || '',
+    phone: config?.supportPhones?.[0] || '',
+    taxRate: config?.tax || 0,
+    currencySign: config?.currencySign || '$'
+  };
+};
+
+const toBuffer = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  try {
+    draw(doc);
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+const formatDate = (date) => new Date(date || Date.now()).toLocaleDateString('en-GB', {
+  day: '2-digit', month: 'short', year: 'numeric'
+});
+
+const money = (brand, value) => `${brand.currencySign}${Number(value || 0).toFixed(2)}`;
+
+// Logo + store details on the left, document title + meta rows on the right
+const drawHeader = (doc, brand, title, meta) => {
+  const top = PAGE_MARGIN;
+  let textX = PAGE_MARGIN;
+
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, PAGE_MARGIN, top, { fit: [60, 60] });
+      textX += 70;
+    } catch (err) {
+      console.warn('Invalid logo image for PDF:', err.message);
+    }
+  }
+
+  doc.fillColor(brand.primaryColor).font('Helvetica-Bold').fontSize(16).text(brand.appName, textX, top);
+  doc.fillColor(brand.secondaryColor).font('Helvetica').fontSize(9);
+  [brand.address, brand.email, brand.phone].filter(Boolean).forEach(line => doc.text(line, textX));
+
+  doc.fillColor(brand.primaryColor).font('Helvetica-Bold').fontSize(18)
+    .text(title, 300, top, { width: 245, align: 'right' });
+  doc.fillColor('#000000').font('Helvetica').fontSize(9);
+  meta.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: 'right' });
+  });
+
+  doc.moveTo(PAGE_MARGIN, top + 80).lineTo(545, top + 80).strokeColor(brand.primaryColor).stroke();
+  doc.y = top + 95;
+};
+
+const drawAddress = (doc, brand, label, lines, x, y) => {
+  doc.fillColor(brand.secondaryColor).font('Helvetica-Bold').fontSize(9).text(label.toUpperCase(), x, y);
+  doc.fillColor('#000000').font('Helvetica').fontSize(10);
+  lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: 230 }));
+  return doc.y;
+};
+
+/**
+ * Simple table; `columns` is `[{ label, width, align }]`, `rows` arrays of strings.
+ * Rows that do not fit continue on a new page.
+ */
+const drawTable = (doc, brand, columns, rows) => {
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    const y = doc.y;
+    const height = Math.max(...cells.map((cell, i) =>
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(String(cell), { width: columns[i].width - 8 }))) + 8;
+
+    if (y + height > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      return drawRow(cells, { bold, fill });
+    }
+
+    if (fill) doc.rect(PAGE_MARGIN, y, 495, height).fill(fill);
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.fillColor(fill ? '#ffffff' : '#000000').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .text(String(cell), x + 4, y + 4, { width: columns[i].width - 8, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + height).lineTo(545, y + height).strokeColor('#dddddd').stroke();
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(c => c.label), { bold: true, fill: brand.primaryColor });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown();
+};
+
+const drawTotals = (doc, lines) => {
+  const x = 345;
+  lines.filter(line => line).forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.fillColor('#000000').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+    doc.text(label, x, y, { width: 100 });
+    doc.text(value, x + 100, y, { width: 100, align: 'right' });
+    doc.moveDown(0.3);
+  });
+};
+
+const drawFooter = (doc, brand, text) => {
+  doc.fillColor(brand.secondaryColor).font('Helvetica').fontSize(8)
+    .text(text, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 20, { width: 495, align: 'center' });
+};
+
+const itemName = (item) => item.product?.name || 'Product';
+
+const loadOrder = (orderId) => Order.findById(orderId)
+  .populate('items.product', 'name')
+  .populate('items.variant', 'attribute value optionValues optionLabel sku')
+  .populate('user', 'name email phone');
+
+/**
+ * Invoice for a web order (order must be populated as in loadOrder).
+ */
+const renderOrderInvoice = async (order) => {
+  const brand = await getBranding();
+
+  return toBuffer(doc => {
+    drawHeader(doc, brand, 'INVOICE', [
+      ['Invoice', order.orderNumber],
+      ['Date', formatDate(order.createdAt)],
+      ['Payment', `${order.paymentMethod} (${order.paymentStatus || 'unpaid'})`]
+    ]);
+
+    const a = order.shippingAddress || {};
+    const top = doc.y;
+    const leftEnd = drawAddress(doc, brand, 'Bill to', [a.fullName, a.email, a.phone], PAGE_MARGIN, top);
+    const rightEnd = drawAddress(doc, brand, 'Ship to', [a.street, [a.city, a.state, a.zip].filter(Boolean).join(', ')], 300, top);
+    doc.y = Math.max(leftEnd, rightEnd) + 15;
+
+    drawTable(doc, brand, [
+      { label: 'Item', width: 185 },
+      { label: 'SKU', width: 80 },
+      { label: 'Qty', width: 40, align: 'right' },
+      { label: 'Unit price', width: 70, align: 'right' },
+      { label: 'Discount', width: 55, align: 'right' },
+      { label: 'Total', width: 65, align: 'right' }
+    ], order.items.map(item => [
+      [itemName(item), variantLabel(item.variant), item.offerName].filter(Boolean).join('\n'),
+      item.variant?.sku || '',
+      item.quantity,
+      money(brand, item.price),
+      item.discount ? money(brand, item.discount) : '-',
+      money(brand, item.total)
+    ]));
+
+    drawTotals(doc, [
+      ['Subtotal', money(brand, order.subtotal)],
+      order.storeDiscount ? ['Store discount', `-${money(brand, order.storeDiscount)}`] : null,
+      order.coupon?.discount ? [`Coupon ${order.coupon.code}`, `-${money(brand, order.coupon.discount)}`] : null,
+      [`Tax${brand.taxRate ? ` (${brand.taxRate}%)` : ''}`, money(brand, order.tax)],
+      ['Shipping', money(brand, order.shipping)],
+      ['Total', money(brand, order.total), true],
+      order.refundedAmount ? ['Refunded', `-${money(brand, order.refundedAmount)}`] : null
+    ]);
+
+    drawFooter(doc, brand, `Thank you for shopping with ${brand.appName}.`);
+  });
+};
+
+/**
+ * Packing slip without prices; limited to one shipment's items when `shipmentId` is given.
+ */
+const renderPackingSlip = async (order, { shipmentId } = {}) => {
+  const brand = await getBranding();
+  const shipment = shipmentId ? order.shipments.id(shipmentId) : null;
+
+  const lines = shipment
+    ? shipment.items.map(entry => ({
+      item: order.items.find(i => i._id.toString() === entry.orderItem.toString()),
+      quantity: entry.quantity
+    })).filter(line => line.item)
+    : order.items.map(item => ({ item, quantity: item.quantity }));
+
+  return toBuffer(doc => {
+    drawHeader(doc, brand, 'PACKING SLIP', [
+      ['Order', order.orderNumber],
+      ['Shipment', shipment?.shipmentNumber],
+      ['Date', formatDate(shipment?.createdAt || order.createdAt)],
+      ['Carrier', shipment?.deliveryPartner || order.deliveryPartner],
+      ['Tracking', shipment?.trackingNumber || order.orderTrackingNumber]
+    ]);
+
+    const a = order.shippingAddress || {};
+    doc.y = drawAddress(doc, brand, 'Ship to', [
+      a.fullName,
+      a.street,
+      [a.city, a.state, a.zip].filter(Boolean).join(', '),
+      a.phone
+    ], PAGE_MARGIN, doc.y) + 15;
+
+    drawTable(doc, brand, [
+      { label: 'Item', width: 240 },
+      { label: 'Variant', width: 110 },
+      { label: 'SKU', width: 95 },
+      { label: 'Qty', width: 50, align: 'right' }
+    ], lines.map(({ item, quantity }) => [
+      itemName(item),
+      variantLabel(item.variant),
+      item.variant?.sku || '',
+      quantity
+    ]));
+
+    if (order.notes) {
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9).text('Notes', PAGE_MARGIN);
+      doc.font('Helvetica').text(order.notes, { width: 495 });
+    }
+
+    drawFooter(doc, brand, `${brand.appName} • ${lines.reduce((sum, l) => sum + l.quantity, 0)} item(s)`);
+  });
+};
+
+// Same as getSaleById: exclusive tax is added on top, inclusive tax is already in the price
+const lineTotal = (line) => {
+  const base = line.price * line.quantity;
+  return line.taxType === 'Inclusive' ? base : base + base * (line.taxPercent || 0) / 100;
+};
+
+/**
+ * Receipt for an in-store / back-office sale (populated as in getSaleById).
+ */
+const renderSaleReceipt = async (sale) => {
+  const brand = await getBranding();
+
+  return toBuffer(doc => {
+    drawHeader(doc, brand, 'RECEIPT', [
+      ['Receipt', sale.saleCode],
+      ['Date', formatDate(sale.date)],
+      ['Status', sale.status],
+      ['Payment', sale.payment?.type]
+    ]);
+
+    doc.y = drawAddress(doc, brand, 'Customer', [
+      sale.customerId?.name || 'Walk-in Customer',
+      sale.customerId?.email,
+      sale.customerId?.phone
+    ], PAGE_MARGIN, doc.y) + 15;
+
+    drawTable(doc, brand, [
+      { label: 'Item', width: 215 },
+      { label: 'SKU', width: 80 },
+      { label: 'Qty', width: 40, align: 'right' },
+      { label: 'Price', width: 70, align: 'right' },
+      { label: 'Tax', width: 40, align: 'right' },
+      { label: 'Total', width: 50, align: 'right' }
+    ], sale.products.map(line => [
+      [line.variantId?.product?.name || 'Product', variantLabel(line.variantId)].filter(Boolean).join('\n'),
+      line.variantId?.sku || '',
+      line.quantity,
+      money(brand, line.price),
+      line.taxPercent ? `${line.taxPercent}%` : '-',
+      money(brand, lineTotal(line))
+    ]));
+
+    const s = sale.summary || {};
+    drawTotals(doc, [
+      ['Subtotal', money(brand, s.subTotal)],
+      s.taxTotal ? ['Tax', money(brand, s.taxTotal)] : null,
+      s.discount ? ['Discount', `-${money(brand, s.discount)}`] : null,
+      s.otherCharges ? ['Other charges', money(brand, s.otherCharges)] : null,
+      ['Total', money(brand, s.grandTotal), true],
+      ['Paid', money(brand, sale.payment?.amountPaid)],
+      sale.payment?.amountDue ? ['Due', money(brand, sale.payment.amountDue)] : null
+    ]);
+
+    drawFooter(doc, brand, `Thank you for shopping with ${brand.appName}.`);
+  });
+};
+
+/**
+ * Nodemailer attachment with an order's invoice, or null when it cannot be rendered.
+ * Never throws, so emails still go out without it.
+ */
+const getInvoiceAttachment = async (orderId) => {
+  try {
+    const order = await loadOrder(orderId);
+    if (!order) return null;
+    return {
+      filename: `invoice-${order.orderNumber.replace(/[^a-zA-Z0-9-]/g, '')}.pdf`,
+      content: await renderOrderInvoice(order),
+      contentType: 'application/pdf'
+    };
+  } catch (err) {
+    console.error(`Invoice PDF failed for order ${orderId}:`, err);
+    return null;
+  }
+};
+
+const loadSale = (saleId) => Sale.findById(saleId)
+  .populate('customerId', 'name email phone')
+  .populate({
+    path: 'products.variantId',
+    select: 'sku attribute value optionValues optionLabel',
+    populate: { path: 'product', select: 'name' }
+  });
+
+module.exports = {
+  loadOrder,
+  loadSale,
+  renderOrderInvoice,
+  renderPackingSlip,
+  renderSaleReceipt,
+  getInvoiceAttachment
+};
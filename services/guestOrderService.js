@@ -0,0 +1,67 @@
+// services/guestOrderService.js
+const jwt = require('jsonwebtoken');
+const Order = require('../model/Order');
+
+// Guest checkout: orders are stored with `guest: { name, email, phone }` and no user.
+// The buyer gets a signed order-access token (returned at checkout and put in the
+// tracking link) that grants access to that single order. When someone later
+// verifies the same email (OTP registration, Google sign-in or login with a verified
+// account) claimGuestOrders() attaches those orders to their User.
+
+const ORDER_ACCESS_PURPOSE = 'order_access';
+const ORDER_ACCESS_TTL = process.env.ORDER_ACCESS_TOKEN_TTL || '180d';
+
+// Guest checkout is refused while ORDER_ACCESS_SECRET is not set (see .env.example)
+const orderAccessConfigured = () => Boolean(process.env.ORDER_ACCESS_SECRET);
+
+// Its own secret, never JWT_SECRET: an order token must not pass as a login token
+const getSecret = () => {
+  const secret = process.env.ORDER_ACCESS_SECRET;
+  if (!secret) throw new Error('ORDER_ACCESS_SECRET is not configured');
+  return secret;
+};
+
+const signOrderAccessToken = (order) => jwt.sign(
+  { orderId: order._id.toString(), email: order.guest?.email || null, purpose: ORDER_ACCESS_PURPOSE },
+  getSecret(),
+  { expiresIn: ORDER_ACCESS_TTL }
+);
+
+// Payload `{ orderId, email }` or null when the token is invalid / expired / not an order token
+const verifyOrderAccessToken = (token) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === ORDER_ACCESS_PURPOSE ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Attach unclaimed guest orders placed with the user's (verified) email.
+ * Never throws; returns the number of orders claimed.
+ */
+const claimGuestOrders = async (user) => {
+  if (!user?.email) return 0;
+  try {
+    const result = await Order.updateMany(
+      { user: null, 'guest.email': user.email.trim().toLowerCase() },
+      { $set: { user: user._id, 'guest.claimedAt': new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Claimed ${result.modifiedCount} guest order(s) for ${user.email}`);
+    }
+    return result.modifiedCount;
+  } catch (err) {
+    console.error(`Claiming guest orders failed for ${user.email}:`, err);
+    return 0;
+  }
+};
+
+module.exports = {
+  orderAccessConfigured,
+  signOrderAccessToken,
+  verifyOrderAccessToken,
+  claimGuestOrders
+};
@@ -0,0 +1,212 @@
+// services/locationService.js
+const mongoose = require('mongoose');
+const Location = require('../model/Location');
+const LocationStock = require('../model/LocationStock');
+const Variant = require('../model/variantProduct');
+const AppConfiguration = require('../model/app_configuration');
+
+/*
+ * Multi-location stock (warehouses and store branches).
+ *
+ * Variant.stockQuantity stays the total every existing reader uses; LocationStock rows split
+ * that total per location. Stock writers say where their units go or come from:
+ *
+ *   addLocationStock()   purchases received into a location, restocks, positive adjustments
+ *   takeLocationStock()  sales from the selling branch, web orders from the fulfillment
+ *                        location (AppConfiguration.fulfillmentLocation), negative adjustments
+ *
+ * and pass the variant's stock level before their own change (`stockBefore`). As with stock
+ * lots, stock that changed without a location (older data, catalog imports, direct edits) is
+ * reconciled first: untracked units are booked to the default location, missing units are
+ * taken from the default location first.
+ */
+
+const DEFAULT_LOCATION = { name: 'Main Warehouse', code: 'MAIN', type: 'warehouse' };
+
+const locationError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'LOCATION_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+// The default location; the first call on a fresh database creates "Main Warehouse"
+const getDefaultLocation = async ({ session } = {}) => {
+  const location = await Location.findOne({ isDefault: true }).session(session || null).lean();
+  if (location) return location;
+
+  return Location.findOneAndUpdate(
+    { code: DEFAULT_LOCATION.code },
+    { $setOnInsert: DEFAULT_LOCATION, $set: { isDefault: true, status: 'active' } },
+    { upsert: true, new: true, session }
+  ).lean();
+};
+
+/**
+ * Active location by id; no id → the default location.
+ * Throws LOCATION_VALIDATION for unknown or inactive locations.
+ */
+const resolveLocation = async (id, { session } = {}) => {
+  if (id === undefined || id === null || id === '') return getDefaultLocation({ session });
+  if (!mongoose.Types.ObjectId.isValid(refId(id))) throw locationError('Invalid location ID');
+
+  const location = await Location.findById(refId(id)).session(session || null).lean();
+  if (!location) throw locationError('Location not found', 404);
+  if (location.status !== 'active') throw locationError(`Location ${location.name} is inactive`);
+  return location;
+};
+
+// Stock writers always get a place: a location deactivated since (e.g. a sale's branch) → the default
+const locationOrDefault = async (id, { session } = {}) => {
+  if (id && mongoose.Types.ObjectId.isValid(refId(id))) {
+    const location = await Location.findOne({ _id: refId(id), status: 'active' }).session(session || null).lean();
+    if (location) return location;
+  }
+  return getDefaultLocation({ session });
+};
+
+// Where web orders are picked from: the configured fulfillment location, else the default
+const getFulfillmentLocation = async ({ session } = {}) => {
+  const config = await AppConfiguration.findOne().select('fulfillmentLocation').lean();
+  return locationOrDefault(config?.fulfillmentLocation, { session });
+};
+
+// Take units from the given rows in order; returns [{ location, quantity }]
+const takeFromRows = async (variantId, rows, quantity, { session } = {}) => {
+  const taken = [];
+  let left = quantity;
+  for (const row of rows) {
+    if (left <= 0) break;
+    const take = Math.min(left, row.quantity);
+    if (take <= 0) continue;
+
+    const updated = await LocationStock.findOneAndUpdate(
+      { _id: row._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } },
+      { new: true, session }
+    );
+    if (!updated) continue;
+
+    taken.push({ location: row.location, quantity: take });
+    left -= take;
+  }
+  return taken;
+};
+
+const sortRows = (rows, firstIds) => {
+  const rank = (row) => {
+    const i = firstIds.indexOf(refId(row.location));
+    return i === -1 ? firstIds.length : i;
+  };
+  return rows.sort((a, b) => rank(a) - rank(b) || b.quantity - a.quantity);
+};
+
+const addToLocation = (variantId, locationId, quantity, { session } = {}) =>
+  LocationStock.updateOne(
+    { location: locationId, variant: variantId },
+    { $inc: { quantity } },
+    { upsert: true, session }
+  );
+
+/**
+ * Make a variant's LocationStock rows add up to `stockLevel` (defaults to its current stock).
+ * Bundles hold no stock of their own and are skipped.
+ */
+const reconcileLocationStock = async (variantId, stockLevel, { session } = {}) => {
+  const variant = await Variant.findById(variantId)
+    .select('stockQuantity bundleItems')
+    .session(session || null)
+    .lean();
+  if (!variant || variant.bundleItems?.length) return;
+
+  const level = stockLevel ?? variant.stockQuantity ?? 0;
+  const rows = await LocationStock.find({ variant: variant._id }).session(session || null).lean();
+  const diff = level - rows.reduce((sum, row) => sum + row.quantity, 0);
+  if (diff === 0) return;
+
+  const fallback = await getDefaultLocation({ session });
+  if (diff > 0) {
+    await addToLocation(variant._id, fallback._id, diff, { session });
+  } else {
+    await takeFromRows(variant._id, sortRows(rows, [refId(fallback._id)]), -diff, { session });
+  }
+};
+
+/**
+ * Book incoming units at a location (unknown / inactive → the default location; validate
+ * user input with resolveLocation() first).
+ * @returns {Array<{ location, quantity }>} for StockMovement.locations
+ */
+const addLocationStock = async (variantId, quantity, { location, stockBefore, session } = {}) => {
+  if (!quantity || quantity <= 0) return [];
+  await reconcileLocationStock(variantId, stockBefore, { session });
+
+  const target = await locationOrDefault(location, { session });
+  await addToLocation(variantId, target._id, quantity, { session });
+  return [{ location: target._id, quantity }];
+};
+
+/**
+ * Take outgoing units from a location. Units the location doesn't have come from the
+ * default location and then the best-stocked others, unless `strict` (manual adjustments),
+ * which throws LOCATION_VALIDATION instead.
+ * @returns {Array<{ location, quantity }>} for StockMovement.locations
+ */
+const takeLocationStock = async (variantId, quantity, { location, stockBefore, strict = false, session } = {}) => {
+  if (!quantity || quantity <= 0) return [];
+  await reconcileLocationStock(variantId, stockBefore, { session });
+
+  const source = await locationOrDefault(location, { session });
+  const rows = await LocationStock.find({ variant: variantId, quantity: { $gt: 0 } }).session(session || null).lean();
+
+  if (strict) {
+    const here = rows.find(row => refId(row.location) === refId(source._id));
+    if ((here?.quantity || 0) < quantity) {
+      throw locationError(`Only ${here?.quantity || 0} unit(s) in stock at ${source.name}`);
+    }
+    return takeFromRows(variantId, [here], quantity, { session });
+  }
+
+  const fallback = await getDefaultLocation({ session });
+  return takeFromRows(variantId, sortRows(rows, [refId(source._id), refId(fallback._id)]), quantity, { session });
+};
+
+/**
+ * Stock per location for the given variants: Map<variantId, [{ location, name, code, quantity }]>
+ */
+const getStockByLocation = async (variantIds) => {
+  const ids = variantIds.map(id => new mongoose.Types.ObjectId(refId(id)));
+  const rows = await LocationStock.find({ variant: { $in: ids }, quantity: { $gt: 0 } })
+    .populate('location', 'name code type')
+    .lean();
+
+  const byVariant = new Map();
+  for (const row of rows) {
+    const key = row.variant.toString();
+    if (!byVariant.has(key)) byVariant.set(key, []);
+    byVariant.get(key).push({
+      location: row.location?._id || null,
+      name: row.location?.name || 'Unknown',
+      code: row.location?.code || null,
+      quantity: row.quantity
+    });
+  }
+  return byVariant;
+};
+
+// { location, quantity } entries for StockMovement.locations
+const movementLocations = (entries = []) =>
+  entries.map(({ location, quantity }) => ({ location, quantity }));
+
+module.exports = {
+  getDefaultLocation,
+  resolveLocation,
+  getFulfillmentLocation,
+  reconcileLocationStock,
+  addLocationStock,
+  takeLocationStock,
+  getStockByLocation,
+  movementLocations
+};
@@ -0,0 +1,465 @@
+// services/orderService.js
+const mongoose = require('mongoose');
+const { createNotification } = require('../utils/createNotification');
+
+const Order = require('../model/Order');
+const Product = require('../model/Product');
+const User = require('../model/User');
+const AppConfiguration = require('../model/app_configuration');
+const sendEmail = require('../utils/sendSmtpEmail');
+const { reserveStock } = require('./stockReservationService');
+const { validateCoupon, redeemCoupon } = require('./couponService');
+const { getActiveOffersByProduct, resolveVariantPrice, calculateStoreDiscount } = require('./pricingService');
+const { nextNumber } = require('./counterService');
+const { getInvoiceAttachment } = require('./documentService');
+const { variantLabel } = require('./variantOptionService');
+const { applyBundleAvailability, bundleSnapshot } = require('./bundleService');
+const { getReorderSettings, isLowStock } = require('./reorderService');
+
+// Order creation shared by POST /orders, POST /orders/guest and autoship subscriptions:
+//   priceOrder()        server-authoritative pricing of the requested lines
+//   placeOrder()        numbers + stock reservation + coupon + order in one transaction
+//   notifyOrderPlaced() push, emails and in-app notifications after the commit
+
+// ────────────────────────────────────────────────
+// Helpers
+// ────────────────────────────────────────────────
+
+const getCurrencySettings = async () => {
+  try {
+    const config = await AppConfiguration.findOne().lean().select('currencyName currencyCode currencySign');
+    return config || {
+      currencyName: 'US Dollar',
+      currencyCode: 'USD',
+      currencySign: '$',
+    };
+  } catch (err) {
+    console.error('Error fetching currency settings:', err);
+    return { currencyName: 'US Dollar', currencyCode: 'USD', currencySign: '$' };
+  }
+};
+
+const buildProductRows = (order) => {
+  return order.items.map(item => `
+    <tr>
+      <td>${item.product?.name || "Product"}</td>
+      <td align="center">${item.quantity}</td>
+      <td align="right">${item.price}</td>
+      <td align="right">${item.total}</td>
+    </tr>
+  `).join("");
+};
+
+/**
+ * Improved low-stock check:
+ * - Uses availableStock (stock - reserved) against the variant's reorder point
+ * - Batch fetches products to avoid N+1
+ * - Sends notification per low variant
+ */
+const checkAndSendLowStockAlerts = async (variants, adminEmail) => {
+  const { defaultReorderPoint } = await getReorderSettings();
+  const lowStockVariants = variants.filter(v => isLowStock(v, defaultReorderPoint));
+
+  if (lowStockVariants.length === 0) return;
+
+  // Get unique product IDs
+  const productIds = [...new Set(lowStockVariants.map(v => v.product))];
+
+  // Batch fetch products
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name')
+    .lean();
+
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  // Enrich variants with product data
+  const enriched = lowStockVariants.map(v => ({
+    ...v,
+    product: productMap.get(v.product.toString()) || { name: 'Unknown Product' }
+  }));
+
+  // Email (combined list)
+  const lowStockItems = enriched
+    .map(v => `${v.name} - ${variantLabel(v) || 'N/A'} (Stock: ${v.stockQuantity || "Few"})`)
+
+    .join('<br>');
+
+  if (adminEmail) {
+    await sendEmail(adminEmail, 'low_stock_alert', { lowStockItems });
+  }
+
+  // In-app notifications for all admins/managers
+  const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
+    .select('_id')
+    .lean();
+
+  for (const v of enriched) {
+    const msg = `${v.name} (${variantLabel(v)}) → only ${v.stockQuantity} left`;
+
+    for (const admin of admins) {
+      await createNotification({
+        userId: admin._id,
+        type: 'low_stock_alert',
+        title: 'Low Stock Alert',
+        message: msg,
+        related: { productId: v.product._id?.toString() }
+      }).catch(err => console.error('Low stock notification failed:', err));
+    }
+  }
+};
+
+// ────────────────────────────────────────────────
+// Pricing (shared by /quote and POST /orders)
+// ────────────────────────────────────────────────
+
+const orderError = (msg) => {
+  const err = new Error(msg);
+  err.code = 'ORDER_VALIDATION';
+  return err;
+};
+
+/**
+ * Server-authoritative pricing for a cart.
+ * Throws `ORDER_VALIDATION` / `INVALID_COUPON` errors with customer-facing messages.
+ */
+const priceOrder = async ({ items, userId, couponCode, shipping = 5.99 }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw orderError('Order items required');
+  }
+
+  const orderItems = [];
+  const couponLines = [];
+  const variantsToCheck = [];
+  let subtotal = 0;
+
+  const validProductIds = items.map(itm => itm.product).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const offersByProduct = await getActiveOffersByProduct(validProductIds);
+
+  for (const itm of items) {
+    if (!mongoose.Types.ObjectId.isValid(itm.product)) {
+      throw orderError(`Invalid product ID: ${itm.product}`);
+    }
+
+    const product = await Product.findById(itm.product)
+      .populate({ path: 'variations', select: 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image product reservedQuantity reorderPoint bundleItems' });
+
+    if (!product) throw orderError(`Product not found: ${itm.product}`);
+    if (!product.variations?.length) throw orderError(`No variations for product ${product.name}`);
+    await applyBundleAvailability(product.variations);
+
+    const qty = Number(itm.quantity);
+    if (isNaN(qty) || qty <= 0) throw orderError(`Invalid quantity for ${product.name}`);
+
+    if (!itm.variant || !mongoose.Types.ObjectId.isValid(itm.variant)) {
+      throw orderError(`Valid variant required for ${product.name}`);
+    }
+
+    const variant = product.variations.find(v => v._id.toString() === itm.variant);
+    if (!variant) throw orderError('Variant not found');
+
+    const available = variant.stockQuantity - (variant.reservedQuantity || 0);
+    if (available < qty) {
+      throw orderError(`Insufficient stock for ${product.name} (${variantLabel(variant)})`);
+    }
+
+    const resolved = resolveVariantPrice(variant, offersByProduct.get(product._id.toString()));
+    const price = resolved.unitPrice;
+    const lineTotal = price * qty;
+
+    orderItems.push({
+      product: itm.product,
+      variant: itm.variant,
+      quantity: qty,
+      price,
+      regularPrice: resolved.regularPrice,
+      offer: resolved.appliedOffer?._id || null,
+      offerName: resolved.appliedOffer?.offerName,
+      discount: Number((resolved.unitDiscount * qty).toFixed(2)),
+      total: lineTotal,
+      bundleItems: bundleSnapshot(variant)
+    });
+
+    couponLines.push({
+      product: product._id,
+      category: product.category,
+      brand: product.brand,
+      total: lineTotal
+    });
+
+    subtotal += lineTotal;
+
+    variantsToCheck.push({
+      _id: variant._id,
+      product: product._id,
+      name: product.name,
+      attribute: variant.attribute,
+      value: variant.value,
+      optionLabel: variantLabel(variant),
+      stockQuantity: variant.stockQuantity,
+      reservedQuantity: variant.reservedQuantity || 0,
+      reorderPoint: variant.reorderPoint ?? null
+    });
+  }
+
+  // ── Store discount (server decides, on top of line prices) ────────────
+  const config = await AppConfiguration.findOne().lean();
+  const storeDiscount = await calculateStoreDiscount(subtotal, config);
+
+  // ── Coupon ────────────────────────────────────────────────────────────
+  let finalShipping = Number(shipping);
+  let coupon = null;
+  if (couponCode) {
+    const result = await validateCoupon({ code: couponCode, userId, lines: couponLines, subtotal, shipping: finalShipping });
+    coupon = {
+      doc: result.coupon,
+      couponId: result.coupon._id,
+      code: result.coupon.code,
+      discountType: result.coupon.discountType,
+      discount: result.discount,
+      freeShipping: result.freeShipping
+    };
+    if (result.freeShipping) finalShipping = 0;
+  }
+  const couponDiscount = coupon && !coupon.freeShipping ? coupon.discount : 0;
+
+  // ── Final server-side totals ──────────────────────────────────────────
+  const taxRate = config?.tax || 0;
+  const tax = Number(((subtotal * taxRate) / 100).toFixed(2));
+  const discount = Number(Math.min(storeDiscount + couponDiscount, subtotal).toFixed(2));
+  const total = Number((subtotal + tax + finalShipping - discount).toFixed(2));
+
+  return {
+    orderItems,
+    variantsToCheck,
+    subtotal,
+    storeDiscount,
+    coupon,
+    discount,
+    tax,
+    shipping: finalShipping,
+    total,
+    taxRate,
+    config
+  };
+};
+
+// ────────────────────────────────────────────────
+// Placing the order
+// ────────────────────────────────────────────────
+
+/**
+ * Create an order from a priceOrder() result.
+ * `actor` ({ id, role }) is recorded in statusHistory; null means a guest placed it.
+ * `payment` carries staff-recorded payment details and must be empty for customer orders.
+ * `onPlaced(order, session)` runs inside the order's transaction, after it is saved.
+ * Throws INSUFFICIENT_STOCK / INVALID_COUPON errors when the reservation fails.
+ */
+const placeOrder = async (pricing, {
+  user = null,
+  actor = null,
+  guest,
+  paymentMethod,
+  paymentProvider,
+  shippingAddress,
+  notes,
+  payment = {},
+  subscription = null,
+  reservationMinutes,
+  note = 'Order placed',
+  onPlaced
+}) => {
+  const {
+    orderItems,
+    subtotal,
+    storeDiscount,
+    coupon,
+    discount,
+    tax,
+    shipping,
+    total,
+    config
+  } = pricing;
+
+  // ── Create order with SERVER values only ──────────────────────────────
+  const orderNumber = await nextNumber('order');
+  const trackingNumber = await nextNumber('tracking');
+
+  const paymentVerified = payment.isPaymentVerified === true;
+
+  // Unpaid online orders only hold their stock for a limited time
+  const awaitingOnlinePayment = paymentMethod === 'Online' && !paymentVerified;
+  const timeoutMinutes = reservationMinutes || config?.reservationTimeoutMinutes || 30;
+
+  const order = new Order({
+    user,
+    guest,
+    subscription,
+    orderNumber,
+    orderTrackingNumber: trackingNumber,
+    items: orderItems,
+    subtotal,                            // ← trusted value
+    tax,
+    discount,                            // ← trusted store + coupon discount
+    storeDiscount,
+    coupon: coupon
+      ? {
+        couponId: coupon.couponId,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        discount: coupon.discount,
+        freeShipping: coupon.freeShipping
+      }
+      : undefined,
+    shipping,
+    total,                               // ← trusted final total
+    paymentMethod,
+    paymentProvider: paymentProvider || null,
+    paymentId: payment.paymentId || null,
+    paymentResponse: payment.paymentResponse || null,
+    isPaymentVerified: paymentVerified,
+    paymentStatus: payment.paymentStatus || (paymentMethod === 'COD' ? 'unpaid' : null),
+    status: 'pending',
+    trackingStatus: 'not shipped',
+    shippingAddress,
+    notes: notes || '',
+    stockReservation: 'reserved',
+    statusHistory: [{
+      field: 'status',
+      from: null,
+      to: 'pending',
+      changedBy: actor?.id || null,
+      changedByRole: actor?.role || 'guest',
+      note
+    }],
+    reservationExpiresAt: awaitingOnlinePayment
+      ? new Date(Date.now() + timeoutMinutes * 60 * 1000)
+      : null
+  });
+
+  // ── Reserve stock + save order atomically ─────────────────────────────
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    await reserveStock(orderItems, session);
+    await order.save({ session });
+    if (coupon) {
+      await redeemCoupon({ coupon: coupon.doc, userId: user, orderId: order._id, discount: coupon.discount }, session);
+    }
+    if (onPlaced) await onPlaced(order, session);
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // Populate for emails & response
+  await order.populate('items.product', 'name thumbnail images');
+  await order.populate({
+    path: 'items.variant',
+    select: 'attribute value optionValues optionLabel sku price discountPrice stockQuantity image'
+  });
+  await order.populate('user', 'name email phone');
+
+  return order;
+};
+
+/**
+ * Push, email and in-app notifications for a new order. Never throws.
+ * `accessToken` is appended to the guest's tracking link.
+ */
+const notifyOrderPlaced = async (order, { variantsToCheck = [], config = null, accessToken } = {}) => {
+  const { orderNumber, paymentMethod } = order;
+  const currency = await getCurrencySettings();
+  const totalFormatted = `${currency.currencySign}${order.total.toFixed(2)}`;
+
+  // Web Push
+  try {
+    const PushSubscription = require('../model/PushSubscription');
+    const { sendNotification } = require('../utils/sendPushNotification');
+
+    const adminSubs = await PushSubscription.find({
+      role: { $in: ['Super Admin', 'Manager'] }
+    }).select('endpoint keys');
+
+    if (adminSubs.length > 0) {
+      await Promise.allSettled(
+        adminSubs.map(sub =>
+          sendNotification(
+            { endpoint: sub.endpoint, keys: sub.keys },
+            'New Order Received!',
+            `${orderNumber} • ${totalFormatted} • ${paymentMethod.toUpperCase()}`,
+            { orderId: order._id.toString(), url: `/admin/orders/${order._id}` }
+          ).catch(err => console.warn('Push failed:', err.message))
+        )
+      );
+    }
+  } catch (pushErr) {
+    console.error('Push notification error:', pushErr);
+  }
+
+  // Email + In-app
+  try {
+    const productRows = buildProductRows(order);
+
+    const customerVars = {
+      customerName: order.shippingAddress.fullName,
+      orderId: order.orderNumber,
+      orderTotal: totalFormatted,
+      paymentMethod: order.paymentMethod,
+      shippingAddress: `${order.shippingAddress.fullName}, ${order.shippingAddress.street}, ${order.shippingAddress.city}, ${order.shippingAddress.zip}`,
+      productRows,
+      orderTrackingUrl: `https://al-bready-website.vercel.app/orders/track/${order.orderTrackingNumber}${accessToken ? `?token=${accessToken}` : ''}`
+    };
+
+    const invoice = config?.attachInvoicePdf ? await getInvoiceAttachment(order._id) : null;
+    await sendEmail(order.user?.email || order.guest.email, 'order_placed', customerVars, { attachments: invoice ? [invoice] : [] });
+
+    const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
+      .select('_id email name')
+      .lean();
+
+    for (const admin of admins) {
+      if (admin.email) {
+        const adminVars = {
+          orderId: order.orderNumber,
+          customerName: order.shippingAddress.fullName,
+          customerEmail: order.shippingAddress.email,
+          orderTotal: totalFormatted,
+          paymentMethod: order.paymentMethod,
+          shippingAddress: `${order.shippingAddress.fullName}, ${order.shippingAddress.street}, ${order.shippingAddress.city}, ${order.shippingAddress.zip}`,
+          productRows,
+          adminOrderUrl: `https://al-bready-admin.vercel.app/admin/orders/${order._id}`
+        };
+
+        await sendEmail(admin.email, 'order_placed_admin', adminVars);
+      }
+
+      await createNotification({
+        userId: admin._id,
+        type: 'order_placed',
+        title: 'New Order Received',
+        message: `Order ${orderNumber} • ${totalFormatted} • ${paymentMethod.toUpperCase()}`,
+        related: { orderId: order._id.toString() }
+      }).catch(err => console.error('Notification failed:', err));
+    }
+
+    if (variantsToCheck.length > 0) {
+      await checkAndSendLowStockAlerts(variantsToCheck, admins[0]?.email || null);
+    }
+  } catch (err) {
+    console.error('Email/notification error (non-critical):', err);
+  }
+
+};
+
+module.exports = {
+  orderError,
+  getCurrencySettings,
+  buildProductRows,
+  checkAndSendLowStockAlerts,
+  priceOrder,
+  placeOrder,
+  notifyOrderPlaced
+};
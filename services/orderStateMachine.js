@@ -0,0 +1,299 @@
+// services/orderStateMachine.js
+const User = require('../model/User');
+const AppConfiguration = require('../model/app_configuration');
+const { syncStockWithStatus } = require('./stockReservationService');
+const { reverseCouponRedemption } = require('./couponService');
+const { createNotification } = require('../utils/createNotification');
+const sendEmail = require('../utils/sendSmtpEmail');
+const { getInvoiceAttachment } = require('./documentService');
+const { notifyBackInStock } = require('./stockAlertService');
+
+/*
+ * Every change to an order's status, trackingStatus or paymentStatus goes through
+ * transitionOrder(). It
+ *   1. checks the move against the transition table + guards below,
+ *   2. applies the changes it implies on the other two fields (CASCADES),
+ *   3. runs in-transaction side effects (stock, coupon, payment flags),
+ *   4. appends one statusHistory entry per change.
+ * After the caller has saved/committed, notifyOrderChanges() sends notifications and emails.
+ *
+ * Explicitly requested changes must be valid or an INVALID_TRANSITION error is thrown.
+ * Implied (cascaded) changes are skipped when they are not valid from the current state.
+ */
+
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'delivered', 'cancelled'],
+  processing: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const TRACKING_TRANSITIONS = {
+  'not shipped': ['shipped', 'in transit', 'out for delivery', 'delivered', 'cancelled'],
+  shipped: ['in transit', 'out for delivery', 'delivered'],
+  'in transit': ['out for delivery', 'delivered'],
+  'out for delivery': ['in transit', 'delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Orders without a paymentStatus are treated as 'unpaid'
+const PAYMENT_TRANSITIONS = {
+  unpaid: ['pending', 'paid', 'failed', 'under_review'],
+  pending: ['paid', 'failed', 'unpaid', 'under_review'],
+  failed: ['pending', 'paid', 'unpaid', 'under_review'],
+  under_review: ['paid', 'partially_refunded', 'refunded', 'unpaid'],
+  paid: ['partially_refunded', 'refunded', 'unpaid'],
+  partially_refunded: ['refunded'],
+  refunded: []
+};
+
+const MACHINES = {
+  status: { transitions: STATUS_TRANSITIONS, initial: 'pending' },
+  trackingStatus: { transitions: TRACKING_TRANSITIONS, initial: 'not shipped' },
+  paymentStatus: { transitions: PAYMENT_TRANSITIONS, initial: 'unpaid' }
+};
+
+// Guards return true or a reason string
+const canShip = (order) =>
+  ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.status) ||
+  `Order must be confirmed before shipping (status is ${order.status})`;
+
+const GUARDS = {
+  trackingStatus: {
+    shipped: canShip,
+    'in transit': canShip,
+    'out for delivery': canShip,
+    delivered: canShip,
+    cancelled: (order) => order.status === 'cancelled' || 'Cancel the order to cancel its shipment'
+  },
+  paymentStatus: {
+    paid: (order) => {
+      if (order.status === 'cancelled') return 'Cancelled orders cannot have payment marked as paid';
+      if (order.paymentMethod === 'COD' && order.status !== 'delivered') {
+        return 'COD payment can only be marked after delivery.';
+      }
+      return true;
+    }
+  }
+};
+
+// Changes implied on the other fields once a field enters a state
+const CASCADES = {
+  status: {
+    shipped: () => ({ trackingStatus: 'shipped' }),
+    delivered: (order) => ({
+      trackingStatus: 'delivered',
+      ...(order.paymentMethod === 'COD' && { paymentStatus: 'paid' })
+    }),
+    cancelled: (order) => ({
+      trackingStatus: 'cancelled',
+      ...(!['paid', 'partially_refunded', 'refunded', 'under_review'].includes(order.paymentStatus) && { paymentStatus: 'unpaid' })
+    })
+  },
+  trackingStatus: {
+    shipped: () => ({ status: 'shipped' }),
+    'in transit': () => ({ status: 'shipped' }),
+    'out for delivery': () => ({ status: 'shipped' }),
+    delivered: () => ({ status: 'delivered' })
+  },
+  paymentStatus: {
+    paid: (order) => (order.status === 'pending' ? { status: 'confirmed' } : {})
+  }
+};
+
+// In-transaction side effects, run before the field is updated
+const ON_ENTER = {
+  status: async (order, to, { actor, session }) => {
+    await syncStockWithStatus(order, to, { performedBy: actor?.id, session });
+    if (to === 'cancelled') {
+      await reverseCouponRedemption(order._id, session);
+      // Shipments that never left cannot outlive the order
+      for (const shipment of order.shipments || []) {
+        if (shipment.trackingStatus !== 'not shipped') continue;
+        shipment.trackingStatus = 'cancelled';
+        shipment.events.push({ trackingStatus: 'cancelled', note: 'Order cancelled', changedBy: actor?.id || null, at: new Date() });
+      }
+    }
+  },
+  paymentStatus: async (order, to, { actor }) => {
+    if (to === 'paid') {
+      order.isPaymentVerified = true;
+      order.paymentVerifiedAt = new Date();
+      order.paymentVerifiedBy = actor?.id || null;
+      order.reservationExpiresAt = null;
+    } else if (['unpaid', 'failed'].includes(to)) {
+      order.isPaymentVerified = false;
+      order.paymentVerifiedAt = null;
+      order.paymentVerifiedBy = null;
+    }
+  }
+};
+
+const transitionError = (msg) => {
+  const err = new Error(msg);
+  err.code = 'INVALID_TRANSITION';
+  return err;
+};
+
+const currentState = (order, field) => order[field] || MACHINES[field].initial;
+
+const canTransition = (field, from, to) =>
+  (MACHINES[field].transitions[from] || []).includes(to);
+
+/**
+ * Apply requested changes `{ status, trackingStatus, paymentStatus }` to an order document.
+ * Mutates the order (the caller saves it, inside `session` when given).
+ * @param {Object} options - { actor: { id, role } | null (system), note, session }
+ * @returns {Array} the applied changes `{ field, from, to, implied }`
+ */
+const transitionOrder = async (order, requested = {}, { actor = null, note, session } = {}) => {
+  const changes = [];
+
+  // `trigger` is set for implied changes: the change that caused them
+  const apply = async (field, to, trigger = null) => {
+    if (!MACHINES[field].transitions[to]) {
+      throw transitionError(`Invalid ${field}: ${to}`);
+    }
+
+    const from = currentState(order, field);
+    if (from === to) return;
+
+    let reason = null;
+    if (!canTransition(field, from, to)) {
+      reason = `Cannot change ${field} from ${from} to ${to}`;
+    } else {
+      const guard = GUARDS[field]?.[to];
+      const result = guard ? guard(order) : true;
+      if (result !== true) reason = result;
+    }
+
+    if (reason) {
+      if (trigger) return;
+      throw transitionError(reason);
+    }
+
+    if (ON_ENTER[field]) {
+      await ON_ENTER[field](order, to, { actor, session });
+    }
+
+    order[field] = to;
+    order.statusHistory.push({
+      field,
+      from,
+      to,
+      changedBy: actor?.id || null,
+      changedByRole: actor?.role || 'system',
+      note: trigger ? `Follows ${trigger}` : note,
+      at: new Date()
+    });
+    changes.push({ field, from, to, implied: Boolean(trigger) });
+
+    const cascade = CASCADES[field]?.[to];
+    if (cascade) {
+      for (const [nextField, nextTo] of Object.entries(cascade(order))) {
+        await apply(nextField, nextTo, `${field} → ${to}`);
+      }
+    }
+  };
+
+  for (const field of ['status', 'trackingStatus', 'paymentStatus']) {
+    if (requested[field] !== undefined && requested[field] !== null && requested[field] !== '') {
+      await apply(field, requested[field]);
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Notifications + emails for applied changes. Call after the order is saved/committed.
+ * Failures are logged, never thrown.
+ */
+const notifyOrderChanges = async (order, changes) => {
+  if (!changes || changes.length === 0) return;
+
+  // Cancelling gives the order's units back to stock
+  if (changes.some(c => c.field === 'status' && c.to === 'cancelled')) {
+    await notifyBackInStock(order.items.map(item => item.variant?._id || item.variant));
+  }
+
+  try {
+    const statusChange = changes.find(c => c.field === 'status');
+    const paid = changes.some(c => c.field === 'paymentStatus' && c.to === 'paid');
+    if (!statusChange && !paid) return;
+
+    const config = await AppConfiguration.findOne().lean().select('currencySign attachInvoicePdf');
+    const totalFormatted = `${config?.currencySign || '$'}${order.total.toFixed(2)}`;
+
+    const customer = order.user?.email
+      ? order.user
+      : order.user
+        ? await User.findById(order.user).select('name email').lean()
+        : order.guest;
+
+    const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } })
+      .select('_id')
+      .lean();
+
+    if (statusChange) {
+      for (const admin of admins) {
+        await createNotification({
+          userId: admin._id,
+          type: 'order_status_updated',
+          title: 'Order Status Updated',
+          message: `Order ${order.orderNumber} → ${order.status} (was ${statusChange.from})`,
+          related: { orderId: order._id.toString() }
+        });
+      }
+
+      if (customer?.email) {
+        await sendEmail(customer.email, 'order_status_updated', {
+          user_name: customer.name,
+          order_number: order.orderNumber,
+          order_status: order.status,
+          order_oldStatus: statusChange.from,
+          order_total: totalFormatted,
+          order_trackingNumber: order.orderTrackingNumber,
+        });
+      }
+    }
+
+    if (paid) {
+      for (const admin of admins) {
+        await createNotification({
+          userId: admin._id,
+          type: 'payment_confirmation',
+          title: 'Payment Confirmed',
+          message: `Order ${order.orderNumber} - ${totalFormatted} payment verified`,
+          related: { orderId: order._id.toString() }
+        });
+      }
+
+      if (customer?.email) {
+        const invoice = config?.attachInvoicePdf ? await getInvoiceAttachment(order._id) : null;
+        await sendEmail(customer.email, 'payment_confirmation', {
+          user_name: customer.name,
+          order_number: order.orderNumber,
+          order_total: totalFormatted,
+          order_status: order.status,
+          order_paymentMethod: order.paymentMethod,
+        }, { attachments: invoice ? [invoice] : [] });
+      }
+    }
+  } catch (err) {
+    console.error(`Order ${order.orderNumber} notification/email error:`, err);
+  }
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  TRACKING_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  canTransition,
+  transitionOrder,
+  notifyOrderChanges
+};
@@ -0,0 +1,318 @@
+// services/paypalService.js
+const mongoose = require('mongoose');
+const Order = require('../model/Order');
+const AppConfiguration = require('../model/app_configuration');
+const { paypalClient, paypal, VerifyWebhookSignatureRequest } = require('../utils/paypal');
+const { canTransition, transitionOrder, notifyOrderChanges } = require('./orderStateMachine');
+
+const paymentError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'PAYMENT_ERROR';
+  err.status = status;
+  return err;
+};
+
+const getCurrency = async () => {
+  const config = await AppConfiguration.findOne().lean().select('currencyCode');
+  return { currencyCode: (config?.currencyCode || 'USD').toUpperCase() };
+};
+
+const formatAmount = (value) => Number(value).toFixed(2);
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+const getCapture = (result) => result?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+
+/**
+ * Create a PayPal order for the server-priced total of an existing Order.
+ * The Order keeps the PayPal order id in `paymentId`.
+ */
+const createPaypalOrder = async (order) => {
+  if (order.paymentMethod !== 'Online') throw paymentError('Order is not an online payment order');
+  if (order.status === 'cancelled') throw paymentError('Order has been cancelled');
+  if (order.isPaymentVerified) throw paymentError('Payment is already verified');
+  // checked before PayPal is called, so a PayPal order is never left unlinked
+  const paymentStatus = order.paymentStatus || 'unpaid';
+  if (paymentStatus !== 'pending' && !canTransition('paymentStatus', paymentStatus, 'pending')) {
+    throw paymentError(`Cannot start a PayPal payment while payment is ${paymentStatus}`, 409);
+  }
+
+  const { currencyCode } = await getCurrency();
+
+  const request = new paypal.orders.OrdersCreateRequest();
+  request.prefer('return=representation');
+  request.requestBody({
+    intent: 'CAPTURE',
+    purchase_units: [{
+      reference_id: order._id.toString(),
+      custom_id: order._id.toString(),
+      invoice_id: order.orderNumber,
+      amount: {
+        currency_code: currencyCode,
+        value: formatAmount(order.total)
+      }
+    }]
+  });
+
+  const response = await paypalClient().execute(request);
+  const result = response.result;
+
+  order.paymentProvider = 'PayPal';
+  order.paymentId = result.id;
+  await transitionOrder(order, { paymentStatus: 'pending' }, { note: `PayPal order ${result.id} created` });
+  await order.save();
+
+  const approveLink = (result.links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action');
+
+  return {
+    paypalOrderId: result.id,
+    status: result.status,
+    approveUrl: approveLink ? approveLink.href : null,
+    amount: { currencyCode, value: formatAmount(order.total) }
+  };
+};
+
+// Returns an error message when the capture does not pay this order in full
+const checkCaptureAgainstOrder = (capture, order, currencyCode) => {
+  if (!capture) return 'No capture found in PayPal response';
+  if (capture.status !== 'COMPLETED') return `Capture status is ${capture.status}`;
+  if (capture.amount?.currency_code !== currencyCode) {
+    return `Captured currency ${capture.amount?.currency_code} does not match ${currencyCode}`;
+  }
+  if (capture.amount?.value !== formatAmount(order.total)) {
+    return `Captured amount ${capture.amount?.value} does not match order total ${formatAmount(order.total)}`;
+  }
+  return null;
+};
+
+/**
+ * Record a PayPal refund on the Order (refunds / refundedAmount) and mark the payment
+ * partially_refunded, or refunded once the whole captured total is back.
+ * A refund already recorded (same PayPal refund id, e.g. a redelivered webhook) is ignored.
+ * Returns { order, alreadyRecorded }.
+ */
+const applyRefund = async (orderId, refund) => {
+  const { currencyCode } = await getCurrency();
+
+  const session = await mongoose.startSession();
+  let order;
+  let changes = [];
+  try {
+    session.startTransaction();
+
+    order = await Order.findById(orderId).session(session);
+    if (!order) throw paymentError('Order not found', 404);
+
+    if (refund.id && order.refunds.some(r => r.reference === refund.id)) {
+      await session.abortTransaction();
+      return { order, alreadyRecorded: true };
+    }
+
+    const amount = round2(refund.amount?.value);
+    if (!(amount > 0)) throw paymentError(`Refund ${refund.id} has no amount`, 422);
+    if (refund.amount.currency_code !== currencyCode) {
+      throw paymentError(`Refunded currency ${refund.amount.currency_code} does not match ${currencyCode}`, 422);
+    }
+
+    // captures are checked against the order total, so that is what can come back
+    order.refundedAmount = round2(Math.min(order.total, (order.refundedAmount || 0) + amount));
+    order.refunds.push({ amount, method: 'PayPal', reference: refund.id });
+    order.paymentResponse = refund;
+    const fullyRefunded = order.refundedAmount >= order.total - 0.01;
+
+    changes = await transitionOrder(
+      order,
+      { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' },
+      { note: `PayPal refund ${refund.id} (${formatAmount(amount)} ${currencyCode})`, session }
+    );
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyOrderChanges(order, changes);
+  return { order, alreadyRecorded: false };
+};
+
+/**
+ * Verify a completed capture against the Order and mark it paid.
+ * Pending orders are confirmed, which turns their stock reservation into a deduction.
+ * Returns { order, alreadyPaid }.
+ */
+const applyCapture = async (orderId, capture, response) => {
+  const { currencyCode } = await getCurrency();
+
+  const session = await mongoose.startSession();
+  let order;
+  let changes = [];
+  let alreadyPaid = false;
+  try {
+    session.startTransaction();
+
+    order = await Order.findById(orderId).session(session);
+    if (!order) throw paymentError('Order not found', 404);
+
+    if (order.isPaymentVerified) {
+      alreadyPaid = true;
+      await session.abortTransaction();
+      return { order, alreadyPaid };
+    }
+
+    order.paymentProvider = 'PayPal';
+    order.paymentResponse = response;
+    if (capture?.id) order.paymentCaptureId = capture.id;
+
+    let problem = checkCaptureAgainstOrder(capture, order, currencyCode);
+    if (!problem && order.status === 'cancelled') {
+      // Paid after the reservation expired: keep the money on record for a manual refund
+      problem = { msg: 'Order was cancelled before the payment completed', status: 409 };
+    }
+    if (typeof problem === 'string') problem = { msg: problem, status: 422 };
+
+    if (problem) {
+      await transitionOrder(order, { paymentStatus: 'under_review' }, { note: problem.msg, session });
+      await order.save({ session });
+      await session.commitTransaction();
+      throw paymentError(problem.msg, problem.status);
+    }
+
+    // paid → confirms a pending order, which turns its stock reservation into a deduction
+    changes = await transitionOrder(order, { paymentStatus: 'paid' }, { note: `PayPal capture ${capture.id}`, session });
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyOrderChanges(order, changes);
+  return { order, alreadyPaid };
+};
+
+// Capture an approved PayPal order and verify it against the linked Order
+const capturePaypalOrder = async (order) => {
+  if (!order.paymentId) throw paymentError('No PayPal order has been created for this order');
+  if (order.isPaymentVerified) return { order, alreadyPaid: true };
+
+  const request = new paypal.orders.OrdersCaptureRequest(order.paymentId);
+  request.requestBody({});
+
+  let result;
+  try {
+    const response = await paypalClient().execute(request);
+    result = response.result;
+  } catch (err) {
+    // Already captured (e.g. a retried request): read the order back instead
+    if (err.statusCode === 422 && String(err.message).includes('ORDER_ALREADY_CAPTURED')) {
+      const response = await paypalClient().execute(new paypal.orders.OrdersGetRequest(order.paymentId));
+      result = response.result;
+    } else {
+      throw paymentError(`PayPal capture failed: ${err.message}`, 502);
+    }
+  }
+
+  return applyCapture(order._id, getCapture(result), result);
+};
+
+/**
+ * Ask PayPal whether a webhook delivery is authentic.
+ * Needs PAYPAL_WEBHOOK_ID (the id of the webhook registered in the PayPal dashboard).
+ */
+const verifyWebhookSignature = async (headers, event) => {
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) {
+    console.error('PAYPAL_WEBHOOK_ID is not configured');
+    return false;
+  }
+
+  const required = [
+    'paypal-auth-algo',
+    'paypal-cert-url',
+    'paypal-transmission-id',
+    'paypal-transmission-sig',
+    'paypal-transmission-time'
+  ];
+  if (required.some(name => !headers[name])) return false;
+
+  const request = new VerifyWebhookSignatureRequest({
+    auth_algo: headers['paypal-auth-algo'],
+    cert_url: headers['paypal-cert-url'],
+    transmission_id: headers['paypal-transmission-id'],
+    transmission_sig: headers['paypal-transmission-sig'],
+    transmission_time: headers['paypal-transmission-time'],
+    webhook_id: webhookId,
+    webhook_event: event
+  });
+
+  const response = await paypalClient().execute(request);
+  return response.result?.verification_status === 'SUCCESS';
+};
+
+// Find the Order a capture/refund resource belongs to
+const findOrderForResource = async (resource) => {
+  if (resource.custom_id && mongoose.Types.ObjectId.isValid(resource.custom_id)) {
+    const order = await Order.findById(resource.custom_id);
+    if (order) return order;
+  }
+
+  const paypalOrderId = resource.supplementary_data?.related_ids?.order_id;
+  if (paypalOrderId) {
+    const order = await Order.findOne({ paymentId: paypalOrderId });
+    if (order) return order;
+  }
+
+  // Refunds link back to their capture with rel "up"
+  const up = (resource.links || []).find(link => link.rel === 'up');
+  const captureId = up ? up.href.split('/').pop() : resource.id;
+  return Order.findOne({ paymentCaptureId: captureId });
+};
+
+/**
+ * Handle a verified webhook event.
+ * Returns a short description of what was done (for logging / the response body).
+ */
+const handleWebhookEvent = async (event) => {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    case 'PAYMENT.CAPTURE.COMPLETED': {
+      const order = await findOrderForResource(resource);
+      if (!order) return 'order not found';
+      const { alreadyPaid } = await applyCapture(order._id, resource, resource);
+      return alreadyPaid ? 'already paid' : 'order marked paid';
+    }
+
+    case 'PAYMENT.CAPTURE.REFUNDED': {
+      const order = await findOrderForResource(resource);
+      if (!order) return 'order not found';
+      const { order: refunded, alreadyRecorded } = await applyRefund(order._id, resource);
+      if (alreadyRecorded) return 'refund already recorded';
+      return refunded.paymentStatus === 'refunded' ? 'order marked refunded' : 'order marked partially refunded';
+    }
+
+    case 'PAYMENT.CAPTURE.DENIED': {
+      const order = await findOrderForResource(resource);
+      if (!order) return 'order not found';
+      // Stock stays reserved; the reservation expiry job cancels the order if no payment follows
+      order.paymentResponse = resource;
+      await transitionOrder(order, { paymentStatus: 'failed' }, { note: `PayPal capture ${resource.id} denied` });
+      await order.save();
+      return 'order marked failed';
+    }
+
+    default:
+      return 'ignored';
+  }
+};
+
+module.exports = {
+  createPaypalOrder,
+  capturePaypalOrder,
+  verifyWebhookSignature,
+  handleWebhookEvent
+};
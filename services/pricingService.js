@@ -0,0 +1,120 @@
+// services/pricingService.js
+const Offer = require('../model/Offer');
+const AppConfiguration = require('../model/app_configuration');
+
+/*
+ * Price precedence (used by the catalog, orders and sales):
+ *
+ *   1. Line price — start from the variant's regular `price`, then take the
+ *      LOWEST of:
+ *        a. the variant's own `discountPrice` (when > 0 and below price)
+ *        b. the product's active Offer applied to the regular price
+ *      Offers and variant discounts never stack; the customer gets the better one.
+ *   2. Cart level — the store discount from AppConfiguration is applied to the
+ *      subtotal of the already-discounted lines (web orders only).
+ *
+ * An Offer is active when status = 'active' and startDate <= now <= endDate.
+ * If a product has several, the most recently created one wins.
+ */
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const activeOfferQuery = (productIds, now = new Date()) => ({
+  applicableProducts: { $in: productIds },
+  status: 'active',
+  startDate: { $lte: now },
+  endDate: { $gte: now }
+});
+
+// Map<productId, offer> of the offer that applies to each product right now
+const getActiveOffersByProduct = async (productIds) => {
+  const ids = [...new Set(productIds.map(id => id.toString()))];
+  const offers = await Offer.find(activeOfferQuery(ids))
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const byProduct = new Map();
+  for (const offer of offers) {
+    for (const pid of offer.applicableProducts) {
+      const key = pid.toString();
+      if (ids.includes(key) && !byProduct.has(key)) byProduct.set(key, offer);
+    }
+  }
+  return byProduct;
+};
+
+const applyOffer = (price, offer) => {
+  if (!offer) return price;
+  const reduced = offer.discountType === 'Percentage'
+    ? price - (price * offer.discountValue) / 100
+    : price - offer.discountValue;
+  return Math.max(0, round2(reduced));
+};
+
+/**
+ * Resolve the unit price of a variant.
+ * @returns {{ regularPrice, unitPrice, unitDiscount, source, appliedOffer }}
+ *   source is 'regular' | 'variantDiscount' | 'offer'
+ */
+const resolveVariantPrice = (variant, offer = null) => {
+  const regularPrice = round2(variant.price);
+  let unitPrice = regularPrice;
+  let source = 'regular';
+  let appliedOffer = null;
+
+  const discountPrice = Number(variant.discountPrice) || 0;
+  if (discountPrice > 0 && discountPrice < unitPrice) {
+    unitPrice = round2(discountPrice);
+    source = 'variantDiscount';
+  }
+
+  const offerPrice = applyOffer(regularPrice, offer);
+  if (offer && offerPrice < unitPrice) {
+    unitPrice = offerPrice;
+    source = 'offer';
+    appliedOffer = offer;
+  }
+
+  return {
+    regularPrice,
+    unitPrice,
+    unitDiscount: round2(regularPrice - unitPrice),
+    source,
+    appliedOffer
+  };
+};
+
+// Catalog helper: adds effectivePrice to every variation of an aggregated product
+// (expects `variations` and the looked-up `activeOffer`)
+const withEffectivePrices = (product) => {
+  if (!product) return product;
+  const variations = (product.variations || []).map(v => {
+    const resolved = resolveVariantPrice(v, product.activeOffer || null);
+    return {
+      ...v,
+      effectivePrice: resolved.unitPrice,
+      priceSource: resolved.source
+    };
+  });
+  return { ...product, variations };
+};
+
+const calculateStoreDiscount = async (subtotal, config = null) => {
+  const settings = config || await AppConfiguration.findOne().lean();
+  if (!settings || !settings.enableStoreDiscount) return 0;
+
+  if (subtotal < settings.minimumOrderAmount) return 0;
+
+  const percentageDiscount = (subtotal * settings.discountPercentage) / 100;
+  const finalDiscount = Math.min(percentageDiscount, settings.maxDiscountAmount);
+
+  return Number(finalDiscount.toFixed(2));
+};
+
+module.exports = {
+  round2,
+  getActiveOffersByProduct,
+  resolveVariantPrice,
+  withEffectivePrices,
+  calculateStoreDiscount
+};
@@ -0,0 +1,701 @@
+// services/productImportService.js
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
+const ProductImport = require('../model/ProductImport');
+const { notifyBackInStock } = require('./stockAlertService');
+const { isBundle, refreshBundlePrices } = require('./bundleService');
+const { receiveLot, allocateLots, movementLots } = require('./stockLotService');
+const { addLocationStock, takeLocationStock, movementLocations } = require('./locationService');
+const {
+  findCategoryByIdOrName,
+  findSubcategoryByIdOrName,
+  findBrandByIdOrName,
+  findUnitByIdOrName
+} = require('../utils/catalogLookups');
+
+/*
+ * Bulk catalog import / export (CSV or XLSX, first worksheet).
+ *
+ * One row per variant; the product columns are repeated on every variant row of the product.
+ * Category, subcategory, brand and unit are given by name (or id); images are URLs, several
+ * product images separated by "|". The export writes the same columns, so an exported file
+ * can be edited and imported again.
+ *
+ * Import is two steps:
+ *   1. createImport()  - parse + validate every row, store a dry-run report (status validated)
+ *   2. queueImport()   - confirmed by the user; jobs/processProductImports.js (or the request
+ *                        itself via setImmediate) upserts the rows by SKU, one transaction per row
+ *
+ * Rows whose SKU exists update that variant (and its product); blank cells keep the current
+ * value. Unknown SKUs create a variant on the product with the same name + brand, creating the
+ * product when there is none. Stock changes on existing variants are recorded as
+ * 'Catalog Import' stock movements.
+ *
+ * Multi-option variants use the Options column ("Size=M; Color=Red") instead of Attribute /
+ * Value; values missing from the product's options are added to them.
+ */
+
+const MAX_ROWS = 5000;
+
+const COLUMNS = [
+  { key: 'productName', header: 'Product Name', width: 32 },
+  { key: 'category', header: 'Category', width: 18 },
+  { key: 'subcategory', header: 'Subcategory', width: 18 },
+  { key: 'brand', header: 'Brand', width: 18 },
+  { key: 'productStatus', header: 'Product Status', width: 14 },
+  { key: 'suitableFor', header: 'Suitable For', width: 16 },
+  { key: 'ingredients', header: 'Ingredients', width: 32 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'thumbnail', header: 'Thumbnail URL', width: 32 },
+  { key: 'images', header: 'Image URLs', width: 40 },
+  { key: 'sku', header: 'SKU', width: 20 },
+  { key: 'attribute', header: 'Attribute', width: 12 },
+  { key: 'value', header: 'Value', width: 12 },
+  { key: 'options', header: 'Options', width: 24 },
+  { key: 'unit', header: 'Unit', width: 12 },
+  { key: 'purchasePrice', header: 'Purchase Price', width: 14 },
+  { key: 'price', header: 'Price', width: 10 },
+  { key: 'discountPrice', header: 'Discount Price', width: 14 },
+  { key: 'stockQuantity', header: 'Stock Quantity', width: 14 },
+  { key: 'weightQuantity', header: 'Weight Quantity', width: 15 },
+  { key: 'expiryDate', header: 'Expiry Date', width: 12 },
+  { key: 'variantImage', header: 'Variant Image URL', width: 32 },
+  { key: 'variantStatus', header: 'Variant Status', width: 14 }
+];
+
+const importError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'IMPORT_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const normalizeHeader = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_LOOKUP = new Map(COLUMNS.flatMap(col => [
+  [normalizeHeader(col.header), col.key],
+  [normalizeHeader(col.key), col.key]
+]));
+
+const formatFromName = (fileName = '') => {
+  const ext = fileName.toLowerCase().split('.').pop();
+  return ext === 'csv' || ext === 'xlsx' ? ext : null;
+};
+
+// ExcelJS cell value → trimmed string
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);        // hyperlink
+    if (value.result !== undefined) return cellText(value.result);    // formula
+    return '';
+  }
+  return String(value).trim();
+};
+
+// ────────────────────────────────────────────────
+// Parsing
+// ────────────────────────────────────────────────
+
+/**
+ * Read the first worksheet into `{ row, productName, sku, ... }` objects of raw strings.
+ */
+const parseFile = async (buffer, fileName) => {
+  const format = formatFromName(fileName);
+  if (!format) throw importError('Only .csv and .xlsx files can be imported');
+
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  try {
+    if (format === 'csv') {
+      sheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });  // keep SKUs like 00123 as text
+    } else {
+      await workbook.xlsx.load(buffer);
+      sheet = workbook.worksheets[0];
+    }
+  } catch (err) {
+    throw importError(`Could not read the ${format.toUpperCase()} file: ${err.message}`);
+  }
+  if (!sheet || sheet.rowCount < 2) throw importError('The file has no data rows');
+
+  const columnKeys = {};
+  sheet.getRow(1).eachCell((cell, colNumber) => {
+    const key = HEADER_LOOKUP.get(normalizeHeader(cellText(cell.value)));
+    if (key) columnKeys[colNumber] = key;
+  });
+  if (!Object.values(columnKeys).includes('sku')) {
+    throw importError('The header row must contain a SKU column');
+  }
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const data = { row: rowNumber };
+    let hasValue = false;
+    for (const [colNumber, key] of Object.entries(columnKeys)) {
+      data[key] = cellText(sheetRow.getCell(Number(colNumber)).value);
+      if (data[key]) hasValue = true;
+    }
+    if (hasValue) rows.push(data);
+  });
+
+  if (rows.length === 0) throw importError('The file has no data rows');
+  if (rows.length > MAX_ROWS) throw importError(`A file can contain at most ${MAX_ROWS} rows`);
+  return { format, rows };
+};
+
+// ────────────────────────────────────────────────
+// Validation (dry run)
+// ────────────────────────────────────────────────
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// "Size=M; Color=Red" → [{ name: 'Size', value: 'M' }, { name: 'Color', value: 'Red' }] (null when malformed)
+const parseOptionsCell = (text) => {
+  const pairs = text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const [name, ...rest] = part.split('=');
+    return { name: name.trim(), value: rest.join('=').trim() };
+  });
+  const valid = pairs.length > 0 &&
+    pairs.every(p => p.name && p.value) &&
+    pairs.every((p, i) => pairs.findIndex(o => sameText(o.name, p.name)) === i);
+  return valid ? pairs : null;
+};
+
+const formatOptionsCell = (optionValues = []) => optionValues.map(o => `${o.name}=${o.value}`).join('; ');
+
+// Product options extended with any new values of a variant's option values
+const mergeProductOptions = (options, optionValues) => {
+  const merged = (options || []).map(o => ({ name: o.name, values: [...o.values] }));
+  for (const pair of optionValues) {
+    const option = merged.find(o => sameText(o.name, pair.name));
+    if (!option) merged.push({ name: pair.name, values: [pair.value] });
+    else if (!option.values.some(v => sameText(v, pair.value))) option.values.push(pair.value);
+  }
+  return merged;
+};
+
+const parseNumber = (raw, label, messages, { integer = false } = {}) => {
+  if (!raw) return undefined;
+  const num = Number(raw.replace(/,/g, ''));
+  if (isNaN(num) || num < 0 || (integer && !Number.isInteger(num))) {
+    messages.push(`${label} must be a ${integer ? 'whole ' : ''}number of 0 or more`);
+    return undefined;
+  }
+  return num;
+};
+
+/**
+ * Validate raw rows against the catalog. Returns the normalized row data (ids instead of
+ * names, numbers, undefined for blank cells) and one report entry per row.
+ */
+const validateRows = async (rawRows) => {
+  const caches = { category: new Map(), subcategory: new Map(), brand: new Map(), unit: new Map() };
+  const cached = async (cache, key, lookup) => {
+    if (!cache.has(key)) cache.set(key, await lookup());
+    return cache.get(key);
+  };
+
+  const skus = rawRows.map(r => (r.sku || '').toUpperCase()).filter(Boolean);
+  const names = [...new Set(rawRows.map(r => r.productName).filter(Boolean))];
+
+  const [existingVariants, namedProducts] = await Promise.all([
+    Variant.find({ sku: { $in: skus } }).select('sku product attribute value price discountPrice reservedQuantity bundleItems bundlePricing').lean(),
+    Product.find({ name: { $in: names } }).select('name brand options variations').lean()
+  ]);
+  const variantBySku = new Map(existingVariants.map(v => [v.sku, v]));
+  const productByNameBrand = new Map(namedProducts.map(p => [`${p.name}|${p.brand}`, p]));
+  const skuProducts = await Product.find({ _id: { $in: existingVariants.map(v => v.product) } })
+    .select('name brand options variations')
+    .lean();
+  const productById = new Map([...namedProducts, ...skuProducts].map(p => [p._id.toString(), p]));
+
+  // attribute/value pairs already used on the products rows may add variants to
+  const siblingVariants = await Variant.find({ product: { $in: namedProducts.map(p => p._id) } })
+    .select('product attribute value sku')
+    .lean();
+  const usedOptions = new Map(siblingVariants.map(v => [`${v.product}|${v.attribute}|${v.value}`.toLowerCase(), v.sku]));
+  const optionNamesByProduct = new Map();   // option order of products first given options in this file
+
+  const seenSkus = new Set();
+  const rows = [];
+  const report = [];
+
+  for (const raw of rawRows) {
+    const messages = [];
+    const sku = (raw.sku || '').toUpperCase();
+    const existing = sku ? variantBySku.get(sku) : null;
+    const isNew = !existing;
+
+    if (!sku) messages.push('SKU is required');
+    else if (seenSkus.has(sku)) messages.push(`SKU ${sku} appears more than once in the file`);
+    seenSkus.add(sku);
+
+    const data = { row: raw.row, sku };
+    const required = (key, label) => {
+      if (isNew && !raw[key]) messages.push(`${label} is required for a new product variant`);
+    };
+    required('productName', 'Product Name');
+    required('category', 'Category');
+    required('subcategory', 'Subcategory');
+    required('brand', 'Brand');
+    required('unit', 'Unit');
+    required('price', 'Price');
+    required('weightQuantity', 'Weight Quantity');
+
+    if (raw.productName) data.productName = raw.productName;
+
+    if (raw.category) {
+      const category = await cached(caches.category, raw.category, () => findCategoryByIdOrName(raw.category));
+      if (category) data.category = category._id;
+      else messages.push(`Category "${raw.category}" not found`);
+    }
+    if (raw.subcategory) {
+      const key = `${data.category || ''}|${raw.subcategory}`;
+      const subcategory = await cached(caches.subcategory, key, () => findSubcategoryByIdOrName(raw.subcategory, data.category));
+      if (!subcategory) messages.push(`Subcategory "${raw.subcategory}" not found`);
+      else if (data.category && subcategory.parent_category_id?._id?.toString() !== data.category.toString()) {
+        messages.push(`Subcategory "${raw.subcategory}" does not belong to category "${raw.category}"`);
+      } else data.subcategory = subcategory._id;
+    }
+    if (raw.brand) {
+      const brand = await cached(caches.brand, raw.brand, () => findBrandByIdOrName(raw.brand));
+      if (brand) data.brand = brand._id;
+      else messages.push(`Brand "${raw.brand}" not found`);
+    }
+    if (raw.unit) {
+      const unit = await cached(caches.unit, raw.unit, () => findUnitByIdOrName(raw.unit));
+      if (unit) data.unit = unit._id;
+      else messages.push(`Unit "${raw.unit}" not found`);
+    }
+
+    for (const [key, label] of [['productStatus', 'Product Status'], ['variantStatus', 'Variant Status']]) {
+      if (!raw[key]) continue;
+      const allowed = key === 'productStatus' ? ['Active', 'Inactive'] : ['Active', 'Inactive', 'Discontinued'];
+      const match = allowed.find(s => s.toLowerCase() === raw[key].toLowerCase());
+      if (match) data[key] = match;
+      else messages.push(`${label} must be one of ${allowed.join(', ')}`);
+    }
+
+    for (const key of ['suitableFor', 'ingredients', 'description', 'attribute', 'value']) {
+      if (raw[key]) data[key] = raw[key];
+    }
+
+    if (raw.thumbnail) {
+      if (isUrl(raw.thumbnail)) data.thumbnail = raw.thumbnail;
+      else messages.push('Thumbnail URL must be an http(s) URL');
+    }
+    if (raw.variantImage) {
+      if (isUrl(raw.variantImage)) data.variantImage = raw.variantImage;
+      else messages.push('Variant Image URL must be an http(s) URL');
+    }
+    if (raw.images) {
+      const images = raw.images.split('|').map(url => url.trim()).filter(Boolean);
+      if (images.every(isUrl)) data.images = images;
+      else messages.push('Image URLs must be http(s) URLs separated by "|"');
+    }
+
+    data.purchasePrice = parseNumber(raw.purchasePrice, 'Purchase Price', messages);
+    data.price = parseNumber(raw.price, 'Price', messages);
+    data.discountPrice = parseNumber(raw.discountPrice, 'Discount Price', messages);
+    data.stockQuantity = parseNumber(raw.stockQuantity, 'Stock Quantity', messages, { integer: true });
+    data.weightQuantity = parseNumber(raw.weightQuantity, 'Weight Quantity', messages);
+    if (data.price === 0) messages.push('Price must be greater than 0');
+    if (data.weightQuantity === 0) messages.push('Weight Quantity must be greater than 0');
+
+    const price = data.price ?? existing?.price;
+    const discountPrice = data.discountPrice ?? existing?.discountPrice ?? 0;
+    if (price !== undefined && discountPrice > price) messages.push('Discount Price cannot exceed Price');
+    if (existing && data.stockQuantity !== undefined && data.stockQuantity < (existing.reservedQuantity || 0)) {
+      messages.push(`Stock Quantity cannot be below the ${existing.reservedQuantity} units reserved by open orders`);
+    }
+
+    // Bundles take stock and cost from their components (the export leaves those cells empty)
+    if (isBundle(existing)) {
+      if (data.stockQuantity) messages.push(`SKU ${sku} is a bundle; its stock comes from its components`);
+      const priced = existing.bundlePricing?.mode === 'sum_minus_discount';
+      if (priced && data.price !== undefined && data.price !== existing.price) {
+        messages.push(`SKU ${sku} is priced from its components; change its bundle pricing instead`);
+      }
+      delete data.stockQuantity;
+      delete data.purchasePrice;
+      if (priced) {
+        delete data.price;
+        delete data.discountPrice;
+      }
+    }
+
+    if (raw.expiryDate) {
+      const expiry = new Date(raw.expiryDate);
+      if (isNaN(expiry.getTime())) messages.push('Expiry Date is not a valid date');
+      else if (expiry < new Date(Date.now() - 86400000)) messages.push('Expiry Date must not be in the past');
+      else data.expiryDate = expiry.toISOString();
+    }
+
+    // Target product: the SKU's product, else the product with the same name + brand
+    let targetProduct = null;
+    if (data.productName && data.brand) {
+      targetProduct = productByNameBrand.get(`${data.productName}|${data.brand}`) || null;
+      if (existing && targetProduct && targetProduct._id.toString() !== existing.product.toString()) {
+        messages.push(`SKU ${sku} belongs to another product; a product named "${data.productName}" already exists for this brand`);
+      }
+    }
+    const rowProduct = existing ? productById.get(existing.product.toString()) : targetProduct;
+    const productKey = rowProduct ? rowProduct._id.toString() : `new:${data.productName}|${data.brand}`;
+
+    // Option values must use the product's options, in the product's order
+    if (raw.options) {
+      const optionValues = parseOptionsCell(raw.options);
+      const knownNames = rowProduct?.options?.length
+        ? rowProduct.options.map(o => o.name)
+        : optionNamesByProduct.get(productKey);
+
+      if (!optionValues) {
+        messages.push('Options must look like "Size=M; Color=Red"');
+      } else if (!knownNames && rowProduct?.variations?.length) {
+        messages.push('This product has variants without options; define its options before importing option values');
+      } else if (knownNames && (knownNames.length !== optionValues.length ||
+        !knownNames.every(name => optionValues.some(o => sameText(o.name, name))))) {
+        messages.push(`Options must give a value for exactly: ${knownNames.join(', ')}`);
+      } else {
+        const names = knownNames || optionValues.map(o => o.name);
+        if (!knownNames) optionNamesByProduct.set(productKey, names);
+        data.optionValues = names.map(name => {
+          const pair = optionValues.find(o => sameText(o.name, name));
+          const defined = rowProduct?.options?.find(o => o.name === name)?.values.find(v => sameText(v, pair.value));
+          return { name, value: defined || pair.value };
+        });
+        Object.assign(data, Variant.describeOptions(data.optionValues));
+        delete data.optionLabel;
+      }
+    } else if (rowProduct?.options?.length && (raw.attribute || raw.value)) {
+      messages.push(`This product uses options (${rowProduct.options.map(o => o.name).join(', ')}); use the Options column`);
+    }
+
+    let optionKey = null;
+    if (isNew) {
+      optionKey = `${productKey}|${data.attribute || 'Size'}|${data.value || ''}`.toLowerCase();
+      const takenBy = usedOptions.get(optionKey);
+      if (takenBy && takenBy !== sku) {
+        const label = data.optionValues ? raw.options : `${data.attribute || 'Size'} "${data.value || ''}"`;
+        messages.push(`${label} already exists on this product (SKU ${takenBy})`);
+      }
+    }
+    if (optionKey && messages.length === 0) usedOptions.set(optionKey, sku);
+
+    Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);   // blank cell = keep current value
+    rows.push(data);
+    report.push({
+      row: raw.row,
+      sku: sku || undefined,
+      productName: raw.productName || undefined,
+      action: messages.length ? 'error' : isNew ? 'create' : 'update',
+      messages
+    });
+  }
+
+  return { rows, report };
+};
+
+// ────────────────────────────────────────────────
+// Applying rows
+// ────────────────────────────────────────────────
+
+const PRODUCT_FIELDS = ['category', 'subcategory', 'brand', 'suitableFor', 'ingredients', 'description', 'thumbnail', 'images'];
+
+const applyRow = async (data, { importId, userId, session }) => {
+  let variant = await Variant.findOne({ sku: data.sku }).session(session);
+  let product = variant ? await Product.findById(variant.product).session(session) : null;
+  if (!product && data.productName && data.brand) {
+    product = await Product.findOne({ name: data.productName, brand: data.brand }).session(session);
+  }
+
+  if (!product) {
+    if (variant) throw new Error('The product of this SKU no longer exists');
+    product = new Product({ name: data.productName, status: data.productStatus || 'Active' });
+  } else {
+    if (data.productName) product.name = data.productName;
+    if (data.productStatus) product.status = data.productStatus;
+  }
+  for (const field of PRODUCT_FIELDS) {
+    if (data[field] !== undefined) product[field] = data[field];
+  }
+  if (data.optionValues) product.options = mergeProductOptions(product.options, data.optionValues);
+  await product.save({ session });
+
+  const variantFields = {
+    ...(data.optionValues ? { optionValues: data.optionValues } : { attribute: data.attribute, value: data.value }),
+    unit: data.unit,
+    purchasePrice: data.purchasePrice,
+    price: data.price,
+    discountPrice: data.discountPrice,
+    weightQuantity: data.weightQuantity,
+    expiryDate: data.expiryDate ? new Date(data.expiryDate) : undefined,
+    image: data.variantImage,
+    status: data.variantStatus
+  };
+
+  // Variant.expiryDate follows the variant's stock lots: the row's expiry dates the units it adds
+  const { expiryDate, ...fields } = variantFields;
+  const lotDetails = { expiryDate, source: 'import', referenceId: `IMP-${importId}`, createdBy: userId };
+
+  if (variant) {
+    const previousQty = variant.stockQuantity;
+    // checked again here: orders may have reserved more since the dry run
+    if (data.stockQuantity !== undefined && data.stockQuantity < (variant.reservedQuantity || 0)) {
+      throw new Error(`Stock Quantity cannot be below the ${variant.reservedQuantity} units reserved by open orders`);
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) variant[field] = value;
+    }
+    if (data.stockQuantity !== undefined) variant.stockQuantity = data.stockQuantity;
+    await variant.save({ session });
+    if (data.price !== undefined || data.discountPrice !== undefined || data.purchasePrice !== undefined) {
+      await refreshBundlePrices([variant._id], { session });
+    }
+
+    let restocked = false;
+    if (data.stockQuantity !== undefined && data.stockQuantity !== previousQty) {
+      restocked = data.stockQuantity > previousQty;
+      const change = data.stockQuantity - previousQty;
+      // Imported stock levels apply to the default location
+      const placement = { stockBefore: previousQty, session };
+      let lots, locations;
+      if (restocked) {
+        const lot = await receiveLot({ variantId: variant._id, quantity: change, stockBefore: previousQty, ...lotDetails }, { session });
+        lots = lot ? [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: change }] : [];
+        locations = await addLocationStock(variant._id, change, placement);
+      } else {
+        lots = await allocateLots(variant._id, -change, { stockBefore: previousQty, session });
+        locations = await takeLocationStock(variant._id, -change, placement);
+      }
+
+      await StockMovement.create([{
+        variant: variant._id,
+        sku: variant.sku,
+        previousQuantity: previousQty,
+        newQuantity: data.stockQuantity,
+        changeQuantity: Math.abs(data.stockQuantity - previousQty),
+        isStockIncreasing: restocked,
+        movementType: 'Catalog Import',
+        reason: `Stock set by catalog import (row ${data.row})`,
+        referenceId: `IMP-${importId}`,
+        lots: movementLots(lots),
+        locations: movementLocations(locations),
+        performedBy: userId
+      }], { session });
+    }
+    return { action: 'update', product, variant, restocked };
+  }
+
+  const [created] = await Variant.create([{
+    product: product._id,
+    sku: data.sku,
+    ...(data.optionValues
+      ? { optionValues: data.optionValues }
+      : { attribute: data.attribute || 'Size', value: data.value || '' }),
+    unit: data.unit,
+    purchasePrice: data.purchasePrice ?? 0,
+    price: data.price,
+    discountPrice: data.discountPrice ?? 0,
+    stockQuantity: data.stockQuantity ?? 0,
+    weightQuantity: data.weightQuantity,
+    expiryDate,
+    image: data.variantImage,
+    status: data.variantStatus || 'Active'
+  }], { session });
+  await Product.updateOne({ _id: product._id }, { $addToSet: { variations: created._id } }, { session });
+  await receiveLot({ variantId: created._id, quantity: created.stockQuantity, stockBefore: 0, ...lotDetails }, { session });
+  await addLocationStock(created._id, created.stockQuantity, { stockBefore: 0, session });
+
+  return { action: 'create', product, variant: created, restocked: false };
+};
+
+const describeError = (err) => {
+  if (err.name === 'ValidationError') return Object.values(err.errors).map(e => e.message);
+  if (err.code === 11000) return ['Duplicate value: ' + Object.keys(err.keyValue || {}).join(', ')];
+  return [err.message];
+};
+
+/**
+ * Claim a queued import and upsert its rows. Never throws; each row's result is saved in
+ * the row's own transaction, so an interrupted import continues where it stopped without
+ * applying any row twice.
+ */
+const runImport = async (importId) => {
+  const job = await ProductImport.findOneAndUpdate(
+    { _id: importId, status: 'queued' },
+    { $set: { status: 'processing', heartbeatAt: new Date() }, $min: { startedAt: new Date() } },
+    { new: true }
+  ).catch(err => {
+    console.error('Failed to claim product import:', err);
+    return null;
+  });
+  if (!job) return;
+
+  const reportByRow = new Map(job.validation.report.map(entry => [entry.row, entry]));
+  const restockedVariants = [];
+
+  const saveResult = (result, session = null) => {
+    const counter = result.action === 'create' ? 'created' : result.action === 'update' ? 'updated' : 'failed';
+    return ProductImport.updateOne({ _id: job._id }, {
+      $push: { results: result },
+      $inc: { [`summary.${counter}`]: 1 },
+      $set: { heartbeatAt: new Date() }
+    }, { session });
+  };
+
+  try {
+    for (const data of job.rows.slice(job.results.length)) {
+      const checked = reportByRow.get(data.row);
+      const result = { row: data.row, sku: data.sku, productName: data.productName };
+
+      if (checked?.action === 'error') {
+        await saveResult({ ...result, action: 'error', messages: [...checked.messages] });
+        continue;
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        let applied;
+        await session.withTransaction(async () => {
+          applied = await applyRow(data, { importId: job._id, userId: job.createdBy, session });
+          await saveResult({
+            ...result,
+            action: applied.action,
+            product: applied.product._id,
+            variant: applied.variant._id,
+            messages: []
+          }, session);
+        });
+        if (applied.restocked) restockedVariants.push(applied.variant._id);
+      } catch (err) {
+        await saveResult({ ...result, action: 'error', messages: describeError(err) });
+      } finally {
+        session.endSession();
+      }
+    }
+
+    await ProductImport.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date(), rows: [] } }
+    );
+    if (restockedVariants.length) await notifyBackInStock(restockedVariants);
+  } catch (err) {
+    console.error(`Product import ${job._id} failed:`, err);
+    await ProductImport.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: err.message, completedAt: new Date() } }
+    ).catch(() => {});
+  }
+};
+
+// ────────────────────────────────────────────────
+// Public API
+// ────────────────────────────────────────────────
+
+/**
+ * Parse + validate an uploaded file and store the dry-run report.
+ */
+const createImport = async ({ buffer, fileName, userId }) => {
+  const { format, rows: rawRows } = await parseFile(buffer, fileName);
+  const { rows, report } = await validateRows(rawRows);
+  const invalidRows = report.filter(entry => entry.action === 'error').length;
+
+  return ProductImport.create({
+    fileName,
+    format,
+    rows,
+    totalRows: rows.length,
+    validation: { validRows: rows.length - invalidRows, invalidRows, report },
+    createdBy: userId
+  });
+};
+
+/**
+ * Confirm a validated import; rows that failed validation are reported as errors
+ * and skipped. Processing starts right away in the background.
+ */
+const queueImport = async (importId) => {
+  const job = await ProductImport.findOneAndUpdate(
+    { _id: importId, status: 'validated' },
+    { $set: { status: 'queued' } },
+    { new: true }
+  );
+  if (!job) {
+    const exists = await ProductImport.exists({ _id: importId });
+    throw importError(exists ? 'This import has already been started' : 'Import not found', exists ? 400 : 404);
+  }
+  if (job.validation.validRows === 0) {
+    await ProductImport.updateOne({ _id: job._id }, { $set: { status: 'validated' } });
+    throw importError('None of the rows passed validation');
+  }
+
+  setImmediate(() => runImport(job._id));
+  return job;
+};
+
+/**
+ * Workbook with every (non-deleted) variant of the matching products, in the import format.
+ */
+const buildExportWorkbook = async (filter = {}) => {
+  const products = await Product.find(filter)
+    .populate('category', 'name')
+    .populate('subcategory', 'name')
+    .populate('brand', 'name')
+    .populate({ path: 'variations', populate: { path: 'unit', select: 'unit_name' } })
+    .sort({ name: 1 })
+    .lean();
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const product of products) {
+    for (const variant of product.variations || []) {
+      sheet.addRow({
+        productName: product.name,
+        category: product.category?.name || '',
+        subcategory: product.subcategory?.name || '',
+        brand: product.brand?.name || '',
+        productStatus: product.status,
+        suitableFor: product.suitableFor || '',
+        ingredients: product.ingredients || '',
+        description: product.description || '',
+        thumbnail: product.thumbnail || '',
+        images: (product.images || []).join('|'),
+        sku: variant.sku || '',
+        attribute: variant.attribute || '',
+        value: variant.value || '',
+        options: product.options?.length ? formatOptionsCell(variant.optionValues) : '',
+        unit: variant.unit?.unit_name || '',
+        purchasePrice: isBundle(variant) ? '' : variant.purchasePrice ?? 0,
+        price: variant.price,
+        discountPrice: variant.discountPrice ?? 0,
+        stockQuantity: isBundle(variant) ? '' : variant.stockQuantity ?? 0,
+        weightQuantity: variant.weightQuantity,
+        expiryDate: variant.expiryDate ? new Date(variant.expiryDate).toISOString().slice(0, 10) : '',
+        variantImage: variant.image || '',
+        variantStatus: variant.status
+      });
+    }
+  }
+  return workbook;
+};
+
+module.exports = {
+  COLUMNS,
+  createImport,
+  queueImport,
+  runImport,
+  buildExportWorkbook
+};
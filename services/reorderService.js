@@ -0,0 +1,280 @@
+// services/reorderService.js
+const mongoose = require('mongoose');
+const Variant = require('../model/variantProduct');
+const Purchase = require('../model/Purchase');
+const Supplier = require('../model/Supplier');
+const StockMovement = require('../model/StockMovement');
+const ReorderSuggestion = require('../model/ReorderSuggestion');
+const AppConfiguration = require('../model/app_configuration');
+const { resolveLocation } = require('./locationService');
+const { nextNumber } = require('./counterService');
+
+/*
+ * Reorder points and purchase suggestions.
+ *
+ * A variant is low on stock when its available stock (stock − reserved) is at or below its
+ * reorderPoint, or AppConfiguration.defaultReorderPoint when it has none. Every low-stock
+ * list (order alerts, product filters, dashboards, reports) goes through here.
+ *
+ *   generateSuggestions()  nightly: for every variant whose available stock plus the units
+ *                          on draft purchases is at or below its reorder point, suggest
+ *                          enough to cover `reorderCoverDays` of its recent daily sales
+ *                          (at least reorderQuantity)
+ *   createDraftPurchases() turn open suggestions into draft Purchases, one per supplier
+ */
+
+// Stock movements that count as units sold (net of cancellations / reversals)
+const SALES_MOVEMENT_TYPES = ['Order Fulfillment', 'Order Cancellation', 'Sale', 'Sale Reversal'];
+
+const DEFAULTS = { defaultReorderPoint: 10, reorderSalesDays: 30, reorderCoverDays: 14 };
+
+const reorderError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'REORDER_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const getReorderSettings = async () => {
+  const config = await AppConfiguration.findOne()
+    .select('defaultReorderPoint reorderSalesDays reorderCoverDays')
+    .lean();
+  return {
+    defaultReorderPoint: config?.defaultReorderPoint ?? DEFAULTS.defaultReorderPoint,
+    salesDays: config?.reorderSalesDays || DEFAULTS.reorderSalesDays,
+    coverDays: config?.reorderCoverDays || DEFAULTS.reorderCoverDays
+  };
+};
+
+const reorderPointOf = (variant, defaultReorderPoint) => variant.reorderPoint ?? defaultReorderPoint;
+
+// In-memory check for variants already loaded (stockQuantity, reservedQuantity, reorderPoint)
+const isLowStock = (variant, defaultReorderPoint) =>
+  (variant.stockQuantity || 0) - (variant.reservedQuantity || 0) <= reorderPointOf(variant, defaultReorderPoint);
+
+/**
+ * Variant filter for low stock (bundles excluded: their components show up instead).
+ * Pass `defaultReorderPoint` when it is already known.
+ */
+const lowStockFilter = async ({ defaultReorderPoint } = {}) => {
+  const point = defaultReorderPoint ?? (await getReorderSettings()).defaultReorderPoint;
+  return {
+    'bundleItems.0': { $exists: false },
+    $expr: {
+      $lte: [
+        { $subtract: [{ $ifNull: ['$stockQuantity', 0] }, { $ifNull: ['$reservedQuantity', 0] }] },
+        { $ifNull: ['$reorderPoint', point] }
+      ]
+    }
+  };
+};
+
+// Ids of products with at least one low-stock variant
+const lowStockProductIds = async () => Variant.distinct('product', await lowStockFilter());
+
+// variantId → net units sold since `since`
+const getUnitsSold = async (since) => {
+  const rows = await StockMovement.aggregate([
+    { $match: { movementType: { $in: SALES_MOVEMENT_TYPES }, createdAt: { $gte: since } } },
+    { $group: { _id: '$variant', change: { $sum: '$changeQuantity' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), Math.max(0, -row.change)]));
+};
+
+// variantId → units on draft purchases (ordered, not received yet)
+const getOnOrder = async () => {
+  const rows = await Purchase.aggregate([
+    { $match: { status: 'Draft' } },
+    { $unwind: '$products' },
+    { $group: { _id: '$products.variantId', quantity: { $sum: '$products.quantity' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// variantId → supplier of its latest received purchase (fallback when there is no preferred supplier)
+const getLastSuppliers = async (variantIds) => {
+  const rows = await Purchase.aggregate([
+    { $match: { status: { $nin: ['Draft', 'Cancelled'] }, 'products.variantId': { $in: variantIds } } },
+    { $sort: { date: -1 } },
+    { $unwind: '$products' },
+    { $match: { 'products.variantId': { $in: variantIds } } },
+    { $group: { _id: '$products.variantId', supplier: { $first: '$supplierId' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.supplier]));
+};
+
+/**
+ * Recompute every open suggestion.
+ * @returns {number} suggestions created
+ */
+const generateSuggestions = async ({ now = new Date() } = {}) => {
+  const { defaultReorderPoint, salesDays, coverDays } = await getReorderSettings();
+
+  const [unitsSold, onOrder, variants] = await Promise.all([
+    getUnitsSold(new Date(now.getTime() - salesDays * 24 * 60 * 60 * 1000)),
+    getOnOrder(),
+    Variant.find({ status: 'Active', 'bundleItems.0': { $exists: false } })
+      .select('product sku stockQuantity reservedQuantity reorderPoint reorderQuantity preferredSupplier purchasePrice')
+      .lean()
+  ]);
+
+  const suggestions = [];
+  for (const variant of variants) {
+    const key = variant._id.toString();
+    const available = (variant.stockQuantity || 0) - (variant.reservedQuantity || 0);
+    const ordered = onOrder.get(key) || 0;
+    const point = reorderPointOf(variant, defaultReorderPoint);
+    if (available + ordered > point) continue;
+
+    const sold = unitsSold.get(key) || 0;
+    const dailySales = sold / salesDays;
+    const target = point + Math.ceil(dailySales * coverDays);
+    const quantity = Math.max(variant.reorderQuantity || 0, target - (available + ordered));
+    if (quantity <= 0) continue;
+
+    suggestions.push({
+      variant: variant._id,
+      product: variant.product,
+      sku: variant.sku,
+      supplier: variant.preferredSupplier || null,
+      stockQuantity: variant.stockQuantity || 0,
+      reservedQuantity: variant.reservedQuantity || 0,
+      onOrder: ordered,
+      reorderPoint: point,
+      reorderQuantity: variant.reorderQuantity || 0,
+      unitsSold: sold,
+      salesDays,
+      dailySales: round2(dailySales),
+      suggestedQuantity: quantity,
+      unitCost: variant.purchasePrice || 0,
+      computedAt: now
+    });
+  }
+
+  const withoutSupplier = suggestions.filter(s => !s.supplier).map(s => s.variant);
+  if (withoutSupplier.length > 0) {
+    const lastSuppliers = await getLastSuppliers(withoutSupplier);
+    for (const suggestion of suggestions) {
+      if (!suggestion.supplier) suggestion.supplier = lastSuppliers.get(suggestion.variant.toString()) || null;
+    }
+  }
+
+  await ReorderSuggestion.deleteMany({ status: 'open' });
+  if (suggestions.length > 0) await ReorderSuggestion.insertMany(suggestions);
+  return suggestions.length;
+};
+
+/**
+ * Turn open suggestions into draft Purchases, one per supplier, received at `location`
+ * once confirmed. `items` is `[{ suggestion, quantity?, supplier? }]` (default: every open
+ * suggestion that has a supplier). Runs inside the caller's transaction.
+ * @returns {{ purchases: Array, skipped: Array<{ suggestion, sku, reason }> }}
+ */
+const createDraftPurchases = async ({ items, location, notes } = {}, { session } = {}) => {
+  const receivingLocation = await resolveLocation(location, { session });
+
+  const requested = items && items.length > 0
+    ? items
+    : (await ReorderSuggestion.find({ status: 'open' }).select('_id').session(session || null).lean())
+      .map(s => ({ suggestion: s._id }));
+
+  const skipped = [];
+  const bySupplier = new Map();
+  const seen = new Set();
+  for (const { suggestion: suggestionId, quantity, supplier } of requested) {
+    if (!suggestionId || !mongoose.Types.ObjectId.isValid(refId(suggestionId))) {
+      throw reorderError(`Invalid suggestion ${suggestionId}`);
+    }
+    if (seen.has(refId(suggestionId))) throw reorderError(`Suggestion ${suggestionId} listed more than once`);
+    seen.add(refId(suggestionId));
+
+    const suggestion = await ReorderSuggestion.findById(refId(suggestionId)).session(session || null);
+    if (!suggestion) throw reorderError(`Suggestion ${suggestionId} not found`, 404);
+    if (suggestion.status !== 'open') {
+      skipped.push({ suggestion: suggestion._id, sku: suggestion.sku, reason: `Suggestion is ${suggestion.status}` });
+      continue;
+    }
+
+    const qty = quantity === undefined || quantity === null || quantity === '' ? suggestion.suggestedQuantity : Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) throw reorderError(`Invalid quantity for ${suggestion.sku}`);
+
+    const supplierId = supplier || suggestion.supplier;
+    if (!supplierId) {
+      skipped.push({ suggestion: suggestion._id, sku: suggestion.sku, reason: 'No supplier' });
+      continue;
+    }
+
+    const key = refId(supplierId);
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push({ suggestion, quantity: qty });
+  }
+
+  const purchases = [];
+  for (const [supplierId, lines] of bySupplier) {
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId)
+      ? await Supplier.findOne({ _id: supplierId, status: 'Active' }).select('supplierName').session(session || null).lean()
+      : null;
+    if (!supplier) {
+      for (const { suggestion } of lines) {
+        skipped.push({ suggestion: suggestion._id, sku: suggestion.sku, reason: 'Supplier not found or inactive' });
+      }
+      continue;
+    }
+
+    const variants = await Variant.find({ _id: { $in: lines.map(l => l.suggestion.variant) } })
+      .select('purchasePrice')
+      .session(session || null)
+      .lean();
+    const costOf = new Map(variants.map(v => [v._id.toString(), v.purchasePrice || 0]));
+
+    const products = lines.map(({ suggestion, quantity }) => ({
+      variantId: suggestion.variant,
+      quantity,
+      unitPrice: costOf.get(suggestion.variant.toString()) ?? suggestion.unitCost,
+      taxPercent: 0
+    }));
+    const subtotal = round2(products.reduce((sum, p) => sum + p.unitPrice * p.quantity, 0));
+
+    const [purchase] = await Purchase.create([{
+      purchaseCode: await nextNumber('purchase'),
+      supplierId: supplier._id,
+      location: receivingLocation._id,
+      products,
+      summary: { subtotal, otherCharges: 0, discount: 0, grandTotal: subtotal },
+      payment: { amountPaid: 0, amountDue: subtotal, type: null },
+      notes: notes || 'Created from reorder suggestions',
+      status: 'Draft'
+    }], { session });
+
+    for (const { suggestion } of lines) {
+      suggestion.status = 'ordered';
+      suggestion.purchase = purchase._id;
+      await suggestion.save({ session });
+    }
+    purchases.push(purchase);
+  }
+
+  return { purchases, skipped };
+};
+
+const dismissSuggestion = async (suggestion) => {
+  if (suggestion.status !== 'open') {
+    throw reorderError(`Only open suggestions can be dismissed (status is ${suggestion.status})`);
+  }
+  suggestion.status = 'dismissed';
+  await suggestion.save();
+  return suggestion;
+};
+
+module.exports = {
+  getReorderSettings,
+  isLowStock,
+  lowStockFilter,
+  lowStockProductIds,
+  generateSuggestions,
+  createDraftPurchases,
+  dismissSuggestion
+};
@@ -0,0 +1,441 @@
+// services/returnService.js
+const Return = require('../model/Return');
+const Order = require('../model/Order');
+const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
+const User = require('../model/User');
+const AppConfiguration = require('../model/app_configuration');
+const { resolvePerformedBy } = require('./stockReservationService');
+const { expandStockLines, withBundleReason } = require('./bundleService');
+const { restoreLots, movementLots } = require('./stockLotService');
+const { addLocationStock, movementLocations } = require('./locationService');
+const { transitionOrder } = require('./orderStateMachine');
+const { createNotification } = require('../utils/createNotification');
+const sendEmail = require('../utils/sendSmtpEmail');
+const { nextNumber } = require('./counterService');
+
+// Return lifecycle:
+//   requested → approved → received → refunded
+//   requested → rejected
+// A refund may also be issued straight from `approved` (e.g. keep-the-item refunds).
+// Refunds add to order.refundedAmount and move order.paymentStatus to
+// partially_refunded / refunded; once every order line is back the order becomes `returned`.
+
+const RETURNABLE_ORDER_STATUSES = ['delivered'];
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+// What the customer paid per unit of an order line: its price with the order's store and
+// coupon discount spread over the lines pro rata, plus the order's tax (shipping excluded)
+const netUnitPrice = (order, line) => {
+  const subtotal = order.subtotal || 0;
+  if (!(subtotal > 0)) return round2(line.price);
+  const paidForItems = subtotal + (order.tax || 0) - (order.discount || 0);
+  return round2(Math.max(0, line.price * paidForItems / subtotal));
+};
+
+const returnError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'RETURN_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+// orderItemId → quantity already claimed by open (non-rejected) returns
+const getReturnedQuantities = async (orderId, { field = 'quantity', session } = {}) => {
+  const returns = await Return.find({ order: orderId, status: { $ne: 'rejected' } })
+    .select('items')
+    .session(session || null)
+    .lean();
+
+  const map = new Map();
+  for (const ret of returns) {
+    for (const item of ret.items) {
+      const key = item.orderItem.toString();
+      map.set(key, (map.get(key) || 0) + (item[field] || 0));
+    }
+  }
+  return map;
+};
+
+/**
+ * Create a return request for some lines of an order.
+ * `items` is `[{ orderItem, quantity, reason }]`; when omitted every remaining unit is requested.
+ */
+const createReturnRequest = async (order, { items, reason, photos = [], session } = {}) => {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    throw returnError(`Only delivered orders can be returned (status is ${order.status})`);
+  }
+
+  const alreadyRequested = await getReturnedQuantities(order._id, { session });
+  const requested = items && items.length > 0
+    ? items
+    : order.items.map(item => ({
+      orderItem: item._id,
+      quantity: item.quantity - (alreadyRequested.get(item._id.toString()) || 0)
+    })).filter(item => item.quantity > 0);
+
+  if (requested.length === 0) {
+    throw returnError('All items of this order have already been returned');
+  }
+
+  const returnItems = [];
+  const seen = new Set();
+  for (const { orderItem, quantity, reason: itemReason } of requested) {
+    const line = orderItem && order.items.find(item => item._id.toString() === orderItem.toString());
+    if (!line) {
+      throw returnError(`Order item ${orderItem} not found in order ${order.orderNumber}`);
+    }
+    if (seen.has(line._id.toString())) {
+      throw returnError(`Order item ${orderItem} listed more than once`);
+    }
+    seen.add(line._id.toString());
+
+    const qty = Number(quantity);
+    const available = line.quantity - (alreadyRequested.get(line._id.toString()) || 0);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw returnError(`Invalid quantity for order item ${orderItem}`);
+    }
+    if (qty > available) {
+      throw returnError(`Only ${available} unit(s) of order item ${orderItem} can still be returned`);
+    }
+
+    returnItems.push({
+      orderItem: line._id,
+      product: line.product?._id || line.product,
+      variant: line.variant?._id || line.variant || null,
+      quantity: qty,
+      unitPrice: netUnitPrice(order, line),
+      reason: itemReason || reason
+    });
+  }
+
+  const [ret] = await Return.create([{
+    returnNumber: await nextNumber('return'),
+    order: order._id,
+    user: order.user?._id || order.user || null,
+    items: returnItems,
+    reason,
+    photos
+  }], { session });
+
+  order.refundReason = reason || order.refundReason;
+  order.refundRequestedAt = new Date();
+  await order.save({ session });
+
+  return ret;
+};
+
+const approveReturn = async (ret, { actor, notes } = {}) => {
+  if (ret.status !== 'requested') {
+    throw returnError(`Cannot approve a return that is ${ret.status}`);
+  }
+  ret.status = 'approved';
+  ret.approvedBy = actor?.id || null;
+  ret.approvedAt = new Date();
+  if (notes) ret.adminNotes = notes;
+  await ret.save();
+  return ret;
+};
+
+const rejectReturn = async (ret, { actor, reason, notes } = {}) => {
+  if (ret.status !== 'requested') {
+    throw returnError(`Cannot reject a return that is ${ret.status}`);
+  }
+  if (!reason) throw returnError('Rejection reason is required');
+  ret.status = 'rejected';
+  ret.rejectionReason = reason;
+  ret.approvedBy = actor?.id || null;
+  if (notes) ret.adminNotes = notes;
+  await ret.save();
+  return ret;
+};
+
+// One StockMovement row for a returned line (or one component of a returned bundle)
+const logReturnMovement = async ({ variantId, sku, previousQuantity, changeQuantity, movementType, reason, referenceId, bundle = null, lots = [], locations = [], performedBy, session }) => {
+  await StockMovement.create([{
+    variant: variantId,
+    sku: sku || 'N/A',
+    previousQuantity,
+    newQuantity: previousQuantity + changeQuantity,
+    changeQuantity,
+    isStockIncreasing: changeQuantity > 0,
+    movementType,
+    reason,
+    referenceId,
+    bundle,
+    lots: movementLots(lots),
+    locations: movementLocations(locations),
+    performedBy
+  }], { session });
+};
+
+/**
+ * Record goods arriving back. `items` is `[{ itemId, receivedQuantity, condition }]`
+ * where itemId is the return item _id (defaults: full quantity, resellable).
+ * Resellable units go back into stock; damaged units are logged in and written off.
+ * @returns {{ order, changes }} order status changes (call notifyOrderChanges after commit)
+ */
+const receiveReturn = async (ret, { actor, items = [], notes, session } = {}) => {
+  if (ret.status !== 'approved') {
+    throw returnError(`Only approved returns can be received (status is ${ret.status})`);
+  }
+
+  const order = await Order.findById(ret.order).session(session);
+  if (!order) throw returnError('Order not found', 404);
+
+  const performedBy = await resolvePerformedBy(actor?.id);
+  const byId = new Map(items.map(item => [String(item.itemId), item]));
+
+  for (const item of ret.items) {
+    const input = byId.get(item._id.toString()) || {};
+    const qty = input.receivedQuantity === undefined ? item.quantity : Number(input.receivedQuantity);
+    const condition = input.condition || 'resellable';
+
+    if (!Number.isInteger(qty) || qty < 0 || qty > item.quantity) {
+      throw returnError(`Received quantity for item ${item._id} must be between 0 and ${item.quantity}`);
+    }
+    if (!['resellable', 'damaged'].includes(condition)) {
+      throw returnError(`Condition for item ${item._id} must be resellable or damaged`);
+    }
+
+    item.receivedQuantity = qty;
+    item.condition = condition;
+    if (qty === 0 || !item.variant) continue;
+
+    // A returned bundle puts its components back, using the composition it was sold with
+    const orderLine = order.items.id(item.orderItem);
+    const lines = await expandStockLines(
+      [{ variant: item.variant, quantity: qty, bundleItems: orderLine?.bundleItems }],
+      { session }
+    );
+
+    const reason = `Return ${ret.returnNumber} for order ${order.orderNumber}`;
+    for (const line of lines) {
+      if (condition === 'resellable') {
+        const before = await Variant.findOneAndUpdate(
+          { _id: line.variantId },
+          { $inc: { stockQuantity: line.quantity } },
+          { new: false, session }
+        );
+        if (!before) continue;
+
+        // back into the lots the order line was filled from (recorded on the order line)
+        const lots = await restoreLots(line.variantId, line.quantity, orderLine?.lotAllocations, {
+          stockBefore: before.stockQuantity,
+          source: 'return',
+          referenceId: ret.returnNumber,
+          session
+        });
+        // …and into the location the order was picked from
+        const locations = await addLocationStock(line.variantId, line.quantity, {
+          location: order.fulfillmentLocation,
+          stockBefore: before.stockQuantity,
+          session
+        });
+
+        await logReturnMovement({
+          variantId: line.variantId,
+          sku: before.sku,
+          previousQuantity: before.stockQuantity,
+          changeQuantity: line.quantity,
+          movementType: 'Customer Return',
+          reason: withBundleReason(reason, line),
+          referenceId: ret.returnNumber,
+          bundle: line.bundle,
+          lots,
+          locations,
+          performedBy,
+          session
+        });
+      } else {
+        // Damaged goods never reach sellable stock: log them in and straight out again
+        const variant = await Variant.findById(line.variantId).select('sku stockQuantity').session(session);
+        if (!variant) continue;
+
+        await logReturnMovement({
+          variantId: line.variantId,
+          sku: variant.sku,
+          previousQuantity: variant.stockQuantity,
+          changeQuantity: line.quantity,
+          movementType: 'Customer Return',
+          reason: withBundleReason(`${reason} (damaged)`, line),
+          referenceId: ret.returnNumber,
+          bundle: line.bundle,
+          performedBy,
+          session
+        });
+        await logReturnMovement({
+          variantId: line.variantId,
+          sku: variant.sku,
+          previousQuantity: variant.stockQuantity + line.quantity,
+          changeQuantity: -line.quantity,
+          movementType: 'Damaged Write-off',
+          reason: withBundleReason(`${reason} (damaged)`, line),
+          referenceId: ret.returnNumber,
+          bundle: line.bundle,
+          performedBy,
+          session
+        });
+      }
+    }
+  }
+
+  if (order.isModified()) await order.save({ session }); // lotAllocations[].restored
+
+  ret.status = 'received';
+  ret.receivedBy = actor?.id || null;
+  ret.receivedAt = new Date();
+  if (notes) ret.adminNotes = notes;
+  await ret.save({ session });
+
+  // Every line of the order back on our side → the order itself is returned
+  const received = await getReturnedQuantities(order._id, { field: 'receivedQuantity', session });
+  const fullyReturned = order.items.every(item => (received.get(item._id.toString()) || 0) >= item.quantity);
+
+  let changes = [];
+  if (fullyReturned) {
+    changes = await transitionOrder(order, { status: 'returned' }, {
+      actor,
+      note: `All items returned (${ret.returnNumber})`,
+      session
+    });
+    await order.save({ session });
+  }
+
+  return { order, changes };
+};
+
+/**
+ * Refund money against a return. `amount` defaults to the value still owed for the
+ * return (received quantities once received, requested quantities before that); it can
+ * be neither more than that nor more than is left to refund on the order.
+ * @returns {{ order, changes }} order payment changes (call notifyOrderChanges after commit)
+ */
+const refundReturn = async (ret, { actor, amount, method, reference, note, session } = {}) => {
+  if (!['approved', 'received'].includes(ret.status)) {
+    throw returnError(`Cannot refund a return that is ${ret.status}`);
+  }
+
+  const order = await Order.findById(ret.order).session(session);
+  if (!order) throw returnError('Order not found', 404);
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw returnError(`Only paid orders can be refunded (payment is ${order.paymentStatus || 'unpaid'})`);
+  }
+
+  const qtyField = ret.status === 'received' ? 'receivedQuantity' : 'quantity';
+  const returnValue = round2(ret.items.reduce((sum, item) => sum + item.unitPrice * (item[qtyField] || 0), 0));
+  const owedOnReturn = round2(Math.max(0, returnValue - ret.refundedAmount));
+  const leftOnOrder = round2(order.total - (order.refundedAmount || 0));
+
+  const refundAmount = round2(amount === undefined || amount === null || amount === ''
+    ? Math.min(owedOnReturn, leftOnOrder)
+    : Number(amount));
+
+  if (!(refundAmount > 0)) {
+    throw returnError('Nothing left to refund for this return');
+  }
+  if (refundAmount > owedOnReturn + 0.01) {
+    throw returnError(`Refund exceeds the amount still owed for this return (${owedOnReturn.toFixed(2)})`);
+  }
+  if (refundAmount > leftOnOrder + 0.01) {
+    throw returnError(`Refund exceeds the remaining order balance (${leftOnOrder.toFixed(2)})`);
+  }
+
+  ret.refunds.push({ amount: refundAmount, method, reference, note, refundedBy: actor?.id || null });
+  ret.refundedAmount = round2(ret.refundedAmount + refundAmount);
+
+  order.refundedAmount = round2((order.refundedAmount || 0) + refundAmount);
+  const fullyRefunded = order.refundedAmount >= order.total - 0.01;
+
+  if (fullyRefunded || ret.refundedAmount >= returnValue - 0.01) {
+    ret.status = 'refunded';
+  }
+  await ret.save({ session });
+
+  order.refunds.push({
+    amount: refundAmount,
+    return: ret._id,
+    method,
+    reference,
+    refundedBy: actor?.id || null
+  });
+
+  const changes = await transitionOrder(
+    order,
+    { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' },
+    { actor, note: note || `Refund ${refundAmount.toFixed(2)} for ${ret.returnNumber}`, session }
+  );
+  await order.save({ session });
+
+  return { order, changes };
+};
+
+/**
+ * Notify admins of a new request, or the customer of a status change.
+ * Call after commit; failures are logged, never thrown.
+ */
+const notifyReturnUpdate = async (ret, { created = false } = {}) => {
+  try {
+    const orderId = ret.order?._id || ret.order;
+    const order = ret.order?.orderNumber && (ret.user || ret.order.guest)
+      ? ret.order
+      : await Order.findById(orderId).select('orderNumber guest').lean();
+
+    if (created) {
+      const admins = await User.find({ role: { $in: ['Super Admin', 'Manager'] } }).select('_id').lean();
+      for (const admin of admins) {
+        await createNotification({
+          userId: admin._id,
+          type: 'return_requested',
+          title: 'Return Requested',
+          message: `Return ${ret.returnNumber} requested for order ${order?.orderNumber}`,
+          related: { orderId: orderId.toString(), ...(ret.user && { userId: (ret.user._id || ret.user).toString() }) }
+        });
+      }
+      return;
+    }
+
+    // Guest orders have no user: the guest hears at the email they checked out with
+    const customer = ret.user
+      ? await User.findById(ret.user._id || ret.user).select('name email').lean()
+      : order?.guest;
+    if (!customer) return;
+
+    if (customer._id) {
+      await createNotification({
+        userId: customer._id,
+        type: 'return_status_updated',
+        title: 'Return Updated',
+        message: `Your return ${ret.returnNumber} is now ${ret.status}`,
+        related: { orderId: orderId.toString() }
+      });
+    }
+
+    if (customer.email) {
+      const config = await AppConfiguration.findOne().lean().select('currencySign');
+      await sendEmail(customer.email, 'return_status_updated', {
+        user_name: customer.name,
+        return_number: ret.returnNumber,
+        return_status: ret.status,
+        return_rejectionReason: ret.rejectionReason,
+        return_refundedAmount: `${config?.currencySign || '$'}${ret.refundedAmount.toFixed(2)}`,
+        order_number: order?.orderNumber,
+      });
+    }
+  } catch (err) {
+    console.error(`Return ${ret.returnNumber} notification/email error:`, err);
+  }
+};
+
+module.exports = {
+  RETURNABLE_ORDER_STATUSES,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  notifyReturnUpdate
+};
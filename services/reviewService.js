@@ -0,0 +1,146 @@
+// services/reviewService.js
+const mongoose = require('mongoose');
+const Review = require('../model/Review');
+const Product = require('../model/Product');
+const Order = require('../model/Order');
+
+// Customers may review a product once they have a delivered order containing it;
+// that order is stored on the review and shown as a verified-purchase badge.
+// Product.averageRating / reviewCount are kept in sync with the approved reviews
+// so the catalog can sort and filter by rating without a lookup.
+
+const reviewError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'REVIEW_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+// Most recent delivered order of this customer that contains the product
+const findDeliveredOrder = (userId, productId) =>
+  Order.findOne({ user: userId, status: 'delivered', 'items.product': productId })
+    .sort({ createdAt: -1 })
+    .select('_id items.product items.variant')
+    .lean();
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw reviewError('Rating must be a whole number from 1 to 5');
+  }
+  return value;
+};
+
+/**
+ * Average, count and 1–5 breakdown of the approved reviews of a product.
+ */
+const getRatingSummary = async (productId) => {
+  const rows = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const row of rows) {
+    breakdown[row._id] = row.count;
+    count += row.count;
+    sum += row._id * row.count;
+  }
+
+  return {
+    averageRating: count ? Math.round((sum / count) * 10) / 10 : 0,
+    reviewCount: count,
+    breakdown
+  };
+};
+
+// Call after any change to a review's rating or status
+const recalculateProductRating = async (productId) => {
+  const { averageRating, reviewCount } = await getRatingSummary(productId);
+  await Product.updateOne({ _id: productId }, { $set: { averageRating, reviewCount } });
+  return { averageRating, reviewCount };
+};
+
+/**
+ * Create a customer's review. New reviews wait for moderation.
+ */
+const createReview = async (userId, productId, { rating, title, comment, photos = [] } = {}) => {
+  if (!(await Product.exists({ _id: productId }))) throw reviewError('Product not found', 404);
+
+  const order = await findDeliveredOrder(userId, productId);
+  if (!order) {
+    throw reviewError('You can review this product once an order containing it has been delivered', 403);
+  }
+
+  if (await Review.exists({ product: productId, user: userId })) {
+    throw reviewError('You have already reviewed this product', 409);
+  }
+
+  const line = order.items.find(item => item.product.toString() === productId.toString());
+  return Review.create({
+    product: productId,
+    user: userId,
+    order: order._id,
+    variant: line?.variant || null,
+    rating: parseRating(rating),
+    title,
+    comment,
+    photos,
+    verifiedPurchase: true
+  });
+};
+
+/**
+ * Customer edit. An edited review goes back to moderation.
+ */
+const updateReview = async (review, { rating, title, comment, photos } = {}) => {
+  const wasApproved = review.status === 'approved';
+
+  if (rating !== undefined) review.rating = parseRating(rating);
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  if (photos && photos.length > 0) review.photos = photos;
+  review.status = 'pending';
+  await review.save();
+
+  if (wasApproved) await recalculateProductRating(review.product);
+  return review;
+};
+
+const moderateReview = async (review, { status, note, actor } = {}) => {
+  if (!['approved', 'hidden'].includes(status)) {
+    throw reviewError('Status must be approved or hidden');
+  }
+  review.status = status;
+  review.moderationNote = note;
+  review.moderatedBy = actor?.id || null;
+  review.moderatedAt = new Date();
+  await review.save();
+
+  await recalculateProductRating(review.product);
+  return review;
+};
+
+const replyToReview = async (review, { text, actor } = {}) => {
+  if (!text || !text.trim()) throw reviewError('Reply text is required');
+  review.reply = { text: text.trim(), repliedBy: actor?.id || null, repliedAt: new Date() };
+  await review.save();
+  return review;
+};
+
+const deleteReview = async (review) => {
+  await review.deleteOne();
+  if (review.status === 'approved') await recalculateProductRating(review.product);
+};
+
+module.exports = {
+  getRatingSummary,
+  recalculateProductRating,
+  createReview,
+  updateReview,
+  moderateReview,
+  replyToReview,
+  deleteReview
+};
@@ -0,0 +1,520 @@
+// services/searchService.js
+const mongoose = require('mongoose');
+const Product = require('../model/Product');
+const Brand = require('../model/Brand');
+const Category = require('../model/Category');
+const Subcategory = require('../model/subCategory');
+const { withEffectivePrices } = require('./pricingService');
+const { applyBundleAvailability } = require('./bundleService');
+
+/*
+ * Catalog search (GET /api/v1/products/search).
+ *
+ *   1. Full-text: the `product_text_search` index on Product (name, brand/category names via
+ *      searchTerms, suitableFor, ingredients, description), ranked by textScore.
+ *   2. Fallback: when the text index is missing or finds nothing, every query word has to
+ *      appear (case-insensitive substring) in one of the same fields. This also covers partial
+ *      words ("chick" → "chicken") that $text does not match.
+ *
+ * Facet counts (category, subcategory, brand, pet type = suitableFor, price range, stock) are
+ * computed over the filtered result set. Prices are the lowest variant price after the variant's
+ * own discountPrice; Offers are applied to the returned products (effectivePrice) only.
+ *
+ * "Did you mean" suggestions correct each unknown query word to the closest word
+ * (edit distance ≤ 2) of the catalog vocabulary.
+ *
+ * Aggregations run on the native collection: Product's aggregate hook prepends a $match,
+ * but a $text $match has to be the first stage of the pipeline.
+ */
+
+const PRICE_BOUNDARIES = [0, 10, 25, 50, 100, 250, 500];
+const SEARCH_FIELDS = ['name', 'searchTerms', 'suitableFor', 'ingredients', 'description'];
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MAX_QUERY_LENGTH = 100;
+
+const SORTS = {
+  relevance: null,                           // textScore when searching, newest otherwise
+  newest: { createdAt: -1 },
+  price_asc: { minPrice: 1, createdAt: -1 },
+  price_desc: { minPrice: -1, createdAt: -1 },
+  rating: { averageRating: -1, reviewCount: -1, createdAt: -1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length >= 2);
+
+// "id1,id2" or ['id1', 'id2'] → ObjectIds (invalid ids are dropped)
+const toObjectIds = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(id => id.trim())
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+const isTextIndexError = (err) =>
+  err?.code === 27 || /text index/i.test(err?.message || '');
+
+// ────────────────────────────────────────────────
+// Pipeline
+// ────────────────────────────────────────────────
+
+const buildMatch = (q, useText, filters) => {
+  const match = { isDeleted: { $ne: true }, status: 'Active' };
+
+  if (q && useText) {
+    match.$text = { $search: q };
+  } else if (q) {
+    match.$and = tokenize(q).map(word => ({
+      $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(word), $options: 'i' } }))
+    }));
+    if (match.$and.length === 0) delete match.$and;
+  }
+
+  if (filters.category.length) match.category = { $in: filters.category };
+  if (filters.subcategory.length) match.subcategory = { $in: filters.subcategory };
+  if (filters.brand.length) match.brand = { $in: filters.brand };
+  if (filters.petType.length) {
+    match.suitableFor = { $in: filters.petType.map(type => new RegExp(`^${escapeRegex(type)}$`, 'i')) };
+  }
+  return match;
+};
+
+// Lowest sellable price and availability per product, from its active variants
+const priceAndStockStages = [
+  {
+    $lookup: {
+      from: 'variants',
+      let: { varIds: { $ifNull: ['$variations', []] } },
+      pipeline: [
+        { $match: { $expr: { $in: ['$_id', '$$varIds'] }, status: 'Active', isDeleted: { $ne: true } } },
+        // Bundles: stock is the number of kits their active components can make up
+        {
+          $lookup: {
+            from: 'variants',
+            let: { componentIds: { $ifNull: ['$bundleItems.variant', []] } },
+            pipeline: [
+              { $match: { $expr: { $in: ['$_id', '$$componentIds'] }, status: 'Active', isDeleted: { $ne: true } } },
+              { $project: { stockQuantity: 1, reservedQuantity: 1 } }
+            ],
+            as: 'components'
+          }
+        },
+        {
+          $addFields: {
+            stockQuantity: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$bundleItems', []] } }, 0] },
+                {
+                  $min: {
+                    $map: {
+                      input: '$bundleItems',
+                      as: 'item',
+                      in: {
+                        $let: {
+                          vars: { c: { $arrayElemAt: [{ $filter: { input: '$components', cond: { $eq: ['$$this._id', '$$item.variant'] } } }, 0] } },
+                          in: {
+                            $floor: {
+                              $divide: [
+                                { $max: [0, { $subtract: [{ $ifNull: ['$$c.stockQuantity', 0] }, { $ifNull: ['$$c.reservedQuantity', 0] }] }] },
+                                '$$item.quantity'
+                              ]
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                '$stockQuantity'
+              ]
+            },
+            reservedQuantity: { $cond: [{ $gt: [{ $size: { $ifNull: ['$bundleItems', []] } }, 0] }, 0, '$reservedQuantity'] }
+          }
+        },
+        { $project: { price: 1, discountPrice: 1, stockQuantity: 1, reservedQuantity: 1 } }
+      ],
+      as: 'searchVariants'
+    }
+  },
+  {
+    $addFields: {
+      minPrice: {
+        $min: {
+          $map: {
+            input: '$searchVariants',
+            as: 'v',
+            in: {
+              $cond: [
+                { $and: [{ $gt: ['$$v.discountPrice', 0] }, { $lt: ['$$v.discountPrice', '$$v.price'] }] },
+                '$$v.discountPrice',
+                '$$v.price'
+              ]
+            }
+          }
+        }
+      },
+      inStock: {
+        $anyElementTrue: [{
+          $map: {
+            input: '$searchVariants',
+            as: 'v',
+            in: { $gt: [{ $subtract: [{ $ifNull: ['$$v.stockQuantity', 0] }, { $ifNull: ['$$v.reservedQuantity', 0] }] }, 0] }
+          }
+        }]
+      }
+    }
+  }
+];
+
+// Same shape as the products of getAllProducts, so withEffectivePrices() applies
+const resultPopulationStages = [
+  { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+  { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+  { $lookup: { from: 'subcategories', localField: 'subcategory', foreignField: '_id', as: 'subcategory' } },
+  { $unwind: { path: '$subcategory', preserveNullAndEmptyArrays: true } },
+  { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brand' } },
+  { $unwind: { path: '$brand', preserveNullAndEmptyArrays: true } },
+  {
+    $lookup: {
+      from: 'variants',
+      let: { varIds: { $ifNull: ['$variations', []] } },
+      pipeline: [
+        { $match: { $expr: { $in: ['$_id', '$$varIds'] }, status: 'Active', isDeleted: { $ne: true } } },
+        {
+          $project: {
+            attribute: 1, value: 1, optionValues: 1, optionLabel: 1, sku: 1, price: 1, discountPrice: 1,
+            stockQuantity: 1, weightQuantity: 1, image: 1, status: 1, bundleItems: 1
+          }
+        }
+      ],
+      as: 'variations'
+    }
+  },
+  {
+    $lookup: {
+      from: 'offers',
+      let: { prodId: '$_id', currentDate: new Date() },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $in: ['$$prodId', '$applicableProducts'] },
+                { $eq: ['$status', 'active'] },
+                { $lte: ['$startDate', '$$currentDate'] },
+                { $gte: ['$endDate', '$$currentDate'] }
+              ]
+            }
+          }
+        },
+        { $sort: { createdAt: -1 } },
+        { $limit: 1 }
+      ],
+      as: 'activeOffer'
+    }
+  },
+  { $unwind: { path: '$activeOffer', preserveNullAndEmptyArrays: true } },
+  { $project: { __v: 0, searchVariants: 0, searchTerms: 0 } }
+];
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1 } }
+];
+
+const runSearch = async ({ q, useText, filters, sort, skip, limit }) => {
+  const postMatch = {};
+  if (filters.minPrice !== null || filters.maxPrice !== null) {
+    postMatch.minPrice = {};
+    if (filters.minPrice !== null) postMatch.minPrice.$gte = filters.minPrice;
+    if (filters.maxPrice !== null) postMatch.minPrice.$lte = filters.maxPrice;
+  }
+  if (filters.inStock !== null) postMatch.inStock = filters.inStock;
+
+  const sortStage = SORTS[sort] || (useText && q ? { score: -1, createdAt: -1 } : SORTS.newest);
+
+  const pipeline = [
+    { $match: buildMatch(q, useText, filters) },
+    ...(useText && q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    ...priceAndStockStages,
+    ...(Object.keys(postMatch).length ? [{ $match: postMatch }] : []),
+    {
+      $facet: {
+        results: [{ $sort: sortStage }, { $skip: skip }, { $limit: limit }, ...resultPopulationStages],
+        total: [{ $count: 'count' }],
+        categories: countBy('category'),
+        subcategories: countBy('subcategory'),
+        brands: countBy('brand'),
+        petTypes: countBy('suitableFor'),
+        priceRanges: [
+          { $match: { minPrice: { $ne: null } } },
+          { $bucket: { groupBy: '$minPrice', boundaries: PRICE_BOUNDARIES, default: 'above', output: { count: { $sum: 1 } } } }
+        ],
+        stock: [{ $group: { _id: '$inStock', count: { $sum: 1 } } }]
+      }
+    }
+  ];
+
+  const [result] = await Product.collection.aggregate(pipeline).toArray();
+  return { ...result, total: result.total[0]?.count || 0 };
+};
+
+// Facet ids → { _id, name, count }
+const nameFacet = async (Model, rows) => {
+  const docs = await Model.find({ _id: { $in: rows.map(r => r._id) } }).select('name').lean();
+  const names = new Map(docs.map(d => [d._id.toString(), d.name]));
+  return rows
+    .filter(row => names.has(row._id.toString()))
+    .map(row => ({ _id: row._id, name: names.get(row._id.toString()), count: row.count }));
+};
+
+const formatPriceRanges = (rows) => rows.map(row => {
+  if (row._id === 'above') {
+    return { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count: row.count };
+  }
+  const index = PRICE_BOUNDARIES.indexOf(row._id);
+  return { min: row._id, max: PRICE_BOUNDARIES[index + 1], count: row.count };
+});
+
+// ────────────────────────────────────────────────
+// Typo-tolerant suggestions
+// ────────────────────────────────────────────────
+
+let vocabularyCache = { words: null, builtAt: 0 };
+
+// word → frequency over product names, pet types and brand / category names
+const getVocabulary = async () => {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+
+  const [products, brands, categories, subcategories] = await Promise.all([
+    Product.find({ status: 'Active' }).select('name suitableFor').lean(),
+    Brand.find().select('name').lean(),
+    Category.find().select('name').lean(),
+    Subcategory.find().select('name').lean()
+  ]);
+
+  const words = new Map();
+  const add = (text) => {
+    for (const word of tokenize(text)) {
+      if (word.length >= 3 && !/^\d+$/.test(word)) words.set(word, (words.get(word) || 0) + 1);
+    }
+  };
+  products.forEach(p => { add(p.name); add(p.suitableFor); });
+  [...brands, ...categories, ...subcategories].forEach(doc => add(doc.name));
+
+  vocabularyCache = { words, builtAt: Date.now() };
+  return words;
+};
+
+// Levenshtein distance, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Corrected query when some words are not in the catalog vocabulary, else null.
+ */
+const getDidYouMean = async (q) => {
+  const terms = tokenize(q);
+  if (terms.length === 0) return null;
+
+  const vocabulary = await getVocabulary();
+  let changed = false;
+
+  const corrected = terms.map(term => {
+    if (term.length < 3 || vocabulary.has(term)) return term;
+    const maxDistance = term.length <= 4 ? 1 : 2;
+
+    let best = null;
+    for (const [word, frequency] of vocabulary) {
+      const distance = editDistance(term, word, maxDistance);
+      if (distance > maxDistance) continue;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { word, distance, frequency };
+      }
+    }
+    if (!best) return term;
+    changed = true;
+    return best.word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// ────────────────────────────────────────────────
+// Public API
+// ────────────────────────────────────────────────
+
+/**
+ * @param {object} params  q, category, subcategory, brand, petType, minPrice, maxPrice,
+ *                         inStock, sort, page, limit (query-string values)
+ * @returns {{ products, total, page, pages, facets, didYouMean, mode }}
+ */
+const searchProducts = async (params = {}) => {
+  const q = (params.q || '').toString().trim().slice(0, MAX_QUERY_LENGTH);
+  const page = Math.max(1, parseInt(params.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(params.limit) || 20));
+  const toNumber = (value) => (value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  const filters = {
+    category: toObjectIds(params.category),
+    subcategory: toObjectIds(params.subcategory),
+    brand: toObjectIds(params.brand),
+    petType: toList(params.petType),
+    minPrice: toNumber(params.minPrice),
+    maxPrice: toNumber(params.maxPrice),
+    inStock: params.inStock === 'true' ? true : params.inStock === 'false' ? false : null
+  };
+
+  const options = { q, filters, sort: params.sort, skip: (page - 1) * limit, limit };
+
+  let mode = q ? 'text' : 'browse';
+  let result = null;
+  if (q) {
+    try {
+      result = await runSearch({ ...options, useText: true });
+    } catch (err) {
+      if (!isTextIndexError(err)) throw err;
+      console.warn('Product text index unavailable, using regex search:', err.message);
+    }
+  }
+  if (!result || (q && result.total === 0)) {
+    if (q) mode = 'fallback';
+    result = await runSearch({ ...options, useText: false });
+  }
+
+  const [categories, subcategories, brands] = await Promise.all([
+    nameFacet(Category, result.categories),
+    nameFacet(Subcategory, result.subcategories),
+    nameFacet(Brand, result.brands)
+  ]);
+
+  await applyBundleAvailability(result.results.flatMap(p => p.variations || []));
+
+  const inStockRow = result.stock.find(row => row._id === true);
+  const outOfStockRow = result.stock.find(row => row._id !== true);
+
+  return {
+    products: result.results.map(withEffectivePrices),
+    total: result.total,
+    page,
+    pages: Math.ceil(result.total / limit),
+    facets: {
+      categories,
+      subcategories,
+      brands,
+      petTypes: result.petTypes.map(row => ({ value: row._id, count: row.count })),
+      priceRanges: formatPriceRanges(result.priceRanges),
+      stock: { inStock: inStockRow?.count || 0, outOfStock: outOfStockRow?.count || 0 }
+    },
+    didYouMean: q && result.total < 5 ? await getDidYouMean(q) : null,
+    mode
+  };
+};
+
+/**
+ * Autocomplete for the search box: products, brands and categories whose name contains
+ * a word starting with the typed text, plus a spelling correction when nothing matches.
+ */
+const getSearchSuggestions = async (rawQuery, { limit = 8 } = {}) => {
+  const q = (rawQuery || '').toString().trim().slice(0, MAX_QUERY_LENGTH);
+  if (q.length < 2) return { products: [], brands: [], categories: [], didYouMean: null };
+
+  const prefix = (text) => ({ $regex: `(^|\\s)${escapeRegex(text)}`, $options: 'i' });
+  const lookup = (text) => Promise.all([
+    Product.find({ status: 'Active', name: prefix(text) })
+      .select('name thumbnail averageRating')
+      .sort({ reviewCount: -1 })
+      .limit(limit)
+      .lean(),
+    Brand.find({ name: prefix(text) }).select('name image').limit(5).lean(),
+    Category.find({ name: prefix(text) }).select('name image').limit(5).lean()
+  ]);
+
+  let [products, brands, categories] = await lookup(q);
+  let didYouMean = null;
+
+  if (products.length + brands.length + categories.length === 0) {
+    didYouMean = await getDidYouMean(q);
+    if (didYouMean) [products, brands, categories] = await lookup(didYouMean);
+  }
+
+  return { products, brands, categories, didYouMean };
+};
+
+/**
+ * Refresh Product.searchTerms for all products matching `filter`
+ * (after a brand, category or subcategory is renamed).
+ */
+const syncSearchTerms = async (filter) => {
+  try {
+    const products = await Product.find(filter).select('brand category subcategory').lean();
+    if (products.length === 0) return;
+
+    const ops = [];
+    for (const product of products) {
+      ops.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { searchTerms: await Product.buildSearchTerms(product) } }
+        }
+      });
+    }
+    await Product.bulkWrite(ops);
+    vocabularyCache = { words: null, builtAt: 0 };
+  } catch (err) {
+    console.error('Failed to refresh product search terms:', err);
+  }
+};
+
+/**
+ * Fill in searchTerms for products saved before it existed (or while their brand /
+ * category lookup failed). Run once the database is connected; a no-op when none are left.
+ */
+const backfillSearchTerms = async () => {
+  const filter = {
+    searchTerms: { $in: ['', null] },
+    $or: [{ brand: { $ne: null } }, { category: { $ne: null } }, { subcategory: { $ne: null } }]
+  };
+  try {
+    const missing = await Product.countDocuments(filter);
+    if (missing === 0) return;
+    await syncSearchTerms(filter);
+    console.log(`Search terms filled in for ${missing} product(s)`);
+  } catch (err) {
+    console.error('Failed to backfill product search terms:', err);
+  }
+};
+
+module.exports = {
+  searchProducts,
+  getSearchSuggestions,
+  syncSearchTerms,
+  backfillSearchTerms
+};
@@ -0,0 +1,201 @@
+// services/shipmentService.js
+const Order = require('../model/Order');
+const { canTransition, transitionOrder } = require('./orderStateMachine');
+
+// An order can be split into several shipments, each carrying some units of some lines.
+// Shipments move through the same tracking states as the order (TRACKING_TRANSITIONS);
+// the order's trackingStatus and fulfillmentStatus are derived from them:
+//   every unit delivered                      → trackingStatus delivered (→ order delivered)
+//   some shipment on its way                  → trackingStatus of the furthest one
+// Orders without shipments keep using PUT /orders/:id/tracking directly.
+
+const SHIPPABLE_ORDER_STATUSES = ['confirmed', 'processing', 'shipped'];
+const IN_TRANSIT = ['shipped', 'in transit', 'out for delivery'];
+const PROGRESS = ['not shipped', 'shipped', 'in transit', 'out for delivery', 'delivered'];
+
+const shipmentError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'SHIPMENT_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const activeShipments = (order) => (order.shipments || []).filter(s => s.trackingStatus !== 'cancelled');
+
+/**
+ * Per order line: ordered, allocated to (non-cancelled) shipments, shipped and delivered units.
+ */
+const getFulfillment = (order) => order.items.map(item => {
+  const line = { orderItem: item._id, ordered: item.quantity, allocated: 0, shipped: 0, delivered: 0 };
+  for (const shipment of activeShipments(order)) {
+    const entry = shipment.items.find(i => i.orderItem.toString() === item._id.toString());
+    if (!entry) continue;
+    line.allocated += entry.quantity;
+    if (shipment.trackingStatus !== 'not shipped') line.shipped += entry.quantity;
+    if (shipment.trackingStatus === 'delivered') line.delivered += entry.quantity;
+  }
+  line.remaining = line.ordered - line.allocated;
+  return line;
+});
+
+const deriveFulfillmentStatus = (lines) => {
+  const total = (key) => lines.reduce((sum, line) => sum + line[key], 0);
+  const ordered = total('ordered');
+  const shipped = total('shipped');
+  const delivered = total('delivered');
+
+  if (delivered >= ordered) return 'delivered';
+  if (delivered > 0) return 'partially_delivered';
+  if (shipped >= ordered) return 'shipped';
+  if (shipped > 0) return 'partially_shipped';
+  return 'unfulfilled';
+};
+
+/**
+ * Recompute fulfillmentStatus and move the order's trackingStatus (and through its
+ * cascades, the order status) to match the shipments. Mutates the order.
+ * @returns {Array} applied order changes (call notifyOrderChanges after commit)
+ */
+const syncOrderWithShipments = async (order, { actor, note, session } = {}) => {
+  const lines = getFulfillment(order);
+  order.fulfillmentStatus = deriveFulfillmentStatus(lines);
+
+  let target = null;
+  if (order.fulfillmentStatus === 'delivered') {
+    target = 'delivered';
+  } else {
+    const moving = activeShipments(order)
+      .map(s => s.trackingStatus)
+      .filter(status => IN_TRANSIT.includes(status));
+    if (moving.length > 0) {
+      target = moving.sort((a, b) => PROGRESS.indexOf(b) - PROGRESS.indexOf(a))[0];
+    } else if (order.fulfillmentStatus === 'partially_delivered') {
+      target = 'shipped';
+    }
+  }
+
+  const current = order.trackingStatus || 'not shipped';
+  if (!target || target === current || !canTransition('trackingStatus', current, target)) return [];
+
+  return transitionOrder(order, { trackingStatus: target }, { actor, note, session });
+};
+
+const assertUniqueTrackingNumber = async (order, trackingNumber, shipmentId = null) => {
+  if (!trackingNumber) return;
+  const clash = (order.shipments || []).some(s =>
+    s.trackingNumber === trackingNumber && (!shipmentId || s._id.toString() !== shipmentId.toString()));
+  const other = clash || await Order.exists({ _id: { $ne: order._id }, 'shipments.trackingNumber': trackingNumber });
+  if (other) throw shipmentError('Tracking number already used');
+};
+
+const pushEvent = (shipment, trackingStatus, { actor, note }) => {
+  shipment.events.push({ trackingStatus, note, changedBy: actor?.id || null, at: new Date() });
+  if (IN_TRANSIT.includes(trackingStatus) || trackingStatus === 'delivered') {
+    shipment.shippedAt = shipment.shippedAt || new Date();
+  }
+  if (trackingStatus === 'delivered') shipment.deliveredAt = new Date();
+};
+
+/**
+ * Add a shipment to the order. `items` is `[{ orderItem, quantity }]`; when omitted
+ * every unit not yet allocated to a shipment is included.
+ * @returns {{ shipment, changes }}
+ */
+const createShipment = async (order, { items, deliveryPartner, trackingNumber, trackingStatus, notes } = {}, { actor, session } = {}) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw shipmentError(`Order must be confirmed before shipping (status is ${order.status})`);
+  }
+
+  const lines = getFulfillment(order);
+  const requested = items && items.length > 0
+    ? items
+    : lines.filter(line => line.remaining > 0).map(line => ({ orderItem: line.orderItem, quantity: line.remaining }));
+
+  if (requested.length === 0) {
+    throw shipmentError('Every item of this order is already in a shipment');
+  }
+
+  const shipmentItems = [];
+  for (const { orderItem, quantity } of requested) {
+    const item = orderItem && order.items.find(i => i._id.toString() === orderItem.toString());
+    if (!item) throw shipmentError(`Order item ${orderItem} not found in order ${order.orderNumber}`);
+
+    const line = lines.find(l => l.orderItem.toString() === item._id.toString());
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw shipmentError(`Invalid quantity for order item ${orderItem}`);
+    }
+    if (qty > line.remaining) {
+      throw shipmentError(`Only ${line.remaining} unit(s) of order item ${orderItem} are left to ship`);
+    }
+    line.remaining -= qty;
+
+    shipmentItems.push({
+      orderItem: item._id,
+      product: item.product?._id || item.product,
+      variant: item.variant?._id || item.variant || null,
+      quantity: qty
+    });
+  }
+
+  await assertUniqueTrackingNumber(order, trackingNumber);
+
+  const initial = trackingStatus || 'not shipped';
+  if (initial !== 'not shipped' && !canTransition('trackingStatus', 'not shipped', initial)) {
+    throw shipmentError(`Invalid trackingStatus: ${initial}`);
+  }
+  if (initial === 'cancelled') throw shipmentError('A new shipment cannot be cancelled');
+
+  order.shipments.push({
+    shipmentNumber: `${order.orderNumber}-S${order.shipments.length + 1}`,
+    items: shipmentItems,
+    deliveryPartner,
+    trackingNumber,
+    trackingStatus: initial,
+    notes,
+    createdBy: actor?.id || null
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+  pushEvent(shipment, initial, { actor, note: 'Shipment created' });
+
+  const changes = await syncOrderWithShipments(order, { actor, note: `Shipment ${shipment.shipmentNumber}`, session });
+  return { shipment, changes };
+};
+
+/**
+ * Update a shipment's carrier details and/or move its trackingStatus.
+ * @returns {{ shipment, changes }}
+ */
+const updateShipment = async (order, shipmentId, { trackingStatus, deliveryPartner, trackingNumber, notes, reason } = {}, { actor, session } = {}) => {
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) throw shipmentError('Shipment not found', 404);
+
+  if (trackingNumber && trackingNumber !== shipment.trackingNumber) {
+    await assertUniqueTrackingNumber(order, trackingNumber, shipment._id);
+    shipment.trackingNumber = trackingNumber;
+  }
+  if (deliveryPartner) shipment.deliveryPartner = deliveryPartner;
+  if (notes) shipment.notes = notes;
+
+  if (trackingStatus && trackingStatus !== shipment.trackingStatus) {
+    if (!canTransition('trackingStatus', shipment.trackingStatus, trackingStatus)) {
+      throw shipmentError(`Cannot change shipment ${shipment.shipmentNumber} from ${shipment.trackingStatus} to ${trackingStatus}`);
+    }
+    shipment.trackingStatus = trackingStatus;
+    pushEvent(shipment, trackingStatus, { actor, note: reason });
+  }
+
+  const changes = await syncOrderWithShipments(order, {
+    actor,
+    note: reason || `Shipment ${shipment.shipmentNumber} ${shipment.trackingStatus}`,
+    session
+  });
+  return { shipment, changes };
+};
+
+module.exports = {
+  getFulfillment,
+  syncOrderWithShipments,
+  createShipment,
+  updateShipment
+};
@@ -0,0 +1,93 @@
+// services/stockAlertService.js
+const StockAlert = require('../model/StockAlert');
+const Variant = require('../model/variantProduct');
+const Product = require('../model/Product');
+const User = require('../model/User');
+const { createNotification } = require('../utils/createNotification');
+const sendEmail = require('../utils/sendSmtpEmail');
+const { variantLabel } = require('./variantOptionService');
+const { applyBundleAvailability } = require('./bundleService');
+
+// Back-in-stock alerts. Alerts can only be created while a variant has no available stock
+// (stockQuantity - reservedQuantity <= 0), so the first time a stock increase leaves it
+// positive every pending alert fires once: in-app Notification + back_in_stock email.
+//
+// Call notifyBackInStock(variantIds) after committing anything that adds stock or frees
+// reserved units (purchase receipt, inventory adjustment, order cancellation, returns).
+
+const PRODUCT_URL = 'https://al-bready-website.vercel.app/products';
+
+const availableStock = (variant) => (variant.stockQuantity || 0) - (variant.reservedQuantity || 0);
+
+/**
+ * Send pending alerts for the given variants that are available again. Never throws.
+ * @returns {number} alerts sent
+ */
+const notifyBackInStock = async (variantIds) => {
+  try {
+    const ids = [...new Set((variantIds || []).filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) return 0;
+
+    // a component coming back can make the bundles built from it available again
+    const bundles = await Variant.find({ 'bundleItems.variant': { $in: ids } }).select('_id').lean();
+    ids.push(...bundles.map(b => b._id.toString()));
+
+    const waiting = await StockAlert.distinct('variant', { variant: { $in: ids }, status: 'pending' });
+    if (waiting.length === 0) return 0;
+
+    const variants = await Variant.find({ _id: { $in: waiting }, status: 'Active', isDeleted: { $ne: true } })
+      .select('attribute value optionValues optionLabel sku stockQuantity reservedQuantity product bundleItems')
+      .lean();
+    await applyBundleAvailability(variants);
+
+    let sent = 0;
+    for (const variant of variants.filter(v => availableStock(v) > 0)) {
+      const product = await Product.findById(variant.product).select('name status').lean();
+      if (!product || product.status !== 'Active') continue;
+
+      const alerts = await StockAlert.find({ variant: variant._id, status: 'pending' }).select('_id user').lean();
+      for (const alert of alerts) {
+        // Claim the alert first so concurrent stock updates never send it twice
+        const claimed = await StockAlert.findOneAndUpdate(
+          { _id: alert._id, status: 'pending' },
+          { $set: { status: 'notified', notifiedAt: new Date() } }
+        );
+        if (!claimed) continue;
+
+        const customer = await User.findById(alert.user).select('name email').lean();
+        if (!customer) continue;
+
+        const variantName = variantLabel(variant) || variant.sku;
+
+        await createNotification({
+          userId: customer._id,
+          type: 'back_in_stock',
+          title: 'Back In Stock',
+          message: `${product.name} (${variantName}) is available again`,
+          related: { productId: product._id.toString() }
+        });
+
+        if (customer.email) {
+          await sendEmail(customer.email, 'back_in_stock', {
+            customerName: customer.name,
+            productName: product.name,
+            variantName,
+            productUrl: `${PRODUCT_URL}/${product._id}`
+          });
+        }
+        sent++;
+      }
+    }
+
+    if (sent > 0) console.log(`${sent} back-in-stock alert(s) sent.`);
+    return sent;
+  } catch (err) {
+    console.error('Back-in-stock alert error:', err);
+    return 0;
+  }
+};
+
+module.exports = {
+  availableStock,
+  notifyBackInStock
+};
@@ -0,0 +1,340 @@
+// services/stockLotService.js
+const mongoose = require('mongoose');
+const StockLot = require('../model/StockLot');
+const StockMovement = require('../model/StockMovement');
+const Variant = require('../model/variantProduct');
+const { nextNumber } = require('./counterService');
+const { takeLocationStock, movementLocations } = require('./locationService');
+
+/*
+ * Batch / lot tracking. Variant.stockQuantity stays the stock figure everything else reads;
+ * the active lots of a variant split that figure into batches with their own expiry and cost.
+ *
+ *   receiveLot()   stock coming in (purchase receipt, manual adjustment, catalog import)
+ *   allocateLots() stock going out, first-expiring-first-out; returns the lots consumed so
+ *                  orders / sales can record them (line.lotAllocations)
+ *   restoreLots()  stock coming back (cancellations, returns) into the lots it was taken from
+ *   expireLots()   nightly: write off the remaining units of lots past their expiry date
+ *
+ * Every call passes the variant's stock level before its own change (`stockBefore`). Stock
+ * that changed without going through here (older data, direct edits) is reconciled first:
+ * untracked units become an 'opening' lot, missing units are taken FEFO.
+ * Variant.expiryDate follows the earliest expiry of the variant's active lots.
+ */
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+const toObjectId = (id) => new mongoose.Types.ObjectId(refId(id));
+
+// Not-yet-expired lots first (earliest expiry first, undated last, oldest receipt first),
+// then lots already past their date that the nightly job hasn't written off yet.
+// `preferPurchase` puts that purchase's lots in front (purchase reductions / cancellations).
+const fefoOrder = (now, preferPurchase) => (a, b) => {
+  if (preferPurchase) {
+    const pa = refId(a.purchase) === refId(preferPurchase) ? 0 : 1;
+    const pb = refId(b.purchase) === refId(preferPurchase) ? 0 : 1;
+    if (pa !== pb) return pa - pb;
+  }
+  const ea = a.expiryDate && a.expiryDate < now ? 1 : 0;
+  const eb = b.expiryDate && b.expiryDate < now ? 1 : 0;
+  if (ea !== eb) return ea - eb;
+  const da = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const db = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  if (da !== db) return da - db;
+  return a.receivedAt - b.receivedAt;
+};
+
+// Variant.expiryDate = earliest expiry among lots that still hold units
+const refreshVariantExpiry = async (variantId, { session } = {}) => {
+  const [next] = await StockLot.find({ variant: variantId, status: 'active', remaining: { $gt: 0 }, expiryDate: { $ne: null } })
+    .sort({ expiryDate: 1 })
+    .limit(1)
+    .select('expiryDate')
+    .session(session || null)
+    .lean();
+  await Variant.updateOne({ _id: variantId }, { $set: { expiryDate: next?.expiryDate || null } }, { session });
+};
+
+const createLot = async ({ variant, quantity, expiryDate = null, unitCost, source, purchase = null, referenceId, batchNumber = null, createdBy = null }, { session } = {}) => {
+  const [lot] = await StockLot.create([{
+    variant: variant._id,
+    sku: variant.sku,
+    lotNumber: await nextNumber('lot'),
+    batchNumber: batchNumber || null,
+    quantity,
+    remaining: quantity,
+    expiryDate: expiryDate ? new Date(expiryDate) : null,
+    unitCost: unitCost ?? variant.purchasePrice ?? 0,
+    source,
+    purchase,
+    referenceId,
+    createdBy
+  }], { session });
+  return lot;
+};
+
+// Take `quantity` units from the variant's active lots (FEFO); returns what was taken per lot
+const takeFromLots = async (variantId, quantity, { preferPurchase = null, session } = {}) => {
+  const lots = await StockLot.find({ variant: variantId, status: 'active', remaining: { $gt: 0 } })
+    .session(session || null)
+    .lean();
+  lots.sort(fefoOrder(new Date(), preferPurchase));
+
+  const allocations = [];
+  let left = quantity;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remaining);
+    const updated = await StockLot.findOneAndUpdate(
+      { _id: lot._id, status: 'active', remaining: { $gte: take } },
+      [{
+        $set: {
+          remaining: { $subtract: ['$remaining', take] },
+          status: { $cond: [{ $eq: [{ $subtract: ['$remaining', take] }, 0] }, 'depleted', '$status'] }
+        }
+      }],
+      { new: true, session }
+    );
+    if (!updated) continue;
+
+    allocations.push({
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      variant: lot.variant,
+      quantity: take,
+      expiryDate: lot.expiryDate
+    });
+    left -= take;
+  }
+  return allocations;
+};
+
+/**
+ * Make the active lots of a variant add up to `stockLevel` (defaults to its current stock).
+ * Untracked units become an 'opening' lot (dated with the variant's expiryDate when it has
+ * never had lots); surplus lot units are taken FEFO.
+ */
+const reconcileLots = async (variantId, stockLevel, { session } = {}) => {
+  const variant = await Variant.findById(variantId)
+    .select('sku stockQuantity purchasePrice expiryDate bundleItems')
+    .session(session || null)
+    .lean();
+  if (!variant || variant.bundleItems?.length) return;
+
+  const level = stockLevel ?? variant.stockQuantity ?? 0;
+  const [tracked] = await StockLot.aggregate([
+    { $match: { variant: variant._id, status: 'active' } },
+    { $group: { _id: null, remaining: { $sum: '$remaining' } } }
+  ]).session(session || null);
+  const diff = level - (tracked?.remaining || 0);
+
+  if (diff > 0) {
+    const hasLots = await StockLot.exists({ variant: variant._id }).session(session || null);
+    await createLot({
+      variant,
+      quantity: diff,
+      expiryDate: hasLots ? null : variant.expiryDate,
+      source: 'opening',
+      referenceId: 'Untracked stock'
+    }, { session });
+  } else if (diff < 0) {
+    await takeFromLots(variant._id, -diff, { session });
+  }
+};
+
+/**
+ * Book incoming stock as a new lot.
+ * @param {object} input { variantId, quantity, stockBefore, expiryDate?, unitCost?, source,
+ *                         purchase?, referenceId?, batchNumber?, createdBy? }
+ */
+const receiveLot = async ({ variantId, quantity, stockBefore, ...details }, { session } = {}) => {
+  if (!quantity || quantity <= 0) return null;
+  await reconcileLots(variantId, stockBefore, { session });
+
+  const variant = await Variant.findById(variantId).select('sku purchasePrice').session(session || null).lean();
+  if (!variant) return null;
+
+  const lot = await createLot({ variant, quantity, ...details }, { session });
+  await refreshVariantExpiry(variantId, { session });
+  return lot;
+};
+
+/**
+ * Consume `quantity` units first-expiring-first-out.
+ * @returns {Array<{ lot, lotNumber, variant, quantity, expiryDate }>}
+ */
+const allocateLots = async (variantId, quantity, { stockBefore, preferPurchase = null, session } = {}) => {
+  if (!quantity || quantity <= 0) return [];
+  await reconcileLots(variantId, stockBefore, { session });
+
+  const allocations = await takeFromLots(variantId, quantity, { preferPurchase, session });
+  await refreshVariantExpiry(variantId, { session });
+  return allocations;
+};
+
+/**
+ * Put `quantity` units of a variant back into the lots recorded in `allocations`
+ * (an order / sale line's lotAllocations; `restored` is counted up on them, so the caller
+ * saves the owning document). Units without a usable lot go into a new lot.
+ * @returns {Array<{ lot, lotNumber, quantity }>}
+ */
+const restoreLots = async (variantId, quantity, allocations = [], { stockBefore, source = 'return', referenceId, session } = {}) => {
+  if (!quantity || quantity <= 0) return [];
+  await reconcileLots(variantId, stockBefore, { session });
+
+  const variant = await Variant.findById(variantId).select('sku purchasePrice').session(session || null).lean();
+  if (!variant) return [];
+
+  const restored = [];
+  let left = quantity;
+  const own = (allocations || []).filter(a => refId(a.variant) === refId(variantId));
+
+  for (const allocation of own.slice().reverse()) {
+    if (left <= 0) break;
+    const take = Math.min(left, allocation.quantity - (allocation.restored || 0));
+    if (take <= 0) continue;
+
+    let lot = await StockLot.findOneAndUpdate(
+      { _id: allocation.lot, status: { $ne: 'expired' } },
+      { $inc: { remaining: take }, $set: { status: 'active' } },
+      { new: true, session }
+    );
+    if (!lot) {
+      // the lot has been written off (or is gone): same dates and cost, fresh lot
+      const original = await StockLot.findById(allocation.lot).session(session || null).lean();
+      lot = await createLot({
+        variant,
+        quantity: take,
+        expiryDate: original?.expiryDate || allocation.expiryDate,
+        unitCost: original?.unitCost,
+        batchNumber: original?.batchNumber,
+        source,
+        referenceId
+      }, { session });
+    }
+
+    allocation.restored = (allocation.restored || 0) + take;
+    restored.push({ lot: lot._id, lotNumber: lot.lotNumber, quantity: take });
+    left -= take;
+  }
+
+  if (left > 0) {
+    const lot = await createLot({ variant, quantity: left, source, referenceId }, { session });
+    restored.push({ lot: lot._id, lotNumber: lot.lotNumber, quantity: left });
+  }
+
+  await refreshVariantExpiry(variantId, { session });
+  return restored;
+};
+
+// { lot, lotNumber, quantity } entries for StockMovement.lots
+const movementLots = (entries = []) =>
+  entries.map(({ lot, lotNumber, quantity }) => ({ lot, lotNumber, quantity }));
+
+/**
+ * Write off every active lot whose expiry date has passed: the remaining units leave
+ * Variant.stockQuantity with an 'Expired Write-off' StockMovement. Variants stay active
+ * and keep selling their other lots. Variants that still only carry a single expiryDate
+ * get their stock booked into an opening lot first.
+ * @returns {number} lots written off
+ */
+const expireLots = async ({ now = new Date(), performedBy } = {}) => {
+  const withLots = await StockLot.distinct('variant');
+  const untracked = await Variant.find({
+    _id: { $nin: withLots },
+    expiryDate: { $ne: null, $lte: now },
+    stockQuantity: { $gt: 0 },
+    'bundleItems.0': { $exists: false }
+  }).select('_id').lean();
+  for (const variant of untracked) await reconcileLots(variant._id);
+
+  const lots = await StockLot.find({ status: 'active', remaining: { $gt: 0 }, expiryDate: { $ne: null, $lte: now } })
+    .select('_id')
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of lots) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const lot = await StockLot.findOneAndUpdate(
+          { _id, status: 'active', remaining: { $gt: 0 } },
+          [{ $set: { status: 'expired', expiredQuantity: '$remaining', remaining: 0 } }],
+          { new: false, session }
+        );
+        if (!lot) return;
+
+        const before = await Variant.findOneAndUpdate(
+          { _id: lot.variant },
+          [{ $set: { stockQuantity: { $max: [0, { $subtract: ['$stockQuantity', lot.remaining] }] } } }],
+          { new: false, session }
+        );
+        const written = before ? Math.min(lot.remaining, before.stockQuantity) : 0;
+
+        if (written > 0) {
+          // lots aren't tied to a location: the units leave the default location first
+          const locations = await takeLocationStock(lot.variant, written, { stockBefore: before.stockQuantity, session });
+          await StockMovement.create([{
+            variant: lot.variant,
+            sku: before.sku || lot.sku || 'N/A',
+            previousQuantity: before.stockQuantity,
+            newQuantity: before.stockQuantity - written,
+            changeQuantity: -written,
+            isStockIncreasing: false,
+            movementType: 'Expired Write-off',
+            reason: `Lot ${lot.lotNumber} expired on ${lot.expiryDate.toISOString().slice(0, 10)}`,
+            referenceId: lot.lotNumber,
+            lots: [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: written }],
+            locations: movementLocations(locations),
+            performedBy
+          }], { session });
+        }
+        await refreshVariantExpiry(lot.variant, { session });
+        expired++;
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+  return expired;
+};
+
+/**
+ * Lots for the inventory screens.
+ * filters: { variant, status, expiringWithinDays, page, limit }
+ */
+const listLots = async ({ variant, status, expiringWithinDays, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  if (variant) filter.variant = toObjectId(variant);
+  if (status) filter.status = status;
+  if (expiringWithinDays !== undefined && expiringWithinDays !== '') {
+    const until = new Date(Date.now() + Number(expiringWithinDays) * 86400000);
+    filter.expiryDate = { $ne: null, $lte: until };
+    filter.remaining = { $gt: 0 };
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.max(1, Math.min(200, parseInt(limit) || 50));
+
+  const [lots, total] = await Promise.all([
+    StockLot.find(filter)
+      .populate({ path: 'variant', select: 'sku optionLabel attribute value product', populate: { path: 'product', select: 'name' } })
+      .populate('purchase', 'purchaseCode')
+      .sort({ expiryDate: 1, receivedAt: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    StockLot.countDocuments(filter)
+  ]);
+
+  return { lots, total, page: pageNum, pages: Math.ceil(total / limitNum) };
+};
+
+module.exports = {
+  receiveLot,
+  allocateLots,
+  restoreLots,
+  reconcileLots,
+  expireLots,
+  listLots,
+  movementLots
+};
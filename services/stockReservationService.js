@@ -0,0 +1,196 @@
+// services/stockReservationService.js
+const mongoose = require('mongoose');
+const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
+const User = require('../model/User');
+const { expandStockLines, withBundleReason } = require('./bundleService');
+const { allocateLots, restoreLots, movementLots } = require('./stockLotService');
+const { getFulfillmentLocation, addLocationStock, takeLocationStock, movementLocations } = require('./locationService');
+
+// Orders keep their reservation in `order.stockReservation`:
+//   reserved  → units are held in Variant.reservedQuantity (order placed)
+//   deducted  → units have left stockQuantity (order confirmed / shipped)
+//   released  → reservation given back (cancelled, deleted or expired)
+// Orders created before reservations existed have no value and are left alone.
+// Bundle lines carry their components in `item.bundleItems`; every function below works on
+// those components (see services/bundleService.js), the bundle variant itself holds no stock.
+// Deductions take stock lots first-expiring-first-out and record them in `item.lotAllocations`;
+// restocks put the units back into those lots (services/stockLotService.js).
+// Deductions come out of the fulfillment location, recorded in `order.fulfillmentLocation`;
+// restocks return there (services/locationService.js).
+
+const DEDUCT_ON_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+// StockMovement.performedBy: the acting user; jobs fall back to an admin account, and to
+// null (a system action) when there is none
+const resolvePerformedBy = async (userId) => {
+  if (userId && mongoose.Types.ObjectId.isValid(userId)) return userId;
+  const admin = await User.findOne({ role: { $in: ['Super Admin', 'Manager'] } }).select('_id').lean();
+  return admin?._id || null;
+};
+
+/**
+ * Atomically hold stock for every order line.
+ * Throws with `code = 'INSUFFICIENT_STOCK'` when a line cannot be reserved;
+ * callers run this inside a transaction so partial holds are rolled back.
+ */
+const reserveStock = async (items, session) => {
+  for (const line of await expandStockLines(items, { session })) {
+    const reserved = await Variant.findOneAndUpdate(
+      {
+        _id: line.variantId,
+        $expr: { $gte: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, line.quantity] }
+      },
+      { $inc: { reservedQuantity: line.quantity } },
+      { new: true, session }
+    );
+
+    if (!reserved) {
+      const err = new Error(line.bundle
+        ? `Insufficient stock for component ${line.variantId} of bundle ${line.bundleSku}`
+        : `Insufficient stock for variant ${line.variantId}`);
+      err.code = 'INSUFFICIENT_STOCK';
+      err.variantId = (line.bundle || line.variantId).toString();
+      throw err;
+    }
+  }
+};
+
+// Give held units back without touching stockQuantity
+const releaseStock = async (items, session) => {
+  for (const line of await expandStockLines(items, { session })) {
+    await Variant.updateOne(
+      { _id: line.variantId },
+      [{ $set: { reservedQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$reservedQuantity', 0] }, line.quantity] }] } } }],
+      { session }
+    );
+  }
+};
+
+// Turn held units into a real deduction and log a StockMovement per line
+const deductReservedStock = async (order, { performedBy, session } = {}) => {
+  const userId = await resolvePerformedBy(performedBy);
+  for (const item of order.items) item.lotAllocations = [];
+  if (!order.fulfillmentLocation) order.fulfillmentLocation = (await getFulfillmentLocation({ session }))._id;
+
+  for (const line of await expandStockLines(order.items, { session })) {
+    const before = await Variant.findOneAndUpdate(
+      { _id: line.variantId, stockQuantity: { $gte: line.quantity } },
+      [{
+        $set: {
+          stockQuantity: { $subtract: ['$stockQuantity', line.quantity] },
+          reservedQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$reservedQuantity', 0] }, line.quantity] }] }
+        }
+      }],
+      { new: false, session }
+    );
+
+    if (!before) {
+      const err = new Error(`Insufficient stock to fulfil variant ${line.variantId}`);
+      err.code = 'INSUFFICIENT_STOCK';
+      err.variantId = line.variantId.toString();
+      throw err;
+    }
+
+    const lots = await allocateLots(line.variantId, line.quantity, { stockBefore: before.stockQuantity, session });
+    line.item.lotAllocations.push(...lots);
+    const locations = await takeLocationStock(line.variantId, line.quantity, {
+      location: order.fulfillmentLocation,
+      stockBefore: before.stockQuantity,
+      session
+    });
+
+    await StockMovement.create([{
+      variant: line.variantId,
+      sku: before.sku || 'N/A',
+      previousQuantity: before.stockQuantity,
+      newQuantity: before.stockQuantity - line.quantity,
+      changeQuantity: -line.quantity,
+      isStockIncreasing: false,
+      movementType: 'Order Fulfillment',
+      reason: withBundleReason(`Order ${order.orderNumber} ${order.status}`, line),
+      referenceId: order.orderNumber,
+      bundle: line.bundle,
+      lots: movementLots(lots),
+      locations: movementLocations(locations),
+      performedBy: userId
+    }], { session });
+  }
+};
+
+// Put deducted units back on the shelf (cancelling an already confirmed order)
+const restockDeductedStock = async (order, { performedBy, session, reason } = {}) => {
+  const userId = await resolvePerformedBy(performedBy);
+
+  for (const line of await expandStockLines(order.items, { session })) {
+    const before = await Variant.findOneAndUpdate(
+      { _id: line.variantId },
+      { $inc: { stockQuantity: line.quantity } },
+      { new: false, session }
+    );
+    if (!before) continue;
+
+    const lots = await restoreLots(line.variantId, line.quantity, line.item.lotAllocations, {
+      stockBefore: before.stockQuantity,
+      source: 'return',
+      referenceId: order.orderNumber,
+      session
+    });
+    const locations = await addLocationStock(line.variantId, line.quantity, {
+      location: order.fulfillmentLocation,
+      stockBefore: before.stockQuantity,
+      session
+    });
+
+    await StockMovement.create([{
+      variant: line.variantId,
+      sku: before.sku || 'N/A',
+      previousQuantity: before.stockQuantity,
+      newQuantity: before.stockQuantity + line.quantity,
+      changeQuantity: line.quantity,
+      isStockIncreasing: true,
+      movementType: 'Order Cancellation',
+      reason: withBundleReason(reason || `Order ${order.orderNumber} cancelled`, line),
+      referenceId: order.orderNumber,
+      bundle: line.bundle,
+      lots: movementLots(lots),
+      locations: movementLocations(locations),
+      performedBy: userId
+    }], { session });
+  }
+};
+
+/**
+ * Move an order's stock to match its new status.
+ * Mutates `order.stockReservation`; the caller saves the order.
+ */
+const syncStockWithStatus = async (order, newStatus, { performedBy, session } = {}) => {
+  if (!order.stockReservation) return;
+
+  if (DEDUCT_ON_STATUSES.includes(newStatus) && order.stockReservation === 'reserved') {
+    await deductReservedStock(order, { performedBy, session });
+    order.stockReservation = 'deducted';
+    order.reservationExpiresAt = null;
+    return;
+  }
+
+  if (newStatus === 'cancelled') {
+    if (order.stockReservation === 'reserved') {
+      await releaseStock(order.items, session);
+    } else if (order.stockReservation === 'deducted') {
+      await restockDeductedStock(order, { performedBy, session });
+    }
+    order.stockReservation = 'released';
+    order.reservationExpiresAt = null;
+  }
+};
+
+module.exports = {
+  DEDUCT_ON_STATUSES,
+  reserveStock,
+  releaseStock,
+  deductReservedStock,
+  restockDeductedStock,
+  syncStockWithStatus,
+  resolvePerformedBy
+};
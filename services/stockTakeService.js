@@ -0,0 +1,326 @@
+// services/stockTakeService.js
+const mongoose = require('mongoose');
+const StockTake = require('../model/StockTake');
+const StockMovement = require('../model/StockMovement');
+const LocationStock = require('../model/LocationStock');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const { resolvePerformedBy } = require('./stockReservationService');
+const { receiveLot, allocateLots, movementLots } = require('./stockLotService');
+const {
+  resolveLocation,
+  reconcileLocationStock,
+  addLocationStock,
+  takeLocationStock,
+  movementLocations
+} = require('./locationService');
+const { variantLabel } = require('./variantOptionService');
+const { nextNumber } = require('./counterService');
+
+/*
+ * Stock takes (cycle counts) at one location:
+ *
+ *   createStockTake()  freeze the expected quantity of every variant in scope (all, or a
+ *                      category / subcategory / brand)
+ *   submitCounts()     counted quantities, in as many batches as needed, by SKU or barcode
+ *   varianceReport()   counted − expected per line, valued at the frozen purchasePrice
+ *   postStockTake()    book every variance as a 'Stock Take' StockMovement in one transaction
+ *
+ * Variances are applied to the stock as it is when posting, so sales made while counting
+ * are not undone. Lines nobody counted are left alone.
+ */
+
+const stockTakeError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'STOCK_TAKE_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+const variance = (line) => (line.countedQuantity === null || line.countedQuantity === undefined
+  ? null
+  : line.countedQuantity - line.expectedQuantity);
+
+/**
+ * Start a count. `filters` narrow it to a category, subcategory and/or brand.
+ * A variant can only be in one open count per location.
+ */
+const createStockTake = async ({ location, category, subcategory, brand, notes }, { actor } = {}) => {
+  const countLocation = await resolveLocation(location);
+
+  const filters = { category: null, subcategory: null, brand: null };
+  const productQuery = {};
+  for (const [key, value] of Object.entries({ category, subcategory, brand })) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) throw stockTakeError(`Invalid ${key}`);
+    filters[key] = value;
+    productQuery[key] = value;
+  }
+
+  const products = await Product.find(productQuery).select('name').lean();
+  const productById = new Map(products.map(p => [p._id.toString(), p]));
+
+  // bundles hold no stock of their own
+  const variants = await Variant.find({
+    product: { $in: products.map(p => p._id) },
+    'bundleItems.0': { $exists: false }
+  })
+    .select('product sku barcode purchasePrice optionLabel attribute value')
+    .lean();
+
+  if (variants.length === 0) throw stockTakeError('No variants match these filters');
+
+  const variantIds = variants.map(v => v._id);
+  const overlapping = await StockTake.findOne({
+    location: countLocation._id,
+    status: 'counting',
+    'lines.variant': { $in: variantIds }
+  }).select('takeNumber').lean();
+  if (overlapping) {
+    throw stockTakeError(`Stock take ${overlapping.takeNumber} is still counting some of these variants at ${countLocation.name}`);
+  }
+
+  // expected quantities come from the location's stock rows, brought in line first
+  for (const variant of variants) {
+    await reconcileLocationStock(variant._id);
+  }
+  const rows = await LocationStock.find({ location: countLocation._id, variant: { $in: variantIds } }).lean();
+  const onHand = new Map(rows.map(row => [row.variant.toString(), row.quantity]));
+
+  const lines = variants
+    .map(variant => ({
+      variant: variant._id,
+      product: variant.product,
+      sku: variant.sku,
+      barcode: variant.barcode || null,
+      productName: productById.get(variant.product.toString())?.name || 'Unknown',
+      optionLabel: variantLabel(variant),
+      expectedQuantity: onHand.get(variant._id.toString()) || 0,
+      unitCost: variant.purchasePrice || 0
+    }))
+    .sort((a, b) => a.productName.localeCompare(b.productName) || (a.sku || '').localeCompare(b.sku || ''));
+
+  return StockTake.create({
+    takeNumber: await nextNumber('stocktake'),
+    location: countLocation._id,
+    filters,
+    lines,
+    notes,
+    createdBy: actor?.id || null
+  });
+};
+
+/**
+ * Record counted quantities. `counts` is `[{ code | sku | barcode | variant, countedQuantity, add? }]`
+ * where `code` matches either SKU or barcode; `add: true` adds to the count so far (scanning).
+ * @returns {{ matched: number, unmatched: Array<{ code, reason }> }}
+ */
+const submitCounts = async (take, counts, { actor } = {}) => {
+  if (take.status !== 'counting') {
+    throw stockTakeError(`Counts can only be submitted while counting (status is ${take.status})`);
+  }
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw stockTakeError('counts must be a non-empty array');
+  }
+
+  const bySku = new Map();
+  const byBarcode = new Map();
+  const byVariant = new Map();
+  for (const line of take.lines) {
+    if (line.sku) bySku.set(line.sku.toUpperCase(), line);
+    if (line.barcode) byBarcode.set(line.barcode, line);
+    byVariant.set(line.variant.toString(), line);
+  }
+
+  let matched = 0;
+  const unmatched = [];
+  for (const entry of counts) {
+    const code = (entry.code ?? entry.sku ?? entry.barcode ?? entry.variant ?? '').toString().trim();
+    let line = null;
+    if (entry.variant) line = byVariant.get(code);
+    else if (entry.barcode) line = byBarcode.get(code);
+    else if (entry.sku) line = bySku.get(code.toUpperCase());
+    else line = bySku.get(code.toUpperCase()) || byBarcode.get(code);
+
+    if (!line) {
+      unmatched.push({ code, reason: code ? 'Not part of this stock take' : 'SKU or barcode is required' });
+      continue;
+    }
+
+    const qty = Number(entry.countedQuantity);
+    if (!Number.isInteger(qty) || qty < 0) {
+      unmatched.push({ code, reason: 'countedQuantity must be a whole number of 0 or more' });
+      continue;
+    }
+
+    const add = entry.add === true || entry.add === 'true';
+    line.countedQuantity = add ? (line.countedQuantity || 0) + qty : qty;
+    line.countedBy = actor?.id || null;
+    line.countedAt = new Date();
+    matched += 1;
+  }
+
+  if (matched > 0) await take.save();
+  return { matched, unmatched };
+};
+
+/**
+ * Variance per line (counted − expected) and its value at the frozen unit cost.
+ * `onlyVariances` leaves out lines that match and lines not counted yet.
+ */
+const varianceReport = (take, { onlyVariances = false } = {}) => {
+  const summary = {
+    totalLines: take.lines.length,
+    countedLines: 0,
+    uncountedLines: 0,
+    linesWithVariance: 0,
+    unitsOver: 0,
+    unitsShort: 0,
+    valueOver: 0,
+    valueShort: 0
+  };
+
+  const lines = [];
+  for (const line of take.lines) {
+    const diff = variance(line);
+    if (diff === null) summary.uncountedLines += 1;
+    else summary.countedLines += 1;
+
+    const valueImpact = diff === null ? 0 : round2(diff * (line.unitCost || 0));
+    if (diff > 0) {
+      summary.linesWithVariance += 1;
+      summary.unitsOver += diff;
+      summary.valueOver = round2(summary.valueOver + valueImpact);
+    } else if (diff < 0) {
+      summary.linesWithVariance += 1;
+      summary.unitsShort += -diff;
+      summary.valueShort = round2(summary.valueShort - valueImpact);
+    }
+
+    if (onlyVariances && !diff) continue;
+    lines.push({
+      lineId: line._id,
+      variant: line.variant,
+      sku: line.sku,
+      barcode: line.barcode,
+      productName: line.productName,
+      optionLabel: line.optionLabel,
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: diff,
+      unitCost: line.unitCost,
+      valueImpact,
+      postedQuantity: line.postedQuantity
+    });
+  }
+
+  summary.netUnits = summary.unitsOver - summary.unitsShort;
+  summary.netValue = round2(summary.valueOver - summary.valueShort);
+
+  return { summary, lines };
+};
+
+/**
+ * Book every counted variance at the take's location. Shortfalls are capped at what the
+ * location still holds, and refused when they would leave less stock than open orders have
+ * reserved. Runs inside the caller's transaction.
+ * @returns {Array} variant ids whose stock went up (for back-in-stock alerts)
+ */
+const postStockTake = async (take, { actor, session } = {}) => {
+  if (take.status !== 'counting') {
+    throw stockTakeError(`Only stock takes still counting can be posted (status is ${take.status})`);
+  }
+  if (!take.lines.some(line => variance(line) !== null)) {
+    throw stockTakeError('Nothing has been counted yet');
+  }
+
+  const countLocation = await resolveLocation(take.location, { session });
+  const performedBy = await resolvePerformedBy(actor?.id);
+  const increased = [];
+
+  for (const line of take.lines) {
+    const diff = variance(line);
+    if (!diff) continue;
+
+    const variant = await Variant.findById(line.variant).select('sku stockQuantity reservedQuantity').session(session);
+    if (!variant) continue;
+
+    const previousQty = variant.stockQuantity || 0;
+    const placement = { location: countLocation._id, stockBefore: previousQty, session };
+
+    let change = diff;
+    let lots;
+    let locations;
+    if (diff > 0) {
+      const lot = await receiveLot({
+        variantId: variant._id,
+        quantity: diff,
+        stockBefore: previousQty,
+        unitCost: line.unitCost,
+        source: 'adjustment',
+        referenceId: take.takeNumber,
+        createdBy: performedBy
+      }, { session });
+      lots = lot ? [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: diff }] : [];
+      locations = await addLocationStock(variant._id, diff, placement);
+      increased.push(variant._id);
+    } else {
+      await reconcileLocationStock(variant._id, previousQty, { session });
+      const here = await LocationStock.findOne({ location: countLocation._id, variant: variant._id }).session(session).lean();
+      const missing = Math.min(-diff, here?.quantity || 0, previousQty);
+      if (missing === 0) continue;
+      if (previousQty - missing < (variant.reservedQuantity || 0)) {
+        throw stockTakeError(`${variant.sku}: Stock Quantity cannot be below the ${variant.reservedQuantity} units reserved by open orders`);
+      }
+
+      change = -missing;
+      lots = await allocateLots(variant._id, missing, { stockBefore: previousQty, session });
+      locations = await takeLocationStock(variant._id, missing, { ...placement, strict: true });
+    }
+
+    variant.stockQuantity = previousQty + change;
+    await variant.save({ session });
+    line.postedQuantity = change;
+
+    await StockMovement.create([{
+      variant: variant._id,
+      sku: variant.sku || 'N/A',
+      previousQuantity: previousQty,
+      newQuantity: previousQty + change,
+      changeQuantity: change,
+      isStockIncreasing: change > 0,
+      movementType: 'Stock Take',
+      reason: `Stock take ${take.takeNumber} at ${countLocation.name}: counted ${line.countedQuantity}, expected ${line.expectedQuantity}`,
+      referenceId: take.takeNumber,
+      lots: movementLots(lots),
+      locations: movementLocations(locations),
+      performedBy
+    }], { session });
+  }
+
+  take.status = 'posted';
+  take.postedBy = actor?.id || null;
+  take.postedAt = new Date();
+  await take.save({ session });
+  return increased;
+};
+
+const cancelStockTake = async (take) => {
+  if (take.status !== 'counting') {
+    throw stockTakeError(`Only stock takes still counting can be cancelled (status is ${take.status})`);
+  }
+  take.status = 'cancelled';
+  take.cancelledAt = new Date();
+  await take.save();
+  return take;
+};
+
+module.exports = {
+  createStockTake,
+  submitCounts,
+  varianceReport,
+  postStockTake,
+  cancelStockTake
+};
@@ -0,0 +1,347 @@
+// services/stockTransferService.js
+const mongoose = require('mongoose');
+const StockTransfer = require('../model/StockTransfer');
+const StockMovement = require('../model/StockMovement');
+const Variant = require('../model/variantProduct');
+const { resolvePerformedBy } = require('./stockReservationService');
+const { isBundle } = require('./bundleService');
+const { allocateLots, restoreLots, movementLots } = require('./stockLotService');
+const { resolveLocation, addLocationStock, takeLocationStock, movementLocations } = require('./locationService');
+const { nextNumber } = require('./counterService');
+
+/*
+ * Stock transfers between locations:
+ *
+ *   draft → in_transit → received
+ *   draft → cancelled
+ *
+ * Dispatch takes every line from the source location ('Transfer Out'); the units are in
+ * transit and not sellable anywhere until they are received. Receipts may be partial and
+ * book units in at the destination ('Transfer In'), back into the lots they left with.
+ * Closing a transfer short writes the missing units off: a 'Transfer In' for the shortfall
+ * followed straight away by a 'Transfer Discrepancy' adjustment, so the outs and ins of a
+ * transfer always balance. Every movement carries the transfer number as its referenceId.
+ */
+
+const transferError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'TRANSFER_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+// Source and destination: both active, and not the same place
+const resolveRoute = async ({ from, to }, { session } = {}) => {
+  if (!from || !to) throw transferError('from and to locations are required');
+  const source = await resolveLocation(from, { session });
+  const destination = await resolveLocation(to, { session });
+  if (refId(source._id) === refId(destination._id)) {
+    throw transferError('Source and destination must be different locations');
+  }
+  return { source, destination };
+};
+
+// `lines` is `[{ variant, quantity }]`; one line per variant, bundles are not stocked themselves
+const buildLines = async (lines, { session } = {}) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw transferError('At least one line is required');
+  }
+
+  const built = [];
+  const seen = new Set();
+  for (const { variant: variantId, quantity } of lines) {
+    if (!variantId || !mongoose.Types.ObjectId.isValid(refId(variantId))) {
+      throw transferError(`Invalid variant ${variantId}`);
+    }
+    if (seen.has(refId(variantId))) {
+      throw transferError(`Variant ${variantId} listed more than once`);
+    }
+    seen.add(refId(variantId));
+
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw transferError(`Invalid quantity for variant ${variantId}`);
+    }
+
+    const variant = await Variant.findById(refId(variantId)).select('sku bundleItems').session(session || null).lean();
+    if (!variant) throw transferError(`Variant ${variantId} not found`, 404);
+    if (isBundle(variant)) {
+      throw transferError(`${variant.sku} is a bundle; transfer its component variants instead`);
+    }
+
+    built.push({ variant: variant._id, sku: variant.sku, quantity: qty });
+  }
+  return built;
+};
+
+// One StockMovement row for a transfer line
+const logTransferMovement = async ({ variantId, sku, previousQuantity, changeQuantity, movementType, reason, referenceId, lots = [], locations = [], performedBy, session }) => {
+  await StockMovement.create([{
+    variant: variantId,
+    sku: sku || 'N/A',
+    previousQuantity,
+    newQuantity: previousQuantity + changeQuantity,
+    changeQuantity,
+    isStockIncreasing: changeQuantity > 0,
+    movementType,
+    reason,
+    referenceId,
+    lots: movementLots(lots),
+    locations: movementLocations(locations),
+    performedBy
+  }], { session });
+};
+
+const outstanding = (line) => line.quantity - line.receivedQuantity - line.discrepancyQuantity;
+
+/**
+ * Create a draft transfer.
+ * @param {object} input { from, to, lines: [{ variant, quantity }], notes }
+ */
+const createTransfer = async ({ from, to, lines, notes }, { actor, session } = {}) => {
+  const { source, destination } = await resolveRoute({ from, to }, { session });
+  const transferLines = await buildLines(lines, { session });
+
+  const [transfer] = await StockTransfer.create([{
+    transferNumber: await nextNumber('transfer'),
+    from: source._id,
+    to: destination._id,
+    lines: transferLines,
+    notes,
+    createdBy: actor?.id || null
+  }], { session });
+
+  return transfer;
+};
+
+// Drafts only: change the route, the lines or the notes
+const updateTransfer = async (transfer, { from, to, lines, notes } = {}, { session } = {}) => {
+  if (transfer.status !== 'draft') {
+    throw transferError(`Only draft transfers can be edited (status is ${transfer.status})`);
+  }
+
+  if (from !== undefined || to !== undefined) {
+    const { source, destination } = await resolveRoute({
+      from: from ?? transfer.from,
+      to: to ?? transfer.to
+    }, { session });
+    transfer.from = source._id;
+    transfer.to = destination._id;
+  }
+  if (lines !== undefined) transfer.lines = await buildLines(lines, { session });
+  if (notes !== undefined) transfer.notes = notes;
+
+  await transfer.save({ session });
+  return transfer;
+};
+
+/**
+ * Send a draft: every line must be in stock at the source location, without touching
+ * units reserved for open orders.
+ * Units leave the source location and the variant's stock (FEFO lots recorded on the line).
+ */
+const dispatchTransfer = async (transfer, { actor, session } = {}) => {
+  if (transfer.status !== 'draft') {
+    throw transferError(`Only draft transfers can be dispatched (status is ${transfer.status})`);
+  }
+
+  const { source, destination } = await resolveRoute({ from: transfer.from, to: transfer.to }, { session });
+  const performedBy = await resolvePerformedBy(actor?.id);
+  const reason = `Transfer ${transfer.transferNumber} from ${source.name} to ${destination.name}`;
+
+  for (const line of transfer.lines) {
+    const variant = await Variant.findById(line.variant).select('sku stockQuantity reservedQuantity').session(session);
+    if (!variant) throw transferError(`Variant ${line.sku || line.variant} not found`, 404);
+
+    const previousQty = variant.stockQuantity || 0;
+    const available = previousQty - (variant.reservedQuantity || 0);
+    if (available < line.quantity) {
+      throw transferError(`Only ${Math.max(0, available)} unit(s) of ${variant.sku} available (${variant.reservedQuantity || 0} reserved)`);
+    }
+
+    // throws LOCATION_VALIDATION when the source location itself is short
+    const locations = await takeLocationStock(variant._id, line.quantity, {
+      location: source._id,
+      stockBefore: previousQty,
+      strict: true,
+      session
+    });
+    const lots = await allocateLots(variant._id, line.quantity, { stockBefore: previousQty, session });
+
+    variant.stockQuantity = previousQty - line.quantity;
+    await variant.save({ session });
+
+    line.sku = variant.sku;
+    line.lotAllocations = lots;
+
+    await logTransferMovement({
+      variantId: variant._id,
+      sku: variant.sku,
+      previousQuantity: previousQty,
+      changeQuantity: -line.quantity,
+      movementType: 'Transfer Out',
+      reason,
+      referenceId: transfer.transferNumber,
+      lots,
+      locations,
+      performedBy,
+      session
+    });
+  }
+
+  transfer.status = 'in_transit';
+  transfer.dispatchedBy = actor?.id || null;
+  transfer.dispatchedAt = new Date();
+  await transfer.save({ session });
+  return transfer;
+};
+
+/**
+ * Book arriving units at the destination. `lines` is `[{ lineId, quantity }]` (default: all
+ * outstanding units). With `close` – or once nothing is outstanding – the transfer is
+ * received; units still missing then are written off as a discrepancy.
+ * @returns {Array} variant ids that received stock (for back-in-stock alerts)
+ */
+const receiveTransfer = async (transfer, { actor, lines, close = false, note, session } = {}) => {
+  if (transfer.status !== 'in_transit') {
+    throw transferError(`Only transfers in transit can be received (status is ${transfer.status})`);
+  }
+
+  const requested = lines && lines.length > 0
+    ? lines
+    : transfer.lines.map(line => ({ lineId: line._id, quantity: outstanding(line) }));
+
+  const receipt = [];
+  const seen = new Set();
+  for (const { lineId, quantity } of requested) {
+    const line = lineId && transfer.lines.find(l => l._id.toString() === String(lineId));
+    if (!line) throw transferError(`Transfer line ${lineId} not found in ${transfer.transferNumber}`);
+    if (seen.has(line._id.toString())) throw transferError(`Transfer line ${lineId} listed more than once`);
+    seen.add(line._id.toString());
+
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 0 || qty > outstanding(line)) {
+      throw transferError(`Received quantity for line ${lineId} must be between 0 and ${outstanding(line)}`);
+    }
+    if (qty > 0) receipt.push({ line, quantity: qty });
+  }
+
+  if (receipt.length === 0 && !close) {
+    throw transferError('Nothing to receive');
+  }
+
+  const performedBy = await resolvePerformedBy(actor?.id);
+  const destination = await resolveLocation(transfer.to, { session });
+  const reason = `Transfer ${transfer.transferNumber} received at ${destination.name}`;
+
+  for (const { line, quantity } of receipt) {
+    const before = await Variant.findOneAndUpdate(
+      { _id: line.variant },
+      { $inc: { stockQuantity: quantity } },
+      { new: false, session }
+    );
+    if (!before) throw transferError(`Variant ${line.sku || line.variant} not found`, 404);
+
+    // back into the lots the units left with
+    const lots = await restoreLots(line.variant, quantity, line.lotAllocations, {
+      stockBefore: before.stockQuantity,
+      source: 'adjustment',
+      referenceId: transfer.transferNumber,
+      session
+    });
+    const locations = await addLocationStock(line.variant, quantity, {
+      location: destination._id,
+      stockBefore: before.stockQuantity,
+      session
+    });
+
+    line.receivedQuantity += quantity;
+
+    await logTransferMovement({
+      variantId: line.variant,
+      sku: before.sku,
+      previousQuantity: before.stockQuantity,
+      changeQuantity: quantity,
+      movementType: 'Transfer In',
+      reason,
+      referenceId: transfer.transferNumber,
+      lots,
+      locations,
+      performedBy,
+      session
+    });
+  }
+
+  if (receipt.length > 0) {
+    transfer.receipts.push({
+      lines: receipt.map(({ line, quantity }) => ({ line: line._id, variant: line.variant, quantity })),
+      note,
+      receivedBy: actor?.id || null
+    });
+  }
+
+  const done = transfer.lines.every(line => outstanding(line) === 0);
+  if (close || done) {
+    // Units that never arrived: logged in and straight out again, stock stays as it is
+    for (const line of transfer.lines) {
+      const missing = outstanding(line);
+      if (missing === 0) continue;
+
+      const variant = await Variant.findById(line.variant).select('sku stockQuantity').session(session);
+      if (!variant) continue;
+
+      const shortReason = `Transfer ${transfer.transferNumber}: ${missing} unit(s) not received at ${destination.name}`;
+      await logTransferMovement({
+        variantId: variant._id,
+        sku: variant.sku,
+        previousQuantity: variant.stockQuantity,
+        changeQuantity: missing,
+        movementType: 'Transfer In',
+        reason: shortReason,
+        referenceId: transfer.transferNumber,
+        performedBy,
+        session
+      });
+      await logTransferMovement({
+        variantId: variant._id,
+        sku: variant.sku,
+        previousQuantity: variant.stockQuantity + missing,
+        changeQuantity: -missing,
+        movementType: 'Transfer Discrepancy',
+        reason: shortReason,
+        referenceId: transfer.transferNumber,
+        performedBy,
+        session
+      });
+
+      line.discrepancyQuantity = missing;
+    }
+
+    transfer.status = 'received';
+    transfer.receivedAt = new Date();
+  }
+
+  await transfer.save({ session });
+  return receipt.map(({ line }) => line.variant);
+};
+
+// Drafts only; nothing has moved yet
+const cancelTransfer = async (transfer, { session } = {}) => {
+  if (transfer.status !== 'draft') {
+    throw transferError(`Only draft transfers can be cancelled (status is ${transfer.status})`);
+  }
+  transfer.status = 'cancelled';
+  transfer.cancelledAt = new Date();
+  await transfer.save({ session });
+  return transfer;
+};
+
+module.exports = {
+  createTransfer,
+  updateTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
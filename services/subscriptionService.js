@@ -0,0 +1,374 @@
+// services/subscriptionService.js
+const mongoose = require('mongoose');
+const Subscription = require('../model/Subscription');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const User = require('../model/User');
+const { priceOrder, placeOrder, notifyOrderPlaced, buildProductRows } = require('./orderService');
+const { nextNumber } = require('./counterService');
+const { createNotification } = require('../utils/createNotification');
+const sendEmail = require('../utils/sendSmtpEmail');
+
+// Autoship: a subscription re-orders the same lines every `interval`.
+//   active  ──pause──▶ paused ──resume──▶ active
+//   active / paused ──cancel──▶ cancelled
+// When nextRunAt is reached (jobs/processSubscriptions.js) a real Order is created through
+// services/orderService.js. If a line can't be ordered (out of stock, no longer sold) the run
+// is skipped and the customer notified; either way nextRunAt moves on by one interval.
+// Customers get a subscription_reminder email `subscriptionReminderDays` before each run.
+
+const MANAGE_URL = 'https://al-bready-website.vercel.app/account/subscriptions';
+
+// Online-paid autoship orders wait longer for payment than checkout orders
+const PAYMENT_WINDOW_MINUTES = 48 * 60;
+
+// Unexpected errors are retried on the next job run for this long before the run counts as failed
+const RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'SUBSCRIPTION_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const addInterval = (date, { every, unit }) => {
+  const next = new Date(date);
+  if (unit === 'month') {
+    const day = next.getDate();
+    next.setMonth(next.getMonth() + every);
+    if (next.getDate() !== day) next.setDate(0);   // 31 Jan + 1 month → 28/29 Feb
+  } else next.setDate(next.getDate() + every * (unit === 'week' ? 7 : 1));
+  return next;
+};
+
+// First scheduled date after `now`, keeping the subscription's cadence
+const nextRunAfter = (sub, now = new Date()) => {
+  let next = addInterval(sub.nextRunAt, sub.interval);
+  while (next <= now) next = addInterval(next, sub.interval);
+  return next;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const parseInterval = ({ every, unit } = {}) => {
+  const value = Number(every);
+  if (!Number.isInteger(value) || value < 1 || value > 52) {
+    throw subscriptionError('interval.every must be a whole number between 1 and 52');
+  }
+  const intervalUnit = unit || 'week';
+  if (!['day', 'week', 'month'].includes(intervalUnit)) {
+    throw subscriptionError('interval.unit must be day, week or month');
+  }
+  return { every: value, unit: intervalUnit };
+};
+
+// Lines must reference sellable product variants; the same variant may appear once
+const validateItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw subscriptionError('At least one item is required');
+  }
+
+  const lines = [];
+  const seen = new Set();
+  for (const { product, variant, quantity } of items) {
+    if (!mongoose.Types.ObjectId.isValid(product) || !mongoose.Types.ObjectId.isValid(variant)) {
+      throw subscriptionError('Each item needs a valid product and variant');
+    }
+    if (seen.has(variant.toString())) {
+      throw subscriptionError(`Variant ${variant} listed more than once`);
+    }
+    seen.add(variant.toString());
+
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw subscriptionError(`Invalid quantity for variant ${variant}`);
+    }
+
+    const [productDoc, variantDoc] = await Promise.all([
+      Product.findById(product).select('name status').lean(),
+      Variant.findOne({ _id: variant, product, isDeleted: { $ne: true } }).select('status').lean()
+    ]);
+    if (!productDoc || productDoc.status !== 'Active' || !variantDoc || variantDoc.status !== 'Active') {
+      throw subscriptionError(`Product variant ${variant} is not available`);
+    }
+
+    lines.push({ product, variant, quantity: qty });
+  }
+  return lines;
+};
+
+const validateShippingAddress = (address) => {
+  if (!address ||
+    !address.street || !address.city || !address.zip ||
+    !address.fullName || !address.phone || !address.email) {
+    throw subscriptionError('Complete shipping address and email required');
+  }
+  return address;
+};
+
+const validatePaymentMethod = (paymentMethod) => {
+  if (!['COD', 'Online'].includes(paymentMethod)) {
+    throw subscriptionError('paymentMethod must be COD or Online');
+  }
+  return paymentMethod;
+};
+
+/**
+ * Start a subscription. The first order is created on `startDate`
+ * (default: one interval from now).
+ */
+const createSubscription = async (userId, { items, interval, startDate, shippingAddress, paymentMethod, notes } = {}) => {
+  const parsedInterval = parseInterval(interval);
+  let nextRunAt = startDate ? new Date(startDate) : addInterval(new Date(), parsedInterval);
+  if (isNaN(nextRunAt.getTime())) throw subscriptionError('Invalid startDate');
+  if (nextRunAt < new Date()) nextRunAt = new Date();
+
+  return Subscription.create({
+    subscriptionNumber: await nextNumber('subscription'),
+    user: userId,
+    items: await validateItems(items),
+    interval: parsedInterval,
+    nextRunAt,
+    shippingAddress: validateShippingAddress(shippingAddress),
+    paymentMethod: validatePaymentMethod(paymentMethod),
+    notes
+  });
+};
+
+/**
+ * Change lines, interval, address, payment method or the next run date.
+ */
+const updateSubscription = async (sub, { items, interval, nextRunAt, shippingAddress, paymentMethod, notes } = {}) => {
+  if (sub.status === 'cancelled') throw subscriptionError('Cancelled subscriptions cannot be changed');
+
+  if (items !== undefined) sub.items = await validateItems(items);
+  if (interval !== undefined) sub.interval = parseInterval(interval);
+  if (shippingAddress !== undefined) sub.shippingAddress = validateShippingAddress(shippingAddress);
+  if (paymentMethod !== undefined) sub.paymentMethod = validatePaymentMethod(paymentMethod);
+  if (notes !== undefined) sub.notes = notes;
+  if (nextRunAt !== undefined) {
+    const date = new Date(nextRunAt);
+    if (isNaN(date.getTime()) || date < new Date()) throw subscriptionError('nextRunAt must be a future date');
+    sub.nextRunAt = date;
+    sub.reminderSentFor = null;
+  }
+
+  await sub.save();
+  return sub;
+};
+
+const pauseSubscription = async (sub) => {
+  if (sub.status !== 'active') throw subscriptionError(`Cannot pause a subscription that is ${sub.status}`);
+  sub.status = 'paused';
+  sub.pausedAt = new Date();
+  await sub.save();
+  return sub;
+};
+
+/**
+ * Reactivate a paused subscription. Runs missed while paused are not made up:
+ * the next run is the next date on the original cadence (or `nextRunAt` if given).
+ */
+const resumeSubscription = async (sub, { nextRunAt } = {}) => {
+  if (sub.status !== 'paused') throw subscriptionError(`Cannot resume a subscription that is ${sub.status}`);
+
+  if (nextRunAt) {
+    const date = new Date(nextRunAt);
+    if (isNaN(date.getTime()) || date < new Date()) throw subscriptionError('nextRunAt must be a future date');
+    sub.nextRunAt = date;
+  } else if (sub.nextRunAt <= new Date()) {
+    sub.nextRunAt = nextRunAfter(sub);
+  }
+
+  sub.status = 'active';
+  sub.pausedAt = undefined;
+  sub.reminderSentFor = null;
+  await sub.save();
+  return sub;
+};
+
+// Skip only the upcoming delivery
+const skipNextRun = async (sub, { reason } = {}) => {
+  if (sub.status !== 'active') throw subscriptionError(`Cannot skip a run of a subscription that is ${sub.status}`);
+
+  sub.runs.push({ scheduledFor: sub.nextRunAt, result: 'skipped', reason: reason || 'Skipped by customer' });
+  sub.nextRunAt = nextRunAfter(sub);
+  sub.reminderSentFor = null;
+  await sub.save();
+  return sub;
+};
+
+const cancelSubscription = async (sub, { reason } = {}) => {
+  if (sub.status === 'cancelled') throw subscriptionError('Subscription is already cancelled');
+  sub.status = 'cancelled';
+  sub.cancelledAt = new Date();
+  sub.cancelReason = reason;
+  await sub.save();
+  return sub;
+};
+
+// ────────────────────────────────────────────────
+// Scheduled runs (jobs/processSubscriptions.js)
+// ────────────────────────────────────────────────
+
+const notifySkippedRun = async (sub, reason) => {
+  try {
+    const customer = await User.findById(sub.user).select('name email').lean();
+    if (!customer) return;
+
+    await createNotification({
+      userId: customer._id,
+      type: 'subscription_skipped',
+      title: 'Autoship Delivery Skipped',
+      message: `Your autoship ${sub.subscriptionNumber} was skipped: ${reason}`,
+      related: { userId: customer._id.toString() }
+    });
+
+    await sendEmail(customer.email || sub.shippingAddress.email, 'subscription_skipped', {
+      customerName: customer.name || sub.shippingAddress.fullName,
+      subscriptionNumber: sub.subscriptionNumber,
+      skipReason: reason,
+      nextRunDate: formatDate(sub.nextRunAt),
+      manageUrl: MANAGE_URL
+    });
+  } catch (err) {
+    console.error(`Subscription ${sub.subscriptionNumber} skip notification error:`, err);
+  }
+};
+
+/**
+ * Create the order for a due subscription, or skip the run when a line can't be ordered.
+ * @returns {{ result: 'ordered' | 'skipped' | 'failed' | 'retry', order?, reason? }}
+ */
+const runSubscription = async (sub) => {
+  const scheduledFor = sub.nextRunAt;
+  const items = sub.items.map(item => ({
+    product: item.product.toString(),
+    variant: item.variant.toString(),
+    quantity: item.quantity
+  }));
+
+  // Records the run and moves nextRunAt on, only from the run being processed: if that run
+  // was recorded in the meantime nothing matches and it throws (aborting the order with it)
+  const finishRun = async (run, session = null) => {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: sub._id, nextRunAt: scheduledFor },
+      {
+        $push: { runs: { scheduledFor, ...run } },
+        $set: { nextRunAt: nextRunAfter(sub), reminderSentFor: null, ...(run.order && { lastOrder: run.order }) }
+      },
+      { new: true, session }
+    );
+    if (!updated) throw subscriptionError(`Run for ${formatDate(scheduledFor)} was already recorded`, 409);
+    return updated;
+  };
+
+  let pricing;
+  let order;
+  try {
+    pricing = await priceOrder({ items, userId: sub.user });
+    order = await placeOrder(pricing, {
+      user: sub.user,
+      actor: { id: null, role: 'system' },
+      paymentMethod: sub.paymentMethod,
+      shippingAddress: sub.shippingAddress,
+      notes: sub.notes,
+      subscription: sub._id,
+      reservationMinutes: PAYMENT_WINDOW_MINUTES,
+      note: `Autoship ${sub.subscriptionNumber}`,
+      // the order and the move to the next run commit together, so a run never orders twice
+      onPlaced: (placed, session) => finishRun({ result: 'ordered', order: placed._id }, session)
+    });
+  } catch (err) {
+    if (err.code === 'SUBSCRIPTION_VALIDATION') return { result: 'skipped', reason: err.message };
+
+    // Out of stock / no longer sold: skip this delivery and tell the customer
+    if (err.code === 'ORDER_VALIDATION' || err.code === 'INSUFFICIENT_STOCK') {
+      const reason = err.code === 'INSUFFICIENT_STOCK' ? 'Insufficient stock for one or more items' : err.message;
+      await notifySkippedRun(await finishRun({ result: 'skipped', reason }), reason);
+      return { result: 'skipped', reason };
+    }
+
+    if (Date.now() - scheduledFor.getTime() > RETRY_WINDOW_MS) {
+      await finishRun({ result: 'failed', reason: err.message });
+      return { result: 'failed', reason: err.message };
+    }
+    console.error(`Subscription ${sub.subscriptionNumber} run failed, will retry:`, err.message);
+    return { result: 'retry', reason: err.message };
+  }
+
+  await notifyOrderPlaced(order, { variantsToCheck: pricing.variantsToCheck, config: pricing.config });
+  return { result: 'ordered', order };
+};
+
+/**
+ * Email + in-app reminder before the next run, with the current price of the lines.
+ */
+const sendRunReminder = async (sub, config = null) => {
+  const customer = await User.findById(sub.user).select('name email').lean();
+  if (!customer) return;
+
+  const items = sub.items.map(item => ({
+    product: item.product.toString(),
+    variant: item.variant.toString(),
+    quantity: item.quantity
+  }));
+
+  let estimatedTotal = 'N/A';
+  let productRows = '';
+  let stockWarning = '';
+  try {
+    const pricing = await priceOrder({ items, userId: sub.user });
+    estimatedTotal = `${config?.currencySign || '$'}${pricing.total.toFixed(2)}`;
+
+    const products = await Product.find({ _id: { $in: pricing.orderItems.map(i => i.product) } }).select('name').lean();
+    productRows = buildProductRows({
+      items: pricing.orderItems.map(item => ({
+        ...item,
+        product: products.find(p => p._id.toString() === item.product.toString())
+      }))
+    });
+  } catch (err) {
+    if (err.code !== 'ORDER_VALIDATION') throw err;
+    stockWarning = `${err.message}. If this is not resolved by the delivery date, this delivery will be skipped.`;
+  }
+
+  await createNotification({
+    userId: customer._id,
+    type: 'subscription_reminder',
+    title: 'Upcoming Autoship Delivery',
+    message: `Your autoship ${sub.subscriptionNumber} will be ordered on ${formatDate(sub.nextRunAt)}`,
+    related: { userId: customer._id.toString() }
+  }).catch(err => console.error('Notification failed:', err));
+
+  await sendEmail(customer.email || sub.shippingAddress.email, 'subscription_reminder', {
+    customerName: customer.name || sub.shippingAddress.fullName,
+    subscriptionNumber: sub.subscriptionNumber,
+    runDate: formatDate(sub.nextRunAt),
+    productRows,
+    estimatedTotal,
+    paymentMethod: sub.paymentMethod,
+    stockWarning,
+    manageUrl: MANAGE_URL
+  });
+
+  sub.reminderSentFor = sub.nextRunAt;
+  await sub.save();
+};
+
+module.exports = {
+  addInterval,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRun,
+  cancelSubscription,
+  runSubscription,
+  sendRunReminder
+};
@@ -0,0 +1,365 @@
+// services/variantOptionService.js
+const mongoose = require('mongoose');
+const Product = require('../model/Product');
+const Variant = require('../model/variantProduct');
+const { findUnitByIdOrName } = require('../utils/catalogLookups');
+const { reconcileLots } = require('./stockLotService');
+const { reconcileLocationStock } = require('./locationService');
+
+/*
+ * Product options and multi-attribute variants.
+ *
+ * A product defines its options in order (Product.options: Size = S/M/L, Color = Red/Blue) and
+ * every variant picks one value per option (Variant.optionValues, same order). Products created
+ * before options existed simply have single-option variants (attribute / value).
+ *
+ * generateVariantMatrix() creates the missing variants of the full combination matrix with
+ * default price / stock, optional per-value overrides and a SKU pattern.
+ */
+
+const MAX_OPTIONS = 5;
+const MAX_COMBINATIONS = 200;
+const DEFAULT_SKU_PATTERN = '{PRODUCT}-{OPTIONS}';
+
+const variantError = (msg, status = 400) => {
+  const err = new Error(msg);
+  err.code = 'VARIANT_VALIDATION';
+  err.status = status;
+  return err;
+};
+
+const parseJson = (input, label) => {
+  if (typeof input !== 'string') return input;
+  try {
+    return JSON.parse(input);
+  } catch (e) {
+    throw variantError(`Invalid ${label} JSON: ${e.message}`);
+  }
+};
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Display label of a variant, e.g. "Size: M, Color: Red" (older variants: "Size: 1kg").
+ */
+const variantLabel = (variant) => {
+  if (!variant) return '';
+  if (variant.optionLabel) return variant.optionLabel;
+  return variant.attribute ? `${variant.attribute}: ${variant.value}` : '';
+};
+
+// Option values of a variant, falling back to the legacy attribute / value pair
+const currentOptionValues = (variant) => {
+  if (variant.optionValues?.length) return variant.optionValues.map(o => ({ name: o.name, value: o.value }));
+  return variant.attribute ? [{ name: variant.attribute, value: variant.value || '' }] : [];
+};
+
+const combinationKey = (optionValues) =>
+  optionValues.map(o => `${o.name.toLowerCase()}=${o.value.toLowerCase()}`).join('|');
+
+/**
+ * Validate [{ name, values }] (array or JSON string): 1-5 options, unique names,
+ * at least one unique value each.
+ */
+const normalizeOptions = (input) => {
+  const options = parseJson(input, 'options');
+  if (!Array.isArray(options) || options.length === 0) throw variantError('At least one option is required');
+  if (options.length > MAX_OPTIONS) throw variantError(`A product can have at most ${MAX_OPTIONS} options`);
+
+  return options.map((option, i) => {
+    const name = option?.name?.toString().trim();
+    if (!name) throw variantError(`Option ${i + 1}: name is required`);
+    if (options.slice(0, i).some(o => sameText(o?.name || '', name))) {
+      throw variantError(`Option "${name}" is listed more than once`);
+    }
+
+    const values = (Array.isArray(option.values) ? option.values : [])
+      .map(v => v?.toString().trim())
+      .filter(Boolean);
+    if (values.length === 0) throw variantError(`Option "${name}" needs at least one value`);
+    const duplicate = values.find((v, idx) => values.findIndex(other => sameText(other, v)) !== idx);
+    if (duplicate) throw variantError(`Option "${name}" lists "${duplicate}" more than once`);
+
+    return { name, values };
+  });
+};
+
+/**
+ * Turn the client's option values ([{ name, value }] or { Size: 'M', Color: 'Red' }) into
+ * the ordered list of the product's options. Every option needs one of its defined values.
+ */
+const resolveOptionValues = (product, input) => {
+  const raw = parseJson(input, 'optionValues');
+  const pairs = Array.isArray(raw)
+    ? raw.map(o => ({ name: o?.name, value: o?.value }))
+    : Object.entries(raw || {}).map(([name, value]) => ({ name, value }));
+
+  if (!product.options?.length) throw variantError('Define the product options before using option values');
+
+  for (const pair of pairs) {
+    if (!product.options.some(o => sameText(o.name, pair.name || ''))) {
+      throw variantError(`"${pair.name}" is not an option of this product`);
+    }
+  }
+
+  return product.options.map(option => {
+    const pair = pairs.find(p => sameText(p.name, option.name));
+    if (!pair || pair.value === undefined || pair.value === null || pair.value.toString().trim() === '') {
+      throw variantError(`A value for "${option.name}" is required`);
+    }
+    const value = option.values.find(v => sameText(v, pair.value));
+    if (!value) {
+      throw variantError(`"${pair.value}" is not a value of "${option.name}" (${option.values.join(', ')})`);
+    }
+    return { name: option.name, value };
+  });
+};
+
+// Cartesian product of the option values, in option order
+const buildCombinations = (options) =>
+  options.reduce(
+    (combos, option) => combos.flatMap(combo => option.values.map(value => [...combo, { name: option.name, value }])),
+    [[]]
+  );
+
+// Same product code as the SKUs generated by createProduct (initials + first number)
+const productCode = (name = '') =>
+  name.trim().split(/\s+/).map(word => word[0]).join('').toUpperCase().replace(/[^A-Z0-9]/g, '') +
+  (name.match(/\d+/) ? name.match(/\d+/)[0] : '');
+
+const skuPart = (text) => String(text).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+
+/**
+ * Expand a SKU pattern. Tokens: {PRODUCT}, {OPTIONS} (all values), {INDEX} (1-based, 3 digits)
+ * and {<option name>} for one value, e.g. "PETH-{Size}-{Color}".
+ */
+const formatSku = (pattern, { product, optionValues, index }) =>
+  pattern
+    .replace(/\{PRODUCT\}/g, productCode(product.name))
+    .replace(/\{OPTIONS\}/g, optionValues.map(o => skuPart(o.value)).join('-'))
+    .replace(/\{INDEX\}/g, String(index + 1).padStart(3, '0'))
+    .replace(/\{([^}]+)\}/g, (token, name) => {
+      const match = optionValues.find(o => sameText(o.name, name));
+      return match ? skuPart(match.value) : token;
+    })
+    .toUpperCase();
+
+/**
+ * Replace a product's options. Existing variants follow along:
+ *   - a new option is given its first value on every existing variant
+ *   - reordering reorders the variants' option values
+ *   - a value or option still used by a live variant can't be removed
+ */
+const setProductOptions = async (productId, input) => {
+  const options = normalizeOptions(input);
+
+  const product = await Product.findById(productId);
+  if (!product) throw variantError('Product not found', 404);
+  const variants = await Variant.find({ product: product._id });
+
+  const updates = [];
+  const seen = new Map();
+  for (const variant of variants) {
+    const current = currentOptionValues(variant);
+
+    for (const pair of current) {
+      const option = options.find(o => sameText(o.name, pair.name));
+      if (!option) {
+        throw variantError(`Option "${pair.name}" is used by variant ${variant.sku}; delete or change those variants first`);
+      }
+      if (!option.values.some(v => sameText(v, pair.value))) {
+        throw variantError(`"${pair.value}" of "${pair.name}" is used by variant ${variant.sku}`);
+      }
+    }
+
+    const next = options.map(option => {
+      const pair = current.find(p => sameText(p.name, option.name));
+      return { name: option.name, value: pair ? option.values.find(v => sameText(v, pair.value)) : option.values[0] };
+    });
+
+    const key = combinationKey(next);
+    if (seen.has(key)) {
+      throw variantError(`Variants ${seen.get(key)} and ${variant.sku} would end up with the same options`);
+    }
+    seen.set(key, variant.sku);
+    if (combinationKey(current) !== key || current.map(o => o.name).join() !== next.map(o => o.name).join()) {
+      updates.push({ variant, optionValues: next });
+    }
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      product.options = options;
+      await product.save({ session });
+      for (const { variant, optionValues } of updates) {
+        variant.optionValues = optionValues;
+        await variant.save({ session });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { product, updatedVariants: updates.length };
+};
+
+const parsePositive = (value, label, { integer = false, allowZero = false } = {}) => {
+  const num = integer ? parseInt(value, 10) : parseFloat(value);
+  if (isNaN(num) || num < 0 || (!allowZero && num === 0)) {
+    throw variantError(`${label} must be ${allowZero ? '0 or more' : 'greater than 0'}`);
+  }
+  return num;
+};
+
+/**
+ * Create every missing option combination of a product.
+ *
+ * @param {object} params
+ *   options       - optional new option definition (applied first, as setProductOptions)
+ *   defaults      - { price, weightQuantity, unit, purchasePrice?, discountPrice?, stockQuantity?, status? }
+ *   overrides     - [{ optionValues: { Size: 'L' }, price?, purchasePrice?, discountPrice?, stockQuantity?, weightQuantity? }]
+ *                   applied (in order) to every combination containing all the given values
+ *   skuPattern    - see formatSku (default "{PRODUCT}-{OPTIONS}")
+ *   preview       - only return the matrix, create nothing
+ * @returns {{ product, matrix: [{ optionValues, optionLabel, sku, price, ..., exists, variant }], created }}
+ */
+const generateVariantMatrix = async (productId, params = {}) => {
+  if (params.options !== undefined && !params.preview) await setProductOptions(productId, params.options);
+
+  const product = await Product.findById(productId);
+  if (!product) throw variantError('Product not found', 404);
+
+  const options = params.options !== undefined ? normalizeOptions(params.options) : product.options;
+  if (!options?.length) throw variantError('Define the product options first');
+
+  const combos = buildCombinations(options);
+  if (combos.length > MAX_COMBINATIONS) {
+    throw variantError(`${combos.length} combinations; at most ${MAX_COMBINATIONS} variants can be generated at once`);
+  }
+
+  const defaults = parseJson(params.defaults, 'defaults') || {};
+  const overrides = parseJson(params.overrides, 'overrides') || [];
+  if (!Array.isArray(overrides)) throw variantError('overrides must be an array');
+  const skuPattern = params.skuPattern?.toString().trim() || DEFAULT_SKU_PATTERN;
+
+  const existingVariants = await Variant.find({ product: product._id }).lean();
+  const existingByKey = new Map(existingVariants.map(v => [combinationKey(currentOptionValues(v)), v]));
+
+  const missing = combos.filter(combo => !existingByKey.has(combinationKey(combo)));
+  let unit = null;
+  if (missing.length > 0 && !params.preview) {
+    if (defaults.price === undefined || defaults.weightQuantity === undefined || !defaults.unit) {
+      throw variantError('defaults.price, defaults.weightQuantity and defaults.unit are required');
+    }
+    unit = await findUnitByIdOrName(defaults.unit);
+    if (!unit) throw variantError(`Unit not found: ${defaults.unit}`);
+  }
+
+  // SKUs must be unique across the catalog: suffix -2, -3... on collisions
+  const generatedSkus = combos.map((combo, index) => formatSku(skuPattern, { product, optionValues: combo, index }));
+  const taken = new Set(
+    (await Variant.find({ sku: { $in: generatedSkus } }).select('sku').lean()).map(v => v.sku)
+  );
+
+  const matrix = combos.map((combo, index) => {
+    const existing = existingByKey.get(combinationKey(combo));
+    const { optionLabel } = Variant.describeOptions(combo);
+    if (existing) {
+      return {
+        optionValues: combo,
+        optionLabel,
+        sku: existing.sku,
+        price: existing.price,
+        stockQuantity: existing.stockQuantity,
+        exists: true,
+        variant: existing._id
+      };
+    }
+
+    const values = { ...defaults };
+    for (const override of overrides) {
+      const match = parseJson(override.optionValues, 'override optionValues') || {};
+      const applies = Object.entries(match).every(([name, value]) =>
+        combo.some(o => sameText(o.name, name) && sameText(o.value, value)));
+      if (applies) Object.assign(values, override, { optionValues: undefined });
+    }
+
+    let sku = generatedSkus[index];
+    for (let n = 2; taken.has(sku); n++) sku = `${generatedSkus[index]}-${n}`;
+    taken.add(sku);
+
+    return {
+      optionValues: combo,
+      optionLabel,
+      sku,
+      price: values.price !== undefined ? Number(values.price) : undefined,
+      purchasePrice: values.purchasePrice !== undefined ? Number(values.purchasePrice) : 0,
+      discountPrice: values.discountPrice !== undefined ? Number(values.discountPrice) : 0,
+      stockQuantity: values.stockQuantity !== undefined ? Number(values.stockQuantity) : 0,
+      weightQuantity: values.weightQuantity !== undefined ? Number(values.weightQuantity) : undefined,
+      status: values.status || defaults.status || 'Active',
+      exists: false
+    };
+  });
+
+  if (params.preview) return { product, matrix, created: 0 };
+
+  const toCreate = matrix.filter(row => !row.exists);
+  for (const row of toCreate) {
+    row.price = parsePositive(row.price, `Price of ${row.optionLabel}`);
+    row.weightQuantity = parsePositive(row.weightQuantity, `Weight quantity of ${row.optionLabel}`);
+    row.purchasePrice = parsePositive(row.purchasePrice, `Purchase price of ${row.optionLabel}`, { allowZero: true });
+    row.discountPrice = parsePositive(row.discountPrice, `Discount price of ${row.optionLabel}`, { allowZero: true });
+    row.stockQuantity = parsePositive(row.stockQuantity, `Stock of ${row.optionLabel}`, { integer: true, allowZero: true });
+    if (row.discountPrice > row.price) throw variantError(`Discount price of ${row.optionLabel} cannot exceed its price`);
+    if (!['Active', 'Inactive'].includes(row.status)) throw variantError('Status must be Active or Inactive');
+  }
+
+  if (toCreate.length > 0) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const created = await Variant.create(toCreate.map(row => ({
+          product: product._id,
+          optionValues: row.optionValues,
+          sku: row.sku,
+          unit: unit._id,
+          purchasePrice: row.purchasePrice,
+          price: row.price,
+          discountPrice: row.discountPrice,
+          stockQuantity: row.stockQuantity,
+          weightQuantity: row.weightQuantity,
+          status: row.status
+        })), { session, ordered: true });
+
+        created.forEach((variant, i) => { toCreate[i].variant = variant._id; });
+        // opening stock lots for the initial stock, held at the default location
+        for (const variant of created) {
+          await reconcileLots(variant._id, undefined, { session });
+          await reconcileLocationStock(variant._id, undefined, { session });
+        }
+        await Product.updateOne(
+          { _id: product._id },
+          { $addToSet: { variations: { $each: created.map(v => v._id) } } },
+          { session }
+        );
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return { product, matrix, created: toCreate.length };
+};
+
+module.exports = {
+  variantLabel,
+  currentOptionValues,
+  normalizeOptions,
+  resolveOptionValues,
+  buildCombinations,
+  formatSku,
+  setProductOptions,
+  generateVariantMatrix
+};
@@ -0,0 +1,161 @@
+// test/counter.test.js
+// Document numbers (services/counterService.js): seeding a new counter from the numbers
+// already stored, skipping numbers in use, prefix / padding settings and the yearly reset.
+// The database is replaced by in-memory collections (test/helpers/memoryDb.js).
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const OrderCounter = require('../model/OrderCounter');
+const Order = require('../model/Order');
+const Payment = require('../model/Payment');
+const CustomerPayment = require('../model/CustomerPayment');
+const { memoryModel } = require('./helpers/memoryDb');
+
+const YEAR = new Date().getFullYear();
+
+let counters;
+let orders;
+let payments;
+let customerPayments;
+
+// The service remembers which counters it has created and checked; a fresh copy starts
+// like a newly started process
+const loadCounterService = () => {
+  delete require.cache[require.resolve('../services/counterService')];
+  return require('../services/counterService');
+};
+
+before(() => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  counters = memoryModel(OrderCounter);
+  orders = memoryModel(Order);
+  payments = memoryModel(Payment);
+  customerPayments = memoryModel(CustomerPayment);
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  for (const store of [counters, orders, payments, customerPayments]) store.reset();
+  Order.collection.findOne.mock.resetCalls();
+});
+
+const addOrders = (...numbers) => orders.insert(...numbers.map(orderNumber => ({
+  orderNumber,
+  items: [],
+  subtotal: 10,
+  total: 10,
+  paymentMethod: 'COD'
+})));
+
+describe('nextNumber', () => {
+  it('starts a new counter after the highest number already stored', async () => {
+    // legacy numbers: out of order, unpadded, zero-padded and a few that are not ours
+    addOrders('#ORD-007', '#ORD-120', '#ORD-99', '#ORD-0042', 'ORD-500', '#ORD-12A', '#ORD-');
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('order'), '#ORD-121');
+    assert.equal(await nextNumber('order'), '#ORD-122');
+    assert.equal(counters.get('order').seq, 122);
+  });
+
+  it('seeds a shared sequence from every collection that stores it', async () => {
+    payments.insert({ invoiceNo: 'INV-000010' });
+    customerPayments.insert({ invoiceNo: 'INV-000031' }, { invoiceNo: 'INV-LEGACY' });
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('invoice'), 'INV-000032');
+  });
+
+  it('starts at 1 when nothing is stored yet', async () => {
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('order'), '#ORD-001');
+  });
+
+  it('skips numbers already in use before issuing the first one', async () => {
+    counters.insert({ _id: 'order', seq: 3, year: YEAR });
+    addOrders('#ORD-004', '#ORD-005', '#ORD-009');
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('order'), '#ORD-006');
+
+    // once a free number is found the sequence is past the old ones: no more lookups
+    Order.collection.findOne.mock.resetCalls();
+    assert.equal(await nextNumber('order'), '#ORD-007');
+    assert.equal(Order.collection.findOne.mock.callCount(), 0);
+  });
+
+  it('does not look for collisions on later numbers of the same process', async () => {
+    const { nextNumber } = loadCounterService();
+    await nextNumber('order');
+    addOrders('#ORD-002');
+
+    assert.equal(await nextNumber('order'), '#ORD-002');
+  });
+
+  it('formats numbers with the configured prefix and padding', async () => {
+    counters.insert({ _id: 'sale', seq: 41, prefix: 'S-', padding: 3 });
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('sale'), 'S-042');
+
+    await OrderCounter.updateOne({ _id: 'sale' }, { $set: { seq: 1233 } });
+    assert.equal(await nextNumber('sale'), 'S-1234');
+  });
+
+  it('restarts a yearly sequence in a new year and puts the year in the number', async () => {
+    counters.insert({ _id: 'return', seq: 57, year: YEAR - 1, yearlyReset: true });
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('return'), `RMA-${YEAR}-000001`);
+    assert.equal(await nextNumber('return'), `RMA-${YEAR}-000002`);
+    assert.equal(counters.get('return').year, YEAR);
+  });
+
+  it('keeps counting across years without the yearly reset', async () => {
+    counters.insert({ _id: 'return', seq: 57, year: YEAR - 1 });
+    const { nextNumber } = loadCounterService();
+
+    assert.equal(await nextNumber('return'), 'RMA-000058');
+  });
+
+  it('rejects unknown document types', async () => {
+    const { nextNumber } = loadCounterService();
+
+    await assert.rejects(nextNumber('coupon'), { code: 'COUNTER_ERROR', message: 'Unknown counter type: coupon' });
+  });
+});
+
+describe('updateCounter', () => {
+  it('changes the settings shown in the preview', async () => {
+    const { updateCounter, getCounters } = loadCounterService();
+
+    await updateCounter('expense', { prefix: ' EXP-', padding: '4', yearlyReset: 'true' });
+
+    const expense = (await getCounters()).find(c => c.type === 'expense');
+    assert.equal(expense.prefix, 'EXP-');
+    assert.equal(expense.padding, 4);
+    assert.equal(expense.yearlyReset, true);
+    assert.equal(expense.preview, `EXP-${YEAR}-0001`);
+  });
+
+  it('moves the sequence forward only', async () => {
+    counters.insert({ _id: 'purchase', seq: 20 });
+    const { updateCounter, nextNumber } = loadCounterService();
+
+    await assert.rejects(updateCounter('purchase', { seq: 19 }), { message: 'Sequence can only be moved forward' });
+    await updateCounter('purchase', { seq: 100 });
+
+    assert.equal(await nextNumber('purchase'), 'PUR-000101');
+  });
+
+  it('validates padding and prefix', async () => {
+    const { updateCounter } = loadCounterService();
+
+    await assert.rejects(updateCounter('sale', { padding: 13 }), { message: 'Padding must be between 1 and 12' });
+    await assert.rejects(updateCounter('sale', { prefix: 'X'.repeat(21) }), { code: 'COUNTER_ERROR' });
+  });
+});
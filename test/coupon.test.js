@@ -0,0 +1,270 @@
+// test/coupon.test.js
+// Coupon validation at checkout and the redemption bookkeeping behind usage limits:
+// per-customer slots, first-order coupons and the unique indexes that settle concurrent
+// checkouts. The database is replaced by in-memory collections (test/helpers/memoryDb.js),
+// which enforce CouponRedemption's unique partial indexes.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Coupon = require('../model/Coupon');
+const CouponRedemption = require('../model/CouponRedemption');
+const Order = require('../model/Order');
+const { memoryModel } = require('./helpers/memoryDb');
+const { validateCoupon, redeemCoupon, reverseCouponRedemption } = require('../services/couponService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const customer = new mongoose.Types.ObjectId();
+const objectId = () => new mongoose.Types.ObjectId();
+
+let coupons;
+let redemptions;
+let orders;
+
+before(() => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  coupons = memoryModel(Coupon);
+  redemptions = memoryModel(CouponRedemption);
+  orders = memoryModel(Order);
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  coupons.reset();
+  redemptions.reset();
+  orders.reset();
+});
+
+const addCoupon = (overrides = {}) => coupons.insert({
+  code: 'SAVE10',
+  discountType: 'Percentage',
+  discountValue: 10,
+  startDate: new Date(Date.now() - DAY),
+  endDate: new Date(Date.now() + DAY),
+  ...overrides
+})[0];
+
+const addRedemption = (coupon, overrides = {}) => redemptions.insert({
+  coupon: coupon._id,
+  code: coupon.code,
+  user: customer,
+  order: objectId(),
+  discount: 5,
+  ...overrides
+})[0];
+
+const addOrder = (overrides = {}) => orders.insert({
+  orderNumber: `ORD-${orders.docs.length + 1}`,
+  user: customer,
+  items: [],
+  subtotal: 50,
+  total: 50,
+  paymentMethod: 'Online',
+  status: 'confirmed',
+  ...overrides
+})[0];
+
+const cart = (overrides = {}) => ({
+  code: 'save10',
+  userId: customer,
+  lines: [{ product: objectId(), category: objectId(), brand: objectId(), total: 50 }],
+  subtotal: 50,
+  ...overrides
+});
+
+const redeem = (coupon, overrides = {}) =>
+  redeemCoupon({ coupon, userId: customer, orderId: objectId(), discount: 5, ...overrides }, null);
+
+const applied = () => redemptions.docs.filter(r => r.status === 'applied');
+
+describe('validateCoupon', () => {
+  it('prices a percentage coupon on the whole cart, case-insensitively', async () => {
+    addCoupon();
+
+    const { coupon, discount, freeShipping } = await validateCoupon(cart());
+
+    assert.equal(coupon.code, 'SAVE10');
+    assert.equal(discount, 5);
+    assert.equal(freeShipping, false);
+  });
+
+  it('caps percentage discounts and limits fixed ones to the eligible lines', async () => {
+    const product = objectId();
+    addCoupon({ code: 'HALF', discountValue: 50, maxDiscountAmount: 20 });
+    addCoupon({ code: 'TENOFF', discountType: 'Fixed', discountValue: 10, applicableProducts: [product] });
+    const lines = [{ product, total: 8 }, { product: objectId(), total: 100 }];
+
+    assert.equal((await validateCoupon(cart({ code: 'HALF', lines, subtotal: 108 }))).discount, 20);
+    assert.equal((await validateCoupon(cart({ code: 'TENOFF', lines, subtotal: 108 }))).discount, 8);
+  });
+
+  it('turns free-shipping coupons into a shipping discount', async () => {
+    addCoupon({ code: 'SHIPFREE', discountType: 'FreeShipping' });
+
+    const result = await validateCoupon(cart({ code: 'SHIPFREE', shipping: 4.5 }));
+
+    assert.equal(result.freeShipping, true);
+    assert.equal(result.discount, 4.5);
+  });
+
+  for (const [label, overrides, message] of [
+    ['inactive', { status: 'inactive' }, 'Invalid coupon code'],
+    ['not started', { startDate: new Date(Date.now() + DAY) }, 'This coupon is not active yet'],
+    ['expired', { endDate: new Date(Date.now() - 1000) }, 'This coupon has expired'],
+    ['used up', { usageLimit: 3, usedCount: 3 }, 'This coupon has reached its usage limit'],
+    ['under the minimum order', { minimumOrderAmount: 60 }, 'Minimum order amount for this coupon is 60'],
+    ['out of scope', { applicableBrands: [objectId()] }, 'This coupon does not apply to any item in your cart']
+  ]) {
+    it(`rejects a coupon that is ${label}`, async () => {
+      addCoupon(overrides);
+      await assert.rejects(validateCoupon(cart()), { code: 'INVALID_COUPON', message });
+    });
+  }
+
+  it('counts only applied redemptions against the per-customer limit', async () => {
+    const coupon = addCoupon({ perCustomerLimit: 2 });
+    addRedemption(coupon, { slot: 1 });
+    addRedemption(coupon, { slot: 2, status: 'reversed' });
+    addRedemption(coupon, { slot: 2, user: objectId() });
+
+    await validateCoupon(cart());
+
+    addRedemption(coupon, { slot: 2 });
+    await assert.rejects(validateCoupon(cart()), { message: 'You have already used this coupon' });
+  });
+
+  it('allows a first-order coupon only to customers without a live order', async () => {
+    addCoupon({ firstOrderOnly: true });
+    addOrder({ status: 'cancelled' });
+
+    await validateCoupon(cart());
+
+    addOrder();
+    await assert.rejects(validateCoupon(cart()), { message: 'This coupon is only valid on your first order' });
+  });
+});
+
+describe('redeemCoupon', () => {
+  it('records the redemption in the lowest free slot and counts the use', async () => {
+    const coupon = addCoupon({ perCustomerLimit: 3, usedCount: 2 });
+    addRedemption(coupon, { slot: 1 });
+    addRedemption(coupon, { slot: 2, status: 'reversed' });
+    addRedemption(coupon, { slot: 3 });
+    const orderId = objectId();
+
+    await redeem(coupon, { orderId, discount: 7.5 });
+
+    const redemption = redemptions.docs.find(r => r.order.equals(orderId));
+    assert.equal(redemption.slot, 2);
+    assert.equal(redemption.status, 'applied');
+    assert.equal(redemption.discount, 7.5);
+    assert.equal(redemption.firstOrder, false);
+    assert.equal(coupons.get(coupon._id).usedCount, 3);
+  });
+
+  it('refuses a customer who has used up their uses', async () => {
+    const coupon = addCoupon({ perCustomerLimit: 1 });
+    addRedemption(coupon, { slot: 1 });
+
+    await assert.rejects(redeem(coupon), { code: 'INVALID_COUPON', message: 'You have already used this coupon' });
+    assert.equal(coupons.get(coupon._id).usedCount, 0);
+  });
+
+  it('lets only one of two concurrent checkouts by the same customer take the last use', async () => {
+    const coupon = addCoupon({ perCustomerLimit: 1 });
+
+    const results = await Promise.allSettled([redeem(coupon), redeem(coupon)]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    const { reason } = results.find(r => r.status === 'rejected');
+    assert.equal(reason.code, 'INVALID_COUPON');
+    assert.equal(reason.message, 'You have already used this coupon');
+    assert.equal(applied().length, 1);
+  });
+
+  it('stops at the global usage limit across customers', async () => {
+    const coupon = addCoupon({ usageLimit: 1 });
+
+    const results = await Promise.allSettled([redeem(coupon), redeem(coupon, { userId: objectId() })]);
+
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.message, 'This coupon has reached its usage limit');
+    assert.equal(coupons.get(coupon._id).usedCount, 1);
+  });
+
+  it('ignores the order being placed when checking a first-order coupon', async () => {
+    const coupon = addCoupon({ firstOrderOnly: true });
+    const order = addOrder({ status: 'pending' });
+
+    await redeem(coupon, { orderId: order._id });
+
+    assert.equal(applied()[0].firstOrder, true);
+  });
+
+  it('refuses a first-order coupon once the customer has another order', async () => {
+    const coupon = addCoupon({ firstOrderOnly: true });
+    addOrder();
+
+    await assert.rejects(redeem(coupon), { message: 'This coupon is only valid on your first order' });
+    assert.equal(applied().length, 0);
+  });
+
+  it('lets a customer hold one first-order redemption across coupons', async () => {
+    // two checkouts in flight: neither sees the other's order, the unique index settles it
+    const welcome = addCoupon({ code: 'WELCOME', firstOrderOnly: true });
+    const hello = addCoupon({ code: 'HELLO', firstOrderOnly: true });
+
+    const results = await Promise.allSettled([redeem(welcome), redeem(hello)]);
+
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.message, 'This coupon is only valid on your first order');
+    assert.equal(applied().length, 1);
+  });
+
+  it('passes on errors that are not duplicate keys', async () => {
+    const coupon = addCoupon();
+    const failure = new Error('write conflict');
+    mock.method(CouponRedemption, 'create', async () => { throw failure; }, { times: 1 });
+
+    await assert.rejects(redeem(coupon), failure);
+  });
+});
+
+describe('reverseCouponRedemption', () => {
+  it('frees the use and the customer slot of a cancelled order', async () => {
+    const coupon = addCoupon({ perCustomerLimit: 1, usedCount: 1 });
+    const redemption = addRedemption(coupon, { slot: 1 });
+
+    const reversed = await reverseCouponRedemption(redemption.order, null);
+
+    assert.equal(reversed.status, 'reversed');
+    assert.ok(reversed.reversedAt instanceof Date);
+    assert.equal(coupons.get(coupon._id).usedCount, 0);
+
+    await redeem(coupon);
+    assert.equal(applied().length, 1);
+    assert.equal(applied()[0].slot, 1);
+  });
+
+  it('does nothing for an order without an applied redemption', async () => {
+    const coupon = addCoupon({ usedCount: 1 });
+    const redemption = addRedemption(coupon, { slot: 1, status: 'reversed' });
+
+    assert.equal(await reverseCouponRedemption(redemption.order, null), null);
+    assert.equal(await reverseCouponRedemption(objectId(), null), null);
+    assert.equal(coupons.get(coupon._id).usedCount, 1);
+  });
+
+  it('never takes usedCount below zero', async () => {
+    const coupon = addCoupon({ usedCount: 0 });
+    const redemption = addRedemption(coupon, { slot: 1 });
+
+    await reverseCouponRedemption(redemption.order, null);
+
+    assert.equal(coupons.get(coupon._id).usedCount, 0);
+  });
+});
@@ -0,0 +1,160 @@
+// test/guestOrder.test.js
+// Guest checkout: the signed order-access token handed to guests, and claiming guest
+// orders once someone verifies the same email. The database is replaced by in-memory
+// collections (test/helpers/memoryDb.js).
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const Order = require('../model/Order');
+const authMiddleware = require('../middleware/auth');
+const { memoryModel } = require('./helpers/memoryDb');
+const {
+  orderAccessConfigured,
+  signOrderAccessToken,
+  verifyOrderAccessToken,
+  claimGuestOrders
+} = require('../services/guestOrderService');
+
+const ORDER_SECRET = 'order-access-secret';
+const LOGIN_SECRET = 'login-secret';
+
+let orders;
+let env;
+
+before(() => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  orders = memoryModel(Order);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  env = { ORDER_ACCESS_SECRET: process.env.ORDER_ACCESS_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+});
+
+after(() => {
+  mock.restoreAll();
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+beforeEach(() => {
+  process.env.ORDER_ACCESS_SECRET = ORDER_SECRET;
+  process.env.JWT_SECRET = LOGIN_SECRET;
+  orders.reset();
+});
+
+const guestOrder = (email, overrides = {}) => orders.insert({
+  orderNumber: `#ORD-${String(orders.docs.length + 1).padStart(3, '0')}`,
+  guest: { name: 'Guest Buyer', email },
+  items: [],
+  subtotal: 10,
+  total: 10,
+  paymentMethod: 'COD',
+  ...overrides
+})[0];
+
+describe('order access token', () => {
+  it('grants access to the order it was signed for', () => {
+    const order = guestOrder('guest@example.com');
+
+    const access = verifyOrderAccessToken(signOrderAccessToken(order));
+
+    assert.equal(access.orderId, order._id.toString());
+    assert.equal(access.email, 'guest@example.com');
+    assert.equal(access.purpose, 'order_access');
+  });
+
+  it('rejects tampered, expired and missing tokens', () => {
+    const order = guestOrder('guest@example.com');
+    const token = signOrderAccessToken(order);
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ orderId: 'someone-else', purpose: 'order_access' })).toString('base64url');
+    const expired = jwt.sign({ orderId: order._id.toString(), purpose: 'order_access' }, ORDER_SECRET, { expiresIn: -1 });
+
+    assert.equal(verifyOrderAccessToken(`${header}.${forged}.${signature}`), null);
+    assert.equal(verifyOrderAccessToken(expired), null);
+    assert.equal(verifyOrderAccessToken(''), null);
+    assert.equal(verifyOrderAccessToken(undefined), null);
+  });
+
+  it('rejects tokens signed for another purpose or with the login secret', () => {
+    const orderId = new mongoose.Types.ObjectId().toString();
+
+    assert.equal(verifyOrderAccessToken(jwt.sign({ orderId, purpose: 'password_reset' }, ORDER_SECRET)), null);
+    assert.equal(verifyOrderAccessToken(jwt.sign({ orderId }, ORDER_SECRET)), null);
+    assert.equal(verifyOrderAccessToken(jwt.sign({ orderId, purpose: 'order_access' }, LOGIN_SECRET)), null);
+  });
+
+  it('refuses to sign or accept tokens while ORDER_ACCESS_SECRET is unset', () => {
+    const order = guestOrder('guest@example.com');
+    const token = signOrderAccessToken(order);
+    delete process.env.ORDER_ACCESS_SECRET;
+
+    assert.equal(orderAccessConfigured(), false);
+    assert.throws(() => signOrderAccessToken(order), /ORDER_ACCESS_SECRET is not configured/);
+    assert.equal(verifyOrderAccessToken(token), null);
+  });
+
+  it('is not accepted as a login token', async () => {
+    const respond = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+      const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      let passed = false;
+      await authMiddleware(req, res, () => { passed = true; });
+      return { passed, status: res.statusCode };
+    };
+    const order = guestOrder('guest@example.com');
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    assert.deepEqual(await respond(signOrderAccessToken(order)), { passed: false, status: 403 });
+    // even when signed with the login secret, a purpose-bound token is no session
+    assert.deepEqual(
+      await respond(jwt.sign({ id: userId, role: 'Customer', purpose: 'order_access' }, LOGIN_SECRET)),
+      { passed: false, status: 403 }
+    );
+    assert.deepEqual(await respond(jwt.sign({ id: userId, role: 'Customer' }, LOGIN_SECRET)), { passed: true, status: undefined });
+  });
+});
+
+describe('claimGuestOrders', () => {
+  it('attaches unclaimed guest orders placed with the verified email', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: '  Guest@Example.com ' };
+    const mine = [guestOrder('guest@example.com'), guestOrder('guest@example.com')];
+    const claimedBefore = guestOrder('guest@example.com', { user: new mongoose.Types.ObjectId() });
+    const someoneElse = guestOrder('other@example.com');
+
+    assert.equal(await claimGuestOrders(user), 2);
+
+    for (const { _id } of mine) {
+      const order = orders.get(_id);
+      assert.equal(order.user.toString(), user._id.toString());
+      assert.ok(order.guest.claimedAt instanceof Date);
+      assert.equal(order.guest.email, 'guest@example.com');
+    }
+    assert.notEqual(orders.get(claimedBefore._id).user.toString(), user._id.toString());
+    assert.equal(orders.get(someoneElse._id).user, null);
+
+    assert.equal(await claimGuestOrders(user), 0);
+  });
+
+  it('claims nothing for a user without an email', async () => {
+    guestOrder('guest@example.com');
+
+    assert.equal(await claimGuestOrders({ _id: new mongoose.Types.ObjectId() }), 0);
+    assert.equal(await claimGuestOrders(null), 0);
+  });
+
+  it('never throws: a failed update claims nothing', async () => {
+    guestOrder('guest@example.com');
+    mock.method(Order, 'updateMany', () => Promise.reject(new Error('connection lost')), { times: 1 });
+
+    assert.equal(await claimGuestOrders({ _id: new mongoose.Types.ObjectId(), email: 'guest@example.com' }), 0);
+    assert.equal(orders.docs[0].user, null);
+  });
+});
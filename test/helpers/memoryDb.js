@@ -0,0 +1,420 @@
+// test/helpers/memoryDb.js
+// In-memory stand-ins for the Mongoose calls the services make, so tests run without a
+// database. Filters, updates (operators and pipelines), simple aggregations and the schema's
+// unique indexes cover the subset of MongoDB the services use; anything else throws instead
+// of passing by accident.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !isObjectId(value) && !(value instanceof Date) && !(value instanceof RegExp);
+
+// ObjectIds compare by hex string, Dates by time, missing fields equal null
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const same = (a, b) => {
+  const [x, y] = [normalize(a), normalize(b)];
+  if (Array.isArray(x) && Array.isArray(y)) return x.length === y.length && x.every((v, i) => same(v, y[i]));
+  if (isPlainObject(x) && isPlainObject(y)) {
+    const keys = new Set([...Object.keys(x), ...Object.keys(y)]);
+    return [...keys].every(key => same(x[key], y[key]));
+  }
+  return x === y;
+};
+
+const compare = (a, b) => {
+  const [x, y] = [normalize(a), normalize(b)];
+  if (x === null || y === null) return NaN;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.length ? getPath(doc, keys.join('.')) : doc;
+  if (isPlainObject(target)) delete target[last];
+};
+
+// deep copy that keeps ObjectIds and Dates
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+};
+
+// ── Aggregation expressions ($expr and pipeline updates) ────────────────────
+const EXPRESSIONS = {
+  $add: (args) => args.reduce((sum, v) => sum + v, 0),
+  $subtract: ([a, b]) => a - b,
+  $multiply: (args) => args.reduce((product, v) => product * v, 1),
+  $max: (args) => Math.max(...args.filter(v => v !== null && v !== undefined)),
+  $min: (args) => Math.min(...args.filter(v => v !== null && v !== undefined)),
+  $ifNull: ([value, fallback]) => (value === null || value === undefined ? fallback : value),
+  $and: (args) => args.every(Boolean),
+  $or: (args) => args.some(Boolean),
+  $not: ([value]) => !value,
+  $eq: ([a, b]) => same(a, b),
+  $ne: ([a, b]) => !same(a, b),
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $lt: ([a, b]) => compare(a, b) < 0,
+  $lte: ([a, b]) => compare(a, b) <= 0,
+  $concat: (args) => args.join(''),
+  $arrayElemAt: ([list, index]) => (Array.isArray(list) ? list.at(index) : null),
+  $regexFind: ([{ input, regex, options }]) => {
+    const found = typeof input === 'string' ? new RegExp(regex, options).exec(input) : null;
+    return found && { match: found[0], idx: found.index, captures: found.slice(1) };
+  },
+  $convert: ([{ input, to, onError, onNull }]) => {
+    if (input === null || input === undefined) return onNull ?? null;
+    if (!['int', 'long', 'double', 'decimal'].includes(to)) throw new Error(`memoryDb: unsupported $convert to ${to}`);
+    const value = Number(input);
+    return Number.isNaN(value) ? onError : value;
+  }
+};
+
+// `$field` reads the document, `$$name` a variable bound by $let
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...path] = expr.slice(2).split('.');
+    return path.length ? getPath(vars[name], path.join('.')) : vars[name];
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    const [op] = keys;
+    if (op === '$literal') return expr.$literal;
+    if (op === '$cond') {
+      const [test, then, otherwise] = Array.isArray(expr.$cond)
+        ? expr.$cond
+        : [expr.$cond.if, expr.$cond.then, expr.$cond.else];
+      return evaluate(test, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    if (op === '$let') {
+      const bound = Object.fromEntries(Object.entries(expr.$let.vars).map(([name, e]) => [name, evaluate(e, doc, vars)]));
+      return evaluate(expr.$let.in, doc, { ...vars, ...bound });
+    }
+    if (!EXPRESSIONS[op]) throw new Error(`memoryDb: unsupported expression ${op}`);
+    const args = evaluate(expr[op], doc, vars);
+    return EXPRESSIONS[op](Array.isArray(args) ? args : [args]);
+  }
+  return Object.fromEntries(keys.map(key => [key, evaluate(expr[key], doc, vars)]));
+};
+
+// ── Query filters ────────────────────────────────────────────────────────────
+const matchesCondition = (value, condition) => {
+  const values = Array.isArray(value) ? [value, ...value] : [value];
+  const any = (test) => values.some(test);
+
+  if (condition instanceof RegExp) return any(v => typeof v === 'string' && condition.test(v));
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    return any(v => same(v, condition));
+  }
+
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$eq': return any(v => same(v, arg));
+      case '$ne': return !any(v => same(v, arg));
+      case '$gt': return any(v => compare(v, arg) > 0);
+      case '$gte': return any(v => compare(v, arg) >= 0);
+      case '$lt': return any(v => compare(v, arg) < 0);
+      case '$lte': return any(v => compare(v, arg) <= 0);
+      case '$in': return any(v => arg.some(a => (a instanceof RegExp ? a.test(v) : same(v, a))));
+      case '$nin': return !any(v => arg.some(a => same(v, a)));
+      case '$exists': return (value !== undefined) === Boolean(arg);
+      case '$regex': return any(v => typeof v === 'string' && new RegExp(arg, condition.$options).test(v));
+      case '$options': return true;
+      default: throw new Error(`memoryDb: unsupported query operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(f => matches(doc, f));
+    if (key === '$or') return condition.some(f => matches(doc, f));
+    if (key === '$nor') return !condition.some(f => matches(doc, f));
+    if (key === '$expr') return Boolean(evaluate(condition, doc));
+    if (key.startsWith('$')) throw new Error(`memoryDb: unsupported query operator ${key}`);
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+// ── Updates ──────────────────────────────────────────────────────────────────
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const [[op, fields]] = Object.entries(stage);
+      if (op === '$set' || op === '$addFields') {
+        // every field of a stage sees the document as it was before the stage
+        const before = clone(doc);
+        for (const [path, expr] of Object.entries(fields)) setPath(doc, path, evaluate(expr, before));
+      } else if (op === '$unset') {
+        for (const path of [].concat(fields)) unsetPath(doc, path);
+      } else {
+        throw new Error(`memoryDb: unsupported pipeline stage ${op}`);
+      }
+    }
+    return doc;
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    if (!op.startsWith('$')) {
+      setPath(doc, op, fields);
+      continue;
+    }
+    for (const [path, arg] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (op) {
+        case '$set': setPath(doc, path, arg); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, arg); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + arg); break;
+        case '$min': if (current === undefined || compare(arg, current) < 0) setPath(doc, path, arg); break;
+        case '$max': if (current === undefined || compare(arg, current) > 0) setPath(doc, path, arg); break;
+        case '$push': setPath(doc, path, [...(current || []), ...(arg?.$each || [arg])]); break;
+        case '$addToSet': {
+          const list = [...(current || [])];
+          for (const item of arg?.$each || [arg]) if (!list.some(v => same(v, item))) list.push(item);
+          setPath(doc, path, list);
+          break;
+        }
+        default: throw new Error(`memoryDb: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+};
+
+// ── Aggregation pipelines ($match, $project, $group) ────────────────────────
+const ACCUMULATORS = {
+  $sum: (values) => values.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0),
+  $max: (values) => EXPRESSIONS.$max(values),
+  $min: (values) => EXPRESSIONS.$min(values),
+  $first: (values) => values[0] ?? null
+};
+
+const aggregate = (docs, pipeline) => pipeline.reduce((rows, stage) => {
+  const [[op, spec]] = Object.entries(stage);
+  switch (op) {
+    case '$match':
+      return rows.filter(row => matches(row, spec));
+    case '$project':
+      return rows.map(row => ({
+        _id: row._id,
+        ...Object.fromEntries(Object.entries(spec)
+          .filter(([key]) => key !== '_id')
+          .map(([key, expr]) => [key, expr === 1 || expr === true ? getPath(row, key) : evaluate(expr, row)]))
+      }));
+    case '$group': {
+      const groups = new Map();
+      for (const row of rows) {
+        const id = evaluate(spec._id, row);
+        const key = JSON.stringify(normalize(id));
+        if (!groups.has(key)) groups.set(key, { id, rows: [] });
+        groups.get(key).rows.push(row);
+      }
+      return [...groups.values()].map(({ id, rows: members }) => ({
+        _id: id,
+        ...Object.fromEntries(Object.entries(spec).filter(([key]) => key !== '_id').map(([key, accumulator]) => {
+          const [[name, expr]] = Object.entries(accumulator);
+          if (!ACCUMULATORS[name]) throw new Error(`memoryDb: unsupported accumulator ${name}`);
+          return [key, ACCUMULATORS[name](members.map(row => evaluate(expr, row)))];
+        }))
+      }));
+    }
+    default:
+      throw new Error(`memoryDb: unsupported aggregation stage ${op}`);
+  }
+}, docs);
+
+// ── Query and session stand-ins ─────────────────────────────────────────────
+// Thenable with the chainable query methods the services call. A function runs when the
+// query is awaited, like a real Mongoose query, so each call is atomic.
+const query = (value) => {
+  const run = typeof value === 'function' ? value : () => value;
+  const q = {
+    session: () => q,
+    lean: () => q,
+    select: () => q,
+    populate: () => q,
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    exec: () => Promise.resolve().then(run),
+    then: (resolve, reject) => q.exec().then(resolve, reject),
+    catch: (reject) => q.exec().catch(reject)
+  };
+  return q;
+};
+
+const fakeSession = () => {
+  let active = false;
+  return {
+    startTransaction: () => { active = true; },
+    commitTransaction: async () => { active = false; },
+    abortTransaction: async () => { active = false; },
+    inTransaction: () => active,
+    endSession: () => {}
+  };
+};
+
+const duplicateKeyError = (modelName, fields) => {
+  const err = new Error(`E11000 duplicate key error collection: ${modelName} index: ${fields.join('_')}`);
+  err.code = 11000;
+  return err;
+};
+
+/**
+ * Replace a model's statics with an in-memory collection of plain documents.
+ * New documents get the schema's defaults and casting (via `new Model()`), and writes are
+ * checked against the schema's unique indexes, including partialFilterExpression.
+ * Results are plain objects whatever the query asks for, as with `.lean()`.
+ *
+ * @returns {{ docs: Array, insert: Function, reset: Function }}
+ */
+const memoryModel = (Model, initial = []) => {
+  const store = { docs: [] };
+  const uniqueIndexes = [
+    { fields: ['_id'], options: {} },
+    ...Model.schema.indexes()
+      .filter(([, options]) => options?.unique)
+      .map(([fields, options]) => ({ fields: Object.keys(fields), options }))
+  ];
+
+  const checkUnique = (docs) => {
+    for (const { fields, options } of uniqueIndexes) {
+      const seen = new Set();
+      for (const doc of docs) {
+        if (options.partialFilterExpression && !matches(doc, options.partialFilterExpression)) continue;
+        if (options.sparse && fields.every(f => getPath(doc, f) === undefined)) continue;
+        const key = JSON.stringify(fields.map(f => normalize(getPath(doc, f))));
+        if (seen.has(key)) throw duplicateKeyError(Model.modelName, fields);
+        seen.add(key);
+      }
+    }
+  };
+
+  // apply writes to copies and keep them only if no unique index is broken
+  const write = (change) => {
+    const docs = store.docs.map(clone);
+    const result = change(docs);
+    checkUnique(docs);
+    store.docs = docs;
+    return result;
+  };
+
+  const build = (data) => new Model(data).toObject({ depopulate: true });
+  const insert = (...docs) => write(all => {
+    const built = docs.map(build);
+    all.push(...built);
+    return built.map(clone);
+  });
+  const idFilter = (id) => ({ _id: id?._id || id });
+  const find = (filter) => store.docs.filter(doc => matches(doc, filter));
+
+  const findOneAndUpdate = (filter, update, options = {}) => write(docs => {
+    let doc = docs.find(d => matches(d, filter));
+    let before = clone(doc) || null;
+    if (!doc) {
+      if (!options.upsert) return null;
+      const seed = Object.fromEntries(Object.entries(filter).filter(([key, v]) => !key.startsWith('$') && !isPlainObject(v)));
+      doc = build(applyUpdate(seed, update, { inserting: true }));
+      docs.push(doc);
+      before = null;
+    } else {
+      applyUpdate(doc, update);
+    }
+    const returnNew = options.new || options.returnDocument === 'after';
+    return returnNew ? clone(doc) : before;
+  });
+
+  const updateMatching = (filter, update, { many = false, upsert = false } = {}) => write(docs => {
+    const matched = docs.filter(d => matches(d, filter)).slice(0, many ? undefined : 1);
+    let modifiedCount = 0;
+    for (const doc of matched) {
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      if (!same(before, doc)) modifiedCount += 1;
+    }
+    if (!matched.length && upsert) {
+      docs.push(build(applyUpdate({ ...filter }, update, { inserting: true })));
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount };
+  });
+
+  const deleteMatching = (filter, many) => write(docs => {
+    const doomed = docs.filter(d => matches(d, filter)).slice(0, many ? undefined : 1);
+    for (const doc of doomed) docs.splice(docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doomed.length };
+  });
+
+  mock.method(Model, 'find', (filter) => query(() => find(filter).map(clone)));
+  mock.method(Model, 'findOne', (filter) => query(() => clone(find(filter)[0]) || null));
+  mock.method(Model, 'findById', (id) => query(() => clone(find(idFilter(id))[0]) || null));
+  mock.method(Model, 'exists', (filter) => query(() => (find(filter)[0] ? { _id: find(filter)[0]._id } : null)));
+  mock.method(Model, 'countDocuments', (filter) => query(() => find(filter).length));
+  mock.method(Model, 'aggregate', (pipeline) => query(() => aggregate(store.docs, pipeline).map(clone)));
+  mock.method(Model, 'distinct', (field, filter) => query(() =>
+    find(filter).map(doc => getPath(doc, field)).filter((v, i, all) => all.findIndex(w => same(v, w)) === i)));
+  mock.method(Model, 'create', async (data) => {
+    const created = insert(...[].concat(data));
+    return Array.isArray(data) ? created : created[0];
+  });
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options) =>
+    query(() => findOneAndUpdate(filter, update, options)));
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) =>
+    query(() => findOneAndUpdate(idFilter(id), update, options)));
+  mock.method(Model, 'updateOne', (filter, update, options) =>
+    query(() => updateMatching(filter, update, { upsert: options?.upsert })));
+  mock.method(Model, 'updateMany', (filter, update, options) =>
+    query(() => updateMatching(filter, update, { many: true, upsert: options?.upsert })));
+  mock.method(Model, 'deleteOne', (filter) => query(() => deleteMatching(filter, false)));
+  mock.method(Model, 'deleteMany', (filter) => query(() => deleteMatching(filter, true)));
+  mock.method(Model.collection, 'findOne', async (filter) => clone(find(filter)[0]) || null);
+  mock.method(Model.collection, 'find', (filter) => ({ toArray: async () => find(filter).map(clone) }));
+
+  store.insert = insert;
+  store.get = (id) => clone(find(idFilter(id))[0]) || null;
+  store.reset = (...docs) => {
+    store.docs = [];
+    return insert(...docs);
+  };
+  if (initial.length) insert(...initial);
+  return store;
+};
+
+module.exports = {
+  query,
+  fakeSession,
+  matches,
+  evaluate,
+  applyUpdate,
+  aggregate,
+  memoryModel
+};
@@ -0,0 +1,205 @@
+// test/idempotency.test.js
+// The Idempotency-Key middleware on create endpoints: replaying retries, refusing a key
+// reused for another payload or while the first request runs, and keeping keys apart per
+// signed-in user, guest email and IP. The database is replaced by in-memory collections
+// (test/helpers/memoryDb.js), which enforce the (key, scope) unique index.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const IdempotencyKey = require('../model/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+const { memoryModel } = require('./helpers/memoryDb');
+
+let keys;
+let app;
+let baseUrl;
+let created;
+let release;
+
+// stands in for authMiddleware: the caller's id comes from a header
+const signedIn = (req, res, next) => {
+  const id = req.get('X-Test-User');
+  if (id) req.user = { id };
+  next();
+};
+
+before(async () => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  keys = memoryModel(IdempotencyKey);
+
+  app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.post('/orders', signedIn, idempotency, (req, res) => {
+    created += 1;
+    res.status(201).json({ success: true, number: created, item: req.body.item });
+  });
+  app.post('/sales', idempotency, (req, res) => {
+    created += 1;
+    res.status(201).json({ success: true, number: created });
+  });
+  app.post('/slow', idempotency, async (req, res) => {
+    await new Promise(resolve => { release = resolve; });
+    created += 1;
+    res.status(201).json({ success: true, number: created });
+  });
+  app.post('/failing', idempotency, (req, res) => {
+    created += 1;
+    res.status(503).json({ success: false, msg: 'try again later' });
+  });
+  app.server = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  app.server.closeAllConnections();
+  await new Promise(resolve => app.server.close(resolve));
+});
+
+beforeEach(() => {
+  keys.reset();
+  created = 0;
+});
+
+// the stored response is written once the first response has finished
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const post = async (path, body, { key = 'key-1', user, ip = '203.0.113.1' } = {}) => {
+  const headers = { 'Content-Type': 'application/json', 'X-Forwarded-For': ip };
+  if (key) headers['Idempotency-Key'] = key;
+  if (user) headers['X-Test-User'] = user;
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(5000)
+  });
+  await settle();
+  return { status: res.status, replayed: res.headers.get('Idempotent-Replayed'), body: await res.json() };
+};
+
+describe('idempotency middleware', () => {
+  it('runs every request sent without a key', async () => {
+    await post('/orders', { item: 'tee' }, { key: null });
+    await post('/orders', { item: 'tee' }, { key: null });
+
+    assert.equal(created, 2);
+    assert.equal(keys.docs.length, 0);
+  });
+
+  it('replays the stored response for a retry with the same payload', async () => {
+    const first = await post('/orders', { item: 'tee', quantity: 2 }, { user: 'user-1' });
+    const retry = await post('/orders', { quantity: 2, item: 'tee' }, { user: 'user-1' });
+
+    assert.equal(created, 1);
+    assert.equal(first.replayed, null);
+    assert.equal(retry.replayed, 'true');
+    assert.equal(retry.status, 201);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(keys.docs[0].status, 'completed');
+  });
+
+  it('refuses a key reused with a different payload', async () => {
+    await post('/orders', { item: 'tee' }, { user: 'user-1' });
+    const reused = await post('/orders', { item: 'cap' }, { user: 'user-1' });
+
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.msg, 'Idempotency-Key was already used with a different request payload');
+    assert.equal(created, 1);
+  });
+
+  it('refuses a retry while the first request is still running, then replays it', async () => {
+    const first = post('/slow', {});
+    while (!release) await settle();
+
+    const during = await post('/slow', {});
+    assert.equal(during.status, 409);
+
+    release();
+    release = null;
+    assert.equal((await first).status, 201);
+
+    const afterwards = await post('/slow', {});
+    assert.equal(afterwards.replayed, 'true');
+    assert.equal(created, 1);
+  });
+
+  it('takes over a key whose first request was abandoned', async () => {
+    const first = await post('/orders', { item: 'tee' });
+    await IdempotencyKey.updateOne({}, { $set: { status: 'processing', lockedAt: new Date(Date.now() - 3 * 60 * 1000) } });
+
+    const retry = await post('/orders', { item: 'tee' });
+
+    assert.equal(retry.replayed, null);
+    assert.equal(retry.body.number, first.body.number + 1);
+    assert.equal(keys.docs[0].status, 'completed');
+  });
+
+  it('does not store server errors so the same key can be retried', async () => {
+    await post('/failing', {});
+    const retry = await post('/failing', {});
+
+    assert.equal(retry.status, 503);
+    assert.equal(retry.replayed, null);
+    assert.equal(created, 2);
+    assert.equal(keys.docs.length, 0);
+  });
+
+  it('rejects keys over 255 characters', async () => {
+    const res = await post('/orders', {}, { key: 'k'.repeat(256) });
+
+    assert.equal(res.status, 400);
+    assert.equal(created, 0);
+  });
+
+  describe('scope', () => {
+    it('keeps the same key apart for different signed-in users', async () => {
+      const mine = await post('/orders', { item: 'tee' }, { user: 'user-1' });
+      const theirs = await post('/orders', { item: 'tee' }, { user: 'user-2' });
+      const mineAgain = await post('/orders', { item: 'tee' }, { user: 'user-1', ip: '198.51.100.7' });
+
+      assert.equal(theirs.replayed, null);
+      assert.notEqual(theirs.body.number, mine.body.number);
+      assert.equal(mineAgain.replayed, 'true');
+      assert.equal(created, 2);
+    });
+
+    it('scopes guests by the email they order with, in any case', async () => {
+      const order = (email, ip) => post('/orders', { item: 'tee', shippingAddress: { email } }, { ip });
+
+      await order('guest@example.com', '203.0.113.1');
+      const otherGuest = await order('other@example.com', '203.0.113.1');
+      assert.equal(otherGuest.replayed, null);
+      assert.equal(created, 2);
+
+      // same guest from another IP: the body differs only in how the email is typed, so a 422
+      // shows the key was found in that guest's scope
+      const sameGuest = await post('/orders', { item: 'tee', shippingAddress: { email: ' Guest@Example.com ' } }, { ip: '198.51.100.7' });
+      assert.equal(sameGuest.status, 422);
+    });
+
+    it('scopes guests without an email by IP', async () => {
+      await post('/orders', { item: 'tee' }, { ip: '203.0.113.1' });
+      const otherIp = await post('/orders', { item: 'tee' }, { ip: '203.0.113.2' });
+      const sameIp = await post('/orders', { item: 'tee' }, { ip: '203.0.113.1' });
+
+      assert.equal(otherIp.replayed, null);
+      assert.equal(sameIp.replayed, 'true');
+      assert.equal(created, 2);
+    });
+
+    it('keeps the same key apart per endpoint', async () => {
+      await post('/orders', {});
+      const sale = await post('/sales', {});
+
+      assert.equal(sale.replayed, null);
+      assert.equal(created, 2);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+// test/orderStateMachine.test.js
+// Order status / trackingStatus / paymentStatus transitions: the transition tables, the
+// guards, the changes one field implies on the others and the stock and payment side
+// effects. The database is replaced by in-memory collections (test/helpers/memoryDb.js);
+// lot and location bookkeeping have their own services and are stubbed out.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../model/Order');
+const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
+const Coupon = require('../model/Coupon');
+const CouponRedemption = require('../model/CouponRedemption');
+const User = require('../model/User');
+const stockLotService = require('../services/stockLotService');
+const locationService = require('../services/locationService');
+const { memoryModel } = require('./helpers/memoryDb');
+
+const LOCATION_ID = new mongoose.Types.ObjectId();
+const STAFF = { id: new mongoose.Types.ObjectId().toString(), role: 'Manager' };
+
+let variants;
+let coupons;
+let redemptions;
+let machine;
+
+before(() => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  mock.method(stockLotService, 'allocateLots', async () => []);
+  mock.method(stockLotService, 'restoreLots', async () => []);
+  mock.method(locationService, 'getFulfillmentLocation', async () => ({ _id: LOCATION_ID }));
+  mock.method(locationService, 'takeLocationStock', async () => []);
+  mock.method(locationService, 'addLocationStock', async () => []);
+
+  variants = memoryModel(Variant);
+  coupons = memoryModel(Coupon);
+  redemptions = memoryModel(CouponRedemption);
+  memoryModel(StockMovement);
+  memoryModel(User);
+
+  // required after the mocks so the stock service picks up the replaced lot / location functions
+  machine = require('../services/orderStateMachine');
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  variants.reset();
+  coupons.reset();
+  redemptions.reset();
+});
+
+// A pending online order holding 2 of 5 units of one variant
+const makeOrder = (overrides = {}) => {
+  const [variant] = variants.insert({ product: new mongoose.Types.ObjectId(), sku: 'TEE-M', price: 10, stockQuantity: 5, reservedQuantity: 2 });
+  return new Order({
+    orderNumber: 'ORD-0001',
+    user: new mongoose.Types.ObjectId(),
+    items: [{ product: variant.product, variant: variant._id, quantity: 2, price: 10, total: 20 }],
+    subtotal: 20,
+    total: 20,
+    paymentMethod: 'Online',
+    status: 'pending',
+    trackingStatus: 'not shipped',
+    stockReservation: 'reserved',
+    ...overrides
+  });
+};
+
+const stockOf = (order) => {
+  const { stockQuantity, reservedQuantity } = variants.get(order.items[0].variant);
+  return { stockQuantity, reservedQuantity };
+};
+
+const history = (order) => order.statusHistory.map(({ field, from, to, note }) => ({ field, from, to, note }));
+
+describe('canTransition', () => {
+  it('follows the transition tables', () => {
+    assert.equal(machine.canTransition('status', 'pending', 'confirmed'), true);
+    assert.equal(machine.canTransition('status', 'shipped', 'cancelled'), false);
+    assert.equal(machine.canTransition('status', 'cancelled', 'pending'), false);
+    assert.equal(machine.canTransition('trackingStatus', 'in transit', 'shipped'), false);
+    assert.equal(machine.canTransition('paymentStatus', 'paid', 'partially_refunded'), true);
+    assert.equal(machine.canTransition('paymentStatus', 'refunded', 'paid'), false);
+    assert.equal(machine.canTransition('paymentStatus', 'unknown', 'paid'), false);
+  });
+
+  it('only leads to known states and ends in terminal ones', () => {
+    for (const table of [machine.STATUS_TRANSITIONS, machine.TRACKING_TRANSITIONS, machine.PAYMENT_TRANSITIONS]) {
+      for (const targets of Object.values(table)) {
+        for (const target of targets) assert.ok(table[target], `${target} is a known state`);
+      }
+    }
+    assert.deepEqual(machine.STATUS_TRANSITIONS.cancelled, []);
+    assert.deepEqual(machine.PAYMENT_TRANSITIONS.refunded, []);
+  });
+});
+
+describe('transitionOrder', () => {
+  it('records each change with its actor and note', async () => {
+    const order = makeOrder();
+
+    const changes = await machine.transitionOrder(order, { status: 'confirmed' }, { actor: STAFF, note: 'checked by phone' });
+
+    assert.deepEqual(changes, [{ field: 'status', from: 'pending', to: 'confirmed', implied: false }]);
+    assert.equal(order.status, 'confirmed');
+    const [entry] = order.statusHistory;
+    assert.equal(entry.changedBy.toString(), STAFF.id);
+    assert.equal(entry.changedByRole, 'Manager');
+    assert.equal(entry.note, 'checked by phone');
+  });
+
+  it('treats a missing paymentStatus as unpaid and skips no-op requests', async () => {
+    const order = makeOrder();
+
+    const changes = await machine.transitionOrder(order, { status: 'pending', paymentStatus: 'pending' });
+
+    assert.deepEqual(changes, [{ field: 'paymentStatus', from: 'unpaid', to: 'pending', implied: false }]);
+    assert.equal(order.statusHistory[0].changedByRole, 'system');
+  });
+
+  it('throws INVALID_TRANSITION for moves outside the tables and leaves the order alone', async () => {
+    const order = makeOrder({ status: 'delivered', trackingStatus: 'delivered' });
+
+    await assert.rejects(machine.transitionOrder(order, { status: 'pending' }), {
+      code: 'INVALID_TRANSITION',
+      message: 'Cannot change status from delivered to pending'
+    });
+    await assert.rejects(machine.transitionOrder(order, { status: 'lost' }), {
+      code: 'INVALID_TRANSITION',
+      message: 'Invalid status: lost'
+    });
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.statusHistory.length, 0);
+  });
+
+  describe('guards', () => {
+    it('does not ship an order before it is confirmed', async () => {
+      const order = makeOrder();
+
+      await assert.rejects(machine.transitionOrder(order, { trackingStatus: 'shipped' }), {
+        code: 'INVALID_TRANSITION',
+        message: 'Order must be confirmed before shipping (status is pending)'
+      });
+      assert.equal(order.trackingStatus, 'not shipped');
+    });
+
+    it('only cancels a shipment together with its order', async () => {
+      const order = makeOrder({ status: 'confirmed' });
+
+      await assert.rejects(machine.transitionOrder(order, { trackingStatus: 'cancelled' }), {
+        message: 'Cancel the order to cancel its shipment'
+      });
+    });
+
+    it('does not mark a cancelled order paid', async () => {
+      const order = makeOrder({ status: 'cancelled', trackingStatus: 'cancelled', paymentStatus: 'pending' });
+
+      await assert.rejects(machine.transitionOrder(order, { paymentStatus: 'paid' }), {
+        message: 'Cancelled orders cannot have payment marked as paid'
+      });
+    });
+
+    it('takes cash on delivery only once delivered', async () => {
+      const order = makeOrder({ paymentMethod: 'COD', status: 'shipped', trackingStatus: 'shipped', stockReservation: 'deducted' });
+
+      await assert.rejects(machine.transitionOrder(order, { paymentStatus: 'paid' }), {
+        message: 'COD payment can only be marked after delivery.'
+      });
+    });
+  });
+
+  describe('cascades', () => {
+    it('confirms a pending order once it is paid and deducts its reserved stock', async () => {
+      const order = makeOrder({ paymentStatus: 'pending', reservationExpiresAt: new Date(Date.now() + 60000) });
+
+      const changes = await machine.transitionOrder(order, { paymentStatus: 'paid' }, { actor: STAFF });
+
+      assert.deepEqual(changes, [
+        { field: 'paymentStatus', from: 'pending', to: 'paid', implied: false },
+        { field: 'status', from: 'pending', to: 'confirmed', implied: true }
+      ]);
+      assert.equal(order.isPaymentVerified, true);
+      assert.equal(order.paymentVerifiedBy.toString(), STAFF.id);
+      assert.equal(order.reservationExpiresAt, null);
+      assert.equal(order.stockReservation, 'deducted');
+      assert.deepEqual(stockOf(order), { stockQuantity: 3, reservedQuantity: 0 });
+      assert.equal(history(order)[1].note, 'Follows paymentStatus → paid');
+    });
+
+    it('keeps an order pending when the deduction fails', async () => {
+      const order = makeOrder({ paymentStatus: 'pending' });
+      await Variant.updateOne({ _id: order.items[0].variant }, { $set: { stockQuantity: 1 } });
+
+      await assert.rejects(machine.transitionOrder(order, { paymentStatus: 'paid' }), { code: 'INSUFFICIENT_STOCK' });
+      assert.equal(order.status, 'pending');
+      assert.equal(order.stockReservation, 'reserved');
+    });
+
+    it('cancelling an unpaid order releases its stock, shipments, payment and coupon', async () => {
+      const order = makeOrder({
+        paymentStatus: 'pending',
+        isPaymentVerified: false,
+        shipments: [{ shipmentNumber: '#ORD-0001-S1', trackingStatus: 'not shipped' }]
+      });
+      const [coupon] = coupons.insert({
+        code: 'SAVE10', discountType: 'Percentage', discountValue: 10, usedCount: 1,
+        startDate: new Date(), endDate: new Date()
+      });
+      redemptions.insert({ coupon: coupon._id, code: 'SAVE10', user: order.user, order: order._id, discount: 2, slot: 1 });
+
+      const changes = await machine.transitionOrder(order, { status: 'cancelled' }, { actor: STAFF, note: 'customer asked' });
+
+      assert.deepEqual(changes.map(c => [c.field, c.to, c.implied]), [
+        ['status', 'cancelled', false],
+        ['trackingStatus', 'cancelled', true],
+        ['paymentStatus', 'unpaid', true]
+      ]);
+      assert.equal(order.stockReservation, 'released');
+      assert.deepEqual(stockOf(order), { stockQuantity: 5, reservedQuantity: 0 });
+      assert.equal(order.shipments[0].trackingStatus, 'cancelled');
+      assert.equal(order.shipments[0].events[0].note, 'Order cancelled');
+      assert.equal(redemptions.docs[0].status, 'reversed');
+      assert.equal(coupons.get(coupon._id).usedCount, 0);
+    });
+
+    it('cancelling a confirmed order restocks it and keeps a recorded payment', async () => {
+      const order = makeOrder({ status: 'confirmed', paymentStatus: 'paid', isPaymentVerified: true, stockReservation: 'deducted' });
+      await Variant.updateOne({ _id: order.items[0].variant }, { $set: { stockQuantity: 3, reservedQuantity: 0 } });
+
+      const changes = await machine.transitionOrder(order, { status: 'cancelled' });
+
+      assert.deepEqual(changes.map(c => c.field), ['status', 'trackingStatus']);
+      assert.equal(order.paymentStatus, 'paid');
+      assert.equal(order.isPaymentVerified, true);
+      assert.deepEqual(stockOf(order), { stockQuantity: 5, reservedQuantity: 0 });
+    });
+
+    it('moves status and tracking together when shipping and delivering', async () => {
+      const order = makeOrder({ status: 'confirmed', stockReservation: 'deducted' });
+
+      await machine.transitionOrder(order, { trackingStatus: 'in transit' });
+      assert.equal(order.status, 'shipped');
+
+      await machine.transitionOrder(order, { status: 'delivered' });
+      assert.equal(order.trackingStatus, 'delivered');
+      assert.deepEqual(history(order).map(h => `${h.field}:${h.to}`), [
+        'trackingStatus:in transit', 'status:shipped', 'status:delivered', 'trackingStatus:delivered'
+      ]);
+    });
+
+    it('marks cash on delivery paid on delivery', async () => {
+      const order = makeOrder({ paymentMethod: 'COD', status: 'shipped', trackingStatus: 'shipped', stockReservation: 'deducted' });
+
+      await machine.transitionOrder(order, { status: 'delivered' }, { actor: STAFF });
+
+      assert.equal(order.trackingStatus, 'delivered');
+      assert.equal(order.paymentStatus, 'paid');
+      assert.equal(order.isPaymentVerified, true);
+    });
+
+    it('skips implied changes that are not valid from the current state', async () => {
+      // already past 'shipped' on the tracking side: shipping the order must not move it back
+      const order = makeOrder({ status: 'confirmed', trackingStatus: 'in transit', stockReservation: 'deducted' });
+
+      const changes = await machine.transitionOrder(order, { status: 'shipped' });
+
+      assert.deepEqual(changes.map(c => c.field), ['status']);
+      assert.equal(order.trackingStatus, 'in transit');
+    });
+  });
+});
@@ -0,0 +1,380 @@
+// test/paypal.test.js
+// PayPal capture + webhook handling against a local stub of the PayPal REST API
+// (PAYPAL_API_BASE_URL). The database is replaced by in-memory documents.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Order = require('../model/Order');
+const User = require('../model/User');
+const AppConfiguration = require('../model/app_configuration');
+const { query, fakeSession } = require('./helpers/memoryDb');
+
+// ── PayPal stub ──────────────────────────────────────────────────────────────
+const stub = {
+  requests: [],
+  captureResult: null,
+  verificationStatus: 'SUCCESS'
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+});
+
+const paypalStub = http.createServer(async (req, res) => {
+  const body = await readBody(req);
+  stub.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+  const send = (status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  if (req.method === 'POST' && req.url === '/v1/oauth2/token') {
+    return send(200, { access_token: 'stub-access-token', token_type: 'Bearer', expires_in: 32400 });
+  }
+  if (req.method === 'POST' && /^\/v2\/checkout\/orders\??$/.test(req.url)) {
+    return send(201, {
+      id: 'PAYPAL-ORDER-2',
+      status: 'CREATED',
+      links: [{ rel: 'approve', href: 'https://www.sandbox.paypal.com/checkoutnow?token=PAYPAL-ORDER-2' }]
+    });
+  }
+  if (req.method === 'POST' && /^\/v2\/checkout\/orders\/[^/]+\/capture/.test(req.url)) {
+    return send(201, stub.captureResult);
+  }
+  if (req.method === 'POST' && req.url === '/v1/notifications/verify-webhook-signature') {
+    return send(200, { verification_status: stub.verificationStatus });
+  }
+  send(404, { name: 'RESOURCE_NOT_FOUND' });
+});
+
+const captureResponse = ({ value = '59.90', currency = 'USD', status = 'COMPLETED' } = {}) => ({
+  id: 'PAYPAL-ORDER-1',
+  status: 'COMPLETED',
+  purchase_units: [{
+    reference_id: 'order',
+    payments: {
+      captures: [{ id: 'CAPTURE-1', status, amount: { currency_code: currency, value } }]
+    }
+  }]
+});
+
+// ── In-memory database ───────────────────────────────────────────────────────
+const orders = new Map();
+
+const makeOrder = (overrides = {}) => {
+  const order = new Order({
+    orderNumber: 'ORD-0001',
+    guest: { name: 'Guest Buyer' },
+    items: [],
+    subtotal: 59.9,
+    total: 59.9,
+    paymentMethod: 'Online',
+    paymentProvider: 'PayPal',
+    paymentId: 'PAYPAL-ORDER-1',
+    paymentStatus: 'pending',
+    status: 'pending',
+    ...overrides
+  });
+  orders.set(order._id.toString(), order);
+  return order;
+};
+
+const webhookHeaders = {
+  'Content-Type': 'application/json',
+  'paypal-auth-algo': 'SHA256withRSA',
+  'paypal-cert-url': 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-1',
+  'paypal-transmission-id': 'TRANSMISSION-1',
+  'paypal-transmission-sig': 'signature',
+  'paypal-transmission-time': new Date().toISOString()
+};
+
+let paypalService;
+let app;
+let appUrl;
+
+before(async () => {
+  await new Promise(resolve => paypalStub.listen(0, '127.0.0.1', resolve));
+  process.env.PAYPAL_API_BASE_URL = `http://127.0.0.1:${paypalStub.address().port}`;
+  process.env.PAYPAL_CLIENT_ID = 'stub-client';
+  process.env.PAYPAL_CLIENT_SECRET = 'stub-secret';
+  process.env.PAYPAL_WEBHOOK_ID = 'WEBHOOK-1';
+
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  mock.method(mongoose, 'startSession', async () => fakeSession());
+  mock.method(Order, 'findById', (id) => query(orders.get(String(id)) || null));
+  mock.method(Order, 'findOne', (filter) => query(
+    [...orders.values()].find(order => Object.entries(filter).every(([key, value]) => order.get(key) === value)) || null
+  ));
+  mock.method(Order.prototype, 'save', async function () { return this; });
+  mock.method(AppConfiguration, 'findOne', () => query({ currencyCode: 'usd', currencySign: '$' }));
+  mock.method(User, 'find', () => query([]));
+  mock.method(User, 'findById', () => query(null));
+
+  paypalService = require('../services/paypalService');
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/v1/payments/paypal', require('../router/paypalRouter'));
+  app.server = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  appUrl = `http://127.0.0.1:${app.server.address().port}/api/v1/payments/paypal`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  for (const server of [paypalStub, app.server]) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+beforeEach(() => {
+  orders.clear();
+  stub.requests = [];
+  stub.captureResult = null;
+  stub.verificationStatus = 'SUCCESS';
+});
+
+const postWebhook = (event) => fetch(`${appUrl}/webhook`, {
+  method: 'POST',
+  headers: webhookHeaders,
+  body: JSON.stringify(event)
+});
+
+describe('createPaypalOrder', () => {
+  it('creates a PayPal order for the order total and links it to the order', async () => {
+    const order = makeOrder({ paymentId: null, paymentStatus: null });
+
+    const data = await paypalService.createPaypalOrder(order);
+
+    assert.equal(data.paypalOrderId, 'PAYPAL-ORDER-2');
+    assert.match(data.approveUrl, /token=PAYPAL-ORDER-2/);
+    assert.deepEqual(data.amount, { currencyCode: 'USD', value: '59.90' });
+    assert.equal(order.paymentId, 'PAYPAL-ORDER-2');
+    assert.equal(order.paymentStatus, 'pending');
+
+    const create = stub.requests.find(r => r.path.startsWith('/v2/checkout/orders?'));
+    assert.equal(JSON.parse(create.body).purchase_units[0].amount.value, '59.90');
+  });
+
+  it('refuses an order whose payment is under review without calling PayPal', async () => {
+    const order = makeOrder({ paymentId: null, paymentStatus: 'under_review' });
+
+    await assert.rejects(paypalService.createPaypalOrder(order), (err) => {
+      assert.equal(err.code, 'PAYMENT_ERROR');
+      assert.equal(err.status, 409);
+      return true;
+    });
+    assert.ok(!stub.requests.some(r => r.path.startsWith('/v2/checkout/orders')));
+    assert.equal(order.paymentStatus, 'under_review');
+  });
+});
+
+describe('capturePaypalOrder', () => {
+  it('marks the order paid when the captured amount and currency match', async () => {
+    const order = makeOrder();
+    stub.captureResult = captureResponse();
+
+    const { order: updated, alreadyPaid } = await paypalService.capturePaypalOrder(order);
+
+    assert.equal(alreadyPaid, false);
+    assert.equal(updated.paymentStatus, 'paid');
+    assert.equal(updated.status, 'confirmed');
+    assert.equal(updated.isPaymentVerified, true);
+    assert.equal(updated.paymentCaptureId, 'CAPTURE-1');
+
+    const capture = stub.requests.find(r => r.path.startsWith('/v2/checkout/orders/PAYPAL-ORDER-1/capture'));
+    assert.ok(capture, 'capture request was sent to PayPal');
+    assert.equal(capture.headers.authorization, 'Bearer stub-access-token');
+  });
+
+  it('puts the order under review when the captured amount differs from the total', async () => {
+    const order = makeOrder();
+    stub.captureResult = captureResponse({ value: '1.00' });
+
+    await assert.rejects(paypalService.capturePaypalOrder(order), (err) => {
+      assert.equal(err.code, 'PAYMENT_ERROR');
+      assert.equal(err.status, 422);
+      assert.match(err.message, /Captured amount 1\.00 does not match order total 59\.90/);
+      return true;
+    });
+
+    assert.equal(order.paymentStatus, 'under_review');
+    assert.equal(order.status, 'pending');
+    assert.equal(order.isPaymentVerified, false);
+  });
+
+  it('puts the order under review when the captured currency differs', async () => {
+    const order = makeOrder();
+    stub.captureResult = captureResponse({ currency: 'EUR' });
+
+    await assert.rejects(paypalService.capturePaypalOrder(order), (err) => {
+      assert.equal(err.status, 422);
+      assert.match(err.message, /Captured currency EUR does not match USD/);
+      return true;
+    });
+
+    assert.equal(order.paymentStatus, 'under_review');
+    assert.equal(order.isPaymentVerified, false);
+  });
+
+  it('does not mark a pending capture as paid', async () => {
+    const order = makeOrder();
+    stub.captureResult = captureResponse({ status: 'PENDING' });
+
+    await assert.rejects(paypalService.capturePaypalOrder(order), /Capture status is PENDING/);
+    assert.equal(order.isPaymentVerified, false);
+  });
+});
+
+describe('POST /webhook', () => {
+  it('PAYMENT.CAPTURE.COMPLETED marks the order paid', async () => {
+    const order = makeOrder();
+
+    const res = await postWebhook({
+      id: 'WH-1',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: 'CAPTURE-1',
+        status: 'COMPLETED',
+        custom_id: order._id.toString(),
+        amount: { currency_code: 'USD', value: '59.90' }
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).msg, 'order marked paid');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.status, 'confirmed');
+    assert.equal(order.paymentCaptureId, 'CAPTURE-1');
+    assert.ok(stub.requests.some(r => r.path === '/v1/notifications/verify-webhook-signature'));
+  });
+
+  it('PAYMENT.CAPTURE.COMPLETED with a short amount is acknowledged but not paid', async () => {
+    const order = makeOrder();
+
+    const res = await postWebhook({
+      id: 'WH-2',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: 'CAPTURE-1',
+        status: 'COMPLETED',
+        custom_id: order._id.toString(),
+        amount: { currency_code: 'USD', value: '5.99' }
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(order.paymentStatus, 'under_review');
+    assert.equal(order.isPaymentVerified, false);
+  });
+
+  it('PAYMENT.CAPTURE.REFUNDED marks a paid order refunded', async () => {
+    const order = makeOrder({
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      isPaymentVerified: true,
+      paymentCaptureId: 'CAPTURE-1'
+    });
+
+    const res = await postWebhook({
+      id: 'WH-3',
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource: {
+        id: 'REFUND-1',
+        status: 'COMPLETED',
+        amount: { currency_code: 'USD', value: '59.90' },
+        links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAPTURE-1' }]
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).msg, 'order marked refunded');
+    assert.equal(order.paymentStatus, 'refunded');
+    assert.equal(order.refundedAmount, 59.9);
+    assert.equal(order.refunds[0].reference, 'REFUND-1');
+  });
+
+  it('PAYMENT.CAPTURE.REFUNDED for part of the total marks the order partially refunded', async () => {
+    const order = makeOrder({
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      isPaymentVerified: true,
+      paymentCaptureId: 'CAPTURE-1'
+    });
+    const refundEvent = (id, value) => ({
+      id: `WH-${id}`,
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource: {
+        id,
+        status: 'COMPLETED',
+        amount: { currency_code: 'USD', value },
+        links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAPTURE-1' }]
+      }
+    });
+
+    let res = await postWebhook(refundEvent('REFUND-1', '20.00'));
+    assert.equal((await res.json()).msg, 'order marked partially refunded');
+    assert.equal(order.paymentStatus, 'partially_refunded');
+    assert.equal(order.refundedAmount, 20);
+
+    // redelivered by PayPal: counted once
+    res = await postWebhook(refundEvent('REFUND-1', '20.00'));
+    assert.equal((await res.json()).msg, 'refund already recorded');
+    assert.equal(order.refundedAmount, 20);
+
+    res = await postWebhook(refundEvent('REFUND-2', '39.90'));
+    assert.equal((await res.json()).msg, 'order marked refunded');
+    assert.equal(order.paymentStatus, 'refunded');
+    assert.equal(order.refundedAmount, 59.9);
+    assert.deepEqual(order.refunds.map(r => r.amount), [20, 39.9]);
+  });
+
+  it('PAYMENT.CAPTURE.DENIED marks the payment failed and keeps the order pending', async () => {
+    const order = makeOrder();
+
+    const res = await postWebhook({
+      id: 'WH-4',
+      event_type: 'PAYMENT.CAPTURE.DENIED',
+      resource: {
+        id: 'CAPTURE-1',
+        status: 'DECLINED',
+        supplementary_data: { related_ids: { order_id: 'PAYPAL-ORDER-1' } }
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).msg, 'order marked failed');
+    assert.equal(order.paymentStatus, 'failed');
+    assert.equal(order.status, 'pending');
+    assert.equal(order.isPaymentVerified, false);
+  });
+
+  it('rejects events whose signature PayPal does not verify', async () => {
+    const order = makeOrder();
+    stub.verificationStatus = 'FAILURE';
+
+    const res = await postWebhook({
+      id: 'WH-5',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: 'CAPTURE-1',
+        status: 'COMPLETED',
+        custom_id: order._id.toString(),
+        amount: { currency_code: 'USD', value: '59.90' }
+      }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(order.paymentStatus, 'pending');
+    assert.equal(order.isPaymentVerified, false);
+  });
+});
@@ -0,0 +1,341 @@
+// test/stockReservation.test.js
+// Stock reservations: holding units at checkout, turning them into deductions, giving them
+// back, and the job that releases reservations of unpaid orders. The database is replaced by
+// in-memory collections (test/helpers/memoryDb.js); lot and location bookkeeping have their
+// own services and are recorded here instead of run.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+const Order = require('../model/Order');
+const Variant = require('../model/variantProduct');
+const StockMovement = require('../model/StockMovement');
+const StockAlert = require('../model/StockAlert');
+const CouponRedemption = require('../model/CouponRedemption');
+const User = require('../model/User');
+const AppConfiguration = require('../model/app_configuration');
+const stockLotService = require('../services/stockLotService');
+const locationService = require('../services/locationService');
+const { query, fakeSession, matches, memoryModel } = require('./helpers/memoryDb');
+
+const LOCATION_ID = new mongoose.Types.ObjectId();
+const LOT_ID = new mongoose.Types.ObjectId();
+const ADMIN_ID = new mongoose.Types.ObjectId();
+
+const calls = { allocateLots: [], restoreLots: [], takeLocationStock: [], addLocationStock: [] };
+const record = (name, result) => async (...args) => {
+  calls[name].push(args);
+  return result(...args);
+};
+
+let variants;
+let movements;
+let stock;
+const orders = new Map();
+
+before(() => {
+  // anything not replaced below fails straight away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  mock.method(mongoose, 'startSession', async () => fakeSession());
+
+  mock.method(stockLotService, 'allocateLots', record('allocateLots',
+    (variant, quantity) => [{ lot: LOT_ID, lotNumber: 'LOT-0001', variant, quantity, expiryDate: null }]));
+  mock.method(stockLotService, 'restoreLots', record('restoreLots',
+    (variant, quantity) => [{ lot: LOT_ID, lotNumber: 'LOT-0001', quantity }]));
+  mock.method(locationService, 'getFulfillmentLocation', async () => ({ _id: LOCATION_ID }));
+  mock.method(locationService, 'takeLocationStock', record('takeLocationStock',
+    (variant, quantity) => [{ location: LOCATION_ID, quantity }]));
+  mock.method(locationService, 'addLocationStock', record('addLocationStock',
+    (variant, quantity) => [{ location: LOCATION_ID, quantity }]));
+
+  variants = memoryModel(Variant);
+  movements = memoryModel(StockMovement);
+  memoryModel(StockAlert);
+  memoryModel(CouponRedemption);
+  memoryModel(AppConfiguration);
+  memoryModel(User, [{ _id: ADMIN_ID, name: 'Admin', email: 'admin@example.com', role: 'Super Admin' }]);
+
+  mock.method(Order, 'find', (filter) => query(() =>
+    [...orders.values()].filter(order => matches(order.toObject(), filter))));
+  mock.method(Order.prototype, 'save', async function () { return this; });
+
+  // required after the mocks so the services pick up the replaced lot / location functions
+  stock = require('../services/stockReservationService');
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  variants.reset();
+  movements.reset();
+  orders.clear();
+  for (const list of Object.values(calls)) list.length = 0;
+});
+
+const addVariant = (sku, stockQuantity, reservedQuantity = 0, extra = {}) =>
+  variants.insert({ product: new mongoose.Types.ObjectId(), sku, price: 10, stockQuantity, reservedQuantity, ...extra })[0];
+
+const line = (variant, quantity, extra = {}) => ({
+  product: variant.product,
+  variant: variant._id,
+  quantity,
+  price: 10,
+  total: 10 * quantity,
+  ...extra
+});
+
+const makeOrder = (items, overrides = {}) => {
+  const order = new Order({
+    orderNumber: `ORD-${String(orders.size + 1).padStart(4, '0')}`,
+    user: new mongoose.Types.ObjectId(),
+    items,
+    subtotal: 10,
+    total: 10,
+    paymentMethod: 'Online',
+    status: 'pending',
+    stockReservation: 'reserved',
+    ...overrides
+  });
+  orders.set(order._id.toString(), order);
+  return order;
+};
+
+describe('reserveStock', () => {
+  it('holds the ordered units without touching stockQuantity', async () => {
+    const variant = addVariant('TEE-M', 5, 1);
+
+    await stock.reserveStock([line(variant, 3)]);
+
+    const updated = variants.get(variant._id);
+    assert.equal(updated.reservedQuantity, 4);
+    assert.equal(updated.stockQuantity, 5);
+  });
+
+  it('refuses more than the unreserved stock', async () => {
+    const variant = addVariant('TEE-M', 5, 3);
+
+    await assert.rejects(stock.reserveStock([line(variant, 3)]), (err) => {
+      assert.equal(err.code, 'INSUFFICIENT_STOCK');
+      assert.equal(err.variantId, variant._id.toString());
+      return true;
+    });
+    assert.equal(variants.get(variant._id).reservedQuantity, 3);
+  });
+
+  it('does not oversell when checkouts race for the last units', async () => {
+    const variant = addVariant('TEE-M', 3);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => stock.reserveStock([line(variant, 1)]))
+    );
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(rejected.length, 2);
+    assert.ok(rejected.every(r => r.reason.code === 'INSUFFICIENT_STOCK'));
+    assert.equal(variants.get(variant._id).reservedQuantity, 3);
+  });
+
+  it('holds the components of a bundle line', async () => {
+    const food = addVariant('FOOD', 10);
+    const bowl = addVariant('BOWL', 10);
+    const kit = addVariant('KIT', 0, 0, { bundleItems: [{ variant: food._id, quantity: 1 }, { variant: bowl._id, quantity: 2 }] });
+
+    await stock.reserveStock([line(kit, 2, { bundleItems: kit.bundleItems })]);
+
+    assert.equal(variants.get(food._id).reservedQuantity, 2);
+    assert.equal(variants.get(bowl._id).reservedQuantity, 4);
+    assert.equal(variants.get(kit._id).reservedQuantity, 0);
+  });
+
+  it('names the bundle when one of its components is short', async () => {
+    const food = addVariant('FOOD', 1);
+    const kit = addVariant('KIT', 0, 0, { bundleItems: [{ variant: food._id, quantity: 1 }] });
+
+    await assert.rejects(stock.reserveStock([line(kit, 2, { bundleItems: kit.bundleItems })]), (err) => {
+      assert.equal(err.variantId, kit._id.toString());
+      assert.match(err.message, /component .* of bundle KIT/);
+      return true;
+    });
+  });
+});
+
+describe('releaseStock', () => {
+  it('gives held units back and never goes below zero', async () => {
+    const tee = addVariant('TEE-M', 5, 3);
+    const cap = addVariant('CAP', 5, 1);
+
+    await stock.releaseStock([line(tee, 2), line(cap, 4)]);
+
+    assert.equal(variants.get(tee._id).reservedQuantity, 1);
+    assert.equal(variants.get(cap._id).reservedQuantity, 0);
+    assert.equal(variants.get(tee._id).stockQuantity, 5);
+  });
+});
+
+describe('deductReservedStock', () => {
+  it('takes held units out of stock and logs a movement per line', async () => {
+    const variant = addVariant('TEE-M', 5, 2);
+    const order = makeOrder([line(variant, 2)], { status: 'confirmed' });
+
+    await stock.deductReservedStock(order, { performedBy: ADMIN_ID.toString() });
+
+    const updated = variants.get(variant._id);
+    assert.equal(updated.stockQuantity, 3);
+    assert.equal(updated.reservedQuantity, 0);
+    assert.equal(order.fulfillmentLocation.toString(), LOCATION_ID.toString());
+    assert.equal(order.items[0].lotAllocations[0].lot.toString(), LOT_ID.toString());
+    assert.equal(calls.takeLocationStock[0][2].stockBefore, 5);
+
+    const [movement] = movements.docs;
+    assert.equal(movement.movementType, 'Order Fulfillment');
+    assert.equal(movement.sku, 'TEE-M');
+    assert.equal(movement.previousQuantity, 5);
+    assert.equal(movement.newQuantity, 3);
+    assert.equal(movement.changeQuantity, -2);
+    assert.equal(movement.referenceId, order.orderNumber);
+    assert.equal(movement.performedBy.toString(), ADMIN_ID.toString());
+  });
+
+  it('refuses when stockQuantity no longer covers the line', async () => {
+    const variant = addVariant('TEE-M', 1, 2);
+    const order = makeOrder([line(variant, 2)]);
+
+    await assert.rejects(stock.deductReservedStock(order), { code: 'INSUFFICIENT_STOCK' });
+    assert.equal(variants.get(variant._id).stockQuantity, 1);
+    assert.equal(movements.docs.length, 0);
+  });
+
+  it('books job deductions to an admin account', async () => {
+    const variant = addVariant('TEE-M', 5, 1);
+    const order = makeOrder([line(variant, 1)]);
+
+    await stock.deductReservedStock(order);
+
+    assert.equal(movements.docs[0].performedBy.toString(), ADMIN_ID.toString());
+  });
+});
+
+describe('restockDeductedStock', () => {
+  it('puts deducted units back into their lots and location', async () => {
+    const variant = addVariant('TEE-M', 3);
+    const lotAllocations = [{ lot: LOT_ID, lotNumber: 'LOT-0001', variant: variant._id, quantity: 2 }];
+    const order = makeOrder([line(variant, 2, { lotAllocations })], {
+      stockReservation: 'deducted',
+      fulfillmentLocation: LOCATION_ID
+    });
+
+    await stock.restockDeductedStock(order);
+
+    assert.equal(variants.get(variant._id).stockQuantity, 5);
+    const [[restoredVariant, quantity, allocations]] = calls.restoreLots;
+    assert.equal(restoredVariant.toString(), variant._id.toString());
+    assert.equal(quantity, 2);
+    assert.equal(allocations[0].lot.toString(), LOT_ID.toString());
+    assert.equal(calls.addLocationStock[0][2].location.toString(), LOCATION_ID.toString());
+
+    const [movement] = movements.docs;
+    assert.equal(movement.movementType, 'Order Cancellation');
+    assert.equal(movement.isStockIncreasing, true);
+    assert.equal(movement.newQuantity, 5);
+    assert.match(movement.reason, /cancelled/);
+  });
+});
+
+describe('syncStockWithStatus', () => {
+  it('deducts a reservation when the order is confirmed', async () => {
+    const variant = addVariant('TEE-M', 5, 2);
+    const order = makeOrder([line(variant, 2)], { reservationExpiresAt: new Date() });
+
+    await stock.syncStockWithStatus(order, 'confirmed');
+
+    assert.equal(order.stockReservation, 'deducted');
+    assert.equal(order.reservationExpiresAt, null);
+    assert.equal(variants.get(variant._id).stockQuantity, 3);
+  });
+
+  it('releases a reservation when the order is cancelled before confirmation', async () => {
+    const variant = addVariant('TEE-M', 5, 2);
+    const order = makeOrder([line(variant, 2)]);
+
+    await stock.syncStockWithStatus(order, 'cancelled');
+
+    assert.equal(order.stockReservation, 'released');
+    assert.deepEqual(
+      { stock: variants.get(variant._id).stockQuantity, reserved: variants.get(variant._id).reservedQuantity },
+      { stock: 5, reserved: 0 }
+    );
+  });
+
+  it('restocks a deducted order when it is cancelled', async () => {
+    const variant = addVariant('TEE-M', 3);
+    const order = makeOrder([line(variant, 2)], { stockReservation: 'deducted' });
+
+    await stock.syncStockWithStatus(order, 'cancelled');
+
+    assert.equal(order.stockReservation, 'released');
+    assert.equal(variants.get(variant._id).stockQuantity, 5);
+  });
+
+  it('does not deduct an order again when it ships', async () => {
+    const variant = addVariant('TEE-M', 3);
+    const order = makeOrder([line(variant, 2)], { stockReservation: 'deducted' });
+
+    await stock.syncStockWithStatus(order, 'shipped');
+
+    assert.equal(variants.get(variant._id).stockQuantity, 3);
+    assert.equal(movements.docs.length, 0);
+  });
+
+  it('leaves orders from before reservations alone', async () => {
+    const variant = addVariant('TEE-M', 3);
+    const order = makeOrder([line(variant, 2)], { stockReservation: undefined });
+
+    await stock.syncStockWithStatus(order, 'cancelled');
+
+    assert.equal(order.stockReservation, undefined);
+    assert.equal(variants.get(variant._id).stockQuantity, 3);
+  });
+});
+
+describe('releaseExpiredReservations job', () => {
+  let releaseDue;
+
+  before(() => {
+    mock.method(cron, 'schedule', (expression, task) => { releaseDue = task; });
+    mock.method(console, 'log', () => {});
+    require('../jobs/releaseExpiredReservations')();
+  });
+
+  it('cancels unpaid orders whose reservation expired and frees their stock', async () => {
+    const variant = addVariant('TEE-M', 5, 3);
+    const expired = makeOrder([line(variant, 2)], { reservationExpiresAt: new Date(Date.now() - 60000) });
+    const current = makeOrder([line(variant, 1)], { reservationExpiresAt: new Date(Date.now() + 60000) });
+
+    await releaseDue();
+
+    assert.equal(expired.status, 'cancelled');
+    assert.equal(expired.stockReservation, 'released');
+    assert.equal(expired.trackingStatus, 'cancelled');
+    assert.match(expired.notes, /\[AUTO-CANCELLED\]/);
+    assert.equal(expired.statusHistory[0].note, 'Payment not received in time');
+
+    assert.equal(current.status, 'pending');
+    assert.equal(current.stockReservation, 'reserved');
+    assert.equal(variants.get(variant._id).reservedQuantity, 1);
+  });
+
+  it('leaves paid and cash-on-delivery orders alone', async () => {
+    const variant = addVariant('TEE-M', 5, 2);
+    const expiredAt = new Date(Date.now() - 60000);
+    const paid = makeOrder([line(variant, 1)], { reservationExpiresAt: expiredAt, isPaymentVerified: true });
+    const cod = makeOrder([line(variant, 1)], { reservationExpiresAt: expiredAt, paymentMethod: 'COD' });
+
+    await releaseDue();
+
+    assert.equal(paid.status, 'pending');
+    assert.equal(cod.status, 'pending');
+    assert.equal(variants.get(variant._id).reservedQuantity, 2);
+  });
+});
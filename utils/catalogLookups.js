@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Category = require('../model/Category');
+const Subcategory = require('../model/subCategory');
+const Brand = require('../model/Brand');
+const Unit = require('../model/Unit');
+
+// Resolve catalog references given either an ObjectId or a name
+// (product form fields, list filters and the CSV/XLSX import use these)
+
+const findCategoryByIdOrName = async (value) => {
+  if (!value) return null;
+  const trimmedValue = value.toString().trim();
+  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
+    return await Category.findById(trimmedValue);
+  }
+  return await Category.findOne({ name: trimmedValue, status: 'Active' });
+};
+
+// Subcategory names are only unique within a category: pass categoryId to pick the right one
+const findSubcategoryByIdOrName = async (value, categoryId = null) => {
+  if (!value) return null;
+  const trimmedValue = value.toString().trim();
+  let subDoc;
+  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
+    subDoc = await Subcategory.findById(trimmedValue);
+  } else {
+    const filter = { name: trimmedValue, status: 'Active' };
+    if (categoryId) filter.parent_category_id = categoryId;
+    subDoc = await Subcategory.findOne(filter);
+  }
+  if (subDoc) {
+    if (subDoc.status !== 'Active') {
+      return null;
+    }
+    return await subDoc.populate('parent_category_id', 'name');
+  }
+  return null;
+};
+
+const findBrandByIdOrName = async (value) => {
+  if (!value) return null;
+  const trimmedValue = value.toString().trim();
+  if (mongoose.Types.ObjectId.isValid(trimmedValue)) return await Brand.findById(trimmedValue);
+  return await Brand.findOne({ name: trimmedValue, status: 'Active' });
+};
+
+const findUnitByIdOrName = async (value) => {
+  if (!value) return null;
+  const trimmedValue = value.toString().trim();
+  if (mongoose.Types.ObjectId.isValid(trimmedValue)) {
+    return await Unit.findOne({ _id: trimmedValue, unit_status: 'enable' });
+  }
+  return await Unit.findOne({ unit_name: trimmedValue, unit_status: 'enable' });
+};
+
+module.exports = {
+  findCategoryByIdOrName,
+  findSubcategoryByIdOrName,
+  findBrandByIdOrName,
+  findUnitByIdOrName
+};
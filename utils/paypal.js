@@ -5,6 +5,16 @@ function environment() {
   const clientId = process.env.PAYPAL_CLIENT_ID;
   const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
 
+  // PAYPAL_API_BASE_URL points the client at another host (e.g. a local stub of the PayPal API)
+  if (process.env.PAYPAL_API_BASE_URL) {
+    return new checkoutNodeJssdk.core.PayPalEnvironment(
+      clientId,
+      clientSecret,
+      process.env.PAYPAL_API_BASE_URL,
+      process.env.PAYPAL_WEB_URL || process.env.PAYPAL_API_BASE_URL
+    );
+  }
+
   return process.env.NODE_ENV === 'production'
     ? new checkoutNodeJssdk.core.LiveEnvironment(clientId, clientSecret)
     : new checkoutNodeJssdk.core.SandboxEnvironment(clientId, clientSecret);
@@ -14,4 +24,16 @@ function paypalClient() {
   return new checkoutNodeJssdk.core.PayPalHttpClient(environment());
 }
 
-module.exports = { paypalClient };
\ No newline at end of file
+// The SDK has no request class for this endpoint, so build one in the same shape
+class VerifyWebhookSignatureRequest {
+  constructor(body) {
+    this.path = '/v1/notifications/verify-webhook-signature';
+    this.verb = 'POST';
+    this.body = body;
+    this.headers = {
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+module.exports = { paypalClient, paypal: checkoutNodeJssdk, VerifyWebhookSignatureRequest };
@@ -0,0 +1,76 @@
+// utils/sendSmtpEmail.js
+// Sends an EmailTemplate through the active SmtpConfig (admin-managed settings).
+// Silently skips when no SMTP config or template is active.
+// `attachments` are passed to nodemailer as-is ({ filename, content, contentType }).
+const nodemailer = require('nodemailer');
+const SmtpConfig = require('../model/SmtpConfig');
+const EmailTemplate = require('../model/EmailTemplate');
+
+const getActiveSmtpConfig = async () => {
+  try {
+    return await SmtpConfig.findOne({ status: 'active' }).lean() || null;
+  } catch (err) {
+    console.error('Error fetching SMTP config:', err);
+    return null;
+  }
+};
+
+const getEmailTemplate = async (type) => {
+  try {
+    return await EmailTemplate.findOne({ type, status: 'active' }).lean() || null;
+  } catch (err) {
+    console.error(`Error fetching template for ${type}:`, err);
+    return null;
+  }
+};
+
+const renderTemplate = (content, variables) => {
+  let rendered = content;
+  for (const [key, value] of Object.entries(variables)) {
+    rendered = rendered.replace(new RegExp(`{{${key}}}`, 'g'), value || '');
+  }
+  return rendered;
+};
+
+const createTransporter = (smtpConfig) => {
+  if (!smtpConfig) return null;
+  return nodemailer.createTransport({
+    host: smtpConfig.host,
+    port: smtpConfig.port,
+    secure: smtpConfig.encryption === 'SSL/TLS',
+    auth: {
+      user: smtpConfig.username,
+      pass: smtpConfig.password,
+    },
+  });
+};
+
+const sendSmtpEmail = async (to, templateType, variables = {}, { attachments } = {}) => {
+  const smtp = await getActiveSmtpConfig();
+  if (!smtp) return;
+
+  const template = await getEmailTemplate(templateType);
+  if (!template) return;
+
+  const transporter = createTransporter(smtp);
+  if (!transporter) return;
+
+  try {
+    const subject = renderTemplate(template.subject, variables);
+    const html = renderTemplate(template.content, variables);
+
+    await transporter.sendMail({
+      from: `${template.fromName} <${template.fromEmail}>`,
+      to,
+      subject,
+      html,
+      ...(attachments?.length && { attachments })
+    });
+
+    console.log(`Email sent to ${to} [${templateType}]`);
+  } catch (err) {
+    console.error(`Email failed [${templateType}]:`, err);
+  }
+};
+
+module.exports = sendSmtpEmail;